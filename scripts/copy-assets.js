@@ -40,16 +40,19 @@ fs.copyFileSync(
   path.join(hljsStyles, "github-dark.min.css"),
   path.join(hljsDest, "github-dark.min.css")
 );
-
-// Copy github-markdown-css
-const ghMdCss = path.join(
-  __dirname,
-  "..",
-  "node_modules",
-  "github-markdown-css",
-  "github-markdown.css"
+fs.copyFileSync(
+  path.join(hljsStyles, "a11y-dark.min.css"),
+  path.join(hljsDest, "a11y-dark.min.css")
 );
-fs.copyFileSync(ghMdCss, path.join(distDir, "github-markdown.css"));
+
+// Copy github-markdown-css (one fixed color scheme per preview theme)
+const ghMdDir = path.join(__dirname, "..", "node_modules", "github-markdown-css");
+for (const variant of ["light", "dark", "dark-high-contrast"]) {
+  fs.copyFileSync(
+    path.join(ghMdDir, `github-markdown-${variant}.css`),
+    path.join(distDir, `github-markdown-${variant}.css`)
+  );
+}
 
 // Copy app icon for About dialog (use 512x512 for sharp display at 72px CSS)
 const iconSrc = path.join(__dirname, "..", "assets", "icons", "icon-512.png");
@@ -5,6 +5,7 @@
 const fs = require("fs");
 const path = require("path");
 const { app } = require("electron");
+const { getSetting, setSetting } = require("../main/settings");
 
 const localesDir = path.join(__dirname, "locales");
 const supportedLocales = ["en", "ja"];
@@ -22,15 +23,10 @@ let currentLocale = "en";
  * Detect the best matching locale from the OS/app settings.
  */
 function detectLocale() {
-  // Try stored preference first
-  const configPath = path.join(app.getPath("userData"), "mdpad-config.json");
-  try {
-    const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
-    if (config.locale && supportedLocales.includes(config.locale)) {
-      return config.locale;
-    }
-  } catch {
-    // no config yet
+  // Try stored preference first ("system" = follow the OS)
+  const stored = getSetting("locale");
+  if (supportedLocales.includes(stored)) {
+    return stored;
   }
 
   // Fall back to OS locale
@@ -81,20 +77,7 @@ function t(key) {
 function setLocale(locale) {
   if (supportedLocales.includes(locale)) {
     currentLocale = locale;
-    // Persist to config
-    const configPath = path.join(app.getPath("userData"), "mdpad-config.json");
-    let config = {};
-    try {
-      config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
-    } catch {
-      // empty
-    }
-    config.locale = locale;
-    try {
-      fs.writeFileSync(configPath, JSON.stringify(config, null, 2), "utf-8");
-    } catch {
-      // ignore
-    }
+    setSetting("locale", locale);
   }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * Application theme for mdpad (View > Theme).
+ * The "appTheme" setting (settings.js) is "system", "light" or "dark" and is
+ * applied through nativeTheme.themeSource. That also switches
+ * prefers-color-scheme in every renderer, which theme.css and the editor
+ * follow, so a change restyles all open windows without a reload. Native
+ * menus and dialogs follow too.
+ */
+const { nativeTheme } = require("electron");
+const { SETTINGS_SCHEMA, getSetting, setSetting, onSettingsChanged } = require("./settings");
+
+const APP_THEMES = SETTINGS_SCHEMA.find((entry) => entry.key === "appTheme").values;
+
+// Window background before the page paints (matches --mdpad-bg in theme.css)
+const BACKGROUND_LIGHT = "#ffffff";
+const BACKGROUND_DARK = "#0d1117";
+
+function getAppTheme() {
+  return getSetting("appTheme");
+}
+
+/**
+ * Apply the saved theme and follow later changes (menu, Preferences, import).
+ * Call once after the app is ready.
+ */
+function initAppTheme() {
+  nativeTheme.themeSource = getAppTheme();
+  onSettingsChanged((changed) => {
+    if ("appTheme" in changed) nativeTheme.themeSource = changed.appTheme;
+  });
+}
+
+/**
+ * Save and apply a theme. Unknown values are ignored.
+ * @returns {string} The theme in effect
+ */
+function setAppTheme(theme) {
+  setSetting("appTheme", theme);
+  return getAppTheme();
+}
+
+/**
+ * Background color for new windows, so they do not flash white in dark mode.
+ */
+function getWindowBackground() {
+  return nativeTheme.shouldUseDarkColors ? BACKGROUND_DARK : BACKGROUND_LIGHT;
+}
+
+module.exports = {
+  APP_THEMES,
+  getAppTheme,
+  initAppTheme,
+  setAppTheme,
+  getWindowBackground,
+};
@@ -1,23 +1,23 @@
 /**
  * Autosave manager for mdpad.
  * Periodically saves editor content to a temp backup file in userData/autosave/.
- * - Timer is configurable in 1-minute increments (1-60 min) or OFF (0).
+ * - Timer is configurable in 1-minute increments (1-60 min) or OFF (0);
+ *   the interval is the "autosaveMinutes" setting (settings.js).
  * - Backup is saved to a temp location, NOT overwriting the original file
  *   (because diff depends on original content).
- * - Each instance uses a PID-based backup file.
+ * - Each instance uses a PID-based backup file; each tab of a window gets its
+ *   own file (autosave-PID-WID-TID.json).
  * - On startup, orphaned backups from crashed processes are detected.
+ * - These backups are for crash recovery only; the rolling per-file history
+ *   that survives saves is kept by local-history.js.
  */
 const fs = require("fs");
 const path = require("path");
 const { app } = require("electron");
+const { getSetting, setSetting } = require("./settings");
 
 let autosaveDir = null;
 let autosaveInterval = null;
-let autosaveMinutes = 0; // 0 = OFF
-
-// Config key in mdpad-config.json
-const CONFIG_KEY = "autosaveMinutes";
-const DEFAULT_MINUTES = 5; // Default: 5 minutes
 
 function getAutosaveDir() {
   if (!autosaveDir) {
@@ -31,79 +31,54 @@ function initAutosaveManager() {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  // Load saved preference
-  autosaveMinutes = loadAutosaveMinutes();
-}
-
-/**
- * Load autosave interval from config.
- */
-function loadAutosaveMinutes() {
-  const configPath = path.join(app.getPath("userData"), "mdpad-config.json");
-  try {
-    const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
-    if (typeof config[CONFIG_KEY] === "number" && config[CONFIG_KEY] >= 0 && config[CONFIG_KEY] <= 60) {
-      return config[CONFIG_KEY];
-    }
-  } catch {
-    // no config
-  }
-  return DEFAULT_MINUTES;
-}
-
-/**
- * Save autosave interval to config.
- */
-function saveAutosaveMinutes(minutes) {
-  const configPath = path.join(app.getPath("userData"), "mdpad-config.json");
-  let config = {};
-  try {
-    config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
-  } catch {
-    // empty
-  }
-  config[CONFIG_KEY] = minutes;
-  try {
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2), "utf-8");
-  } catch {
-    // ignore
-  }
 }
 
 /**
  * Get current autosave interval in minutes (0 = OFF).
  */
 function getAutosaveMinutes() {
-  return autosaveMinutes;
+  return getSetting("autosaveMinutes");
 }
 
 /**
  * Set autosave interval in minutes.
- * 0 = OFF, 1-60 = interval in minutes.
+ * 0 = OFF, 1-60 = interval in minutes (clamped by the settings schema).
  */
 function setAutosaveMinutes(minutes) {
-  minutes = Math.max(0, Math.min(60, Math.round(minutes)));
-  autosaveMinutes = minutes;
-  saveAutosaveMinutes(minutes);
+  setSetting("autosaveMinutes", minutes);
+}
+
+/**
+ * Build the backup file path for a window/tab pair.
+ * Backups written before tabs existed have no tab suffix.
+ * @param {number} windowId - Unique window ID
+ * @param {number} [tabId] - Tab ID within the window
+ */
+function getBackupFile(windowId, tabId) {
+  const suffix = tabId ? `-${tabId}` : "";
+  return path.join(getAutosaveDir(), `autosave-${process.pid}-${windowId || 0}${suffix}.json`);
 }
 
 /**
  * Save a backup of the current editor state.
  * Called from the renderer via IPC.
- * @param {Object} data - { content, filePath, originalContent, isDirty, timestamp }
+ * @param {Object} data - { content, filePath, originalContent, isDirty, eol, encoding, bom, tabId, timestamp }
  * @param {number} windowId - Unique window ID for multi-window isolation
  */
 function saveAutosaveBackup(data, windowId) {
-  if (autosaveMinutes === 0) return; // Autosave is OFF
+  if (getAutosaveMinutes() === 0) return; // Autosave is OFF
 
   try {
-    const dir = getAutosaveDir();
-    const backupFile = path.join(dir, `autosave-${process.pid}-${windowId || 0}.json`);
+    const backupFile = getBackupFile(windowId, data.tabId);
     const backupData = {
       content: data.content,
       filePath: data.filePath || null,
       originalContent: data.originalContent || "",
       isDirty: data.isDirty,
+      eol: data.eol || null,
+      encoding: data.encoding || null,
+      bom: !!data.bom,
+      tabId: data.tabId || 0,
       pid: process.pid,
       windowId: windowId || 0,
       savedAt: Date.now(),
@@ -115,15 +90,27 @@ function saveAutosaveBackup(data, windowId) {
 }
 
 /**
- * Clear autosave backup for a specific window (called on successful save or clean close).
+ * Clear autosave backup for a specific tab (called on successful save or tab close).
+ * When tabId is omitted, every backup of the window is removed (clean window close).
  * @param {number} windowId - Unique window ID
+ * @param {number} [tabId] - Tab ID within the window
  */
-function clearAutosaveBackup(windowId) {
+function clearAutosaveBackup(windowId, tabId) {
   try {
+    if (tabId) {
+      const backupFile = getBackupFile(windowId, tabId);
+      if (fs.existsSync(backupFile)) {
+        fs.unlinkSync(backupFile);
+      }
+      return;
+    }
     const dir = getAutosaveDir();
-    const backupFile = path.join(dir, `autosave-${process.pid}-${windowId || 0}.json`);
-    if (fs.existsSync(backupFile)) {
-      fs.unlinkSync(backupFile);
+    if (!fs.existsSync(dir)) return;
+    const stem = `autosave-${process.pid}-${windowId || 0}`;
+    for (const file of fs.readdirSync(dir)) {
+      if (file === `${stem}.json` || (file.startsWith(`${stem}-`) && file.endsWith(".json"))) {
+        fs.unlinkSync(path.join(dir, file));
+      }
     }
   } catch {
     // Ignore
@@ -132,7 +119,8 @@ function clearAutosaveBackup(windowId) {
 
 /**
  * Load orphaned autosave backups from crashed processes.
- * Handles both old format (autosave-PID.json) and new format (autosave-PID-WID.json).
+ * Handles the old formats (autosave-PID.json, autosave-PID-WID.json) and the
+ * per-tab format (autosave-PID-WID-TID.json).
  * Returns array of backup objects.
  */
 function loadOrphanedAutosaves() {
@@ -146,7 +134,7 @@ function loadOrphanedAutosaves() {
     for (const file of files) {
       if (!file.startsWith("autosave-") || !file.endsWith(".json")) continue;
 
-      // Parse PID from filename: autosave-PID.json or autosave-PID-WID.json
+      // Parse PID from filename: autosave-PID[-WID[-TID]].json
       const stem = file.replace("autosave-", "").replace(".json", "");
       const pid = parseInt(stem.split("-")[0], 10);
       if (isNaN(pid)) continue;
@@ -191,7 +179,7 @@ function removeOrphanedBackup(backupFilePath) {
 /**
  * Force-save a resume backup (used when user chooses "Resume Save" on close).
  * Unlike saveAutosaveBackup(), this works even when autosave is OFF.
- * @param {Object} data - backup data
+ * @param {Object} data - backup data (one tab)
  * @param {number} windowId - Unique window ID
  */
 function saveResumeBackup(data, windowId) {
@@ -200,12 +188,16 @@ function saveResumeBackup(data, windowId) {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
-    const backupFile = path.join(dir, `autosave-${process.pid}-${windowId || 0}.json`);
+    const backupFile = getBackupFile(windowId, data.tabId);
     const backupData = {
       content: data.content,
       filePath: data.filePath || null,
       originalContent: data.originalContent || "",
       isDirty: true,
+      eol: data.eol || null,
+      encoding: data.encoding || null,
+      bom: !!data.bom,
+      tabId: data.tabId || 0,
       pid: process.pid,
       windowId: windowId || 0,
       savedAt: Date.now(),
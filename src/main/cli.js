@@ -0,0 +1,216 @@
+/**
+ * Command-line mode — export or lint Markdown files without showing a window.
+ *
+ *   mdpad --export=html|pdf [--out=FILE] [--toc] input.md
+ *   mdpad --lint [--format=text|json] input.md [more.md ...]
+ *
+ * Rendering and lint run in a hidden renderer window (index.html?headless=1),
+ * so the output is the same as the preview and the editor's lint panel.
+ *
+ * Exit codes:
+ *   0  success (lint: no warnings or errors)
+ *   1  lint found warnings or errors
+ *   2  usage error, unreadable input or export failure
+ */
+const { BrowserWindow } = require("electron");
+const fs = require("fs/promises");
+const path = require("path");
+const { initLocale, getLocale } = require("../i18n/i18n-main");
+const { decodeBuffer } = require("./encoding");
+const { buildStandaloneHtml } = require("./html-export");
+const { renderPdf } = require("./pdf-export");
+const { resolvePreviewTheme, readUserCss } = require("./preview-theme");
+
+const EXIT_OK = 0;
+const EXIT_LINT_PROBLEMS = 1;
+const EXIT_ERROR = 2;
+
+const EXPORT_FORMATS = ["html", "pdf"];
+const LINT_FORMATS = ["text", "json"];
+
+// Severities that make --lint fail; "info" and "hint" are reported only
+const FAILING_SEVERITIES = ["error", "warning"];
+
+/**
+ * Parse CLI arguments (process.argv without the executable).
+ * Returns null when no headless command is given (normal GUI start).
+ * @param {string[]} argv
+ * @returns {null|{command: string, files: string[], format?: string, out?: string, toc?: boolean, error?: string}}
+ */
+function parseCliArgs(argv) {
+  let exportFormat = null;
+  let lint = false;
+  let out = null;
+  let format = "text";
+  let toc = false;
+  const files = [];
+  const unknown = [];
+
+  let positionalOnly = false;
+  for (const arg of argv) {
+    if (positionalOnly || !arg.startsWith("-")) {
+      // "." is the app directory in dev mode (electron . --lint ...)
+      if (arg !== ".") files.push(arg);
+    } else if (arg === "--") {
+      positionalOnly = true;
+    } else if (arg.startsWith("--export=")) {
+      exportFormat = arg.slice(9).toLowerCase();
+    } else if (arg === "--lint") {
+      lint = true;
+    } else if (arg.startsWith("--out=")) {
+      out = arg.slice(6);
+    } else if (arg.startsWith("--format=")) {
+      format = arg.slice(9).toLowerCase();
+    } else if (arg === "--toc") {
+      toc = true;
+    } else {
+      unknown.push(arg);
+    }
+  }
+
+  if (!exportFormat && !lint) return null;
+
+  const command = lint ? "lint" : "export";
+  const fail = (error) => ({ command, files, error });
+
+  if (exportFormat && lint) return fail("--export and --lint cannot be combined");
+  if (unknown.length > 0) return fail(`unknown option: ${unknown[0]}`);
+  if (files.length === 0) return fail("no input file");
+
+  if (lint) {
+    if (!LINT_FORMATS.includes(format)) return fail(`unsupported --format: ${format} (text|json)`);
+    return { command, files, format };
+  }
+
+  if (!EXPORT_FORMATS.includes(exportFormat)) {
+    return fail(`unsupported --export format: ${exportFormat} (html|pdf)`);
+  }
+  if (files.length > 1) return fail("--export takes a single input file");
+  if (toc && exportFormat !== "pdf") return fail("--toc is only supported for PDF export");
+  return { command, files, format: exportFormat, out, toc };
+}
+
+async function readMarkdown(filePath) {
+  // Same detection as opening the file in the editor (BOM is stripped)
+  return decodeBuffer(await fs.readFile(filePath)).content;
+}
+
+/**
+ * Open the renderer in a hidden window and wait for its headless API.
+ * The preview theme is passed in the query (the preview-theme IPC handlers
+ * are only registered for GUI windows); the renderer needs it for Mermaid.
+ */
+async function createHeadlessWindow(theme) {
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, "..", "preload", "preload.js"),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: false,
+    },
+  });
+  await win.loadFile(path.join(__dirname, "..", "renderer", "index.html"), {
+    query: { headless: "1", lang: getLocale(), previewTheme: theme },
+  });
+  const ready = await win.webContents.executeJavaScript("!!window.__mdpadHeadless");
+  if (!ready) throw new Error("renderer failed to initialize (is dist/renderer built?)");
+  return win;
+}
+
+/**
+ * Call a window.__mdpadHeadless function with JSON-serializable arguments.
+ */
+function callHeadless(win, name, ...args) {
+  const argList = args.map((a) => JSON.stringify(a)).join(", ");
+  return win.webContents.executeJavaScript(`window.__mdpadHeadless.${name}(${argList})`);
+}
+
+async function runExport(win, theme, { files, format, out, toc }) {
+  const inputPath = path.resolve(files[0]);
+  const content = await readMarkdown(inputPath);
+  const outPath = path.resolve(out || inputPath.replace(/\.[^.\\/]+$/, "") + "." + format);
+  const title = path.basename(inputPath).replace(/\.[^.]+$/, "");
+
+  // Same user CSS as the preview
+  const userCss = readUserCss();
+  let bodyHtml = await callHeadless(win, "renderForExport", content, inputPath);
+
+  if (format === "pdf") {
+    if (toc) bodyHtml = (await callHeadless(win, "buildTocHtml", content)) + bodyHtml;
+    const pdf = await renderPdf(bodyHtml, { title, lang: getLocale(), theme, userCss });
+    await fs.writeFile(outPath, pdf);
+  } else {
+    const html = buildStandaloneHtml(bodyHtml, { title, lang: getLocale(), theme, userCss });
+    await fs.writeFile(outPath, html, "utf-8");
+  }
+
+  console.log(outPath);
+  return EXIT_OK;
+}
+
+async function runLint(win, { files, format }) {
+  const results = [];
+  let readFailed = false;
+
+  for (const file of files) {
+    try {
+      const content = await readMarkdown(file);
+      results.push({ file, diagnostics: await callHeadless(win, "lint", content) });
+    } catch (err) {
+      readFailed = true;
+      results.push({ file, error: err.message });
+    }
+  }
+
+  if (format === "json") {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    let total = 0;
+    for (const { file, diagnostics, error } of results) {
+      if (error) {
+        console.error(`${file}: error: ${error}`);
+        continue;
+      }
+      for (const d of diagnostics) {
+        console.log(`${file}:${d.line}:${d.column}: ${d.severity}: ${d.message} [${d.rule}]`);
+      }
+      total += diagnostics.length;
+    }
+    if (total > 0) console.log(`\n${total} problem${total === 1 ? "" : "s"}`);
+  }
+
+  if (readFailed) return EXIT_ERROR;
+  const failing = results.some(
+    (r) => r.diagnostics && r.diagnostics.some((d) => FAILING_SEVERITIES.includes(d.severity))
+  );
+  return failing ? EXIT_LINT_PROBLEMS : EXIT_OK;
+}
+
+/**
+ * Run a parsed CLI command. Must be called after app is ready.
+ * @returns {Promise<number>} Process exit code
+ */
+async function runCli(cmd) {
+  if (cmd.error) {
+    console.error(`mdpad: ${cmd.error}`);
+    console.error("Run 'mdpad --help' for usage.");
+    return EXIT_ERROR;
+  }
+
+  initLocale();
+  let win = null;
+  try {
+    // Same theme as the preview
+    const theme = resolvePreviewTheme();
+    win = await createHeadlessWindow(theme);
+    return cmd.command === "lint" ? await runLint(win, cmd) : await runExport(win, theme, cmd);
+  } catch (err) {
+    console.error(`mdpad: ${err.message}`);
+    return EXIT_ERROR;
+  } finally {
+    if (win && !win.isDestroyed()) win.destroy();
+  }
+}
+
+module.exports = { parseCliArgs, runCli };
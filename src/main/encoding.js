@@ -0,0 +1,258 @@
+/**
+ * Character encoding detection and conversion for mdpad.
+ * - Supported encodings: UTF-8, UTF-16 LE/BE, Shift_JIS (Windows-31J) and EUC-JP.
+ * - A BOM decides the encoding; otherwise valid UTF-8 is UTF-8, byte
+ *   patterns decide UTF-16 without BOM, and Shift_JIS/EUC-JP are told apart
+ *   by counting invalid byte sequences (then kana frequency on a tie).
+ * - Files are saved in the encoding (and with the BOM) they were opened with.
+ * - Decoding uses the built-in TextDecoder (WHATWG encodings). There is no
+ *   built-in encoder for Shift_JIS/EUC-JP, so their tables are built once by
+ *   decoding every double-byte sequence.
+ */
+
+const ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "shift_jis", "euc-jp"];
+
+const BOMS = [
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+];
+
+// Enough bytes to decide; large files are only sampled
+const SAMPLE_SIZE = 64 * 1024;
+
+function isSupportedEncoding(encoding) {
+  return ENCODINGS.includes(encoding);
+}
+
+function detectBom(buffer) {
+  for (const bom of BOMS) {
+    if (bom.bytes.every((b, i) => buffer[i] === b)) return bom.encoding;
+  }
+  return null;
+}
+
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * UTF-16 without BOM: ASCII characters (spaces, newlines, markup) put a zero
+ * byte at the same parity, which other encodings do not produce.
+ */
+function detectUtf16(sample) {
+  if (sample.length < 4) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  const pairs = Math.floor(sample.length / 2);
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  const minZeros = Math.max(1, pairs * 0.02);
+  if (oddZeros >= minZeros && oddZeros >= evenZeros * 3) return "utf-16le";
+  if (evenZeros >= minZeros && evenZeros >= oddZeros * 3) return "utf-16be";
+  return null;
+}
+
+/**
+ * Count invalid sequences and kana characters as Shift_JIS.
+ */
+function scoreShiftJis(sample) {
+  let errors = 0;
+  let kana = 0;
+  for (let i = 0; i < sample.length; i++) {
+    const b = sample[i];
+    if (b < 0x80 || (b >= 0xa1 && b <= 0xdf)) continue; // ASCII, half-width katakana
+    if ((b >= 0x81 && b <= 0x9f) || (b >= 0xe0 && b <= 0xfc)) {
+      const t = sample[i + 1];
+      if (t === undefined) break; // Cut off by sampling
+      if ((t >= 0x40 && t <= 0x7e) || (t >= 0x80 && t <= 0xfc)) {
+        if (b === 0x82 || b === 0x83) kana++; // Hiragana, katakana
+        i++;
+        continue;
+      }
+    }
+    errors++;
+  }
+  return { errors, kana };
+}
+
+/**
+ * Count invalid sequences and kana characters as EUC-JP.
+ */
+function scoreEucJp(sample) {
+  let errors = 0;
+  let kana = 0;
+  for (let i = 0; i < sample.length; i++) {
+    const b = sample[i];
+    if (b < 0x80) continue;
+    const t = sample[i + 1];
+    if (t === undefined) break;
+    if (b >= 0xa1 && b <= 0xfe && t >= 0xa1 && t <= 0xfe) {
+      if (b === 0xa4 || b === 0xa5) kana++; // Hiragana, katakana
+      i++;
+      continue;
+    }
+    if (b === 0x8e && t >= 0xa1 && t <= 0xdf) { // Half-width katakana
+      i++;
+      continue;
+    }
+    if (b === 0x8f && t >= 0xa1 && t <= 0xfe) { // JIS X 0212
+      const u = sample[i + 2];
+      if (u === undefined) break;
+      if (u >= 0xa1 && u <= 0xfe) {
+        i += 2;
+        continue;
+      }
+    }
+    errors++;
+  }
+  return { errors, kana };
+}
+
+/**
+ * Detect the encoding of file content.
+ * @param {Buffer} buffer
+ * @returns {{ encoding: string, bom: boolean }}
+ */
+function detectEncoding(buffer) {
+  const bomEncoding = detectBom(buffer);
+  if (bomEncoding) return { encoding: bomEncoding, bom: true };
+
+  const sample = buffer.length > SAMPLE_SIZE ? buffer.subarray(0, SAMPLE_SIZE) : buffer;
+  const utf16 = detectUtf16(sample);
+  if (utf16) return { encoding: utf16, bom: false };
+  if (isValidUtf8(buffer)) return { encoding: "utf-8", bom: false };
+
+  const sjis = scoreShiftJis(sample);
+  const euc = scoreEucJp(sample);
+  if (sjis.errors !== euc.errors) {
+    return { encoding: sjis.errors < euc.errors ? "shift_jis" : "euc-jp", bom: false };
+  }
+  return { encoding: euc.kana > sjis.kana ? "euc-jp" : "shift_jis", bom: false };
+}
+
+/**
+ * Decode file content. Without an encoding it is detected.
+ * A BOM is stripped from the text and reported separately.
+ * @param {Buffer} buffer
+ * @param {string} [encoding] - Force an encoding (reopen with encoding)
+ * @returns {{ content: string, encoding: string, bom: boolean }}
+ */
+function decodeBuffer(buffer, encoding) {
+  const detected = encoding && isSupportedEncoding(encoding)
+    ? { encoding, bom: detectBom(buffer) === encoding }
+    : detectEncoding(buffer);
+  // TextDecoder strips a matching BOM by default
+  const content = new TextDecoder(detected.encoding).decode(buffer);
+  return { content, ...detected };
+}
+
+// Encoder tables (character → bytes), built on first use
+const encodeTables = {};
+
+/**
+ * Build the encoder table of a double-byte encoding by decoding every
+ * sequence. Where two sequences decode to the same character the first one
+ * wins, except that Shift_JIS prefers the IBM extensions (0xFA-0xFC) over the
+ * NEC-selected copies in 0xED/0xEE, as Windows does.
+ */
+function getEncodeTable(encoding) {
+  if (encodeTables[encoding]) return encodeTables[encoding];
+  const decoder = new TextDecoder(encoding);
+  const table = new Map();
+  const add = (bytes) => {
+    const ch = decoder.decode(Uint8Array.from(bytes));
+    if (ch.length > 0 && ch !== "\ufffd" && !table.has(ch)) table.set(ch, bytes);
+  };
+  if (encoding === "shift_jis") {
+    const leads = [];
+    for (let b = 0x81; b <= 0x9f; b++) leads.push(b);
+    for (let b = 0xe0; b <= 0xfc; b++) leads.push(b);
+    const ordered = leads.filter((b) => b !== 0xed && b !== 0xee).concat([0xed, 0xee]);
+    for (const lead of ordered) {
+      for (let t = 0x40; t <= 0xfc; t++) {
+        if (t !== 0x7f) add([lead, t]);
+      }
+    }
+    for (let b = 0xa1; b <= 0xdf; b++) add([b]); // Half-width katakana
+  } else {
+    for (let lead = 0xa1; lead <= 0xfe; lead++) {
+      for (let t = 0xa1; t <= 0xfe; t++) add([lead, t]);
+    }
+    for (let t = 0xa1; t <= 0xdf; t++) add([0x8e, t]); // Half-width katakana
+  }
+  encodeTables[encoding] = table;
+  return table;
+}
+
+/**
+ * Encode text as Shift_JIS/EUC-JP. Unmappable characters become "?".
+ * @returns {{ buffer: Buffer, unmappable: number }}
+ */
+function encodeDoubleByte(text, encoding) {
+  const table = getEncodeTable(encoding);
+  const bytes = [];
+  let unmappable = 0;
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+      continue;
+    }
+    const mapped = table.get(ch);
+    if (mapped) {
+      bytes.push(...mapped);
+    } else {
+      bytes.push(0x3f);
+      unmappable++;
+    }
+  }
+  return { buffer: Buffer.from(bytes), unmappable };
+}
+
+/**
+ * Encode text for saving.
+ * @param {string} text
+ * @param {string} encoding
+ * @param {boolean} bom - Write a BOM (UTF-8/UTF-16 only)
+ * @returns {Buffer}
+ */
+function encodeText(text, encoding, bom) {
+  const enc = isSupportedEncoding(encoding) ? encoding : "utf-8";
+  const withBom = !!bom && enc.startsWith("utf-");
+  if (enc === "shift_jis" || enc === "euc-jp") return encodeDoubleByte(text, enc).buffer;
+
+  let buffer;
+  if (enc === "utf-8") {
+    buffer = Buffer.from(text, "utf-8");
+  } else {
+    buffer = Buffer.from(text, "utf16le");
+    if (enc === "utf-16be") buffer.swap16();
+  }
+  if (!withBom) return buffer;
+  const bomBytes = BOMS.find((b) => b.encoding === enc).bytes;
+  return Buffer.concat([Buffer.from(bomBytes), buffer]);
+}
+
+/**
+ * Whether every character of the text can be represented in the encoding.
+ */
+function canEncode(text, encoding) {
+  if (!isSupportedEncoding(encoding) || encoding.startsWith("utf-")) return true;
+  return encodeDoubleByte(text, encoding).unmappable === 0;
+}
+
+module.exports = {
+  detectEncoding,
+  decodeBuffer,
+  encodeText,
+  canEncode,
+  isSupportedEncoding,
+};
@@ -1,27 +1,38 @@
 /**
  * File watcher module — monitors opened files for external changes.
- * Uses fs.watch with per-window isolation and debouncing.
+ * Uses fs.watch with per-window/per-tab isolation and debouncing.
+ * Also watches the Explorer pane's folder (one recursive watcher per window).
  */
 const fs = require("fs");
 
-// Map<windowId, { watcher, filePath, debounceTimer, ignoring }>
+// Map<"windowId:tabId", { watcher, filePath, debounceTimer, ignoring }>
 const watchers = new Map();
 
+// Map<windowId, { watcher, dirPath, debounceTimer }>
+const folderWatchers = new Map();
+
 const DEBOUNCE_MS = 500;
 
+function watchKey(windowId, tabId) {
+  return `${windowId}:${tabId || 0}`;
+}
+
 /**
  * Start watching a file for changes.
  * @param {number} windowId - Unique window identifier
  * @param {string} filePath - Absolute path to the file
  * @param {Function} onChange - Callback invoked when file changes externally
+ * @param {number} [tabId] - Tab identifier within the window
  */
-function startWatch(windowId, filePath, onChange) {
-  // Stop any existing watcher for this window
-  stopWatch(windowId);
+function startWatch(windowId, filePath, onChange, tabId) {
+  const key = watchKey(windowId, tabId);
+
+  // Stop any existing watcher for this tab
+  stopWatch(windowId, tabId || 0);
 
   try {
     const watcher = fs.watch(filePath, { persistent: false }, (eventType) => {
-      const entry = watchers.get(windowId);
+      const entry = watchers.get(key);
       if (!entry) return;
 
       // Skip if we're ignoring changes (self-write protection)
@@ -42,10 +53,10 @@ function startWatch(windowId, filePath, onChange) {
 
     watcher.on("error", () => {
       // Silently stop watching on error
-      stopWatch(windowId);
+      stopWatch(windowId, tabId || 0);
     });
 
-    watchers.set(windowId, {
+    watchers.set(key, {
       watcher,
       filePath,
       debounceTimer: null,
@@ -56,12 +67,77 @@ function startWatch(windowId, filePath, onChange) {
   }
 }
 
+function closeEntry(key) {
+  const entry = watchers.get(key);
+  if (!entry) return;
+
+  if (entry.debounceTimer) clearTimeout(entry.debounceTimer);
+  try {
+    entry.watcher.close();
+  } catch {
+    // Ignore close errors
+  }
+  watchers.delete(key);
+}
+
 /**
- * Stop watching for a specific window.
+ * Stop watching for a specific tab, or for every tab of a window
+ * when tabId is omitted.
  * @param {number} windowId
+ * @param {number} [tabId]
  */
-function stopWatch(windowId) {
-  const entry = watchers.get(windowId);
+function stopWatch(windowId, tabId) {
+  if (tabId !== undefined && tabId !== null) {
+    closeEntry(watchKey(windowId, tabId));
+    return;
+  }
+  const prefix = `${windowId}:`;
+  for (const key of [...watchers.keys()]) {
+    if (key.startsWith(prefix)) closeEntry(key);
+  }
+}
+
+/**
+ * Start watching a folder tree for added/removed/renamed entries.
+ * A burst of events is coalesced into a single onChange call.
+ * @param {number} windowId
+ * @param {string} dirPath - Absolute path to the folder
+ * @param {Function} onChange
+ */
+function startFolderWatch(windowId, dirPath, onChange) {
+  stopFolderWatch(windowId);
+
+  try {
+    const watcher = fs.watch(dirPath, { persistent: false, recursive: true }, (_eventType, fileName) => {
+      const entry = folderWatchers.get(windowId);
+      if (!entry) return;
+
+      // Activity inside .git (index, refs, objects) never changes the tree
+      if (fileName && /^\.git([\\/]|$)/.test(String(fileName))) return;
+
+      if (entry.debounceTimer) clearTimeout(entry.debounceTimer);
+      entry.debounceTimer = setTimeout(() => {
+        entry.debounceTimer = null;
+        onChange();
+      }, DEBOUNCE_MS);
+    });
+
+    watcher.on("error", () => {
+      stopFolderWatch(windowId);
+    });
+
+    folderWatchers.set(windowId, { watcher, dirPath, debounceTimer: null });
+  } catch {
+    // Folder missing or not watchable — silently ignore
+  }
+}
+
+/**
+ * Stop watching the Explorer folder of a window.
+ * @param {number} windowId
+ */
+function stopFolderWatch(windowId) {
+  const entry = folderWatchers.get(windowId);
   if (!entry) return;
 
   if (entry.debounceTimer) clearTimeout(entry.debounceTimer);
@@ -70,29 +146,46 @@ function stopWatch(windowId) {
   } catch {
     // Ignore close errors
   }
-  watchers.delete(windowId);
+  folderWatchers.delete(windowId);
 }
 
 /**
  * Stop all watchers (called on app quit).
  */
 function stopAllWatchers() {
-  for (const [windowId] of watchers) {
-    stopWatch(windowId);
+  for (const key of [...watchers.keys()]) {
+    closeEntry(key);
+  }
+  for (const windowId of [...folderWatchers.keys()]) {
+    stopFolderWatch(windowId);
   }
 }
 
 /**
  * Set the ignoring flag (self-write protection).
  * When true, file change events are suppressed.
+ * Applies to every tab of the window when tabId is omitted.
  * @param {number} windowId
  * @param {boolean} flag
+ * @param {number} [tabId]
  */
-function setIgnoring(windowId, flag) {
-  const entry = watchers.get(windowId);
-  if (entry) {
-    entry.ignoring = flag;
+function setIgnoring(windowId, flag, tabId) {
+  if (tabId !== undefined && tabId !== null) {
+    const entry = watchers.get(watchKey(windowId, tabId));
+    if (entry) entry.ignoring = flag;
+    return;
+  }
+  const prefix = `${windowId}:`;
+  for (const [key, entry] of watchers) {
+    if (key.startsWith(prefix)) entry.ignoring = flag;
   }
 }
 
-module.exports = { startWatch, stopWatch, stopAllWatchers, setIgnoring };
+module.exports = {
+  startWatch,
+  stopWatch,
+  stopAllWatchers,
+  setIgnoring,
+  startFolderWatch,
+  stopFolderWatch,
+};
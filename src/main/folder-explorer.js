@@ -0,0 +1,191 @@
+/**
+ * Folder explorer module — file system operations behind the Explorer pane.
+ * Lists one directory level at a time (the renderer loads the tree lazily)
+ * and performs create/rename/move/delete on entries.
+ *
+ * Operations return { path } on success or { error } on failure, where error
+ * is "exists", "invalidName", "intoItself" or the underlying error message.
+ */
+const { shell } = require("electron");
+const fs = require("fs/promises");
+const path = require("path");
+const { getIgnoredNames } = require("./git-utils");
+
+const MARKDOWN_EXTENSIONS = [".md", ".markdown", ".mdown", ".mkd"];
+
+// Characters that are not allowed in file names on Windows (and path separators)
+const INVALID_NAME_RE = /[<>:"/\\|?*\x00-\x1f]/;
+
+function isMarkdownFile(name) {
+  return MARKDOWN_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+function isValidName(name) {
+  if (!name || name === "." || name === "..") return false;
+  return !INVALID_NAME_RE.test(name);
+}
+
+async function exists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List the sub-folders and Markdown files of a directory.
+ * Dot entries and entries ignored by git are skipped.
+ * Folders come first, then files, each sorted by name.
+ * @param {string} dirPath
+ * @returns {Promise<Array<{name: string, path: string, isDirectory: boolean}>|null>}
+ */
+async function listFolder(dirPath) {
+  let dirents;
+  try {
+    dirents = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  const entries = dirents
+    .filter((d) => !d.name.startsWith("."))
+    .filter((d) => d.isDirectory() || (d.isFile() && isMarkdownFile(d.name)))
+    .map((d) => ({
+      name: d.name,
+      path: path.join(dirPath, d.name),
+      isDirectory: d.isDirectory(),
+    }));
+
+  const ignored = getIgnoredNames(dirPath, entries.map((e) => e.name));
+
+  return entries
+    .filter((e) => !ignored.has(e.name))
+    .sort((a, b) => {
+      if (a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+      return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" });
+    });
+}
+
+// Entries returned for path completion, per directory
+const PATH_ENTRIES_MAX = 500;
+
+/**
+ * List every file and sub-folder of a directory (all file types) for path
+ * completion in links and images. dirPath may be relative to baseDir.
+ * Dot entries are skipped; folders come first.
+ * @returns {Promise<Array<{ name: string, isDirectory: boolean }>|null>}
+ */
+async function listPathEntries(baseDir, dirPath) {
+  let dirents;
+  try {
+    dirents = await fs.readdir(path.resolve(baseDir, dirPath || "."), { withFileTypes: true });
+  } catch {
+    return null;
+  }
+  return dirents
+    .filter((d) => !d.name.startsWith(".") && (d.isDirectory() || d.isFile()))
+    .map((d) => ({ name: d.name, isDirectory: d.isDirectory() }))
+    .sort((a, b) => {
+      if (a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+      return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" });
+    })
+    .slice(0, PATH_ENTRIES_MAX);
+}
+
+/**
+ * Create an empty Markdown file. ".md" is appended when the name has no extension.
+ */
+async function createFile(dirPath, name) {
+  name = (name || "").trim();
+  if (!isValidName(name)) return { error: "invalidName" };
+  if (!path.extname(name)) name += ".md";
+
+  const filePath = path.join(dirPath, name);
+  try {
+    await fs.writeFile(filePath, "", { encoding: "utf-8", flag: "wx" });
+    return { path: filePath };
+  } catch (err) {
+    return { error: err.code === "EEXIST" ? "exists" : err.message };
+  }
+}
+
+async function createFolder(dirPath, name) {
+  name = (name || "").trim();
+  if (!isValidName(name)) return { error: "invalidName" };
+
+  const folderPath = path.join(dirPath, name);
+  try {
+    await fs.mkdir(folderPath);
+    return { path: folderPath };
+  } catch (err) {
+    return { error: err.code === "EEXIST" ? "exists" : err.message };
+  }
+}
+
+/**
+ * Rename an entry within its own folder.
+ */
+async function renameEntry(oldPath, newName) {
+  newName = (newName || "").trim();
+  if (!isValidName(newName)) return { error: "invalidName" };
+
+  const newPath = path.join(path.dirname(oldPath), newName);
+  if (newPath === oldPath) return { path: oldPath };
+
+  // Case-only renames on case-insensitive file systems hit the same entry
+  const caseOnly = newPath.toLowerCase() === oldPath.toLowerCase();
+  if (!caseOnly && (await exists(newPath))) return { error: "exists" };
+
+  try {
+    await fs.rename(oldPath, newPath);
+    return { path: newPath };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Move an entry into another folder, keeping its name.
+ */
+async function moveEntry(srcPath, destDir) {
+  const newPath = path.join(destDir, path.basename(srcPath));
+  if (newPath === srcPath) return { path: srcPath };
+
+  // A folder cannot be moved into itself or one of its descendants
+  const rel = path.relative(srcPath, destDir);
+  if (rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel))) {
+    return { error: "intoItself" };
+  }
+  if (await exists(newPath)) return { error: "exists" };
+
+  try {
+    await fs.rename(srcPath, newPath);
+    return { path: newPath };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Delete an entry by moving it to the OS trash (recoverable).
+ */
+async function deleteEntry(entryPath) {
+  try {
+    await shell.trashItem(entryPath);
+    return { path: entryPath };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = {
+  listFolder,
+  listPathEntries,
+  createFile,
+  createFolder,
+  renameEntry,
+  moveEntry,
+  deleteEntry,
+};
@@ -1,5 +1,7 @@
-const { execFileSync } = require("child_process");
+const { execFile, execFileSync } = require("child_process");
+const os = require("os");
 const path = require("path");
+const { decodeBuffer, encodeText } = require("./encoding");
 
 // Cache: keyed by filePath, stores { info, timestamp }
 const gitInfoCache = new Map();
@@ -110,35 +112,394 @@ function getGitInfo(filePath) {
   }
 }
 
+// Revision names passed to git; rejects option-like and malformed input
+const REVISION_RE = /^[A-Za-z0-9._\/~^@{}-]+$/;
+
 /**
- * Get the HEAD version of a file's content.
+ * Resolve the repo root and the file's path relative to it.
+ * Returns null if the file is not inside a git work tree.
  */
-function getGitFileContent(filePath) {
-  if (!filePath) return null;
-  if (!isGitAvailable()) return null;
+function getRepoPaths(filePath, execOpts) {
+  try {
+    const repoRoot = execFileSync(
+      "git", ["rev-parse", "--show-toplevel"], execOpts
+    ).trim();
+    const relPath = path.relative(repoRoot, filePath).replace(/\\/g, "/");
+    return { repoRoot, relPath };
+  } catch {
+    return null;
+  }
+}
 
-  const cwd = path.dirname(filePath);
-  const execOpts = {
-    cwd,
+function makeExecOpts(filePath) {
+  return {
+    cwd: path.dirname(filePath),
     stdio: "pipe",
     timeout: 5000,
     windowsHide: true,
     encoding: "utf-8",
   };
+}
+
+/**
+ * Get a file's content at a git revision.
+ * revision: "HEAD" (default), a commit hash, a branch name, or ":" for the
+ * index (staged version). pathAtRevision is the repo-relative path the file
+ * had in that revision (from getGitFileHistory, for renamed files).
+ * The blob is decoded like the editor decodes the file: with its tab's
+ * encoding (BOM stripped), or detected when none is given.
+ */
+function getGitFileContent(filePath, revision = "HEAD", pathAtRevision = null, encoding = null) {
+  if (!filePath) return null;
+  if (!isGitAvailable()) return null;
+  if (revision !== ":" && (revision.startsWith("-") || !REVISION_RE.test(revision))) {
+    return null;
+  }
 
+  const execOpts = makeExecOpts(filePath);
+  const paths = getRepoPaths(filePath, execOpts);
+  if (!paths) return null;
+
+  const relPath = pathAtRevision || paths.relPath;
+  const spec = revision === ":" ? `:${relPath}` : `${revision}:${relPath}`;
   try {
-    const repoRoot = execFileSync(
-      "git", ["rev-parse", "--show-toplevel"], execOpts
-    ).trim();
-    const relPath = path.relative(repoRoot, filePath).replace(/\\/g, "/");
-    return execFileSync(
-      "git", ["show", `HEAD:${relPath}`], { ...execOpts, cwd: repoRoot }
-    );
+    const blob = execFileSync("git", ["show", spec], { ...execOpts, cwd: paths.repoRoot, encoding: "buffer" });
+    return decodeBuffer(blob, encoding || undefined).content;
   } catch {
     return null;
   }
 }
 
+/**
+ * Get the commits that touched a file, newest first, following renames.
+ * Returns [{ hash, shortHash, author, date, subject, path }] where path is
+ * the repo-relative path of the file in that commit. Empty if unavailable.
+ * limit 0 lists every commit.
+ */
+function getGitFileHistory(filePath, limit = 200) {
+  if (!filePath) return [];
+  if (!isGitAvailable()) return [];
+
+  const execOpts = makeExecOpts(filePath);
+  const paths = getRepoPaths(filePath, execOpts);
+  if (!paths) return [];
+
+  let output;
+  try {
+    // \x1e starts a record, \x1f separates fields; --name-only appends the path
+    output = execFileSync("git", [
+      "log", "--follow", ...(limit > 0 ? [`-n${limit}`] : []),
+      "--format=%x1e%H%x1f%h%x1f%an%x1f%aI%x1f%s",
+      "--name-only", "--", paths.relPath,
+    ], { ...execOpts, cwd: paths.repoRoot, maxBuffer: 16 * 1024 * 1024 });
+  } catch {
+    return [];
+  }
+
+  const commits = [];
+  for (const record of output.split("\x1e")) {
+    if (!record.trim()) continue;
+    const [header, ...rest] = record.split("\n");
+    const [hash, shortHash, author, date, subject] = header.split("\x1f");
+    const filePathAtCommit = rest.map((l) => l.trim()).find((l) => l) || paths.relPath;
+    commits.push({ hash, shortHash, author, date, subject, path: filePathAtCommit });
+  }
+  return commits;
+}
+
+/**
+ * Get local and remote-tracking branch names of the file's repo.
+ */
+function getGitBranches(filePath) {
+  if (!filePath) return [];
+  if (!isGitAvailable()) return [];
+
+  try {
+    const output = execFileSync("git", [
+      "for-each-ref", "--format=%(refname)", "refs/heads", "refs/remotes",
+    ], makeExecOpts(filePath));
+    return output
+      .split("\n")
+      .map((l) => l.trim())
+      // refs/remotes/<remote>/HEAD is a symbolic alias of a listed branch
+      .filter((l) => l && !l.endsWith("/HEAD"))
+      .map((l) => l.replace(/^refs\/(heads|remotes)\//, ""));
+  } catch {
+    return [];
+  }
+}
+
+// Uncommitted lines are attributed to the all-zero hash by git blame
+const UNCOMMITTED_HASH = /^0{40}$/;
+
+/**
+ * Split git output on "\n" bytes (content lines keep the file's encoding).
+ */
+function splitBufferLines(buffer) {
+  const rows = [];
+  let start = 0;
+  for (let i = buffer.indexOf(0x0a); i !== -1; i = buffer.indexOf(0x0a, start)) {
+    rows.push(buffer.subarray(start, i));
+    start = i + 1;
+  }
+  rows.push(buffer.subarray(start));
+  return rows;
+}
+
+/**
+ * Blame the file as it is on disk (git blame --porcelain).
+ * Returns { lines: [{ commit, text }], commits: { [hash]: info } } where
+ * commit is null for lines that are not committed yet and info is
+ * { hash, author, authorMail, time, summary, path, previous } (time in ms,
+ * previous = { hash, path } of the parent version or null if the commit
+ * added the file). Returns null if unavailable or untracked.
+ * Line text is decoded with the file's encoding (UTF-8 when not given) so it
+ * matches the editor's lines.
+ */
+function getGitBlame(filePath, encoding = null) {
+  if (!filePath) return null;
+  if (!isGitAvailable()) return null;
+
+  const execOpts = makeExecOpts(filePath);
+  const paths = getRepoPaths(filePath, execOpts);
+  if (!paths) return null;
+
+  let output;
+  try {
+    output = execFileSync("git", ["blame", "--porcelain", "--", paths.relPath], {
+      ...execOpts,
+      cwd: paths.repoRoot,
+      encoding: "buffer",
+      timeout: 15000,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch {
+    return null;
+  }
+
+  const lines = [];
+  const commits = {};
+  let current = null;
+  for (const rowBuffer of splitBufferLines(output)) {
+    if (rowBuffer[0] === 0x09) {
+      // Line content (tab-prefixed); ends the entry started by the header row
+      lines.push({
+        commit: current && !UNCOMMITTED_HASH.test(current.hash) ? current.hash : null,
+        text: decodeBuffer(rowBuffer.subarray(1), encoding || "utf-8").content.replace(/\r$/, ""),
+      });
+      continue;
+    }
+    // Headers (hashes, author, summary, file names) are UTF-8
+    const row = rowBuffer.toString("utf-8");
+    const header = row.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header) {
+      const hash = header[1];
+      if (!commits[hash]) {
+        commits[hash] = {
+          hash, author: "", authorMail: "", time: 0, summary: "", path: paths.relPath, previous: null,
+        };
+      }
+      current = commits[hash];
+      continue;
+    }
+    if (!current) continue;
+    const space = row.indexOf(" ");
+    const key = space === -1 ? row : row.slice(0, space);
+    const value = space === -1 ? "" : row.slice(space + 1);
+    if (key === "author") current.author = value;
+    else if (key === "author-mail") current.authorMail = value.replace(/^<|>$/g, "");
+    else if (key === "author-time") current.time = parseInt(value, 10) * 1000;
+    else if (key === "summary") current.summary = value;
+    else if (key === "filename") current.path = value;
+    else if (key === "previous") {
+      const sep = value.indexOf(" ");
+      current.previous = { hash: value.slice(0, sep), path: value.slice(sep + 1) };
+    }
+  }
+
+  for (const hash of Object.keys(commits)) {
+    if (UNCOMMITTED_HASH.test(hash)) delete commits[hash];
+  }
+  return { lines, commits };
+}
+
+/**
+ * Run git without blocking the main process (commit hooks and push can take
+ * a while). Resolves { ok, stdout, error } and never rejects; error is git's
+ * own output so it can be shown to the user as is.
+ */
+function runGit(args, cwd, { input = null, timeout = 60000 } = {}) {
+  return new Promise((resolve) => {
+    const child = execFile("git", args, {
+      cwd,
+      timeout,
+      windowsHide: true,
+      encoding: "utf-8",
+      maxBuffer: 16 * 1024 * 1024,
+      // Fail instead of waiting for a credential prompt nobody can answer
+      env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+    }, (err, stdout, stderr) => {
+      if (!err) {
+        resolve({ ok: true, stdout, error: "" });
+        return;
+      }
+      const output = [stderr, stdout].map((s) => (s || "").trim()).filter(Boolean).join("\n");
+      resolve({ ok: false, stdout, error: output || err.message });
+    });
+    if (input !== null) child.stdin.end(input);
+  });
+}
+
+/**
+ * user.name and user.email from git config as seen from the file's folder
+ * (the global config for untitled documents). Missing values are "".
+ */
+async function getGitUser(filePath) {
+  if (!isGitAvailable()) return { name: "", email: "" };
+  const cwd = filePath ? path.dirname(filePath) : os.homedir();
+  const [name, email] = await Promise.all([
+    runGit(["config", "user.name"], cwd, { timeout: 5000 }),
+    runGit(["config", "user.email"], cwd, { timeout: 5000 }),
+  ]);
+  return {
+    name: name.ok ? name.stdout.trim() : "",
+    email: email.ok ? email.stdout.trim() : "",
+  };
+}
+
+/**
+ * Parse `git status --porcelain=v1 -b -z` output.
+ */
+function parseStatus(output) {
+  const entries = output.split("\0");
+  const result = { branch: "", upstream: "", ahead: 0, behind: 0, files: [] };
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    if (entry.startsWith("## ")) {
+      // "## main...origin/main [ahead 1, behind 2]" or "## No commits yet on main"
+      const m = entry.slice(3).match(/^(?:No commits yet on |Initial commit on )?(.+?)(?:\.\.\.(\S+))?(?: \[(.*)\])?$/);
+      if (m) {
+        result.branch = m[1];
+        result.upstream = m[2] || "";
+        const track = m[3] || "";
+        const ahead = track.match(/ahead (\d+)/);
+        const behind = track.match(/behind (\d+)/);
+        result.ahead = ahead ? parseInt(ahead[1], 10) : 0;
+        result.behind = behind ? parseInt(behind[1], 10) : 0;
+      }
+      continue;
+    }
+    const file = { index: entry[0], worktree: entry[1], path: entry.slice(3), origPath: null };
+    // Renames and copies are followed by the original path
+    if (file.index === "R" || file.index === "C") file.origPath = entries[++i] || null;
+    result.files.push(file);
+  }
+  return result;
+}
+
+/**
+ * Working-tree status of the file's repository.
+ * Returns { repoRoot, relPath, branch, upstream, ahead, behind, remotes,
+ * files: [{ path, origPath, index, worktree }] } (porcelain status letters,
+ * paths relative to repoRoot), or null if the file is not in a repo.
+ */
+async function getGitStatus(filePath) {
+  if (!filePath) return null;
+  if (!isGitAvailable()) return null;
+
+  const paths = getRepoPaths(filePath, makeExecOpts(filePath));
+  if (!paths) return null;
+
+  const status = await runGit(["status", "--porcelain=v1", "-b", "-z"], paths.repoRoot);
+  if (!status.ok) return null;
+  const remotes = await runGit(["remote"], paths.repoRoot);
+  return {
+    repoRoot: paths.repoRoot,
+    relPath: paths.relPath,
+    ...parseStatus(status.stdout),
+    remotes: remotes.ok ? remotes.stdout.split("\n").map((r) => r.trim()).filter(Boolean) : [],
+  };
+}
+
+/**
+ * Repo-relative paths to operate on: the given ones, or the file itself.
+ * Returns null if any path could be taken as an option.
+ */
+function resolveTargets(paths, relPaths) {
+  const targets = relPaths && relPaths.length > 0 ? relPaths : [paths.relPath];
+  return targets.every((p) => typeof p === "string" && p && !p.startsWith("-")) ? targets : null;
+}
+
+/**
+ * Stage files (git add). relPaths are relative to the repo root and default
+ * to the file itself.
+ */
+async function gitStage(filePath, relPaths = null) {
+  const paths = filePath && isGitAvailable() ? getRepoPaths(filePath, makeExecOpts(filePath)) : null;
+  if (!paths) return { ok: false, error: "not a git repository" };
+  const targets = resolveTargets(paths, relPaths);
+  if (!targets) return { ok: false, error: "invalid path" };
+  return runGit(["add", "--", ...targets], paths.repoRoot);
+}
+
+/**
+ * Unstage files (git reset), keeping the working tree as is.
+ */
+async function gitUnstage(filePath, relPaths = null) {
+  const paths = filePath && isGitAvailable() ? getRepoPaths(filePath, makeExecOpts(filePath)) : null;
+  if (!paths) return { ok: false, error: "not a git repository" };
+  const targets = resolveTargets(paths, relPaths);
+  if (!targets) return { ok: false, error: "invalid path" };
+  return runGit(["reset", "-q", "--", ...targets], paths.repoRoot);
+}
+
+/**
+ * Put the given content into the index for the file without touching the
+ * working tree (stages selected hunks from the diff pane). The content is
+ * encoded like a save of the file (encoding and BOM of its tab).
+ */
+function gitStageContent(filePath, content, encoding = "utf-8", bom = false) {
+  const execOpts = filePath && isGitAvailable() ? makeExecOpts(filePath) : null;
+  const paths = execOpts ? getRepoPaths(filePath, execOpts) : null;
+  if (!paths) return { ok: false, error: "not a git repository" };
+
+  const opts = { ...execOpts, cwd: paths.repoRoot };
+  try {
+    // --path applies the file's attributes (eol conversion, filters)
+    const sha = execFileSync(
+      "git", ["hash-object", "-w", "--stdin", `--path=${paths.relPath}`], { ...opts, input: encodeText(content, encoding, bom) }
+    ).trim();
+    const staged = execFileSync("git", ["ls-files", "-s", "--", paths.relPath], opts).trim();
+    const mode = staged ? staged.split(" ")[0] : "100644";
+    execFileSync("git", ["update-index", "--add", "--cacheinfo", `${mode},${sha},${paths.relPath}`], opts);
+    return { ok: true, error: "" };
+  } catch (err) {
+    return { ok: false, error: String(err.stderr || err.message).trim() };
+  }
+}
+
+/**
+ * Commit the staged changes with the given message.
+ */
+async function gitCommit(filePath, message) {
+  const paths = filePath && isGitAvailable() ? getRepoPaths(filePath, makeExecOpts(filePath)) : null;
+  if (!paths) return { ok: false, error: "not a git repository" };
+  const result = await runGit(["commit", "-F", "-"], paths.repoRoot, { input: message });
+  if (result.ok) invalidateGitCache(filePath);
+  return result;
+}
+
+/**
+ * Push the current branch to a remote (same branch name on the remote).
+ */
+async function gitPush(filePath, remote) {
+  const paths = filePath && isGitAvailable() ? getRepoPaths(filePath, makeExecOpts(filePath)) : null;
+  if (!paths) return { ok: false, error: "not a git repository" };
+  if (!remote || remote.startsWith("-")) return { ok: false, error: "invalid remote" };
+  return runGit(["push", remote, "HEAD"], paths.repoRoot, { timeout: 120000 });
+}
+
 /**
  * Get detailed git info for the properties dialog.
  * Returns extended info including full commit hash, repo root, remote URL, etc.
@@ -236,6 +597,37 @@ function getDetailedGitInfo(filePath) {
   }
 }
 
+/**
+ * Get the names of entries in a directory that git ignores (.gitignore,
+ * .git/info/exclude, global excludes).
+ * Returns an empty Set if git is unavailable or dirPath is not in a repo.
+ */
+function getIgnoredNames(dirPath, names) {
+  const ignored = new Set();
+  if (!dirPath || !names || names.length === 0) return ignored;
+  if (!isGitAvailable()) return ignored;
+
+  let output;
+  try {
+    output = execFileSync("git", ["check-ignore", "-z", "--stdin"], {
+      cwd: dirPath,
+      input: names.join("\0"),
+      stdio: "pipe",
+      timeout: 5000,
+      windowsHide: true,
+      encoding: "utf-8",
+    });
+  } catch {
+    // Exit code 1 = nothing ignored, 128 = not a repo
+    return ignored;
+  }
+
+  for (const name of output.split("\0")) {
+    if (name) ignored.add(name);
+  }
+  return ignored;
+}
+
 function invalidateGitCache(filePath) {
   if (filePath) gitInfoCache.delete(filePath);
 }
@@ -244,6 +636,17 @@ module.exports = {
   isGitAvailable,
   getGitInfo,
   getGitFileContent,
+  getGitFileHistory,
+  getGitBranches,
+  getGitBlame,
+  getGitUser,
+  getGitStatus,
+  gitStage,
+  gitUnstage,
+  gitStageContent,
+  gitCommit,
+  gitPush,
   getDetailedGitInfo,
+  getIgnoredNames,
   invalidateGitCache,
 };
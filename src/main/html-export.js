@@ -0,0 +1,214 @@
+/**
+ * HTML export — wraps the rendered preview HTML into a self-contained document.
+ * The preview theme's github-markdown-css variant and highlight.js theme, the
+ * user CSS and (when the document has math) KaTeX CSS with its fonts are
+ * embedded, and local images are inlined as data URIs, so the file opens
+ * anywhere without mdpad or network access.
+ *
+ * Assets are read from dist/renderer (copied there by scripts/copy-assets.js);
+ * the theme additions come from src/renderer/styles/preview-themes.css.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ASSET_DIR = path.join(__dirname, "..", "..", "dist", "renderer");
+const THEME_CSS = path.join(__dirname, "..", "renderer", "styles", "preview-themes.css");
+
+// Same themes as the preview (components/preview-theme.js); "auto" is
+// resolved by the renderer before exporting
+const THEMES = {
+  "github-light": { markdown: "github-markdown-light.css", hljs: "hljs/github.min.css", background: "#ffffff" },
+  "github-dark": { markdown: "github-markdown-dark.css", hljs: "hljs/github-dark.min.css", background: "#0d1117" },
+  "high-contrast": {
+    markdown: "github-markdown-dark-high-contrast.css",
+    hljs: "hljs/a11y-dark.min.css",
+    background: "#0a0c10",
+  },
+  "print": { markdown: "github-markdown-light.css", hljs: "hljs/github.min.css", background: "#ffffff" },
+};
+const DEFAULT_THEME = "github-light";
+
+const IMAGE_MIME = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".bmp": "image/bmp",
+  ".ico": "image/x-icon",
+};
+
+// Page layout and the preview-only rules from preview.css
+const EXPORT_CSS = `
+body {
+  margin: 0;
+  background: #ffffff;
+}
+.markdown-body {
+  box-sizing: border-box;
+  min-width: 200px;
+  max-width: 980px;
+  margin: 0 auto;
+  padding: 45px;
+  font-size: 16px;
+}
+@media (max-width: 767px) {
+  .markdown-body {
+    padding: 15px;
+  }
+}
+.mermaid-diagram {
+  display: flex;
+  justify-content: center;
+  margin: 16px 0;
+}
+.mermaid-diagram svg {
+  max-width: 100%;
+  height: auto;
+}
+.markdown-alert-title svg {
+  margin-right: 8px;
+}
+.page-break {
+  height: 0;
+  break-after: page;
+}
+.mermaid-error {
+  background: #fff5f5;
+  border: 1px solid #ff8080;
+  border-radius: 6px;
+  padding: 12px;
+  color: #cf222e;
+  font-family: monospace;
+  font-size: 12px;
+  margin: 16px 0;
+  white-space: pre-wrap;
+}
+`;
+
+function readAsset(relPath) {
+  return readCss(path.join(ASSET_DIR, relPath));
+}
+
+function readCss(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf-8");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Replace each @font-face src list in the KaTeX CSS with an embedded woff2.
+ * The woff/ttf fallbacks are dropped (every browser that matters reads woff2).
+ */
+function inlineKatexFonts(css) {
+  return css.replace(/src:([^;}]+)/g, (decl, list) => {
+    const m = list.match(/url\(([^)]+\.woff2)\)/);
+    if (!m) return decl;
+    try {
+      const data = fs.readFileSync(path.join(ASSET_DIR, "katex", m[1]));
+      return `src:url(data:font/woff2;base64,${data.toString("base64")}) format("woff2")`;
+    } catch {
+      return decl;
+    }
+  });
+}
+
+/**
+ * Convert an <img src> value to a local file path, or null if it is remote.
+ * Handles file:// URLs (produced by the preview's relative path resolution)
+ * and plain absolute Windows/Unix paths.
+ */
+function localPathFromSrc(src) {
+  let p = src.replace(/&amp;/g, "&").replace(/[?#].*$/, "");
+
+  if (/^file:/i.test(p)) {
+    p = p.replace(/^file:\/*/i, "");
+    // file:///C:/dir → C:/dir, file:////home/dir → /home/dir
+    if (!/^[A-Za-z]:/.test(p)) p = "/" + p;
+  } else if (!/^[A-Za-z]:[/\\]/.test(p) && !(p.startsWith("/") && !p.startsWith("//"))) {
+    return null;
+  }
+
+  try {
+    p = decodeURIComponent(p);
+  } catch {
+    // Keep the raw path if it is not valid percent-encoding
+  }
+  return path.normalize(p);
+}
+
+/**
+ * Inline local images as data URIs. Unreadable images keep their original src.
+ */
+function inlineImages(html) {
+  return html.replace(/(<img\b[^>]*?\ssrc=")([^"]+)(")/gi, (tag, before, src, after) => {
+    const filePath = localPathFromSrc(src);
+    if (!filePath) return tag;
+    const mime = IMAGE_MIME[path.extname(filePath).toLowerCase()];
+    if (!mime) return tag;
+    try {
+      const data = fs.readFileSync(filePath);
+      return `${before}data:${mime};base64,${data.toString("base64")}${after}`;
+    } catch {
+      return tag;
+    }
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Build a complete, self-contained HTML document.
+ * @param {string} bodyHtml - Inner HTML of .markdown-body (sanitized by the renderer)
+ * @param {object} [options]
+ * @param {string} [options.title] - Document title
+ * @param {string} [options.lang] - Value of <html lang>
+ * @param {string} [options.extraCss] - Additional CSS appended after the built-in styles
+ * @param {string} [options.theme] - Preview theme id (see THEMES)
+ * @param {string} [options.userCss] - User CSS, appended last so it wins
+ * @returns {string}
+ */
+function buildStandaloneHtml(bodyHtml, options = {}) {
+  const { title = "", lang = "en", extraCss = "", userCss = "" } = options;
+  const themeId = Object.hasOwn(THEMES, options.theme) ? options.theme : DEFAULT_THEME;
+  const theme = THEMES[themeId];
+
+  const styles = [readAsset(theme.markdown), readAsset(theme.hljs)];
+  if (bodyHtml.includes('class="katex')) {
+    styles.push(inlineKatexFonts(readAsset("katex/katex.min.css")));
+  }
+  styles.push(EXPORT_CSS, `body {\n  background: ${theme.background};\n}\n`, readCss(THEME_CSS));
+  if (extraCss) styles.push(extraCss);
+  if (userCss) styles.push(userCss);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}" data-preview-theme="${themeId}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="mdpad">
+<title>${escapeHtml(title)}</title>
+<style>
+${styles.join("\n")}
+</style>
+</head>
+<body>
+<article class="markdown-body">
+${inlineImages(bodyHtml)}
+</article>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildStandaloneHtml };
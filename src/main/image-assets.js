@@ -0,0 +1,96 @@
+/**
+ * Image assets for mdpad.
+ * Pasted or dropped images are written into a folder next to the document and
+ * linked from the Markdown with a relative path.
+ * - The folder is a template relative to the document's directory;
+ *   "{docname}" is replaced by the document's file name without extension.
+ * - Existing files are never overwritten: "-1", "-2", ... is appended instead.
+ * - Downscaling and format conversion happen in the renderer (canvas); this
+ *   module only writes the bytes. The folder, maximum width (0 = keep the
+ *   original size) and format are settings (settings.js).
+ */
+const fs = require("fs");
+const path = require("path");
+const { getSetting, setSettings } = require("./settings");
+
+const EXTENSIONS = new Set(["png", "jpg", "jpeg", "gif", "webp", "bmp", "svg"]);
+
+/**
+ * Get the image settings: { folder, maxWidth, format }.
+ */
+function getImageAssetSettings() {
+  return {
+    folder: getSetting("imageAssetFolder"),
+    maxWidth: getSetting("imageMaxWidth"),
+    format: getSetting("imageFormat"),
+  };
+}
+
+/**
+ * Save the image settings. Invalid values keep the current setting.
+ */
+function setImageAssetSettings({ folder, maxWidth, format }) {
+  setSettings({ imageAssetFolder: folder, imageMaxWidth: maxWidth, imageFormat: format });
+  return getImageAssetSettings();
+}
+
+/**
+ * Make a file name safe on every platform (no separators, reserved
+ * characters or whitespace runs).
+ */
+function sanitizeFileName(name) {
+  const cleaned = String(name || "")
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, "-")
+    .replace(/\s+/g, "-")
+    .replace(/^[.-]+|[.-]+$/g, "");
+  return cleaned || "image";
+}
+
+// Characters that would end or break a Markdown link destination
+function encodeLinkPath(relPath) {
+  return relPath.replace(/[ %()<>]/g, (ch) => "%" + ch.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * Resolve the asset folder of a document.
+ * @param {string} docPath - Absolute path of the Markdown file
+ * @param {string} [folder] - Folder template (defaults to the setting)
+ * @returns {string} Absolute folder path
+ */
+function resolveAssetFolder(docPath, folder = getImageAssetSettings().folder) {
+  const docName = sanitizeFileName(path.basename(docPath, path.extname(docPath)));
+  return path.resolve(path.dirname(docPath), folder.split("{docname}").join(docName));
+}
+
+/**
+ * Write an image into the document's asset folder.
+ * @param {string} docPath - Absolute path of the Markdown file
+ * @param {string} fileName - Suggested file name, e.g. "image-20261019-120000.png"
+ * @param {Uint8Array} data - Image bytes
+ * @returns {{ path: string, link: string }} Written file and the link to put
+ *   in the document (relative to it, with forward slashes)
+ */
+function saveImageAsset(docPath, fileName, data) {
+  if (!docPath) throw new Error("The document has not been saved");
+  const dir = resolveAssetFolder(docPath);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const ext = path.extname(fileName).slice(1).toLowerCase();
+  const base = sanitizeFileName(path.basename(fileName, path.extname(fileName)));
+  const suffix = EXTENSIONS.has(ext) ? `.${ext}` : ".png";
+  let target = path.join(dir, base + suffix);
+  for (let n = 1; fs.existsSync(target); n++) {
+    target = path.join(dir, `${base}-${n}${suffix}`);
+  }
+  fs.writeFileSync(target, Buffer.from(data), { flag: "wx" });
+
+  const relative = path.relative(path.dirname(docPath), target).split(path.sep).join("/");
+  return { path: target, link: encodeLinkPath(relative) };
+}
+
+module.exports = {
+  getImageAssetSettings,
+  setImageAssetSettings,
+  resolveAssetFolder,
+  saveImageAsset,
+};
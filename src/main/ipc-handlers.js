@@ -1,12 +1,73 @@
-const { ipcMain, dialog, BrowserWindow } = require("electron");
+const { ipcMain, dialog, BrowserWindow, shell } = require("electron");
 const fs = require("fs/promises");
 const fsSync = require("fs");
 const path = require("path");
 const { addRecentFile, getRecentFiles } = require("./recent-files");
-const { createMenu } = require("./menu");
+const { createMenu, runMainCommand } = require("./menu");
 const { t, getLocale } = require("../i18n/i18n-main");
-const { getGitInfo, getGitFileContent, getDetailedGitInfo, invalidateGitCache } = require("./git-utils");
-const { startWatch, stopWatch, setIgnoring } = require("./file-watcher");
+const {
+  getGitInfo,
+  getGitFileContent,
+  getGitFileHistory,
+  getGitBranches,
+  getGitBlame,
+  getGitUser,
+  getGitStatus,
+  gitStage,
+  gitUnstage,
+  gitStageContent,
+  gitCommit,
+  gitPush,
+  getDetailedGitInfo,
+  invalidateGitCache,
+} = require("./git-utils");
+const { startWatch, stopWatch, setIgnoring, startFolderWatch, stopFolderWatch } = require("./file-watcher");
+const {
+  listFolder,
+  listPathEntries,
+  createFile,
+  createFolder,
+  renameEntry,
+  moveEntry,
+  deleteEntry,
+} = require("./folder-explorer");
+const {
+  addSnapshot,
+  listSnapshots,
+  readSnapshot,
+  clearSnapshots,
+  getLocalHistorySettings,
+  setLocalHistorySettings,
+} = require("./local-history");
+const { decodeBuffer, encodeText, canEncode } = require("./encoding");
+const { getImageAssetSettings, setImageAssetSettings, saveImageAsset } = require("./image-assets");
+const { getAppTheme, setAppTheme } = require("./app-theme");
+const {
+  SETTINGS_SCHEMA,
+  getAllSettings,
+  setSettings,
+  resetSettings,
+  migrateLocalSettings,
+  exportSettings,
+  importSettings,
+} = require("./settings");
+const { getKeybindings, setKeybinding, resetKeybindings } = require("./keybindings");
+const {
+  getSnippets,
+  ensureSnippetsFile,
+  listTemplates,
+  readTemplate,
+  openTemplatesFolder,
+} = require("./snippets");
+const {
+  getPreviewThemeState,
+  setPreviewTheme,
+  setUserCssPath,
+  chooseUserCss,
+  readUserCss,
+} = require("./preview-theme");
+const { buildStandaloneHtml } = require("./html-export");
+const { renderPdf } = require("./pdf-export");
 
 let registered = false;
 
@@ -32,31 +93,41 @@ function registerIpcHandlers() {
     });
     if (result.canceled || result.filePaths.length === 0) return null;
     const filePath = result.filePaths[0];
-    const content = await fs.readFile(filePath, "utf-8");
+    const { content, encoding, bom } = decodeBuffer(await fs.readFile(filePath));
     addRecentFile(filePath);
+    addSnapshot(filePath, content, "open");
     createMenu(null);
     const eol = detectEol(content);
-    return { path: filePath, content, eol };
+    return { path: filePath, content, eol, encoding, bom };
   });
 
-  ipcMain.handle("file:openByPath", async (_event, filePath) => {
+  // encoding: reopen with a specific encoding instead of detecting it
+  ipcMain.handle("file:openByPath", async (_event, filePath, encoding) => {
     try {
-      const content = await fs.readFile(filePath, "utf-8");
+      const decoded = decodeBuffer(await fs.readFile(filePath), encoding);
+      const { content } = decoded;
       addRecentFile(filePath);
+      addSnapshot(filePath, content, "open");
       createMenu(null);
       const eol = detectEol(content);
-      return { path: filePath, content, eol };
+      return { path: filePath, content, eol, encoding: decoded.encoding, bom: decoded.bom };
     } catch {
       return null;
     }
   });
 
-  ipcMain.handle("file:save", async (_event, filePath, content) => {
-    await fs.writeFile(filePath, content, "utf-8");
+  // encoding/bom: as opened (default UTF-8 without BOM)
+  ipcMain.handle("file:save", async (_event, filePath, content, encoding, bom) => {
+    await fs.writeFile(filePath, encodeText(content, encoding, bom));
+    addSnapshot(filePath, content, "save");
     return true;
   });
 
-  ipcMain.handle("file:saveAs", async (event, content, filePath) => {
+  ipcMain.handle("file:canEncode", (_event, content, encoding) => {
+    return canEncode(content, encoding);
+  });
+
+  ipcMain.handle("file:saveAs", async (event, content, filePath, encoding, bom) => {
     const win = BrowserWindow.fromWebContents(event.sender);
     if (!win || win.isDestroyed()) return null;
 
@@ -79,7 +150,8 @@ function registerIpcHandlers() {
       ],
     });
     if (result.canceled) return null;
-    await fs.writeFile(result.filePath, content, "utf-8");
+    await fs.writeFile(result.filePath, encodeText(content, encoding, bom));
+    addSnapshot(result.filePath, content, "save");
     addRecentFile(result.filePath);
     createMenu(null);
     return { path: result.filePath };
@@ -102,7 +174,7 @@ function registerIpcHandlers() {
     });
     if (result.canceled || result.filePaths.length === 0) return null;
     const filePath = result.filePaths[0];
-    const content = await fs.readFile(filePath, "utf-8");
+    const { content } = decodeBuffer(await fs.readFile(filePath));
     return { path: filePath, content };
   });
 
@@ -111,13 +183,201 @@ function registerIpcHandlers() {
     if (win) win.setTitle(title);
   });
 
+  // Local history (snapshots kept across saves)
+  ipcMain.handle("history:list", (_event, filePath) => {
+    return listSnapshots(filePath);
+  });
+
+  ipcMain.handle("history:read", (_event, filePath, id) => {
+    return readSnapshot(filePath, id);
+  });
+
+  ipcMain.handle("history:clear", (_event, filePath) => {
+    clearSnapshots(filePath);
+  });
+
+  ipcMain.handle("history:getSettings", () => {
+    return getLocalHistorySettings();
+  });
+
+  ipcMain.handle("history:setSettings", (_event, settings) => {
+    return setLocalHistorySettings(settings || {});
+  });
+
+  // Image assets (pasted / dropped images)
+  ipcMain.handle("image:save", (_event, docPath, fileName, data) => {
+    return saveImageAsset(docPath, fileName, data);
+  });
+
+  ipcMain.handle("image:getSettings", () => {
+    return getImageAssetSettings();
+  });
+
+  ipcMain.handle("image:setSettings", (_event, settings) => {
+    return setImageAssetSettings(settings || {});
+  });
+
+  // App theme (applied through nativeTheme; the renderers follow prefers-color-scheme)
+  ipcMain.handle("appTheme:get", () => {
+    return getAppTheme();
+  });
+
+  ipcMain.handle("appTheme:set", (_event, theme) => {
+    return setAppTheme(theme);
+  });
+
+  // Preview theme and user CSS (changes are broadcast on "previewTheme:changed")
+  ipcMain.handle("previewTheme:get", () => {
+    return getPreviewThemeState();
+  });
+
+  ipcMain.handle("previewTheme:set", (_event, theme) => {
+    return setPreviewTheme(theme);
+  });
+
+  ipcMain.handle("previewTheme:setUserCss", (_event, cssPath) => {
+    return setUserCssPath(cssPath || null);
+  });
+
+  ipcMain.handle("previewTheme:chooseUserCss", async (event) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win || win.isDestroyed()) return getPreviewThemeState();
+    return chooseUserCss(win);
+  });
+
+  // Settings (changes are broadcast on "settings:changed")
+  ipcMain.handle("settings:get", () => {
+    return { schema: SETTINGS_SCHEMA, settings: getAllSettings() };
+  });
+
+  ipcMain.handle("settings:set", (_event, values) => {
+    return setSettings(values || {});
+  });
+
+  ipcMain.handle("settings:reset", (_event, keys) => {
+    return resetSettings(Array.isArray(keys) ? keys : undefined);
+  });
+
+  ipcMain.handle("settings:migrateLocal", (_event, values) => {
+    return migrateLocalSettings(values || {});
+  });
+
+  // Export / import: ask for the file unless a path is given
+  ipcMain.handle("settings:export", async (event, filePath) => {
+    if (!filePath) {
+      const win = BrowserWindow.fromWebContents(event.sender);
+      if (!win || win.isDestroyed()) return null;
+      const result = await dialog.showSaveDialog(win, {
+        defaultPath: "mdpad-settings.json",
+        filters: [
+          { name: t("dialog.filterJson"), extensions: ["json"] },
+          { name: t("dialog.filterAll"), extensions: ["*"] },
+        ],
+      });
+      if (result.canceled) return null;
+      filePath = result.filePath;
+    }
+    exportSettings(filePath);
+    return { path: filePath };
+  });
+
+  ipcMain.handle("settings:import", async (event, filePath) => {
+    if (!filePath) {
+      const win = BrowserWindow.fromWebContents(event.sender);
+      if (!win || win.isDestroyed()) return null;
+      const result = await dialog.showOpenDialog(win, {
+        properties: ["openFile"],
+        filters: [
+          { name: t("dialog.filterJson"), extensions: ["json"] },
+          { name: t("dialog.filterAll"), extensions: ["*"] },
+        ],
+      });
+      if (result.canceled || result.filePaths.length === 0) return null;
+      filePath = result.filePaths[0];
+    }
+    return { path: filePath, ...importSettings(filePath) };
+  });
+
+  // Keybindings (changes are broadcast on "keybindings:changed")
+  ipcMain.handle("keybindings:get", () => getKeybindings());
+
+  ipcMain.handle("keybindings:set", (_event, id, accelerator) => {
+    return setKeybinding(id, accelerator);
+  });
+
+  ipcMain.handle("keybindings:reset", (_event, ids) => {
+    return resetKeybindings(Array.isArray(ids) ? ids : undefined);
+  });
+
+  // Main-process commands (exit, zoom, DevTools) run from the command palette
+  ipcMain.handle("menu:runCommand", (event, id) => {
+    return runMainCommand(BrowserWindow.fromWebContents(event.sender), id);
+  });
+
+  // While a shortcut is being recorded, menu accelerators must not fire
+  ipcMain.handle("keybindings:setRecording", (event, recording) => {
+    event.sender.setIgnoreMenuShortcuts(!!recording);
+  });
+
+  // Snippets (changes are broadcast on "snippets:changed") and templates
+  ipcMain.handle("snippets:get", () => getSnippets());
+
+  ipcMain.handle("snippets:ensureFile", () => ensureSnippetsFile());
+
+  ipcMain.handle("templates:list", () => listTemplates());
+
+  ipcMain.handle("templates:read", (_event, fileName) => readTemplate(fileName));
+
+  ipcMain.handle("templates:openFolder", () => openTemplatesFolder());
+
   // Git operations
   ipcMain.handle("git:getInfo", async (_event, filePath) => {
     return getGitInfo(filePath);
   });
 
-  ipcMain.handle("git:getFileContent", async (_event, filePath) => {
-    return getGitFileContent(filePath);
+  ipcMain.handle("git:getFileContent", async (_event, filePath, revision, pathAtRevision, encoding) => {
+    return getGitFileContent(filePath, revision || "HEAD", pathAtRevision || null, encoding || null);
+  });
+
+  ipcMain.handle("git:getFileHistory", async (_event, filePath, limit) => {
+    return getGitFileHistory(filePath, Number.isInteger(limit) && limit >= 0 ? limit : undefined);
+  });
+
+  ipcMain.handle("git:getBranches", async (_event, filePath) => {
+    return getGitBranches(filePath);
+  });
+
+  ipcMain.handle("git:getBlame", async (_event, filePath, encoding) => {
+    return getGitBlame(filePath, encoding || null);
+  });
+
+  ipcMain.handle("git:getUser", async (_event, filePath) => {
+    return getGitUser(filePath || null);
+  });
+
+  // Git write operations: results are { ok, error } with git's own output
+  ipcMain.handle("git:getStatus", async (_event, filePath) => {
+    return getGitStatus(filePath);
+  });
+
+  ipcMain.handle("git:stage", async (_event, filePath, relPaths) => {
+    return gitStage(filePath, relPaths);
+  });
+
+  ipcMain.handle("git:unstage", async (_event, filePath, relPaths) => {
+    return gitUnstage(filePath, relPaths);
+  });
+
+  ipcMain.handle("git:stageContent", async (_event, filePath, content, encoding, bom) => {
+    return gitStageContent(filePath, content, encoding, bom);
+  });
+
+  ipcMain.handle("git:commit", async (_event, filePath, message) => {
+    return gitCommit(filePath, message);
+  });
+
+  ipcMain.handle("git:push", async (_event, filePath, remote) => {
+    return gitPush(filePath, remote);
   });
 
   ipcMain.handle("git:invalidateCache", async (_event, filePath) => {
@@ -145,27 +405,131 @@ function registerIpcHandlers() {
   });
 
   // File watching
-  ipcMain.handle("file:watch", (event, filePath) => {
+  ipcMain.handle("file:watch", (event, filePath, tabId) => {
     const win = BrowserWindow.fromWebContents(event.sender);
     if (!win) return;
     const windowId = win.__mdpadWindowId;
     startWatch(windowId, filePath, () => {
       if (!win.isDestroyed() && !win.webContents.isDestroyed()) {
-        win.webContents.send("file:changed");
+        win.webContents.send("file:changed", tabId);
       }
+    }, tabId);
+  });
+
+  ipcMain.handle("file:unwatch", (event, tabId) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win) return;
+    stopWatch(win.__mdpadWindowId, tabId);
+  });
+
+  ipcMain.handle("file:setIgnoring", (event, flag, tabId) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win) return;
+    setIgnoring(win.__mdpadWindowId, flag, tabId);
+  });
+
+  // Export: standalone HTML. A failed write is returned as { path, error }.
+  ipcMain.handle("export:html", async (event, { bodyHtml, title, filePath, theme }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win || win.isDestroyed()) return null;
+    const result = await dialog.showSaveDialog(win, {
+      defaultPath: getExportDefaultPath(filePath, ".html"),
+      filters: [
+        { name: t("dialog.filterHtml"), extensions: ["html", "htm"] },
+        { name: t("dialog.filterAll"), extensions: ["*"] },
+      ],
     });
+    if (result.canceled) return null;
+    try {
+      const html = buildStandaloneHtml(bodyHtml, { title, lang: getLocale(), theme, userCss: readUserCss() });
+      await fs.writeFile(result.filePath, html, "utf-8");
+    } catch (err) {
+      return { path: result.filePath, error: err.message };
+    }
+    return { path: result.filePath };
   });
 
-  ipcMain.handle("file:unwatch", (event) => {
+  // Export: PDF (printed in a hidden window). Failures are returned as { path, error }.
+  ipcMain.handle("export:pdf", async (event, { bodyHtml, title, filePath, options, theme }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win || win.isDestroyed()) return null;
+    const result = await dialog.showSaveDialog(win, {
+      defaultPath: getExportDefaultPath(filePath, ".pdf"),
+      filters: [
+        { name: t("dialog.filterPdf"), extensions: ["pdf"] },
+        { name: t("dialog.filterAll"), extensions: ["*"] },
+      ],
+    });
+    if (result.canceled) return null;
+    try {
+      const pdf = await renderPdf(bodyHtml, { title, lang: getLocale(), options, theme, userCss: readUserCss() });
+      await fs.writeFile(result.filePath, pdf);
+    } catch (err) {
+      return { path: result.filePath, error: err.message };
+    }
+    return { path: result.filePath };
+  });
+
+  ipcMain.handle("shell:showItemInFolder", (_event, filePath) => {
+    if (typeof filePath === "string" && filePath) {
+      shell.showItemInFolder(filePath);
+    }
+  });
+
+  // Folder (Explorer pane)
+  ipcMain.handle("folder:open", async (event) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win || win.isDestroyed()) return null;
+    const result = await dialog.showOpenDialog(win, {
+      properties: ["openDirectory"],
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    return { path: result.filePaths[0] };
+  });
+
+  ipcMain.handle("folder:list", async (_event, dirPath) => {
+    return listFolder(dirPath);
+  });
+
+  ipcMain.handle("folder:listPathEntries", async (_event, baseDir, dirPath) => {
+    if (typeof baseDir !== "string" || !baseDir) return null;
+    return listPathEntries(baseDir, typeof dirPath === "string" ? dirPath : "");
+  });
+
+  ipcMain.handle("folder:createFile", async (_event, dirPath, name) => {
+    return createFile(dirPath, name);
+  });
+
+  ipcMain.handle("folder:createFolder", async (_event, dirPath, name) => {
+    return createFolder(dirPath, name);
+  });
+
+  ipcMain.handle("folder:rename", async (_event, oldPath, newName) => {
+    return renameEntry(oldPath, newName);
+  });
+
+  ipcMain.handle("folder:move", async (_event, srcPath, destDir) => {
+    return moveEntry(srcPath, destDir);
+  });
+
+  ipcMain.handle("folder:delete", async (_event, entryPath) => {
+    return deleteEntry(entryPath);
+  });
+
+  ipcMain.handle("folder:watch", (event, dirPath) => {
     const win = BrowserWindow.fromWebContents(event.sender);
     if (!win) return;
-    stopWatch(win.__mdpadWindowId);
+    startFolderWatch(win.__mdpadWindowId, dirPath, () => {
+      if (!win.isDestroyed() && !win.webContents.isDestroyed()) {
+        win.webContents.send("folder:changed");
+      }
+    });
   });
 
-  ipcMain.handle("file:setIgnoring", (event, flag) => {
+  ipcMain.handle("folder:unwatch", (event) => {
     const win = BrowserWindow.fromWebContents(event.sender);
     if (!win) return;
-    setIgnoring(win.__mdpadWindowId, flag);
+    stopFolderWatch(win.__mdpadWindowId);
   });
 }
 
@@ -181,6 +545,17 @@ function generateDefaultFileName() {
   return `${prefix}_${timestamp}.md`;
 }
 
+/**
+ * Default path for an exported file: next to the source file with the
+ * given extension, or a timestamped name for untitled documents.
+ */
+function getExportDefaultPath(filePath, ext) {
+  if (filePath) {
+    return path.join(path.dirname(filePath), path.parse(filePath).name + ext);
+  }
+  return generateDefaultFileName().replace(/\.md$/, ext);
+}
+
 /**
  * Detect the line ending type of a string.
  * Returns "CRLF", "LF", "CR", "Mixed", or null (no line endings).
@@ -0,0 +1,329 @@
+/**
+ * Command registry and keybindings for mdpad.
+ * COMMANDS declares every command with an ID, a category, its label (i18n
+ * key) and its default shortcut. The IDs are the renderer's menu actions
+ * (handleMenuAction), "format:<id>" for FORMAT_COMMANDS and "table:<id>"
+ * for TABLE_COMMANDS.
+ * - Shortcuts are Electron accelerators in a canonical form
+ *   ("CmdOrCtrl+Alt+Shift+K"); "" means unbound.
+ * - User changes are kept in userData/mdpad-keybindings.json as
+ *   { id: accelerator } overrides of the defaults.
+ * - Commands with menu: true get their shortcut as the menu accelerator.
+ *   The others are bound by the renderer in the editor keymap, so they only
+ *   work while the editor has focus.
+ * - Changes rebuild the menu (via onKeybindingsChanged listeners) and are
+ *   broadcast to every window on "keybindings:changed".
+ */
+const fs = require("fs");
+const path = require("path");
+const { app, BrowserWindow } = require("electron");
+
+/**
+ * Declared commands, in the order the keymap editor lists them.
+ * Format and table IDs must match FORMAT_COMMANDS / TABLE_COMMANDS.
+ */
+const COMMANDS = [
+  // File
+  { id: "new", category: "file", label: "menu.file_new", key: "CmdOrCtrl+N", menu: true },
+  { id: "newTab", category: "file", label: "menu.file_newTab", key: "CmdOrCtrl+T", menu: true },
+  { id: "newWindow", category: "file", label: "menu.file_newWindow", key: "CmdOrCtrl+Shift+N", menu: true },
+  { id: "newFromTemplate", category: "file", label: "menu.file_newFromTemplate", key: "", menu: true },
+  { id: "open", category: "file", label: "menu.file_open", key: "CmdOrCtrl+O", menu: true },
+  { id: "openFolder", category: "file", label: "menu.file_openFolder", key: "CmdOrCtrl+Shift+O", menu: true },
+  { id: "openRecentPicker", category: "file", label: "palette.openRecent", key: "", menu: false },
+  { id: "reload", category: "file", label: "menu.file_reload", key: "F5", menu: true },
+  { id: "save", category: "file", label: "menu.file_save", key: "CmdOrCtrl+S", menu: true },
+  { id: "saveAs", category: "file", label: "menu.file_saveAs", key: "CmdOrCtrl+Shift+S", menu: true },
+  { id: "exportHtml", category: "file", label: "menu.file_exportHtml", key: "", menu: true },
+  { id: "exportPdf", category: "file", label: "menu.file_exportPdf", key: "", menu: true },
+  { id: "closeTab", category: "file", label: "menu.file_closeTab", key: "CmdOrCtrl+W", menu: true },
+  { id: "restoreBackup", category: "file", label: "menu.file_restoreBackup", key: "", menu: true },
+  { id: "localHistory", category: "file", label: "menu.file_localHistory", key: "", menu: true },
+  { id: "gitPanel", category: "file", label: "menu.file_git", key: "CmdOrCtrl+Shift+G", menu: true },
+  { id: "gitHistory", category: "file", label: "menu.file_gitHistory", key: "", menu: true },
+  { id: "properties", category: "file", label: "menu.file_properties", key: "", menu: true },
+  { id: "preferences", category: "file", label: "menu.file_preferences", key: "CmdOrCtrl+,", menu: true },
+  { id: "keybindings", category: "file", label: "menu.file_keybindings", key: "", menu: true },
+  { id: "editSnippets", category: "file", label: "menu.file_editSnippets", key: "", menu: true },
+  { id: "openTemplatesFolder", category: "file", label: "menu.file_openTemplatesFolder", key: "", menu: true },
+  { id: "exit", category: "file", label: "menu.file_exit", key: "Alt+F4", menu: true },
+  // Edit
+  { id: "undo", category: "edit", label: "menu.edit_undo", key: "CmdOrCtrl+Z", menu: true },
+  { id: "redo", category: "edit", label: "menu.edit_redo", key: "CmdOrCtrl+Y", menu: true },
+  { id: "find", category: "edit", label: "menu.edit_find", key: "CmdOrCtrl+F", menu: true },
+  { id: "replace", category: "edit", label: "menu.edit_replace", key: "CmdOrCtrl+H", menu: true },
+  { id: "goToLine", category: "edit", label: "menu.edit_goToLine", key: "CmdOrCtrl+G", menu: true },
+  { id: "goToHeading", category: "edit", label: "palette.goToHeading", key: "", menu: false },
+  { id: "imageSettings", category: "edit", label: "menu.edit_imageSettings", key: "", menu: true },
+  // View
+  { id: "commandPalette", category: "view", label: "menu.view_commandPalette", key: "CmdOrCtrl+Shift+P", menu: true },
+  { id: "toggleEditor", category: "view", label: "menu.view_toggleEditor", key: "CmdOrCtrl+1", menu: true },
+  { id: "togglePreview", category: "view", label: "menu.view_togglePreview", key: "CmdOrCtrl+2", menu: true },
+  { id: "toggleDiff", category: "view", label: "menu.view_toggleDiff", key: "CmdOrCtrl+3", menu: true },
+  { id: "toggleExplorer", category: "view", label: "menu.view_toggleExplorer", key: "CmdOrCtrl+Shift+E", menu: true },
+  { id: "nextTab", category: "view", label: "menu.view_nextTab", key: "CmdOrCtrl+Tab", menu: true },
+  { id: "prevTab", category: "view", label: "menu.view_prevTab", key: "CmdOrCtrl+Shift+Tab", menu: true },
+  { id: "toggleWordWrap", category: "view", label: "menu.view_toggleWordWrap", key: "Alt+Z", menu: true },
+  { id: "toggleCloseBrackets", category: "view", label: "menu.view_toggleCloseBrackets", key: "", menu: true },
+  { id: "toggleMinimap", category: "view", label: "menu.view_minimap", key: "", menu: true },
+  { id: "toggleToc", category: "view", label: "menu.view_toc", key: "CmdOrCtrl+Shift+T", menu: true },
+  { id: "toggleLint", category: "view", label: "menu.view_lint", key: "CmdOrCtrl+Shift+M", menu: true },
+  { id: "toggleLintPanel", category: "view", label: "keybindings.command_toggleLintPanel", key: "", menu: false },
+  { id: "toggleBlame", category: "view", label: "menu.view_blame", key: "", menu: true },
+  { id: "zoomIn", category: "view", label: "menu.view_zoomIn", key: "CmdOrCtrl+=", menu: true },
+  { id: "zoomOut", category: "view", label: "menu.view_zoomOut", key: "CmdOrCtrl+-", menu: true },
+  { id: "resetZoom", category: "view", label: "menu.view_resetZoom", key: "CmdOrCtrl+0", menu: true },
+  { id: "toggleDevTools", category: "view", label: "menu.view_devTools", key: "F12", menu: true },
+  // Format (editor keymap)
+  ...[
+    ["bold", "CmdOrCtrl+B"],
+    ["italic", "CmdOrCtrl+I"],
+    ["strikethrough", "CmdOrCtrl+Shift+X"],
+    ["inlineCode", "CmdOrCtrl+`"],
+    ["underline", "CmdOrCtrl+U"],
+    ["link", "CmdOrCtrl+Shift+K"],
+    ["image"],
+    ["h1"], ["h2"], ["h3"], ["h4"], ["h5"], ["h6"],
+    ["bulletList"], ["numberedList"], ["taskList"], ["blockquote"], ["codeBlock"],
+    ["alertNote"], ["alertTip"], ["alertImportant"], ["alertWarning"], ["alertCaution"],
+    ["table"], ["horizontalRule"], ["details"], ["definitionList"], ["kbd"], ["escape"],
+  ].map(([id, key = ""]) => ({ id: `format:${id}`, category: "format", label: `format.${id}`, key, menu: false })),
+  // Table (editor keymap; only run inside a table, except pasteAsTable)
+  ...[
+    ["pasteAsTable"],
+    ["format"],
+    ["insertRowAbove"], ["insertRowBelow"], ["deleteRow"],
+    ["moveRowUp", "Alt+Up"], ["moveRowDown", "Alt+Down"],
+    ["insertColumnLeft"], ["insertColumnRight"], ["deleteColumn"],
+    ["moveColumnLeft", "Alt+Left"], ["moveColumnRight", "Alt+Right"],
+    ["alignLeft"], ["alignCenter"], ["alignRight"], ["alignNone"],
+    ["sortAscending"], ["sortDescending"],
+  ].map(([id, key = ""]) => ({ id: `table:${id}`, category: "table", label: `table.${id}`, key, menu: false })),
+  // Help
+  { id: "checkForUpdates", category: "help", label: "menu.help_checkForUpdates", key: "", menu: true },
+  { id: "about", category: "help", label: "menu.help_about", key: "", menu: true },
+];
+
+const COMMAND_BY_ID = new Map(COMMANDS.map((command) => [command.id, command]));
+
+const MODIFIERS = {
+  cmdorctrl: "CmdOrCtrl",
+  commandorcontrol: "CmdOrCtrl",
+  ctrl: "CmdOrCtrl",
+  control: "CmdOrCtrl",
+  cmd: "CmdOrCtrl",
+  command: "CmdOrCtrl",
+  alt: "Alt",
+  option: "Alt",
+  shift: "Shift",
+  super: "Super",
+  meta: "Super",
+};
+const MODIFIER_ORDER = ["CmdOrCtrl", "Alt", "Shift", "Super"];
+
+// Named keys (lowercase -> accelerator name)
+const NAMED_KEYS = new Map(
+  [
+    "Up", "Down", "Left", "Right", "Tab", "Space", "Enter", "Esc", "Backspace", "Delete",
+    "Insert", "Home", "End", "PageUp", "PageDown", "Plus",
+    ...Array.from({ length: 24 }, (_, i) => `F${i + 1}`),
+  ].map((name) => [name.toLowerCase(), name])
+);
+NAMED_KEYS.set("return", "Enter");
+NAMED_KEYS.set("escape", "Esc");
+
+// Overrides from the keybindings file, loaded on first use
+let overrides = null;
+const listeners = [];
+
+function getKeybindingsPath() {
+  return path.join(app.getPath("userData"), "mdpad-keybindings.json");
+}
+
+/**
+ * Bring an accelerator into canonical form. Ctrl and Cmd both become
+ * CmdOrCtrl, modifiers are ordered, letters are upper case.
+ * @returns {string|null} The accelerator, "" for none, or null when invalid
+ *   (no key, several keys, or a plain key that would block typing)
+ */
+function normalizeAccelerator(accelerator) {
+  if (typeof accelerator !== "string") return null;
+  const text = accelerator.trim();
+  if (text === "") return "";
+  const parts = text.split("+");
+  // "CmdOrCtrl++" ends in an empty part for the "+" key
+  if (parts.length > 1 && parts[parts.length - 1] === "" && parts[parts.length - 2] === "") {
+    parts.splice(-2, 2, "Plus");
+  }
+  const modifiers = new Set();
+  let key = null;
+  for (const part of parts) {
+    const lower = part.trim().toLowerCase();
+    if (!lower) return null;
+    if (MODIFIERS[lower]) {
+      modifiers.add(MODIFIERS[lower]);
+    } else if (key !== null) {
+      return null;
+    } else if (NAMED_KEYS.has(lower)) {
+      key = NAMED_KEYS.get(lower);
+    } else if ([...lower].length === 1) {
+      key = lower.toUpperCase();
+    } else {
+      return null;
+    }
+  }
+  if (key === null) return null;
+  const isFunctionKey = /^F\d+$/.test(key);
+  if (!isFunctionKey && !modifiers.has("CmdOrCtrl") && !modifiers.has("Alt") && !modifiers.has("Super")) {
+    return null;
+  }
+  return [...MODIFIER_ORDER.filter((m) => modifiers.has(m)), key].join("+");
+}
+
+function ensureLoaded() {
+  if (overrides) return;
+  overrides = {};
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(getKeybindingsPath(), "utf-8"));
+  } catch {
+    return;
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) return;
+  for (const [id, accelerator] of Object.entries(data)) {
+    const normalized = COMMAND_BY_ID.has(id) ? normalizeAccelerator(accelerator) : null;
+    if (normalized !== null && normalized !== COMMAND_BY_ID.get(id).key) overrides[id] = normalized;
+  }
+}
+
+function persist() {
+  try {
+    fs.writeFileSync(getKeybindingsPath(), JSON.stringify(overrides, null, 2) + "\n", "utf-8");
+  } catch {
+    // Ignore write errors
+  }
+}
+
+/**
+ * Current shortcut of a command ("" when unbound).
+ */
+function getKeybinding(id) {
+  ensureLoaded();
+  const command = COMMAND_BY_ID.get(id);
+  if (!command) return "";
+  return id in overrides ? overrides[id] : command.key;
+}
+
+/**
+ * Menu accelerator for a command (undefined when unbound).
+ */
+function getAccelerator(id) {
+  return getKeybinding(id) || undefined;
+}
+
+/**
+ * Shortcuts used by more than one command.
+ * @returns {Array<{ key: string, ids: string[] }>}
+ */
+function findConflicts() {
+  const byKey = new Map();
+  for (const command of COMMANDS) {
+    const key = getKeybinding(command.id);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(command.id);
+  }
+  return [...byKey].filter(([, ids]) => ids.length > 1).map(([key, ids]) => ({ key, ids }));
+}
+
+/**
+ * Every command with its default and current shortcut, plus the conflicts.
+ */
+function getKeybindings() {
+  const commands = COMMANDS.map((command) => ({
+    id: command.id,
+    category: command.category,
+    label: command.label,
+    menu: command.menu,
+    defaultKey: command.key,
+    key: getKeybinding(command.id),
+  }));
+  return { commands, conflicts: findConflicts() };
+}
+
+function notify() {
+  for (const listener of listeners) {
+    try {
+      listener();
+    } catch {
+      // Keep notifying the remaining listeners and the windows
+    }
+  }
+  const payload = getKeybindings();
+  for (const w of BrowserWindow.getAllWindows()) {
+    if (!w.isDestroyed() && w.webContents && !w.webContents.isDestroyed()) {
+      w.webContents.send("keybindings:changed", payload);
+    }
+  }
+}
+
+/**
+ * Assign a shortcut to a command ("" unbinds it). Other commands using the
+ * same shortcut keep it; the conflict is reported.
+ * @returns {{ ok: boolean, key?: string, conflicts?: string[], error?: string }}
+ */
+function setKeybinding(id, accelerator) {
+  ensureLoaded();
+  const command = COMMAND_BY_ID.get(id);
+  if (!command) return { ok: false, error: "unknownCommand" };
+  const key = normalizeAccelerator(accelerator);
+  if (key === null) return { ok: false, error: "invalidShortcut" };
+  if (key !== getKeybinding(id)) {
+    if (key === command.key) {
+      delete overrides[id];
+    } else {
+      overrides[id] = key;
+    }
+    persist();
+    notify();
+  }
+  const conflicts = key
+    ? COMMANDS.filter((other) => other.id !== id && getKeybinding(other.id) === key).map((other) => other.id)
+    : [];
+  return { ok: true, key, conflicts };
+}
+
+/**
+ * Restore the default shortcuts of the given commands (all when omitted).
+ */
+function resetKeybindings(ids) {
+  ensureLoaded();
+  const before = JSON.stringify(overrides);
+  for (const id of Object.keys(overrides)) {
+    if (!ids || ids.includes(id)) delete overrides[id];
+  }
+  if (JSON.stringify(overrides) !== before) {
+    persist();
+    notify();
+  }
+  return getKeybindings();
+}
+
+/**
+ * Register a main-process listener called after every change.
+ */
+function onKeybindingsChanged(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  COMMANDS,
+  normalizeAccelerator,
+  getKeybinding,
+  getAccelerator,
+  getKeybindings,
+  findConflicts,
+  setKeybinding,
+  resetKeybindings,
+  onKeybindingsChanged,
+};
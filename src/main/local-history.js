@@ -0,0 +1,178 @@
+/**
+ * Local history for mdpad.
+ * Keeps a rolling set of snapshots per file path in userData/history/, so an
+ * earlier version can be restored even after it was overwritten by a save.
+ * - Snapshots are taken when a file is opened, on every save, and on each
+ *   autosave tick while the buffer is dirty.
+ * - Each file gets a directory named after a hash of its path, with an
+ *   index.json (newest first) and gzip-compressed content blobs named by the
+ *   SHA-256 of the content, so identical versions share one blob.
+ * - Content is stored with LF line endings (as in the editor); a snapshot
+ *   equal to the newest one is skipped.
+ * - Snapshots beyond the configured count or age are pruned
+ *   ("localHistoryMaxEntries" / "localHistoryMaxDays" in settings.js).
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { app } = require("electron");
+const { getSetting, setSettings } = require("./settings");
+
+let historyDir = null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REASONS = new Set(["open", "save", "autosave"]);
+
+function getHistoryDir() {
+  if (!historyDir) {
+    historyDir = path.join(app.getPath("userData"), "history");
+  }
+  return historyDir;
+}
+
+/**
+ * Get the retention settings: { maxEntries, maxDays }.
+ */
+function getLocalHistorySettings() {
+  return {
+    maxEntries: getSetting("localHistoryMaxEntries"),
+    maxDays: getSetting("localHistoryMaxDays"),
+  };
+}
+
+/**
+ * Save the retention settings. Existing histories are pruned on their next snapshot.
+ */
+function setLocalHistorySettings({ maxEntries, maxDays }) {
+  setSettings({ localHistoryMaxEntries: maxEntries, localHistoryMaxDays: maxDays });
+  return getLocalHistorySettings();
+}
+
+/**
+ * Directory holding the snapshots of one file.
+ * Paths are case-insensitive on Windows, so they are lowercased there.
+ */
+function getFileDir(filePath) {
+  const key = process.platform === "win32" ? path.resolve(filePath).toLowerCase() : path.resolve(filePath);
+  const name = crypto.createHash("sha1").update(key).digest("hex");
+  return path.join(getHistoryDir(), name);
+}
+
+function readIndex(dir) {
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(dir, "index.json"), "utf-8"));
+    if (Array.isArray(index.entries)) return index;
+  } catch {
+    // No history yet, or corrupted
+  }
+  return { filePath: null, entries: [] };
+}
+
+function writeIndex(dir, index) {
+  fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify(index), "utf-8");
+}
+
+/**
+ * Drop entries beyond the count/age limits and blobs no entry refers to.
+ */
+function prune(dir, index, now = Date.now()) {
+  const { maxEntries, maxDays } = getLocalHistorySettings();
+  const cutoff = now - maxDays * DAY_MS;
+  index.entries = index.entries
+    .filter((entry, i) => i === 0 || entry.savedAt >= cutoff)
+    .slice(0, maxEntries);
+
+  const used = new Set(index.entries.map((entry) => `${entry.hash}.gz`));
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith(".gz") && !used.has(file)) {
+      try { fs.unlinkSync(path.join(dir, file)); } catch {}
+    }
+  }
+}
+
+/**
+ * Record a snapshot of a file's content.
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} content - Content to record
+ * @param {string} reason - "open", "save" or "autosave"
+ * @returns {Object|null} The new entry, or null when skipped
+ */
+function addSnapshot(filePath, content, reason) {
+  if (!filePath || typeof content !== "string") return null;
+  try {
+    const dir = getFileDir(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    const index = readIndex(dir);
+    index.filePath = filePath;
+    content = content.replace(/\r\n?/g, "\n");
+    const hash = crypto.createHash("sha256").update(content).digest("hex");
+    if (index.entries.length > 0 && index.entries[0].hash === hash) return null;
+
+    const blob = path.join(dir, `${hash}.gz`);
+    if (!fs.existsSync(blob)) fs.writeFileSync(blob, zlib.gzipSync(content));
+
+    const savedAt = Date.now();
+    const entry = {
+      id: `${savedAt}-${hash.slice(0, 8)}`,
+      hash,
+      savedAt,
+      size: Buffer.byteLength(content, "utf-8"),
+      reason: REASONS.has(reason) ? reason : "save",
+    };
+    index.entries.unshift(entry);
+    prune(dir, index, savedAt);
+    writeIndex(dir, index);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the snapshots of a file, newest first.
+ * @returns {Array<{id, hash, savedAt, size, reason}>}
+ */
+function listSnapshots(filePath) {
+  if (!filePath) return [];
+  return readIndex(getFileDir(filePath)).entries;
+}
+
+/**
+ * Read the content of a snapshot.
+ * @returns {string|null} Content, or null if the snapshot is gone
+ */
+function readSnapshot(filePath, id) {
+  if (!filePath) return null;
+  const dir = getFileDir(filePath);
+  const entry = readIndex(dir).entries.find((e) => e.id === id);
+  if (!entry) return null;
+  try {
+    return zlib.gunzipSync(fs.readFileSync(path.join(dir, `${entry.hash}.gz`))).toString("utf-8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete all snapshots of a file.
+ */
+function clearSnapshots(filePath) {
+  if (!filePath) return;
+  try {
+    fs.rmSync(getFileDir(filePath), { recursive: true, force: true });
+  } catch {
+    // Ignore
+  }
+}
+
+module.exports = {
+  addSnapshot,
+  listSnapshots,
+  readSnapshot,
+  clearSnapshots,
+  getLocalHistorySettings,
+  setLocalHistorySettings,
+  getHistoryDir,
+};
@@ -12,23 +12,27 @@ const {
   setAutosaveMinutes,
   saveAutosaveBackup,
   saveResumeBackup,
+  clearAutosaveBackup,
   loadOrphanedAutosaves,
   removeOrphanedBackup,
-  getAutosaveDir,
 } = require("./autosave-manager");
+const { addSnapshot } = require("./local-history");
+const { encodeText, canEncode } = require("./encoding");
 const https = require("https");
-const { stopAllWatchers } = require("./file-watcher");
+const { stopWatch, stopAllWatchers, stopFolderWatch } = require("./file-watcher");
+const { initPreviewTheme, stopUserCssWatch } = require("./preview-theme");
+const { initSnippets, stopSnippetsWatch } = require("./snippets");
+const { initAppTheme, getWindowBackground } = require("./app-theme");
 const {
-  initFileWatchSettings,
   getFileWatchEnabled,
   setFileWatchEnabled,
   getAutoReloadEnabled,
   setAutoReloadEnabled,
 } = require("./file-watch-settings");
-const {
-  initViewState,
-  setFormatBarMode: setMainFormatBarMode,
-} = require("./view-state");
+const { setFormatBarMode: setMainFormatBarMode } = require("./view-state");
+const { onSettingsChanged } = require("./settings");
+const { onKeybindingsChanged } = require("./keybindings");
+const { parseCliArgs, runCli } = require("./cli");
 
 // Set AppUserModelId for Windows taskbar grouping and display name.
 // Must match electron-builder.yml appId. Called before app 'ready'.
@@ -55,6 +59,18 @@ function applyEolMain(content, eolType) {
   return normalized; // LF
 }
 
+/**
+ * Encode content for save-on-close in the active tab's encoding.
+ * Falls back to UTF-8 (keeping the BOM choice) when characters would be lost,
+ * since there is no chance to ask while the window is closing.
+ */
+async function encodeForClose(win, content) {
+  const { encoding, bom } = await win.webContents.executeJavaScript(
+    `window.__mdpadGetCurrentEncoding ? window.__mdpadGetCurrentEncoding() : { encoding: "utf-8", bom: false }`
+  );
+  return encodeText(content, canEncode(content, encoding) ? encoding : "utf-8", bom);
+}
+
 function createWindow(openFilePath, paneConfig) {
   // Initialize i18n (detects OS locale or stored preference)
   initLocale();
@@ -66,6 +82,7 @@ function createWindow(openFilePath, paneConfig) {
     minWidth: 600,
     minHeight: 400,
     title: "mdpad",
+    backgroundColor: getWindowBackground(),
     webPreferences: {
       preload: path.join(__dirname, "..", "preload", "preload.js"),
       contextIsolation: true,
@@ -139,97 +156,102 @@ function createWindow(openFilePath, paneConfig) {
     }
 
     try {
-      // Ask renderer: are you dirty? do you have a file path?
-      const state = await win.webContents.executeJavaScript(
-        `window.__mdpadGetCloseState ? window.__mdpadGetCloseState() : { isDirty: false, hasFilePath: false, filePath: null }`
-      );
-
-      if (!state.isDirty) {
-        // Clean — close immediately, clear session + autosave
-        windowForceQuit = true;
-        clearSessionForWindow(windowId);
-        clearAutosaveForWindow(windowId);
-        win.close();
-        return;
-      }
+      // One dialog per dirty tab: the renderer activates the first dirty tab
+      // and reports its state. Saving a tab marks it clean and the loop asks
+      // again until every tab is clean or the user cancels/exits.
+      for (;;) {
+        // Ask renderer: are you dirty? do you have a file path?
+        const state = await win.webContents.executeJavaScript(
+          `window.__mdpadGetCloseState ? window.__mdpadGetCloseState() : { isDirty: false, hasFilePath: false, filePath: null }`
+        );
 
-      // If webContents died during await, force close
-      if (!isAlive()) {
-        windowForceQuit = true;
-        win.close();
-        return;
-      }
+        if (!state.isDirty) {
+          // Clean — close immediately, clear session + autosave
+          windowForceQuit = true;
+          clearSessionForWindow(windowId);
+          clearAutosaveForWindow(windowId);
+          win.close();
+          return;
+        }
 
-      // Dirty — send to renderer to show HTML close dialog
-      // Add timeout to prevent permanent hang if renderer never responds
-      const CLOSE_DIALOG_TIMEOUT_MS = 30000;
-      const resultPromise = new Promise((resolve) => {
-        closeDialogResolve = resolve;
-        setTimeout(() => {
-          if (closeDialogResolve === resolve) {
-            closeDialogResolve = null;
-            resolve("_timeout");
-          }
-        }, CLOSE_DIALOG_TIMEOUT_MS);
-      });
+        // If webContents died during await, force close
+        if (!isAlive()) {
+          windowForceQuit = true;
+          win.close();
+          return;
+        }
 
-      win.webContents.send("close:showDialog", {
-        isDirty: state.isDirty,
-        hasFilePath: state.hasFilePath,
-        filePath: state.filePath,
-      });
+        // Dirty — send to renderer to show HTML close dialog
+        // Add timeout to prevent permanent hang if renderer never responds
+        const CLOSE_DIALOG_TIMEOUT_MS = 30000;
+        const resultPromise = new Promise((resolve) => {
+          closeDialogResolve = resolve;
+          setTimeout(() => {
+            if (closeDialogResolve === resolve) {
+              closeDialogResolve = null;
+              resolve("_timeout");
+            }
+          }, CLOSE_DIALOG_TIMEOUT_MS);
+        });
 
-      const result = await resultPromise;
+        win.webContents.send("close:showDialog", {
+          isDirty: state.isDirty,
+          hasFilePath: state.hasFilePath,
+          filePath: state.filePath,
+          dirtyCount: state.dirtyCount || 1,
+        });
 
-      // If timed out, force close
-      if (result === "_timeout") {
-        windowForceQuit = true;
-        clearSessionForWindow(windowId);
-        clearAutosaveForWindow(windowId);
-        win.close();
-        return;
-      }
+        const result = await resultPromise;
 
-      if (result === "save") {
-        // Overwrite save (existing file)
-        if (!isAlive()) { windowForceQuit = true; win.close(); return; }
-        const content = await win.webContents.executeJavaScript(
-          `window.__mdpadGetContent ? window.__mdpadGetContent() : ""`
-        );
-        const eolType = await win.webContents.executeJavaScript(
-          `window.__mdpadGetCurrentEol ? window.__mdpadGetCurrentEol() : "LF"`
-        );
-        const contentToWrite = applyEolMain(content, eolType);
-        fs.writeFileSync(state.filePath, contentToWrite, "utf-8");
-        windowForceQuit = true;
-        clearSessionForWindow(windowId);
-        clearAutosaveForWindow(windowId);
-        win.close();
-      } else if (result === "saveAs") {
-        // Save As dialog
-        if (!isAlive()) { windowForceQuit = true; win.close(); return; }
-
-        // Build defaultPath: existing file → its path; new file → timestamped name
-        let defaultPath;
-        if (state.filePath) {
-          defaultPath = state.filePath;
-        } else {
-          const pad = (n) => String(n).padStart(2, "0");
-          const now = new Date();
-          const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
-          const prefix = getLocale() === "ja" ? "無題" : "Untitled";
-          defaultPath = `${prefix}_${ts}.md`;
+        // If timed out, force close
+        if (result === "_timeout") {
+          windowForceQuit = true;
+          clearSessionForWindow(windowId);
+          clearAutosaveForWindow(windowId);
+          win.close();
+          return;
         }
 
-        const saveResult = await dialog.showSaveDialog(win, {
-          defaultPath,
-          filters: [
-            { name: t("dialog.filterMarkdown"), extensions: ["md"] },
-            { name: t("dialog.filterText"), extensions: ["txt"] },
-            { name: t("dialog.filterAll"), extensions: ["*"] },
-          ],
-        });
-        if (!saveResult.canceled) {
+        if (result === "save") {
+          // Overwrite save (existing file)
+          if (!isAlive()) { windowForceQuit = true; win.close(); return; }
+          const content = await win.webContents.executeJavaScript(
+            `window.__mdpadGetContent ? window.__mdpadGetContent() : ""`
+          );
+          const eolType = await win.webContents.executeJavaScript(
+            `window.__mdpadGetCurrentEol ? window.__mdpadGetCurrentEol() : "LF"`
+          );
+          const contentToWrite = applyEolMain(content, eolType);
+          fs.writeFileSync(state.filePath, await encodeForClose(win, contentToWrite));
+          addSnapshot(state.filePath, contentToWrite, "save");
+          await markTabSaved(state.filePath);
+          continue;
+        } else if (result === "saveAs") {
+          // Save As dialog
+          if (!isAlive()) { windowForceQuit = true; win.close(); return; }
+
+          // Build defaultPath: existing file → its path; new file → timestamped name
+          let defaultPath;
+          if (state.filePath) {
+            defaultPath = state.filePath;
+          } else {
+            const pad = (n) => String(n).padStart(2, "0");
+            const now = new Date();
+            const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+            const prefix = getLocale() === "ja" ? "無題" : "Untitled";
+            defaultPath = `${prefix}_${ts}.md`;
+          }
+
+          const saveResult = await dialog.showSaveDialog(win, {
+            defaultPath,
+            filters: [
+              { name: t("dialog.filterMarkdown"), extensions: ["md"] },
+              { name: t("dialog.filterText"), extensions: ["txt"] },
+              { name: t("dialog.filterAll"), extensions: ["*"] },
+            ],
+          });
+          // If canceled, stay open
+          if (saveResult.canceled) return;
           if (!isAlive()) { windowForceQuit = true; win.close(); return; }
           const content = await win.webContents.executeJavaScript(
             `window.__mdpadGetContent ? window.__mdpadGetContent() : ""`
@@ -238,36 +260,32 @@ function createWindow(openFilePath, paneConfig) {
             `window.__mdpadGetCurrentEol ? window.__mdpadGetCurrentEol() : "LF"`
           );
           const contentToWrite = applyEolMain(content, eolType);
-          fs.writeFileSync(saveResult.filePath, contentToWrite, "utf-8");
+          fs.writeFileSync(saveResult.filePath, await encodeForClose(win, contentToWrite));
+          addSnapshot(saveResult.filePath, contentToWrite, "save");
+          await markTabSaved(saveResult.filePath);
+          continue;
+        } else if (result === "resumeSave") {
+          // Resume save: force a backup of every dirty tab, then close
+          if (!isAlive()) { windowForceQuit = true; win.close(); return; }
+          const dirtyTabs = await win.webContents.executeJavaScript(
+            `window.__mdpadGetResumeData ? window.__mdpadGetResumeData() : []`
+          );
+          for (const tab of dirtyTabs) {
+            saveResumeBackup(tab, windowId);
+          }
+          windowForceQuit = true;
+          clearSessionForWindow(windowId);
+          win.close();
+        } else if (result === "exitNoSave") {
+          // Exit without saving (discards every tab)
           windowForceQuit = true;
           clearSessionForWindow(windowId);
           clearAutosaveForWindow(windowId);
           win.close();
         }
-        // If canceled, stay open
-      } else if (result === "resumeSave") {
-        // Resume save: force backup then close
-        if (!isAlive()) { windowForceQuit = true; win.close(); return; }
-        const content = await win.webContents.executeJavaScript(
-          `window.__mdpadGetContent ? window.__mdpadGetContent() : ""`
-        );
-        saveResumeBackup({
-          content,
-          filePath: state.filePath,
-          originalContent: "",
-          isDirty: true,
-        }, windowId);
-        windowForceQuit = true;
-        clearSessionForWindow(windowId);
-        win.close();
-      } else if (result === "exitNoSave") {
-        // Exit without saving
-        windowForceQuit = true;
-        clearSessionForWindow(windowId);
-        clearAutosaveForWindow(windowId);
-        win.close();
+        // If result === "cancel" or anything else, stay open
+        return;
       }
-      // If result === "cancel" or anything else, stay open
     } catch (err) {
       // If communication fails, allow close
       windowForceQuit = true;
@@ -275,10 +293,20 @@ function createWindow(openFilePath, paneConfig) {
     }
   });
 
+  // Tell the renderer that the active tab was written by the close flow
+  async function markTabSaved(filePath) {
+    if (!isAlive()) return;
+    await win.webContents.executeJavaScript(
+      `window.__mdpadMarkTabSaved ? window.__mdpadMarkTabSaved(${JSON.stringify(filePath)}) : null`
+    );
+  }
+
   win.on("closed", () => {
     // Clean up the close dialog listener for this window
     ipcMain.removeListener("close:dialogResult", closeDialogListener);
     closeDialogResolve = null; // Prevent stale resolver
+    stopWatch(windowId); // Stop the watchers of every tab in this window
+    stopFolderWatch(windowId);
     if (win === mainWindow) {
       mainWindow = null;
     }
@@ -330,16 +358,30 @@ function createWindow(openFilePath, paneConfig) {
     registerIpcHandlers();
     initSessionManager();
     initAutosaveManager();
-    initFileWatchSettings();
-    initViewState();
+    initPreviewTheme();
+    initSnippets();
+
+    // Any settings change (menu, Preferences dialog, import, another window):
+    // rebuild the app-global menu; a new locale is also sent to every window
+    onSettingsChanged((changed) => {
+      if ("locale" in changed) {
+        initLocale(); // "system" is resolved from the OS again
+        for (const w of BrowserWindow.getAllWindows()) {
+          if (!w.isDestroyed() && w.webContents && !w.webContents.isDestroyed()) {
+            w.webContents.send("menu:action", "changeLocale:" + getLocale());
+          }
+        }
+      }
+      createMenu(null);
+    });
+    // Menu accelerators follow the keybindings
+    onKeybindingsChanged(() => createMenu(null));
 
     // IPC: get current locale for renderer
     ipcMain.handle("i18n:getLocale", () => getLocale());
     ipcMain.handle("i18n:getSupportedLocales", () => getSupportedLocales());
     ipcMain.handle("i18n:setLocale", (_event, locale) => {
-      setLocale(locale);
-      // Rebuild menu with new locale (menu is app-global, no specific window needed)
-      createMenu(null);
+      setLocale(locale); // The settings listener rebuilds the menu
     });
 
     // IPC: get window ID for this renderer (used for session/autosave isolation)
@@ -370,19 +412,20 @@ function createWindow(openFilePath, paneConfig) {
     // IPC: autosave
     ipcMain.handle("autosave:getMinutes", () => getAutosaveMinutes());
     ipcMain.handle("autosave:setMinutes", (_event, minutes) => {
-      setAutosaveMinutes(minutes);
-      // Rebuild menu with new autosave setting (menu is app-global)
-      createMenu(null);
+      setAutosaveMinutes(minutes); // The settings listener rebuilds the menu
     });
     ipcMain.handle("autosave:save", (event, data) => {
       const w = BrowserWindow.fromWebContents(event.sender);
       const wid = w ? w.__mdpadWindowId : 0;
       saveAutosaveBackup(data, wid);
+      if (data && data.filePath && getAutosaveMinutes() > 0) {
+        addSnapshot(data.filePath, data.content, "autosave");
+      }
     });
-    ipcMain.handle("autosave:clear", (event) => {
+    ipcMain.handle("autosave:clear", (event, tabId) => {
       const w = BrowserWindow.fromWebContents(event.sender);
       const wid = w ? w.__mdpadWindowId : 0;
-      clearAutosaveForWindow(wid);
+      clearAutosaveBackup(wid, tabId);
     });
     ipcMain.handle("autosave:resumeSave", (event, data) => {
       const w = BrowserWindow.fromWebContents(event.sender);
@@ -400,19 +443,17 @@ function createWindow(openFilePath, paneConfig) {
     ipcMain.handle("fileWatch:getEnabled", () => getFileWatchEnabled());
     ipcMain.handle("fileWatch:setEnabled", (_event, enabled) => {
       setFileWatchEnabled(enabled);
-      createMenu(null); // Rebuild menu
     });
     ipcMain.handle("fileWatch:getAutoReload", () => getAutoReloadEnabled());
     ipcMain.handle("fileWatch:setAutoReload", (_event, enabled) => {
       setAutoReloadEnabled(enabled);
-      createMenu(null); // Rebuild menu
     });
 
     // IPC: ビュー状態同期（書式バーモード）
-    // レンダラーから書式バーモード変更通知を受け取り、メニューの checked 状態を同期する
+    // レンダラーから書式バーモード変更通知を受け取り、設定に保存する
+    // （設定変更のリスナーがメニューを再構築し、他のウィンドウにも反映される）
     ipcMain.handle("viewState:setFormatBarMode", (_event, mode) => {
       setMainFormatBarMode(mode);
-      createMenu(null); // メニュー再構築で checked を反映
     });
 
     // IPC: open file in a new window (same process, different BrowserWindow)
@@ -508,15 +549,8 @@ function clearSessionForWindow(windowId) {
 }
 
 function clearAutosaveForWindow(windowId) {
-  try {
-    const dir = getAutosaveDir();
-    const backupFile = path.join(dir, `autosave-${process.pid}-${windowId}.json`);
-    if (fs.existsSync(backupFile)) {
-      fs.unlinkSync(backupFile);
-    }
-  } catch {
-    // Ignore cleanup errors
-  }
+  // Removes the backups of every tab in the window
+  clearAutosaveBackup(windowId);
 }
 
 /**
@@ -716,6 +750,16 @@ function parsePaneArgs(argv) {
     console.log("  --panes takes precedence over --view. Without either, the app uses");
     console.log("  git-aware smart defaults when opening a file externally.");
     console.log("");
+    console.log("Command line mode (no window):");
+    console.log("  --export=FORMAT    Export the file as html or pdf and exit");
+    console.log("  --out=FILE         Output path (default: input name with .html/.pdf)");
+    console.log("  --toc              Add a table of contents page (PDF only)");
+    console.log("  --lint             Lint one or more files and exit");
+    console.log("  --format=FORMAT    Lint output: text (default) or json");
+    console.log("");
+    console.log("  Exit codes: 0 = success, 1 = lint warnings or errors found,");
+    console.log("  2 = usage error or failure. Lint info/hints do not fail.");
+    console.log("");
     console.log("Arguments:");
     console.log("  file               Markdown file to open (.md, .txt, etc.)");
     console.log("");
@@ -723,6 +767,8 @@ function parsePaneArgs(argv) {
     console.log("  mdpad README.md");
     console.log("  mdpad --view=preview README.md");
     console.log("  mdpad --panes=editor,preview README.md");
+    console.log("  mdpad --export=pdf --out=readme.pdf README.md");
+    console.log("  mdpad --lint --format=json docs/*.md");
     console.log("  mdpad --help");
     process.exit(0);
   }
@@ -733,12 +779,20 @@ function parsePaneArgs(argv) {
   }
 }
 
-// Attempt single-instance lock. If another instance is already running,
-// send the file argument to it and quit this one.
-const gotLock = app.requestSingleInstanceLock();
-
-if (!gotLock) {
-  // Another instance is running — it will handle the second-instance event.
+// --- CLI: --export / --lint (headless, exits with the command's status) ---
+// Runs before the single-instance lock so it never hands off to a running window.
+const cliCommand = parseCliArgs(process.argv.slice(1));
+
+if (cliCommand) {
+  app.whenReady()
+    .then(() => {
+      initAppTheme(); // The "auto" preview theme of exports follows it
+      return runCli(cliCommand);
+    })
+    .then((code) => app.exit(code));
+} else if (!app.requestSingleInstanceLock()) {
+  // Single-instance lock failed: another instance is running — it will
+  // handle the second-instance event with our file argument.
   app.quit();
 } else {
   // We are the primary instance.
@@ -768,6 +822,7 @@ if (!gotLock) {
   });
 
   app.whenReady().then(() => {
+    initAppTheme();
     const openFilePath = getFileArgFromCommandLine();
     const paneConfig = parsePaneArgs(process.argv);
     createWindow(openFilePath, paneConfig);
@@ -775,10 +830,12 @@ if (!gotLock) {
 }
 
 app.on("window-all-closed", () => {
+  if (cliCommand) return; // runCli() exits with its own status code
   app.quit();
 });
 
 app.on("activate", () => {
+  if (cliCommand) return;
   if (BrowserWindow.getAllWindows().length === 0) {
     createWindow();
   }
@@ -788,4 +845,6 @@ app.on("activate", () => {
 app.on("before-quit", () => {
   forceQuit = true;
   stopAllWatchers();
+  stopUserCssWatch();
+  stopSnippetsWatch();
 });
@@ -4,6 +4,10 @@ const { getAutosaveMinutes } = require("./autosave-manager");
 const { getFileWatchEnabled, getAutoReloadEnabled } = require("./file-watch-settings");
 const { getFormatBarMode } = require("./view-state");
 const { getRecentFiles } = require("./recent-files");
+const { APP_THEMES, getAppTheme, setAppTheme } = require("./app-theme");
+const { PREVIEW_THEMES, getPreviewTheme, getUserCssPath, setPreviewTheme, setUserCssPath, chooseUserCss } = require("./preview-theme");
+const { getAccelerator } = require("./keybindings");
+const { SETTINGS_SCHEMA, getSetting, setSetting } = require("./settings");
 
 const localeLabels = {
   en: "English",
@@ -36,6 +40,118 @@ function sendToTarget(channel, ...args) {
   }
 }
 
+// Edit > Table. Items run the table command of the same id in the renderer.
+// Table shortcuts are bound in the editor keymap and only work inside a
+// table (Paste as Table only outside one), so they are shown but not registered as global accelerators.
+const TABLE_MENU = [
+  "pasteAsTable",
+  null,
+  "format",
+  null,
+  "insertRowAbove", "insertRowBelow", "deleteRow", "moveRowUp", "moveRowDown",
+  null,
+  "insertColumnLeft", "insertColumnRight", "deleteColumn", "moveColumnLeft", "moveColumnRight",
+  null,
+  "alignLeft", "alignCenter", "alignRight", "alignNone",
+  null,
+  "sortAscending", "sortDescending",
+];
+
+function buildTableSubmenu() {
+  return TABLE_MENU.map((id) => {
+    if (!id) return { type: "separator" };
+    const accelerator = getAccelerator(`table:${id}`);
+    return {
+      label: t(`table.${id}`),
+      ...(accelerator ? { accelerator, registerAccelerator: false } : {}),
+      click: () => sendToTarget("menu:action", `table:${id}`),
+    };
+  });
+}
+
+// Commands the main process carries out itself rather than the renderer.
+// The command palette runs them through the "menu:runCommand" IPC.
+// Returns false for any other command id.
+function runMainCommand(win, id) {
+  if (!win || win.isDestroyed()) return false;
+  const contents = win.webContents;
+  switch (id) {
+    case "exit":
+      win.close();
+      return true;
+    case "toggleDevTools":
+      contents.toggleDevTools();
+      return true;
+    // Same steps as the zoomIn / zoomOut / resetZoom menu roles
+    case "zoomIn":
+      contents.setZoomLevel(contents.getZoomLevel() + 0.5);
+      return true;
+    case "zoomOut":
+      contents.setZoomLevel(contents.getZoomLevel() - 0.5);
+      return true;
+    case "resetZoom":
+      contents.setZoomLevel(0);
+      return true;
+    default:
+      return false;
+  }
+}
+
+// View > Editing Mode: default, Vim or Emacs keys. Saved as a setting, which
+// every window applies to its editor.
+function buildEditingModeSubmenu() {
+  const current = getSetting("editingMode");
+  const entry = SETTINGS_SCHEMA.find((item) => item.key === "editingMode");
+  return entry.values.map((mode) => ({
+    label: t(`menu.view_editingMode_${mode}`),
+    type: "radio",
+    checked: mode === current,
+    click: () => setSetting("editingMode", mode),
+  }));
+}
+
+// View > Theme: light, dark or follow the OS. Applied through nativeTheme,
+// so every window restyles at once.
+function buildAppThemeSubmenu() {
+  const current = getAppTheme();
+  return APP_THEMES.map((theme) => ({
+    label: t(`menu.view_appTheme_${theme}`),
+    type: "radio",
+    checked: theme === current,
+    click: () => setAppTheme(theme),
+  }));
+}
+
+// View > Preview Theme: the themes, then the user CSS file.
+// Settings are app-wide, so the main process applies them to every window.
+function buildPreviewThemeSubmenu() {
+  const current = getPreviewTheme();
+  const themeItems = PREVIEW_THEMES.map((theme) => ({
+    // "github-light" -> menu.view_previewTheme_githubLight
+    label: t(`menu.view_previewTheme_${theme.replace(/-(\w)/g, (_, c) => c.toUpperCase())}`),
+    type: "radio",
+    checked: theme === current,
+    click: () => setPreviewTheme(theme),
+  }));
+  return [
+    ...themeItems,
+    { type: "separator" },
+    {
+      label: t("menu.view_previewTheme_loadCss"),
+      click: async () => {
+        const win = getTargetWindow();
+        if (!win) return;
+        await chooseUserCss(win);
+      },
+    },
+    {
+      label: t("menu.view_previewTheme_clearCss"),
+      enabled: !!getUserCssPath(),
+      click: () => setUserCssPath(null),
+    },
+  ];
+}
+
 function createMenu(_mainWindow) {
   const currentLocale = getLocale();
   const currentAutosave = getAutosaveMinutes();
@@ -58,16 +174,8 @@ function createMenu(_mainWindow) {
     label: localeLabels[loc] || loc,
     type: "radio",
     checked: loc === currentLocale,
-    click: () => {
-      setLocale(loc);
-      createMenu(null); // Rebuild menu (no specific window needed)
-      // Notify ALL windows about locale change
-      for (const w of BrowserWindow.getAllWindows()) {
-        if (!w.isDestroyed() && w.webContents && !w.webContents.isDestroyed()) {
-          w.webContents.send("menu:action", "changeLocale:" + loc);
-        }
-      }
-    },
+    // The settings listener in main.js rebuilds the menu and notifies all windows
+    click: () => setLocale(loc),
   }));
 
   // Build autosave submenu: OFF, 1, 2, 3, 5, 10, 15, 30, 60 min
@@ -87,35 +195,68 @@ function createMenu(_mainWindow) {
       submenu: [
         {
           label: t("menu.file_new"),
-          accelerator: "CmdOrCtrl+N",
+          accelerator: getAccelerator("new"),
           click: () => sendToTarget("menu:action", "new"),
         },
+        {
+          label: t("menu.file_newTab"),
+          accelerator: getAccelerator("newTab"),
+          click: () => sendToTarget("menu:action", "newTab"),
+        },
         {
           label: t("menu.file_newWindow"),
-          accelerator: "CmdOrCtrl+Shift+N",
+          accelerator: getAccelerator("newWindow"),
           click: () => sendToTarget("menu:action", "newWindow"),
         },
+        {
+          label: t("menu.file_newFromTemplate"),
+          accelerator: getAccelerator("newFromTemplate"),
+          click: () => sendToTarget("menu:action", "newFromTemplate"),
+        },
         {
           label: t("menu.file_open"),
-          accelerator: "CmdOrCtrl+O",
+          accelerator: getAccelerator("open"),
           click: () => sendToTarget("menu:action", "open"),
         },
+        {
+          label: t("menu.file_openFolder"),
+          accelerator: getAccelerator("openFolder"),
+          click: () => sendToTarget("menu:action", "openFolder"),
+        },
         {
           label: t("menu.file_reload"),
-          accelerator: "F5",
+          accelerator: getAccelerator("reload"),
           click: () => sendToTarget("menu:action", "reload"),
         },
         { type: "separator" },
         {
           label: t("menu.file_save"),
-          accelerator: "CmdOrCtrl+S",
+          accelerator: getAccelerator("save"),
           click: () => sendToTarget("menu:action", "save"),
         },
         {
           label: t("menu.file_saveAs"),
-          accelerator: "CmdOrCtrl+Shift+S",
+          accelerator: getAccelerator("saveAs"),
           click: () => sendToTarget("menu:action", "saveAs"),
         },
+        {
+          label: t("menu.file_export"),
+          submenu: [
+            {
+              label: t("menu.file_exportHtml"),
+              click: () => sendToTarget("menu:action", "exportHtml"),
+            },
+            {
+              label: t("menu.file_exportPdf"),
+              click: () => sendToTarget("menu:action", "exportPdf"),
+            },
+          ],
+        },
+        {
+          label: t("menu.file_closeTab"),
+          accelerator: getAccelerator("closeTab"),
+          click: () => sendToTarget("menu:action", "closeTab"),
+        },
         { type: "separator" },
         {
           label: t("menu.file_autosave"),
@@ -146,18 +287,49 @@ function createMenu(_mainWindow) {
           label: t("menu.file_restoreBackup"),
           click: () => sendToTarget("menu:action", "restoreBackup"),
         },
+        {
+          label: t("menu.file_localHistory"),
+          click: () => sendToTarget("menu:action", "localHistory"),
+        },
+        {
+          label: t("menu.file_git"),
+          accelerator: getAccelerator("gitPanel"),
+          click: () => sendToTarget("menu:action", "gitPanel"),
+        },
+        {
+          label: t("menu.file_gitHistory"),
+          click: () => sendToTarget("menu:action", "gitHistory"),
+        },
         {
           label: t("menu.file_properties"),
           click: () => sendToTarget("menu:action", "properties"),
         },
         { type: "separator" },
+        {
+          label: t("menu.file_keybindings"),
+          accelerator: getAccelerator("keybindings"),
+          click: () => sendToTarget("menu:action", "keybindings"),
+        },
+        {
+          label: t("menu.file_editSnippets"),
+          accelerator: getAccelerator("editSnippets"),
+          click: () => sendToTarget("menu:action", "editSnippets"),
+        },
+        {
+          label: t("menu.file_openTemplatesFolder"),
+          accelerator: getAccelerator("openTemplatesFolder"),
+          click: () => sendToTarget("menu:action", "openTemplatesFolder"),
+        },
+        {
+          label: t("menu.file_preferences"),
+          accelerator: getAccelerator("preferences"),
+          click: () => sendToTarget("menu:action", "preferences"),
+        },
+        { type: "separator" },
         {
           label: t("menu.file_exit"),
-          accelerator: "Alt+F4",
-          click: () => {
-            const win = getTargetWindow();
-            if (win) win.close();
-          },
+          accelerator: getAccelerator("exit"),
+          click: () => runMainCommand(getTargetWindow(), "exit"),
         },
       ],
     },
@@ -166,12 +338,12 @@ function createMenu(_mainWindow) {
       submenu: [
         {
           label: t("menu.edit_undo"),
-          accelerator: "CmdOrCtrl+Z",
+          accelerator: getAccelerator("undo"),
           click: () => sendToTarget("menu:action", "undo"),
         },
         {
           label: t("menu.edit_redo"),
-          accelerator: "CmdOrCtrl+Y",
+          accelerator: getAccelerator("redo"),
           click: () => sendToTarget("menu:action", "redo"),
         },
         { type: "separator" },
@@ -182,44 +354,75 @@ function createMenu(_mainWindow) {
         { type: "separator" },
         {
           label: t("menu.edit_find"),
-          accelerator: "CmdOrCtrl+F",
+          accelerator: getAccelerator("find"),
           click: () => sendToTarget("menu:action", "find"),
         },
         {
           label: t("menu.edit_replace"),
-          accelerator: "CmdOrCtrl+H",
+          accelerator: getAccelerator("replace"),
           click: () => sendToTarget("menu:action", "replace"),
         },
         { type: "separator" },
         {
           label: t("menu.edit_goToLine"),
-          accelerator: "CmdOrCtrl+G",
+          accelerator: getAccelerator("goToLine"),
           click: () => sendToTarget("menu:action", "goToLine"),
         },
+        { type: "separator" },
+        {
+          label: t("menu.edit_table"),
+          submenu: buildTableSubmenu(),
+        },
+        {
+          label: t("menu.edit_imageSettings"),
+          click: () => sendToTarget("menu:action", "imageSettings"),
+        },
       ],
     },
     {
       label: t("menu.view"),
       submenu: [
+        {
+          label: t("menu.view_commandPalette"),
+          accelerator: getAccelerator("commandPalette"),
+          click: () => sendToTarget("menu:action", "commandPalette"),
+        },
+        { type: "separator" },
         {
           label: t("menu.view_toggleEditor"),
-          accelerator: "CmdOrCtrl+1",
+          accelerator: getAccelerator("toggleEditor"),
           click: () => sendToTarget("menu:action", "toggleEditor"),
         },
         {
           label: t("menu.view_togglePreview"),
-          accelerator: "CmdOrCtrl+2",
+          accelerator: getAccelerator("togglePreview"),
           click: () => sendToTarget("menu:action", "togglePreview"),
         },
         {
           label: t("menu.view_toggleDiff"),
-          accelerator: "CmdOrCtrl+3",
+          accelerator: getAccelerator("toggleDiff"),
           click: () => sendToTarget("menu:action", "toggleDiff"),
         },
+        {
+          label: t("menu.view_toggleExplorer"),
+          accelerator: getAccelerator("toggleExplorer"),
+          click: () => sendToTarget("menu:action", "toggleExplorer"),
+        },
+        { type: "separator" },
+        {
+          label: t("menu.view_nextTab"),
+          accelerator: getAccelerator("nextTab"),
+          click: () => sendToTarget("menu:action", "nextTab"),
+        },
+        {
+          label: t("menu.view_prevTab"),
+          accelerator: getAccelerator("prevTab"),
+          click: () => sendToTarget("menu:action", "prevTab"),
+        },
         { type: "separator" },
         {
           label: t("menu.view_toggleWordWrap"),
-          accelerator: "Alt+Z",
+          accelerator: getAccelerator("toggleWordWrap"),
           click: () => sendToTarget("menu:action", "toggleWordWrap"),
         },
         {
@@ -229,6 +432,10 @@ function createMenu(_mainWindow) {
           click: (menuItem) =>
             sendToTarget("menu:action", "toggleCloseBrackets"),
         },
+        {
+          label: t("menu.view_editingMode"),
+          submenu: buildEditingModeSubmenu(),
+        },
         { type: "separator" },
         {
           label: t("menu.view_formatBar"),
@@ -263,33 +470,47 @@ function createMenu(_mainWindow) {
           label: t("menu.view_toc"),
           type: "checkbox",
           checked: false,
-          accelerator: "CmdOrCtrl+Shift+T",
+          accelerator: getAccelerator("toggleToc"),
           click: () => sendToTarget("menu:action", "toggleToc"),
         },
         {
           label: t("menu.view_lint"),
           type: "checkbox",
           checked: false,
-          accelerator: "CmdOrCtrl+Shift+M",
+          accelerator: getAccelerator("toggleLint"),
           click: () => sendToTarget("menu:action", "toggleLint"),
         },
+        {
+          label: t("menu.view_blame"),
+          type: "checkbox",
+          checked: false,
+          click: () => sendToTarget("menu:action", "toggleBlame"),
+        },
         { type: "separator" },
         {
           label: t("menu.view_zoomIn"),
-          accelerator: "CmdOrCtrl+=",
+          accelerator: getAccelerator("zoomIn"),
           role: "zoomIn",
         },
         {
           label: t("menu.view_zoomOut"),
-          accelerator: "CmdOrCtrl+-",
+          accelerator: getAccelerator("zoomOut"),
           role: "zoomOut",
         },
         {
           label: t("menu.view_resetZoom"),
-          accelerator: "CmdOrCtrl+0",
+          accelerator: getAccelerator("resetZoom"),
           role: "resetZoom",
         },
         { type: "separator" },
+        {
+          label: t("menu.view_appTheme"),
+          submenu: buildAppThemeSubmenu(),
+        },
+        {
+          label: t("menu.view_previewTheme"),
+          submenu: buildPreviewThemeSubmenu(),
+        },
         {
           label: t("menu.view_language"),
           submenu: langSubmenu,
@@ -297,11 +518,8 @@ function createMenu(_mainWindow) {
         { type: "separator" },
         {
           label: t("menu.view_devTools"),
-          accelerator: "F12",
-          click: () => {
-            const win = getTargetWindow();
-            if (win) win.webContents.toggleDevTools();
-          },
+          accelerator: getAccelerator("toggleDevTools"),
+          click: () => runMainCommand(getTargetWindow(), "toggleDevTools"),
         },
       ],
     },
@@ -325,4 +543,4 @@ function createMenu(_mainWindow) {
   Menu.setApplicationMenu(menu);
 }
 
-module.exports = { createMenu };
+module.exports = { createMenu, runMainCommand };
@@ -0,0 +1,169 @@
+/**
+ * PDF export — prints the standalone export HTML (html-export.js) to PDF
+ * with webContents.printToPDF in a hidden window.
+ *
+ * Page options (all optional):
+ *   pageSize:       "A3" | "A4" | "A5" | "Letter" | "Legal" | "Tabloid"
+ *   landscape:      boolean
+ *   margins:        { top, right, bottom, left } in millimetres
+ *   headerFooter:   boolean — print the header/footer templates
+ *   headerTemplate, footerTemplate:
+ *                   plain text with {title} {date} {page} {pages} placeholders;
+ *                   "left|center|right" splits the line into three parts
+ */
+const { BrowserWindow } = require("electron");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { buildStandaloneHtml } = require("./html-export");
+
+const PAGE_SIZES = ["A3", "A4", "A5", "Letter", "Legal", "Tabloid"];
+
+const DEFAULT_OPTIONS = {
+  pageSize: "A4",
+  landscape: false,
+  margins: { top: 20, right: 15, bottom: 20, left: 15 },
+  headerFooter: true,
+  headerTemplate: "{title}",
+  footerTemplate: "{date}||{page} / {pages}",
+};
+
+// Page margins replace the screen padding; keep blocks from splitting across pages
+const PRINT_CSS = `
+.markdown-body {
+  max-width: none;
+  padding: 0;
+}
+.markdown-body pre,
+.markdown-body table,
+.markdown-body img,
+.markdown-body blockquote,
+.mermaid-diagram {
+  break-inside: avoid;
+}
+.markdown-body h1,
+.markdown-body h2,
+.markdown-body h3,
+.markdown-body h4,
+.markdown-body h5,
+.markdown-body h6 {
+  break-after: avoid;
+}
+.pdf-toc {
+  break-after: page;
+}
+.pdf-toc ul {
+  list-style: none;
+  padding-left: 0;
+}
+.pdf-toc li {
+  margin: 4px 0;
+}
+.pdf-toc a {
+  color: inherit;
+  text-decoration: none;
+}
+`;
+
+const PLACEHOLDERS = {
+  "{title}": '<span class="title"></span>',
+  "{date}": '<span class="date"></span>',
+  "{page}": '<span class="pageNumber"></span>',
+  "{pages}": '<span class="totalPages"></span>',
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Convert a header/footer text template to the HTML Chromium expects.
+ * The template runs in its own tiny document, so it needs explicit sizing.
+ */
+function toTemplateHtml(text, margins) {
+  const fill = (part) =>
+    escapeHtml(part).replace(/\{(title|date|page|pages)\}/g, (m) => PLACEHOLDERS[m]);
+
+  const parts = String(text || "").split("|");
+  const cells = parts.length === 1
+    ? ["", fill(parts[0]), ""]
+    : [fill(parts[0]), fill(parts[1] || ""), fill(parts.slice(2).join("|"))];
+
+  return (
+    `<div style="width:100%;display:flex;font-size:9px;color:#57606a;` +
+    `font-family:-apple-system,'Segoe UI',Helvetica,Arial,sans-serif;` +
+    `padding:0 ${margins.right}mm 0 ${margins.left}mm;">` +
+    `<span style="flex:1;text-align:left;">${cells[0]}</span>` +
+    `<span style="flex:1;text-align:center;">${cells[1]}</span>` +
+    `<span style="flex:1;text-align:right;">${cells[2]}</span>` +
+    `</div>`
+  );
+}
+
+function normalizeOptions(options = {}) {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+  merged.margins = { ...DEFAULT_OPTIONS.margins, ...(options.margins || {}) };
+  for (const side of ["top", "right", "bottom", "left"]) {
+    const mm = Number(merged.margins[side]);
+    merged.margins[side] = Number.isFinite(mm) && mm >= 0 ? Math.min(mm, 100) : DEFAULT_OPTIONS.margins[side];
+  }
+  if (!PAGE_SIZES.includes(merged.pageSize)) merged.pageSize = DEFAULT_OPTIONS.pageSize;
+  return merged;
+}
+
+/**
+ * Render export HTML to a PDF buffer.
+ * @param {string} bodyHtml - Inner HTML of .markdown-body (may start with a .pdf-toc block)
+ * @param {object} [params]
+ * @param {string} [params.title] - Document title (also used by {title})
+ * @param {string} [params.lang] - Value of <html lang>
+ * @param {object} [params.options] - Page options (see top of file)
+ * @param {string} [params.theme] - Preview theme id (see html-export.js)
+ * @param {string} [params.userCss] - User CSS for the preview
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(bodyHtml, { title = "", lang = "en", options, theme, userCss } = {}) {
+  const opts = normalizeOptions(options);
+  const html = buildStandaloneHtml(bodyHtml, { title, lang, extraCss: PRINT_CSS, theme, userCss });
+
+  // A temp file instead of a data: URL — embedded fonts/images easily exceed URL limits
+  const tmpFile = path.join(os.tmpdir(), `mdpad-pdf-${process.pid}-${Date.now()}.html`);
+  await fs.writeFile(tmpFile, html, "utf-8");
+
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      javascript: false,
+      sandbox: true,
+    },
+  });
+
+  try {
+    await win.loadFile(tmpFile);
+    const mmToInch = (mm) => mm / 25.4;
+    return await win.webContents.printToPDF({
+      pageSize: opts.pageSize,
+      landscape: !!opts.landscape,
+      printBackground: true,
+      margins: {
+        top: mmToInch(opts.margins.top),
+        bottom: mmToInch(opts.margins.bottom),
+        left: mmToInch(opts.margins.left),
+        right: mmToInch(opts.margins.right),
+      },
+      displayHeaderFooter: !!opts.headerFooter,
+      headerTemplate: opts.headerFooter ? toTemplateHtml(opts.headerTemplate, opts.margins) : "<span></span>",
+      footerTemplate: opts.headerFooter ? toTemplateHtml(opts.footerTemplate, opts.margins) : "<span></span>",
+      generateDocumentOutline: true,
+    });
+  } finally {
+    win.destroy();
+    fs.unlink(tmpFile).catch(() => {});
+  }
+}
+
+module.exports = { renderPdf, PAGE_SIZES, DEFAULT_OPTIONS };
@@ -0,0 +1,146 @@
+/**
+ * Preview theme settings for mdpad.
+ * The "previewTheme" and "previewUserCss" settings (settings.js) select the
+ * preview theme and an optional user CSS file.
+ * - "auto" follows the app theme (app-theme.js); the renderer resolves it.
+ * - The user CSS file is watched and its new content is sent to every window
+ *   when it changes, so edits show up in the preview without a restart.
+ * Every change is broadcast on "previewTheme:changed" with the full state.
+ */
+const fs = require("fs");
+const { BrowserWindow, dialog, nativeTheme } = require("electron");
+const { t } = require("../i18n/i18n-main");
+const { SETTINGS_SCHEMA, getSetting, setSettings, onSettingsChanged } = require("./settings");
+
+const PREVIEW_THEMES = SETTINGS_SCHEMA.find((entry) => entry.key === "previewTheme").values;
+
+const WATCH_INTERVAL_MS = 500;
+
+let watchedPath = null;
+
+function getPreviewTheme() {
+  return getSetting("previewTheme");
+}
+
+/**
+ * The preview theme with "auto" resolved against the app theme, as the
+ * renderer does it. Used by the command line, which has no preview window.
+ */
+function resolvePreviewTheme() {
+  const theme = getPreviewTheme();
+  if (theme === "auto") return nativeTheme.shouldUseDarkColors ? "github-dark" : "github-light";
+  return PREVIEW_THEMES.includes(theme) ? theme : "github-light";
+}
+
+function getUserCssPath() {
+  return getSetting("previewUserCss") || null;
+}
+
+/**
+ * Read the user CSS file. A missing or unreadable file counts as empty.
+ */
+function readUserCss() {
+  const cssPath = getUserCssPath();
+  if (!cssPath) return "";
+  try {
+    return fs.readFileSync(cssPath, "utf-8");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Current state sent to the renderer: { theme, userCssPath, userCss }.
+ */
+function getPreviewThemeState() {
+  return {
+    theme: getPreviewTheme(),
+    userCssPath: getUserCssPath(),
+    userCss: readUserCss(),
+  };
+}
+
+function broadcastState() {
+  const state = getPreviewThemeState();
+  for (const w of BrowserWindow.getAllWindows()) {
+    if (!w.isDestroyed() && w.webContents && !w.webContents.isDestroyed()) {
+      w.webContents.send("previewTheme:changed", state);
+    }
+  }
+}
+
+function setPreviewTheme(theme) {
+  setSettings({ previewTheme: theme });
+  return getPreviewThemeState();
+}
+
+/**
+ * Set (or clear with null) the user CSS file.
+ */
+function setUserCssPath(cssPath) {
+  setSettings({ previewUserCss: typeof cssPath === "string" ? cssPath : "" });
+  return getPreviewThemeState();
+}
+
+/**
+ * Let the user pick a CSS file for the preview.
+ * @returns {Promise<Object>} New state (unchanged when cancelled)
+ */
+async function chooseUserCss(win) {
+  const result = await dialog.showOpenDialog(win, {
+    properties: ["openFile"],
+    filters: [
+      { name: t("dialog.filterCss"), extensions: ["css"] },
+      { name: t("dialog.filterAll"), extensions: ["*"] },
+    ],
+  });
+  if (result.canceled || result.filePaths.length === 0) return getPreviewThemeState();
+  return setUserCssPath(result.filePaths[0]);
+}
+
+/**
+ * Watch the configured user CSS file (polling, so editors that save by
+ * replacing the file are noticed too).
+ */
+function startUserCssWatch() {
+  stopUserCssWatch();
+  const cssPath = getUserCssPath();
+  if (!cssPath) return;
+  watchedPath = cssPath;
+  fs.watchFile(cssPath, { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) broadcastState();
+  });
+}
+
+function stopUserCssWatch() {
+  if (watchedPath) {
+    fs.unwatchFile(watchedPath);
+    watchedPath = null;
+  }
+}
+
+/**
+ * Watch the user CSS file and send the new state to every window whenever
+ * the settings change (menu, Preferences dialog or import).
+ */
+function initPreviewTheme() {
+  startUserCssWatch();
+  onSettingsChanged((changed) => {
+    if ("previewUserCss" in changed) startUserCssWatch();
+    if ("previewTheme" in changed || "previewUserCss" in changed) broadcastState();
+  });
+}
+
+module.exports = {
+  PREVIEW_THEMES,
+  getPreviewTheme,
+  resolvePreviewTheme,
+  getUserCssPath,
+  readUserCss,
+  getPreviewThemeState,
+  setPreviewTheme,
+  setUserCssPath,
+  chooseUserCss,
+  initPreviewTheme,
+  stopUserCssWatch,
+};
@@ -1,32 +1,10 @@
-const fs = require("fs");
-const path = require("path");
-const { app } = require("electron");
-
-const MAX_RECENT = 10;
-
-function getConfigPath() {
-  return path.join(app.getPath("userData"), "mdpad-config.json");
-}
-
-function readConfig() {
-  try {
-    return JSON.parse(fs.readFileSync(getConfigPath(), "utf-8"));
-  } catch {
-    return {};
-  }
-}
-
-function writeConfig(config) {
-  try {
-    fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2), "utf-8");
-  } catch {
-    // Ignore write errors
-  }
-}
+const { readConfig, writeConfig, getSetting } = require("./settings");
 
+// The list lives at the top level of mdpad-config.json; its length is the
+// "recentFilesMax" setting.
 function getRecentFiles() {
   const config = readConfig();
-  return config.recentFiles || [];
+  return (config.recentFiles || []).slice(0, getSetting("recentFilesMax"));
 }
 
 function addRecentFile(filePath) {
@@ -34,8 +12,9 @@ function addRecentFile(filePath) {
   let recent = config.recentFiles || [];
   recent = recent.filter((f) => f !== filePath);
   recent.unshift(filePath);
-  if (recent.length > MAX_RECENT) {
-    recent = recent.slice(0, MAX_RECENT);
+  const max = getSetting("recentFilesMax");
+  if (recent.length > max) {
+    recent = recent.slice(0, max);
   }
   config.recentFiles = recent;
   writeConfig(config);
@@ -0,0 +1,319 @@
+/**
+ * Settings store for mdpad.
+ * Every user preference is declared in SETTINGS_SCHEMA (type, default, range)
+ * and stored in mdpad-config.json under "settings", holding only the values
+ * that differ from their defaults.
+ * - Values are validated against the schema on every write and import;
+ *   numbers are rounded and clamped into range, anything else invalid is
+ *   rejected and keeps the current value.
+ * - Settings that older versions kept as top-level config keys (or the
+ *   renderer kept in localStorage) are migrated into "settings" once.
+ * - Changes are passed to the main-process listeners and broadcast to every
+ *   window on "settings:changed" as { changed, settings }.
+ * Non-preference state (window bounds, recent files) stays at the top level
+ * of the same file; readConfig()/writeConfig() are shared for it.
+ */
+const fs = require("fs");
+const path = require("path");
+const { app, BrowserWindow } = require("electron");
+
+const SETTINGS_VERSION = 1;
+
+/**
+ * Declared settings. Sections group them in the Preferences dialog.
+ * type: "boolean" | "number" (min, max) | "string" (allowEmpty) | "enum" (values)
+ */
+const SETTINGS_SCHEMA = [
+  // General
+  { key: "locale", section: "general", type: "enum", values: ["system", "en", "ja"], default: "system" },
+  { key: "appTheme", section: "general", type: "enum", values: ["system", "light", "dark"], default: "system" },
+  { key: "recentFilesMax", section: "general", type: "number", min: 1, max: 30, default: 10 },
+  // Editor and panes
+  { key: "editingMode", section: "editor", type: "enum", values: ["default", "vim", "emacs"], default: "default" },
+  { key: "snippetSuggestions", section: "editor", type: "boolean", default: true },
+  { key: "formatBarMode", section: "editor", type: "enum", values: ["topbar", "sidebar", "hidden"], default: "hidden" },
+  { key: "lintEnabled", section: "editor", type: "boolean", default: false },
+  { key: "minimapEnabled", section: "editor", type: "boolean", default: false },
+  { key: "minimapDisplay", section: "editor", type: "enum", values: ["blocks", "characters"], default: "blocks" },
+  { key: "tocVisible", section: "editor", type: "boolean", default: false },
+  { key: "explorerVisible", section: "editor", type: "boolean", default: false },
+  // Preview
+  {
+    key: "previewTheme",
+    section: "preview",
+    type: "enum",
+    values: ["auto", "github-light", "github-dark", "high-contrast", "print"],
+    default: "auto",
+  },
+  { key: "previewUserCss", section: "preview", type: "string", allowEmpty: true, default: "" },
+  // Files
+  { key: "autosaveMinutes", section: "files", type: "number", min: 0, max: 60, default: 5 },
+  { key: "fileWatchEnabled", section: "files", type: "boolean", default: true },
+  { key: "autoReloadEnabled", section: "files", type: "boolean", default: true },
+  { key: "localHistoryMaxEntries", section: "files", type: "number", min: 1, max: 500, default: 50 },
+  { key: "localHistoryMaxDays", section: "files", type: "number", min: 1, max: 365, default: 30 },
+  // Images
+  { key: "imageAssetFolder", section: "images", type: "string", default: "./assets/{docname}/" },
+  { key: "imageMaxWidth", section: "images", type: "number", min: 0, max: 10000, default: 0 },
+  { key: "imageFormat", section: "images", type: "enum", values: ["original", "png", "jpeg", "webp"], default: "original" },
+  // Git
+  { key: "blameEnabled", section: "git", type: "boolean", default: false },
+  { key: "gitPushAfterCommit", section: "git", type: "boolean", default: false },
+];
+
+const SCHEMA_BY_KEY = new Map(SETTINGS_SCHEMA.map((entry) => [entry.key, entry]));
+
+// Top-level config keys written by earlier versions, migrated into "settings"
+const LEGACY_CONFIG_KEYS = [
+  "locale",
+  "appTheme",
+  "formatBarMode",
+  "previewTheme",
+  "previewUserCss",
+  "autosaveMinutes",
+  "fileWatchEnabled",
+  "autoReloadEnabled",
+  "localHistoryMaxEntries",
+  "localHistoryMaxDays",
+  "imageAssetFolder",
+  "imageMaxWidth",
+  "imageFormat",
+];
+
+// Overrides (values differing from the defaults), loaded on first use
+let overrides = null;
+const listeners = [];
+
+function getConfigPath() {
+  return path.join(app.getPath("userData"), "mdpad-config.json");
+}
+
+/**
+ * Read the whole config file ({} when missing or unreadable).
+ */
+function readConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(getConfigPath(), "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeConfig(config) {
+  try {
+    fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2), "utf-8");
+  } catch {
+    // Ignore write errors
+  }
+}
+
+/**
+ * Validate a value against its schema entry.
+ * @returns {*} The normalized value, or undefined when it is invalid
+ */
+function normalizeValue(entry, value) {
+  switch (entry.type) {
+    case "boolean":
+      return typeof value === "boolean" ? value : undefined;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return undefined;
+      return Math.max(entry.min, Math.min(entry.max, Math.round(value)));
+    case "enum":
+      return entry.values.includes(value) ? value : undefined;
+    case "string":
+      if (typeof value !== "string") return undefined;
+      value = value.trim();
+      return value || entry.allowEmpty ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Convert a string stored by an older version (localStorage keeps strings).
+ */
+function parseLegacyValue(entry, raw) {
+  if (typeof raw !== "string") return raw;
+  if (entry.type === "boolean") return raw === "true" ? true : raw === "false" ? false : undefined;
+  if (entry.type === "number") return raw.trim() === "" ? undefined : Number(raw);
+  return raw;
+}
+
+function persist() {
+  const config = readConfig();
+  config.settings = overrides;
+  config.settingsVersion = SETTINGS_VERSION;
+  writeConfig(config);
+}
+
+/**
+ * Load the overrides, migrating legacy top-level keys on first run.
+ */
+function ensureLoaded() {
+  if (overrides) return;
+  const config = readConfig();
+  overrides = {};
+  const stored = config.settings && typeof config.settings === "object" ? config.settings : {};
+  for (const [key, value] of Object.entries(stored)) {
+    const entry = SCHEMA_BY_KEY.get(key);
+    const normalized = entry ? normalizeValue(entry, value) : undefined;
+    if (normalized !== undefined && normalized !== entry.default) overrides[key] = normalized;
+  }
+
+  if (config.settingsVersion === SETTINGS_VERSION) return;
+  for (const key of LEGACY_CONFIG_KEYS) {
+    if (!(key in config)) continue;
+    const entry = SCHEMA_BY_KEY.get(key);
+    const normalized = normalizeValue(entry, config[key]);
+    if (normalized !== undefined && !(key in overrides) && normalized !== entry.default) {
+      overrides[key] = normalized;
+    }
+    delete config[key];
+  }
+  config.settings = overrides;
+  config.settingsVersion = SETTINGS_VERSION;
+  writeConfig(config);
+}
+
+function getSetting(key) {
+  ensureLoaded();
+  const entry = SCHEMA_BY_KEY.get(key);
+  if (!entry) throw new Error(`Unknown setting: ${key}`);
+  return key in overrides ? overrides[key] : entry.default;
+}
+
+/**
+ * All settings with their current values.
+ */
+function getAllSettings() {
+  ensureLoaded();
+  const settings = {};
+  for (const entry of SETTINGS_SCHEMA) {
+    settings[entry.key] = entry.key in overrides ? overrides[entry.key] : entry.default;
+  }
+  return settings;
+}
+
+function notify(changed) {
+  for (const listener of listeners) {
+    try {
+      listener(changed);
+    } catch {
+      // A failing listener must not keep the others or the windows from hearing the change
+    }
+  }
+  const payload = { changed, settings: getAllSettings() };
+  for (const w of BrowserWindow.getAllWindows()) {
+    if (!w.isDestroyed() && w.webContents && !w.webContents.isDestroyed()) {
+      w.webContents.send("settings:changed", payload);
+    }
+  }
+}
+
+/**
+ * Validate and save several settings at once.
+ * @param {Object<string, *>} values - key → new value
+ * @returns {{ settings: Object, changed: Object, rejected: string[] }}
+ *   Unknown keys and invalid values are listed in rejected and left as they were
+ */
+function setSettings(values) {
+  ensureLoaded();
+  const changed = {};
+  const rejected = [];
+  for (const [key, value] of Object.entries(values || {})) {
+    const entry = SCHEMA_BY_KEY.get(key);
+    const normalized = entry ? normalizeValue(entry, value) : undefined;
+    if (normalized === undefined) {
+      rejected.push(key);
+      continue;
+    }
+    if (normalized === getSetting(key)) continue;
+    if (normalized === entry.default) {
+      delete overrides[key];
+    } else {
+      overrides[key] = normalized;
+    }
+    changed[key] = normalized;
+  }
+  if (Object.keys(changed).length > 0) {
+    persist();
+    notify(changed);
+  }
+  return { settings: getAllSettings(), changed, rejected };
+}
+
+function setSetting(key, value) {
+  return setSettings({ [key]: value });
+}
+
+/**
+ * Restore defaults for the given keys (all settings when omitted).
+ */
+function resetSettings(keys) {
+  const values = {};
+  for (const entry of SETTINGS_SCHEMA) {
+    if (!keys || keys.includes(entry.key)) values[entry.key] = entry.default;
+  }
+  return setSettings(values);
+}
+
+/**
+ * Apply values the renderer kept in localStorage before this store existed.
+ * They are strings, so they are converted according to the schema first.
+ */
+function migrateLocalSettings(values) {
+  const converted = {};
+  for (const [key, raw] of Object.entries(values || {})) {
+    const entry = SCHEMA_BY_KEY.get(key);
+    if (entry) converted[key] = parseLegacyValue(entry, raw);
+  }
+  return setSettings(converted);
+}
+
+/**
+ * Write all settings to a JSON file.
+ */
+function exportSettings(filePath) {
+  const data = { mdpad: "settings", version: SETTINGS_VERSION, settings: getAllSettings() };
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf-8");
+}
+
+/**
+ * Read settings from a JSON file written by exportSettings() (a plain
+ * { key: value } object is accepted too) and apply the valid ones.
+ * @returns {{ settings: Object, changed: Object, rejected: string[] }}
+ */
+function importSettings(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Not a settings file");
+  }
+  const values = data.mdpad === "settings" ? data.settings : data;
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error("Not a settings file");
+  }
+  return setSettings(values);
+}
+
+/**
+ * Register a main-process listener called with { key: newValue } after
+ * every change.
+ */
+function onSettingsChanged(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  readConfig,
+  writeConfig,
+  getSetting,
+  getAllSettings,
+  setSetting,
+  setSettings,
+  resetSettings,
+  migrateLocalSettings,
+  exportSettings,
+  importSettings,
+  onSettingsChanged,
+};
@@ -0,0 +1,274 @@
+/**
+ * Snippets and document templates for mdpad.
+ * - Snippets live in userData/mdpad-snippets.json in the VS Code format:
+ *   { name: { prefix, body, description } } where body is a string or an
+ *   array of lines. Without that file the built-in DEFAULT_SNIPPETS apply;
+ *   Edit Snippets creates it from them.
+ * - Templates are the Markdown files in userData/templates. The folder is
+ *   created with a few examples (ADR, meeting notes, release notes) the
+ *   first time it is used.
+ * Tab stops and variables in both are expanded by the renderer (snippets.js).
+ * The snippets file is watched; every change is broadcast on
+ * "snippets:changed" as { snippets, error }.
+ */
+const fs = require("fs");
+const path = require("path");
+const { app, BrowserWindow, shell } = require("electron");
+
+const WATCH_INTERVAL_MS = 500;
+
+const TEMPLATE_EXTENSIONS = [".md", ".markdown"];
+
+const DEFAULT_SNIPPETS = {
+  "Today's date": { prefix: "date", body: "$DATE", description: "Current date (YYYY-MM-DD)" },
+  Link: { prefix: "link", body: "[${1:text}](${2:https://})$0", description: "Inline link" },
+  Image: { prefix: "img", body: "![${1:alt}](${2:path})$0", description: "Image" },
+  "Code block": { prefix: "code", body: ["```${1:lang}", "$0", "```"], description: "Fenced code block" },
+  Details: {
+    prefix: "details",
+    body: ["<details>", "<summary>${1:Summary}</summary>", "", "$0", "", "</details>"],
+    description: "Collapsible section",
+  },
+  Table: {
+    prefix: "table",
+    body: ["| ${1:Column} | ${2:Column} |", "| --- | --- |", "| $3 | $4 |"],
+    description: "Two-column table",
+  },
+  Signature: { prefix: "sig", body: "-- $GIT_USER_NAME, $DATE", description: "Name and date" },
+};
+
+const DEFAULT_TEMPLATES = {
+  "adr.md": [
+    "# ${1:0001}. ${2:Title}",
+    "",
+    "- Status: ${3:Proposed}",
+    "- Date: $DATE",
+    "- Deciders: $GIT_USER_NAME",
+    "",
+    "## Context",
+    "",
+    "$4",
+    "",
+    "## Decision",
+    "",
+    "$5",
+    "",
+    "## Consequences",
+    "",
+    "$0",
+    "",
+  ],
+  "meeting-notes.md": [
+    "# ${1:Meeting} ($DATE)",
+    "",
+    "- Date: $DATE $TIME",
+    "- Attendees: $GIT_USER_NAME, $2",
+    "",
+    "## Agenda",
+    "",
+    "1. $3",
+    "",
+    "## Notes",
+    "",
+    "$4",
+    "",
+    "## Action items",
+    "",
+    "- [ ] $0",
+    "",
+  ],
+  "release-notes.md": [
+    "# Release ${1:v1.0.0} ($DATE)",
+    "",
+    "## Highlights",
+    "",
+    "- $2",
+    "",
+    "## Added",
+    "",
+    "- $3",
+    "",
+    "## Changed",
+    "",
+    "- $4",
+    "",
+    "## Fixed",
+    "",
+    "- $0",
+    "",
+  ],
+};
+
+// Snippets last read from the file (kept when the file becomes invalid)
+let cachedSnippets = null;
+let lastError = null;
+let watching = false;
+
+function getSnippetsPath() {
+  return path.join(app.getPath("userData"), "mdpad-snippets.json");
+}
+
+function getTemplatesDir() {
+  return path.join(app.getPath("userData"), "templates");
+}
+
+/**
+ * Turn the { name: { prefix, body, description } } object into a list.
+ * Entries without a prefix or body are skipped.
+ */
+function normalizeSnippets(data) {
+  const snippets = [];
+  for (const [name, entry] of Object.entries(data)) {
+    if (!entry || typeof entry !== "object") continue;
+    const prefix = typeof entry.prefix === "string" ? entry.prefix.trim() : "";
+    const body = Array.isArray(entry.body) ? entry.body.join("\n") : entry.body;
+    if (!prefix || /\s/.test(prefix) || typeof body !== "string") continue;
+    snippets.push({
+      name,
+      prefix,
+      body,
+      description: typeof entry.description === "string" ? entry.description : "",
+    });
+  }
+  return snippets;
+}
+
+/**
+ * Read the snippets file. A missing file gives the defaults; an invalid one
+ * keeps the snippets read before and sets the error message.
+ */
+function loadSnippets() {
+  let text;
+  try {
+    text = fs.readFileSync(getSnippetsPath(), "utf-8");
+  } catch {
+    cachedSnippets = normalizeSnippets(DEFAULT_SNIPPETS);
+    lastError = null;
+    return;
+  }
+  try {
+    const data = JSON.parse(text.replace(/^\uFEFF/, ""));
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("The file must contain a JSON object");
+    }
+    cachedSnippets = normalizeSnippets(data);
+    lastError = null;
+  } catch (err) {
+    if (!cachedSnippets) cachedSnippets = normalizeSnippets(DEFAULT_SNIPPETS);
+    lastError = err.message;
+  }
+}
+
+/**
+ * Current snippets: { snippets: [{ name, prefix, body, description }], error }.
+ */
+function getSnippets() {
+  if (!cachedSnippets) loadSnippets();
+  return { snippets: cachedSnippets, error: lastError };
+}
+
+/**
+ * Path of the snippets file, created from the defaults when missing.
+ */
+function ensureSnippetsFile() {
+  const filePath = getSnippetsPath();
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, JSON.stringify(DEFAULT_SNIPPETS, null, 2) + "\n", "utf-8");
+  }
+  return filePath;
+}
+
+function broadcastSnippets() {
+  const payload = getSnippets();
+  for (const w of BrowserWindow.getAllWindows()) {
+    if (!w.isDestroyed() && w.webContents && !w.webContents.isDestroyed()) {
+      w.webContents.send("snippets:changed", payload);
+    }
+  }
+}
+
+/**
+ * Watch the snippets file (polling, like the preview user CSS, so it is
+ * noticed when created later and when editors replace it on save).
+ */
+function initSnippets() {
+  if (watching) return;
+  watching = true;
+  fs.watchFile(getSnippetsPath(), { interval: WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+      loadSnippets();
+      broadcastSnippets();
+    }
+  });
+}
+
+function stopSnippetsWatch() {
+  if (!watching) return;
+  fs.unwatchFile(getSnippetsPath());
+  watching = false;
+}
+
+/**
+ * Path of the templates folder, created with the example templates when
+ * missing.
+ */
+function ensureTemplatesDir() {
+  const dir = getTemplatesDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [fileName, lines] of Object.entries(DEFAULT_TEMPLATES)) {
+      fs.writeFileSync(path.join(dir, fileName), lines.join("\n"), "utf-8");
+    }
+  }
+  return dir;
+}
+
+/**
+ * Templates in the templates folder, sorted by name.
+ * @returns {Array<{ name: string, fileName: string }>}
+ */
+function listTemplates() {
+  let entries;
+  try {
+    entries = fs.readdirSync(ensureTemplatesDir(), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter((entry) => entry.isFile() && TEMPLATE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map((entry) => ({ name: path.basename(entry.name, path.extname(entry.name)), fileName: entry.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read a template by its file name (no paths outside the templates folder).
+ * @returns {string|null} The content, or null when it cannot be read
+ */
+function readTemplate(fileName) {
+  if (typeof fileName !== "string" || fileName !== path.basename(fileName)) return null;
+  try {
+    return fs.readFileSync(path.join(getTemplatesDir(), fileName), "utf-8").replace(/^\uFEFF/, "");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Show the templates folder in the file manager.
+ */
+async function openTemplatesFolder() {
+  const dir = ensureTemplatesDir();
+  const error = await shell.openPath(dir);
+  return { path: dir, error: error || null };
+}
+
+module.exports = {
+  DEFAULT_SNIPPETS,
+  getSnippets,
+  ensureSnippetsFile,
+  initSnippets,
+  stopSnippetsWatch,
+  listTemplates,
+  readTemplate,
+  openTemplatesFolder,
+};
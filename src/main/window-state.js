@@ -1,26 +1,4 @@
-const fs = require("fs");
-const path = require("path");
-const { app } = require("electron");
-
-function getConfigPath() {
-  return path.join(app.getPath("userData"), "mdpad-config.json");
-}
-
-function readConfig() {
-  try {
-    return JSON.parse(fs.readFileSync(getConfigPath(), "utf-8"));
-  } catch {
-    return {};
-  }
-}
-
-function writeConfig(config) {
-  try {
-    fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2), "utf-8");
-  } catch {
-    // Ignore write errors
-  }
-}
+const { readConfig, writeConfig } = require("./settings");
 
 function restoreWindowState() {
   const config = readConfig();
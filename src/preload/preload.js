@@ -3,10 +3,12 @@ const { contextBridge, ipcRenderer, webUtils, webFrame } = require("electron");
 contextBridge.exposeInMainWorld("mdpad", {
   // File operations
   openFile: () => ipcRenderer.invoke("file:open"),
-  openFileByPath: (filePath) => ipcRenderer.invoke("file:openByPath", filePath),
-  saveFile: (filePath, content) =>
-    ipcRenderer.invoke("file:save", filePath, content),
-  saveFileAs: (content, filePath) => ipcRenderer.invoke("file:saveAs", content, filePath),
+  openFileByPath: (filePath, encoding) => ipcRenderer.invoke("file:openByPath", filePath, encoding),
+  saveFile: (filePath, content, encoding, bom) =>
+    ipcRenderer.invoke("file:save", filePath, content, encoding, bom),
+  saveFileAs: (content, filePath, encoding, bom) =>
+    ipcRenderer.invoke("file:saveAs", content, filePath, encoding, bom),
+  canEncode: (content, encoding) => ipcRenderer.invoke("file:canEncode", content, encoding),
   getRecentFiles: () => ipcRenderer.invoke("file:getRecent"),
 
   // Diff
@@ -14,7 +16,19 @@ contextBridge.exposeInMainWorld("mdpad", {
 
   // Git
   getGitInfo: (filePath) => ipcRenderer.invoke("git:getInfo", filePath),
-  getGitFileContent: (filePath) => ipcRenderer.invoke("git:getFileContent", filePath),
+  getGitFileContent: (filePath, revision, pathAtRevision, encoding) =>
+    ipcRenderer.invoke("git:getFileContent", filePath, revision, pathAtRevision, encoding),
+  getGitFileHistory: (filePath, limit) => ipcRenderer.invoke("git:getFileHistory", filePath, limit),
+  getGitBranches: (filePath) => ipcRenderer.invoke("git:getBranches", filePath),
+  getGitBlame: (filePath, encoding) => ipcRenderer.invoke("git:getBlame", filePath, encoding),
+  getGitUser: (filePath) => ipcRenderer.invoke("git:getUser", filePath),
+  getGitStatus: (filePath) => ipcRenderer.invoke("git:getStatus", filePath),
+  gitStage: (filePath, relPaths) => ipcRenderer.invoke("git:stage", filePath, relPaths),
+  gitUnstage: (filePath, relPaths) => ipcRenderer.invoke("git:unstage", filePath, relPaths),
+  gitStageContent: (filePath, content, encoding, bom) =>
+    ipcRenderer.invoke("git:stageContent", filePath, content, encoding, bom),
+  gitCommit: (filePath, message) => ipcRenderer.invoke("git:commit", filePath, message),
+  gitPush: (filePath, remote) => ipcRenderer.invoke("git:push", filePath, remote),
   getDetailedGitInfo: (filePath) => ipcRenderer.invoke("git:getDetailedInfo", filePath),
   invalidateGitCache: (filePath) => ipcRenderer.invoke("git:invalidateCache", filePath),
 
@@ -48,24 +62,112 @@ contextBridge.exposeInMainWorld("mdpad", {
   // Open a new empty window (separate process)
   newWindow: () => ipcRenderer.invoke("window:newWindow"),
 
+  // Local history
+  listLocalHistory: (filePath) => ipcRenderer.invoke("history:list", filePath),
+  readLocalHistory: (filePath, id) => ipcRenderer.invoke("history:read", filePath, id),
+  clearLocalHistory: (filePath) => ipcRenderer.invoke("history:clear", filePath),
+  getLocalHistorySettings: () => ipcRenderer.invoke("history:getSettings"),
+  setLocalHistorySettings: (settings) => ipcRenderer.invoke("history:setSettings", settings),
+
+  // Image assets (pasted / dropped images)
+  saveImageAsset: (docPath, fileName, data) => ipcRenderer.invoke("image:save", docPath, fileName, data),
+  getImageAssetSettings: () => ipcRenderer.invoke("image:getSettings"),
+  setImageAssetSettings: (settings) => ipcRenderer.invoke("image:setSettings", settings),
+
+  // Settings store: { schema, settings }; changes arrive as { changed, settings }
+  getSettings: () => ipcRenderer.invoke("settings:get"),
+  setSettings: (values) => ipcRenderer.invoke("settings:set", values),
+  resetSettings: (keys) => ipcRenderer.invoke("settings:reset", keys),
+  migrateLocalSettings: (values) => ipcRenderer.invoke("settings:migrateLocal", values),
+  exportSettings: (filePath) => ipcRenderer.invoke("settings:export", filePath),
+  importSettings: (filePath) => ipcRenderer.invoke("settings:import", filePath),
+  onSettingsChanged: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on("settings:changed", listener);
+    return () => ipcRenderer.removeListener("settings:changed", listener);
+  },
+
+  // Keybindings: { commands, conflicts }; changes arrive with the same shape
+  getKeybindings: () => ipcRenderer.invoke("keybindings:get"),
+  setKeybinding: (id, accelerator) => ipcRenderer.invoke("keybindings:set", id, accelerator),
+  resetKeybindings: (ids) => ipcRenderer.invoke("keybindings:reset", ids),
+  setKeybindingRecording: (recording) => ipcRenderer.invoke("keybindings:setRecording", recording),
+  runMainCommand: (id) => ipcRenderer.invoke("menu:runCommand", id),
+  onKeybindingsChanged: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on("keybindings:changed", listener);
+    return () => ipcRenderer.removeListener("keybindings:changed", listener);
+  },
+
+  // Snippets: { snippets, error }; changes arrive with the same shape
+  getSnippets: () => ipcRenderer.invoke("snippets:get"),
+  ensureSnippetsFile: () => ipcRenderer.invoke("snippets:ensureFile"),
+  onSnippetsChanged: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on("snippets:changed", listener);
+    return () => ipcRenderer.removeListener("snippets:changed", listener);
+  },
+
+  // Document templates (userData/templates)
+  listTemplates: () => ipcRenderer.invoke("templates:list"),
+  readTemplate: (fileName) => ipcRenderer.invoke("templates:read", fileName),
+  openTemplatesFolder: () => ipcRenderer.invoke("templates:openFolder"),
+
+  // App theme ("system" / "light" / "dark")
+  getAppTheme: () => ipcRenderer.invoke("appTheme:get"),
+  setAppTheme: (theme) => ipcRenderer.invoke("appTheme:set", theme),
+
+  // Preview theme and user CSS
+  getPreviewTheme: () => ipcRenderer.invoke("previewTheme:get"),
+  setPreviewTheme: (theme) => ipcRenderer.invoke("previewTheme:set", theme),
+  setPreviewUserCss: (cssPath) => ipcRenderer.invoke("previewTheme:setUserCss", cssPath),
+  choosePreviewUserCss: () => ipcRenderer.invoke("previewTheme:chooseUserCss"),
+  onPreviewThemeChanged: (callback) => {
+    const listener = (_event, state) => callback(state);
+    ipcRenderer.on("previewTheme:changed", listener);
+    return () => ipcRenderer.removeListener("previewTheme:changed", listener);
+  },
+
   // Autosave (backup)
   getAutosaveMinutes: () => ipcRenderer.invoke("autosave:getMinutes"),
   setAutosaveMinutes: (minutes) => ipcRenderer.invoke("autosave:setMinutes", minutes),
   saveAutosaveBackup: (data) => ipcRenderer.invoke("autosave:save", data),
-  clearAutosaveBackup: () => ipcRenderer.invoke("autosave:clear"),
+  clearAutosaveBackup: (tabId) => ipcRenderer.invoke("autosave:clear", tabId),
   getOrphanedAutosaves: () => ipcRenderer.invoke("autosave:getOrphaned"),
   removeOrphanedBackup: (path) => ipcRenderer.invoke("autosave:removeOrphaned", path),
 
   // File watching
-  watchFile: (filePath) => ipcRenderer.invoke("file:watch", filePath),
-  unwatchFile: () => ipcRenderer.invoke("file:unwatch"),
-  setFileIgnoring: (flag) => ipcRenderer.invoke("file:setIgnoring", flag),
+  watchFile: (filePath, tabId) => ipcRenderer.invoke("file:watch", filePath, tabId),
+  unwatchFile: (tabId) => ipcRenderer.invoke("file:unwatch", tabId),
+  setFileIgnoring: (flag, tabId) => ipcRenderer.invoke("file:setIgnoring", flag, tabId),
   onFileChanged: (callback) => {
-    const listener = () => callback();
+    const listener = (_event, tabId) => callback(tabId);
     ipcRenderer.on("file:changed", listener);
     return () => ipcRenderer.removeListener("file:changed", listener);
   },
 
+  // Export
+  exportHtml: (data) => ipcRenderer.invoke("export:html", data),
+  exportPdf: (data) => ipcRenderer.invoke("export:pdf", data),
+  showItemInFolder: (filePath) => ipcRenderer.invoke("shell:showItemInFolder", filePath),
+
+  // Folder (Explorer pane)
+  openFolder: () => ipcRenderer.invoke("folder:open"),
+  listFolder: (dirPath) => ipcRenderer.invoke("folder:list", dirPath),
+  listPathEntries: (baseDir, dirPath) => ipcRenderer.invoke("folder:listPathEntries", baseDir, dirPath),
+  createFolderFile: (dirPath, name) => ipcRenderer.invoke("folder:createFile", dirPath, name),
+  createFolderDir: (dirPath, name) => ipcRenderer.invoke("folder:createFolder", dirPath, name),
+  renameFolderEntry: (oldPath, newName) => ipcRenderer.invoke("folder:rename", oldPath, newName),
+  moveFolderEntry: (srcPath, destDir) => ipcRenderer.invoke("folder:move", srcPath, destDir),
+  deleteFolderEntry: (entryPath) => ipcRenderer.invoke("folder:delete", entryPath),
+  watchFolder: (dirPath) => ipcRenderer.invoke("folder:watch", dirPath),
+  unwatchFolder: () => ipcRenderer.invoke("folder:unwatch"),
+  onFolderChanged: (callback) => {
+    const listener = () => callback();
+    ipcRenderer.on("folder:changed", listener);
+    return () => ipcRenderer.removeListener("folder:changed", listener);
+  },
+
   // File watch settings
   getFileWatchEnabled: () => ipcRenderer.invoke("fileWatch:getEnabled"),
   setFileWatchEnabled: (enabled) => ipcRenderer.invoke("fileWatch:setEnabled", enabled),
@@ -0,0 +1,448 @@
+/**
+ * @fileoverview コマンドパレット
+ * @description
+ * Ctrl+Shift+P で開き、コマンドレジストリ（keybindings.js）の全コマンドを
+ * あいまい検索して実行する。見出しへの移動・最近使ったファイル・テンプレートからの新規作成の
+ * 一覧も兼ねる。
+ *
+ * 【動作フロー】
+ * - showCommandPalette() がオーバーレイを表示する。一覧は 4 種類
+ *   - commands: 全コマンド（「カテゴリ: 名前」とショートカット）。
+ *     検索語が空のときは最近使ったコマンドを先頭に並べる
+ *   - headings: 現在のドキュメントの見出し（toc-pane.js の parseHeadings()）。
+ *     commands で "@" から入力しても切り替わる
+ *   - recent: 最近使ったファイル（メインプロセスの getRecentFiles()）
+ *   - templates: テンプレートフォルダの Markdown ファイル（listTemplates()）。
+ *     選ぶと "newFromTemplate:<ファイル名>" を実行する
+ * - 入力のたびに fuzzyMatch() で絞り込み、スコア順（同点なら最近使った順）に並べ、
+ *   一致した文字を強調する
+ * - ↑↓ で選択、Enter で実行、Esc で閉じる。commands 以外で入力が空のときの
+ *   Backspace は commands に戻る
+ * - コマンドは runCommand()（handleMenuAction）で実行し、ID を最近使った順に記録する
+ *
+ * 【注意】
+ * - 最近使ったコマンドは localStorage（mdpad:recentCommands）に保存する
+ * - 表のコマンドはカーソルが表の中にあるときだけ表示する
+ * - ラベルは t() で現在の言語に訳す。英語のコマンド ID でも検索できる
+ *
+ * @file command-palette.js
+ * @version 1.1.00106
+ * @since 1.1.00105
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { t } from "../../i18n/i18n-renderer.js";
+import { getCommands, formatAccelerator, runCommand } from "./keybindings.js";
+import { getEditor, getContent, goToLine } from "./editor-pane.js";
+import { parseHeadings } from "./toc-pane.js";
+import { isInTable } from "./table-editor.js";
+import { fuzzyMatch } from "../lib/fuzzy-match.js";
+
+/**
+ * 最近使ったコマンドの localStorage キー
+ * @type {string}
+ */
+const RECENT_STORAGE_KEY = "mdpad:recentCommands";
+
+/**
+ * 記録する最近使ったコマンドの件数
+ * @type {number}
+ */
+const RECENT_MAX = 20;
+
+/**
+ * 一度に表示する最大件数
+ * @type {number}
+ */
+const MAX_ITEMS = 200;
+
+/**
+ * パレット自身のコマンド（一覧には出さない）
+ * @type {string}
+ */
+const PALETTE_COMMAND_ID = "commandPalette";
+
+/**
+ * 最近使ったコマンド ID（新しい順）を返す。
+ *
+ * @returns {string[]}
+ */
+function loadRecent() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY) || "[]");
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * コマンドを最近使ったコマンドの先頭に記録する。
+ *
+ * @param {string} id - コマンド ID
+ */
+function recordRecent(id) {
+  const ids = [id, ...loadRecent().filter((item) => item !== id)].slice(0, RECENT_MAX);
+  localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(ids));
+}
+
+/**
+ * commands 一覧の項目を作る。
+ *
+ * @returns {Array<{id: string, label: string, searchText: string, shortcut: string}>}
+ */
+function buildCommandItems() {
+  const editor = getEditor();
+  const inTable = editor ? isInTable(editor.state) : false;
+  return getCommands()
+    .filter((command) => command.id !== PALETTE_COMMAND_ID)
+    .filter((command) => command.category !== "table" || inTable)
+    .map((command) => ({
+      id: command.id,
+      label: `${t(`keybindings.category_${command.category}`)}: ${t(command.label)}`,
+      searchText: command.id,
+      shortcut: formatAccelerator(command.key),
+    }));
+}
+
+/**
+ * headings 一覧の項目を作る。
+ *
+ * @returns {Array<{line: number, label: string, detail: string, level: number}>}
+ */
+function buildHeadingItems() {
+  return parseHeadings(getContent()).map((heading) => ({
+    line: heading.line,
+    level: heading.level,
+    label: heading.text,
+    detail: `H${heading.level} · ${t("palette.line").replace("{line}", String(heading.line))}`,
+  }));
+}
+
+/**
+ * recent 一覧の項目を作る。
+ *
+ * @async
+ * @returns {Promise<Array<{path: string, label: string, detail: string}>>}
+ */
+async function buildRecentItems() {
+  const files = (await window.mdpad.getRecentFiles()) || [];
+  return files.map((filePath) => ({
+    path: filePath,
+    label: filePath.split(/[\\/]/).pop(),
+    detail: filePath,
+  }));
+}
+
+/**
+ * templates 一覧の項目を作る。
+ *
+ * @async
+ * @returns {Promise<Array<{template: string, label: string, detail: string}>>}
+ */
+async function buildTemplateItems() {
+  const templates = (await window.mdpad.listTemplates()) || [];
+  return templates.map((template) => ({
+    template: template.fileName,
+    label: template.name,
+    detail: template.fileName,
+  }));
+}
+
+/**
+ * 一致した文字を強調したラベルの DOM を作る。
+ *
+ * @param {string} text - ラベル
+ * @param {number[]} indices - 一致した文字の位置
+ * @returns {DocumentFragment}
+ */
+function highlightLabel(text, indices) {
+  const fragment = document.createDocumentFragment();
+  const matched = new Set(indices);
+  let run = "";
+  let runMatched = false;
+  const flush = () => {
+    if (!run) return;
+    if (runMatched) {
+      const mark = document.createElement("span");
+      mark.textContent = run;
+      mark.style.cssText = "color:var(--mdpad-accent-fg);font-weight:700;";
+      fragment.appendChild(mark);
+    } else {
+      fragment.appendChild(document.createTextNode(run));
+    }
+    run = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const isMatch = matched.has(i);
+    if (isMatch !== runMatched) {
+      flush();
+      runMatched = isMatch;
+    }
+    run += text[i];
+  }
+  flush();
+  return fragment;
+}
+
+/**
+ * コマンドパレットを表示する。
+ *
+ * @function showCommandPalette
+ * @param {"commands"|"headings"|"recent"|"templates"} [initialMode="commands"] - 最初に表示する一覧
+ */
+export function showCommandPalette(initialMode = "commands") {
+  document.getElementById("command-palette-overlay")?.remove();
+
+  // Close any open popups
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "command-palette-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.2);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:10vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "width:600px;max-width:90vw;display:flex;flex-direction:column;overflow:hidden;" +
+    "box-shadow:0 8px 24px rgba(0,0,0,0.2);color:var(--mdpad-fg);";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "command-palette-input";
+  input.spellcheck = false;
+  input.style.cssText =
+    "padding:10px 12px;border:none;border-bottom:1px solid var(--mdpad-border);font-size:14px;" +
+    "background:var(--mdpad-bg);color:var(--mdpad-fg);outline:none;";
+  modal.appendChild(input);
+
+  const listEl = document.createElement("div");
+  listEl.className = "command-palette-list";
+  listEl.style.cssText = "max-height:50vh;overflow-y:auto;padding:4px 0;";
+  modal.appendChild(listEl);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  let mode = initialMode;
+  const commandItems = buildCommandItems();
+  let headingItems = null;
+  let recentItems = null;
+  let templateItems = null;
+  /** 表示中の項目（絞り込み済み） */
+  let visible = [];
+  let selectedIndex = 0;
+
+  const placeholders = {
+    commands: t("palette.placeholder"),
+    headings: t("palette.headingsPlaceholder"),
+    recent: t("palette.recentPlaceholder"),
+    templates: t("palette.templatesPlaceholder"),
+  };
+  const emptyMessages = {
+    commands: t("palette.noMatch"),
+    headings: t("palette.noHeadings"),
+    recent: t("palette.noRecent"),
+    templates: t("palette.noTemplates"),
+  };
+
+  /** 一覧を切り替える */
+  async function setMode(newMode) {
+    mode = newMode;
+    input.value = "";
+    input.placeholder = placeholders[mode];
+    if (mode === "recent" && !recentItems) {
+      recentItems = await buildRecentItems();
+      if (!overlay.isConnected) return;
+    }
+    if (mode === "templates" && !templateItems) {
+      templateItems = await buildTemplateItems();
+      if (!overlay.isConnected) return;
+    }
+    render();
+  }
+
+  /** 現在の一覧を検索語で絞り込む */
+  function filterItems() {
+    let query = input.value;
+    let items;
+    let recent = [];
+    if (mode === "commands" && query.startsWith("@")) {
+      query = query.slice(1);
+      if (!headingItems) headingItems = buildHeadingItems();
+      items = headingItems;
+    } else if (mode === "headings") {
+      if (!headingItems) headingItems = buildHeadingItems();
+      items = headingItems;
+    } else if (mode === "recent") {
+      items = recentItems || [];
+    } else if (mode === "templates") {
+      items = templateItems || [];
+    } else {
+      items = commandItems;
+      recent = loadRecent();
+    }
+
+    const results = [];
+    items.forEach((item, order) => {
+      let match = fuzzyMatch(query, item.label);
+      let indices = match ? match.indices : [];
+      if (!match && item.searchText) {
+        match = fuzzyMatch(query, item.searchText);
+        indices = [];
+      }
+      if (!match) return;
+      const recentRank = item.id ? recent.indexOf(item.id) : -1;
+      results.push({ item, indices, score: match.score, recentRank, order });
+    });
+
+    const rankOf = (result) => (result.recentRank < 0 ? Infinity : result.recentRank);
+    results.sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      if (rankOf(a) !== rankOf(b)) return rankOf(a) - rankOf(b);
+      return a.order - b.order;
+    });
+    return results.slice(0, MAX_ITEMS);
+  }
+
+  /** 一覧を描き直す */
+  function render() {
+    visible = filterItems();
+    selectedIndex = 0;
+    listEl.textContent = "";
+
+    if (visible.length === 0) {
+      const emptyEl = document.createElement("div");
+      const headingQuery = mode === "headings" || (mode === "commands" && input.value.startsWith("@"));
+      emptyEl.textContent = headingQuery ? emptyMessages.headings : emptyMessages[mode];
+      emptyEl.style.cssText = "padding:10px 12px;color:var(--mdpad-fg-muted);font-size:13px;";
+      listEl.appendChild(emptyEl);
+      return;
+    }
+
+    visible.forEach((result, index) => {
+      const { item } = result;
+      const row = document.createElement("div");
+      row.className = "command-palette-item";
+      if (item.id) row.dataset.commandId = item.id;
+      if (item.line) row.dataset.line = String(item.line);
+      if (item.path) row.dataset.path = item.path;
+      if (item.template) row.dataset.template = item.template;
+      row.style.cssText =
+        "display:flex;align-items:center;gap:12px;padding:5px 12px;cursor:pointer;font-size:13px;";
+
+      const labelEl = document.createElement("div");
+      labelEl.style.cssText = "flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;";
+      if (item.level) labelEl.style.paddingLeft = `${(item.level - 1) * 12}px`;
+      labelEl.appendChild(highlightLabel(item.label, result.indices));
+      row.appendChild(labelEl);
+
+      const sideText = item.shortcut || item.detail;
+      if (sideText) {
+        const sideEl = document.createElement("div");
+        sideEl.className = item.shortcut ? "command-palette-shortcut" : "command-palette-detail";
+        sideEl.textContent = sideText;
+        sideEl.style.cssText =
+          "flex-shrink:1;max-width:50%;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" +
+          "font-size:12px;color:var(--mdpad-fg-muted);" +
+          (item.shortcut ? "font-family:monospace;" : "direction:rtl;text-align:right;");
+        row.appendChild(sideEl);
+      }
+
+      row.addEventListener("mousemove", () => {
+        if (selectedIndex !== index) select(index);
+      });
+      row.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        selectedIndex = index;
+        accept();
+      });
+      listEl.appendChild(row);
+    });
+    select(0);
+  }
+
+  /** 選択行を変える */
+  function select(index) {
+    const rows = listEl.querySelectorAll(".command-palette-item");
+    if (rows.length === 0) return;
+    selectedIndex = (index + rows.length) % rows.length;
+    rows.forEach((row, i) => {
+      row.style.background = i === selectedIndex ? "var(--mdpad-bg-subtle)" : "";
+      row.classList.toggle("selected", i === selectedIndex);
+    });
+    rows[selectedIndex].scrollIntoView({ block: "nearest" });
+  }
+
+  /** 選択中の項目を実行する */
+  function accept() {
+    const result = visible[selectedIndex];
+    if (!result) return;
+    const { item } = result;
+    if (item.id === "goToHeading") {
+      recordRecent(item.id);
+      setMode("headings");
+      return;
+    }
+    if (item.id === "openRecentPicker") {
+      recordRecent(item.id);
+      setMode("recent");
+      return;
+    }
+    if (item.id === "newFromTemplate") {
+      recordRecent(item.id);
+      setMode("templates");
+      return;
+    }
+    close();
+    if (item.id) {
+      recordRecent(item.id);
+      runCommand(item.id);
+    } else if (item.line) {
+      goToLine(item.line);
+    } else if (item.path) {
+      runCommand("openRecent:" + item.path);
+    } else if (item.template) {
+      runCommand("newFromTemplate:" + item.template);
+    }
+  }
+
+  input.addEventListener("input", render);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      select(selectedIndex + (e.key === "ArrowDown" ? 1 : -1));
+    } else if (e.key === "PageDown" || e.key === "PageUp") {
+      e.preventDefault();
+      select(Math.max(0, Math.min(visible.length - 1, selectedIndex + (e.key === "PageDown" ? 10 : -10))));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      accept();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    } else if (e.key === "Backspace" && input.value === "" && mode !== "commands") {
+      e.preventDefault();
+      setMode("commands");
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+  window.addEventListener("mdpad:closePopups", close);
+
+  function close() {
+    window.removeEventListener("mdpad:closePopups", close);
+    if (!overlay.isConnected) return;
+    overlay.remove();
+    const editor = getEditor();
+    if (editor) editor.focus();
+  }
+
+  setMode(initialMode);
+  input.focus();
+}
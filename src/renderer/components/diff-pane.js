@@ -1,19 +1,44 @@
-import { computeDiff } from "../lib/diff-engine.js";
+import { computeDiffWithHunks } from "../lib/diff-engine.js";
 import {
   renderInlineDiff,
   renderSideBySideDiff,
 } from "../lib/diff-renderer.js";
+import {
+  computeMerge,
+  resolveConflict,
+  countUnresolved,
+  buildMergedText,
+} from "../lib/merge-engine.js";
+import { getEditor, refreshChangeGutter } from "./editor-pane.js";
+import {
+  HEAD_REVISION,
+  INDEX_REVISION,
+  revisionLabel,
+  revisionTitle,
+  loadRevisionContent,
+  showRevisionPicker,
+} from "./git-revision-picker.js";
+import { showGitErrorDialog } from "./git-panel.js";
 import { t, onLocaleChange } from "../../i18n/i18n-renderer.js";
 
 let diffContainer = null;
 let toolbarEl = null;
 let contentEl = null;
-let diffMode = "history"; // "history", "file", or "git"
+let diffMode = "history"; // "history", "file", "git", or "merge"
 let viewMode = "sideBySide"; // "sideBySide" or "inline"
 let comparisonFileContent = null;
 let comparisonFilePath = null;
 let gitAvailable = false; // whether the current file is in a tracked git repo
-let gitHeadContent = null; // cached HEAD content for git diff
+let gitBase = HEAD_REVISION; // git revision compared from
+let gitTarget = null; // git revision compared to; null = editor buffer
+let gitRevisionPath = null; // file the revisions were picked for
+let gitBaseContent = null; // cached content of gitBase
+let gitTargetContent = null; // cached content of gitTarget
+let mergeSession = null; // active three-way merge (see startMerge)
+let lastDiff = null; // { oldText, newText, hunks } of the rendered diff, for per-hunk actions
+
+// Stable runs longer than this are collapsed to their first/last lines
+const MERGE_CONTEXT_LINES = 3;
 
 export function initDiff(container) {
   diffContainer = container;
@@ -37,9 +62,15 @@ function renderDiffUI() {
       <option value="history" ${diffMode === "history" ? "selected" : ""}>${t("diffPane.editHistory")}</option>
       <option value="file" ${diffMode === "file" ? "selected" : ""}>${t("diffPane.fileCompare")}</option>
       ${gitAvailable ? `<option value="git" ${diffMode === "git" ? "selected" : ""}>${t("diffPane.vsGit")}</option>` : ""}
+      ${mergeSession ? `<option value="merge" ${diffMode === "merge" ? "selected" : ""}>${t("diffPane.merge")}</option>` : ""}
     </select>
     <button id="diff-open-file" style="display:none">${t("diffPane.openFile")}</button>
-    <span id="diff-file-name" style="display:none;color:#57606a;font-size:11px;"></span>
+    <span id="diff-git-revisions" style="display:none">
+      <button id="diff-git-base"></button>
+      <span class="diff-git-arrow">\u2192</span>
+      <button id="diff-git-target"></button>
+    </span>
+    <span id="diff-file-name" style="display:none;color:var(--mdpad-fg-muted);font-size:11px;"></span>
     <div style="flex:1"></div>
     <select id="diff-view-select">
       <option value="sideBySide" ${viewMode === "sideBySide" ? "selected" : ""}>${t("diffPane.sideBySide")}</option>
@@ -52,6 +83,8 @@ function renderDiffUI() {
   contentEl = document.createElement("div");
   contentEl.className = "diff-content";
   contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.noChanges")}</div>`;
+  contentEl.addEventListener("click", handleMergeClick);
+  contentEl.addEventListener("click", handleHunkClick);
   diffContainer.appendChild(contentEl);
 
   // Restore file name display
@@ -64,6 +97,7 @@ function renderDiffUI() {
   toolbarEl.querySelector("#diff-mode-select").addEventListener("change", (e) => {
     diffMode = e.target.value;
     updateFileButtonVisibility();
+    refreshChangeGutter();
     if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
   });
 
@@ -80,16 +114,70 @@ function renderDiffUI() {
       const fileName = result.path.split(/[\\/]/).pop();
       toolbarEl.querySelector("#diff-file-name").textContent = fileName;
       toolbarEl.querySelector("#diff-file-name").style.display = "inline";
+      refreshChangeGutter();
       if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
     }
   });
 
+  toolbarEl.querySelector("#diff-git-base").addEventListener("click", () => pickGitRevision("base"));
+  toolbarEl.querySelector("#diff-git-target").addEventListener("click", () => pickGitRevision("target"));
+  updateGitRevisionButtons();
+
   updateFileButtonVisibility();
+  if (diffMode === "merge") renderMergeView();
+}
+
+function updateGitRevisionButtons() {
+  const baseBtn = toolbarEl.querySelector("#diff-git-base");
+  const targetBtn = toolbarEl.querySelector("#diff-git-target");
+  baseBtn.textContent = revisionLabel(gitBase);
+  baseBtn.title = t("gitRevision.pickBase") + ": " + revisionTitle(gitBase);
+  targetBtn.textContent = revisionLabel(gitTarget);
+  targetBtn.title = t("gitRevision.pickTarget") + ": " + revisionTitle(gitTarget);
+}
+
+async function pickGitRevision(side) {
+  const currentPath = getCurrentFilePath();
+  if (!currentPath) return;
+  const result = await showRevisionPicker({
+    filePath: currentPath,
+    title: t(side === "base" ? "gitRevision.pickBase" : "gitRevision.pickTarget"),
+    allowBuffer: side === "target",
+    selected: side === "base" ? gitBase : gitTarget,
+  });
+  if (!result) return;
+  if (currentPath !== gitRevisionPath) resetGitRevisions(currentPath);
+  // The editor buffer is only offered as the target
+  if (side === "base") {
+    gitBase = result.revision || HEAD_REVISION;
+    gitBaseContent = null;
+  } else {
+    gitTarget = result.revision;
+    gitTargetContent = null;
+  }
+  updateGitRevisionButtons();
+  refreshChangeGutter();
+  if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
+}
+
+function getCurrentFilePath() {
+  return typeof window.__mdpadGetCurrentFilePath === "function"
+    ? window.__mdpadGetCurrentFilePath()
+    : null;
+}
+
+/** Encoding and BOM of the active tab ({ encoding, bom }). */
+function getCurrentEncoding() {
+  return typeof window.__mdpadGetCurrentEncoding === "function"
+    ? window.__mdpadGetCurrentEncoding()
+    : { encoding: "utf-8", bom: false };
 }
 
 function updateFileButtonVisibility() {
   const btn = toolbarEl.querySelector("#diff-open-file");
   const name = toolbarEl.querySelector("#diff-file-name");
+  toolbarEl.querySelector("#diff-git-revisions").style.display =
+    diffMode === "git" ? "inline-flex" : "none";
   if (diffMode === "file") {
     btn.style.display = "inline-block";
     if (comparisonFilePath) {
@@ -104,6 +192,12 @@ function updateFileButtonVisibility() {
 export async function updateDiff(currentContent, originalContent) {
   if (!contentEl) return;
 
+  // The merge view has its own inputs; editor changes are checked on accept
+  if (diffMode === "merge") {
+    renderMergeView();
+    return;
+  }
+
   let oldText, newText;
 
   if (diffMode === "history") {
@@ -118,43 +212,168 @@ export async function updateDiff(currentContent, originalContent) {
     oldText = comparisonFileContent;
     newText = currentContent || "";
   } else if (diffMode === "git") {
-    // Git HEAD comparison
-    if (gitHeadContent === null) {
+    // Git revision comparison (base defaults to HEAD, target to the buffer)
+    const currentPath = getCurrentFilePath();
+    if (!currentPath) {
+      contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.gitNoFile")}</div>`;
+      return;
+    }
+    if (currentPath !== gitRevisionPath) resetGitRevisions(currentPath);
+
+    const base = gitBase;
+    const target = gitTarget;
+    if (gitBaseContent === null || (target && gitTargetContent === null)) {
       contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.loadingGit")}</div>`;
       try {
-        const currentPath = typeof window.__mdpadGetCurrentFilePath === "function"
-          ? window.__mdpadGetCurrentFilePath()
-          : null;
-        if (!currentPath) {
-          contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.gitNoFile")}</div>`;
-          return;
-        }
-        gitHeadContent = await window.mdpad.getGitFileContent(currentPath);
-        if (gitHeadContent === null) {
-          contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.gitNoContent")}</div>`;
+        const baseContent = gitBaseContent !== null
+          ? gitBaseContent
+          : await loadRevisionContent(currentPath, base);
+        const targetContent = !target || gitTargetContent !== null
+          ? gitTargetContent
+          : await loadRevisionContent(currentPath, target);
+        // Another revision was picked while loading
+        if (base !== gitBase || target !== gitTarget) return;
+        if (baseContent === null || (target && targetContent === null)) {
+          const missing = baseContent === null ? base : target;
+          contentEl.innerHTML = `<div class="diff-empty">${escapeHtml(
+            t("diffPane.gitNoContent").replace("{rev}", revisionLabel(missing))
+          )}</div>`;
           return;
         }
+        gitBaseContent = baseContent;
+        gitTargetContent = targetContent;
+        refreshChangeGutter();
       } catch {
         contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.gitError")}</div>`;
         return;
       }
     }
-    oldText = gitHeadContent;
-    newText = currentContent || "";
+    oldText = gitBaseContent;
+    newText = target ? gitTargetContent : currentContent || "";
   }
 
+  lastDiff = null;
   if (oldText === newText) {
     contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.noChangesDiff")}</div>`;
     return;
   }
 
-  const diffResult = computeDiff(oldText, newText);
+  const { lines: diffResult, hunks } = computeDiffWithHunks(oldText, newText);
+  if (hunks.length === 0) {
+    // Only line endings differ
+    contentEl.innerHTML = `<div class="diff-empty">${t("diffPane.noChangesDiff")}</div>`;
+    return;
+  }
+  // Two git revisions are read-only; hunks apply to the editor buffer only
+  const readOnly = diffMode === "git" && gitTarget !== null;
+  lastDiff = readOnly ? null : { oldText, newText, hunks };
+  const options = {
+    hunkAction: readOnly ? null : getHunkAction(),
+    stageAction: readOnly || !isStagingDiff() ? null : {
+      label: t("diffPane.stageHunk"),
+      title: t("diffPane.stageHunkTitle"),
+    },
+  };
 
   if (viewMode === "sideBySide") {
-    contentEl.innerHTML = renderSideBySideDiff(diffResult);
+    contentEl.innerHTML = renderSideBySideDiff(diffResult, options);
   } else {
-    contentEl.innerHTML = renderInlineDiff(diffResult);
+    contentEl.innerHTML = renderInlineDiff(diffResult, options);
+  }
+}
+
+// Per-hunk button: puts the compared (old) side back into the editor
+function getHunkAction() {
+  if (diffMode === "file") {
+    return { label: t("diffPane.takeHunk"), title: t("diffPane.takeHunkTitle") };
+  }
+  if (diffMode === "git") {
+    const rev = revisionLabel(gitBase);
+    return {
+      label: t("diffPane.revertHunkGit").replace("{rev}", rev),
+      title: t("diffPane.revertHunkGitTitle").replace("{rev}", rev),
+    };
+  }
+  return { label: t("diffPane.revertHunk"), title: t("diffPane.revertHunkTitle") };
+}
+
+// Index → buffer: hunks can be staged into the index
+function isStagingDiff() {
+  return diffMode === "git" && gitBase.rev === INDEX_REVISION.rev && gitTarget === null;
+}
+
+function handleHunkClick(e) {
+  if (e.target.closest(".diff-hunk-stage")) {
+    stageHunk(e.target.closest(".diff-hunk-stage"));
+    return;
+  }
+  const button = e.target.closest(".diff-hunk-revert");
+  if (!button || !lastDiff) return;
+  const view = getEditor();
+  const hunk = lastDiff.hunks[Number(button.dataset.hunk)];
+  if (!view || !hunk) return;
+
+  // Offsets are only valid for the text the diff was computed from
+  if (view.state.doc.toString() !== lastDiff.newText) {
+    if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
+    return;
+  }
+  // One transaction, so a single undo restores the hunk
+  view.dispatch({
+    changes: { from: hunk.newFrom, to: hunk.newTo, insert: hunk.oldText },
+    selection: { anchor: hunk.newFrom },
+    scrollIntoView: true,
+    userEvent: "input.revert",
+  });
+  view.focus();
+}
+
+/**
+ * Write the index content with one hunk of the buffer applied.
+ * The rest of the index (and the file on disk) is left as it is.
+ */
+async function stageHunk(button) {
+  const filePath = getCurrentFilePath();
+  if (!lastDiff || !filePath || !isStagingDiff()) return;
+  const hunk = lastDiff.hunks[Number(button.dataset.hunk)];
+  if (!hunk) return;
+
+  const view = getEditor();
+  if (view && view.state.doc.toString() !== lastDiff.newText) {
+    if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
+    return;
+  }
+  // Hunk offsets are on LF-normalized text; keep the index's line endings
+  const indexText = lastDiff.oldText.replace(/\r\n?/g, "\n");
+  const newText = lastDiff.newText.replace(/\r\n?/g, "\n");
+  let staged =
+    indexText.slice(0, hunk.oldFrom) +
+    newText.slice(hunk.newFrom, hunk.newTo) +
+    indexText.slice(hunk.oldTo);
+  if (lastDiff.oldText.includes("\r\n")) staged = staged.replace(/\n/g, "\r\n");
+
+  button.disabled = true;
+  const { encoding, bom } = getCurrentEncoding();
+  const result = await window.mdpad.gitStageContent(filePath, staged, encoding, bom);
+  if (!result.ok) {
+    button.disabled = false;
+    showGitErrorDialog(result.error);
+    return;
   }
+  gitBaseContent = null;
+  refreshChangeGutter();
+  if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
+  window.dispatchEvent(new CustomEvent("mdpad:gitChanged"));
+}
+
+/**
+ * Text the editor is currently compared against (for the change gutter).
+ * Falls back to the last loaded content when the selected source is not loaded.
+ */
+export function getDiffBaseline(originalContent) {
+  if (diffMode === "file" && comparisonFileContent !== null) return comparisonFileContent;
+  if (diffMode === "git" && gitTarget === null && gitBaseContent !== null) return gitBaseContent;
+  return originalContent || "";
 }
 
 export function getDiffMode() {
@@ -169,6 +388,7 @@ export function setDiffGitAvailable(available) {
   gitAvailable = available;
   if (!available && diffMode === "git") {
     diffMode = "history";
+    refreshChangeGutter();
   }
   if (wasAvailable !== available) {
     renderDiffUI();
@@ -176,8 +396,210 @@ export function setDiffGitAvailable(available) {
 }
 
 /**
- * Clear the cached git HEAD content (e.g. on file reload or git change).
+ * Switch to git mode comparing two revisions (e.g. a commit and its parent,
+ * from the blame gutter). target null compares against the editor buffer.
+ */
+export function showGitRevisions(base, target) {
+  diffMode = "git";
+  gitBase = base;
+  gitTarget = target;
+  gitBaseContent = null;
+  gitTargetContent = null;
+  gitRevisionPath = getCurrentFilePath();
+  renderDiffUI();
+  refreshChangeGutter();
+  if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
+}
+
+/**
+ * Clear the cached git revision contents (e.g. on file reload or git change).
+ * The picked revisions are kept; index and branch contents may have moved.
  */
 export function clearDiffGitHeadCache() {
-  gitHeadContent = null;
+  gitBaseContent = null;
+  gitTargetContent = null;
+  refreshChangeGutter();
+}
+
+// Revisions picked for another file do not apply (paths differ)
+function resetGitRevisions(filePath) {
+  gitBase = HEAD_REVISION;
+  gitTarget = null;
+  gitBaseContent = null;
+  gitTargetContent = null;
+  gitRevisionPath = filePath;
+  if (toolbarEl) updateGitRevisionButtons();
+}
+
+// --- Three-way merge ---
+
+/**
+ * Show a three-way merge of base (last loaded), ours (buffer) and theirs (disk).
+ * Non-conflicting changes are merged automatically; conflicts are resolved
+ * hunk by hunk. onAccept(mergedText) is called when the user accepts.
+ * @param {{base: string, ours: string, theirs: string, notice?: string,
+ *   onAccept: function(string): void, onCancel?: function(): void}} options
+ */
+export function startMerge({ base, ours, theirs, notice = "", onAccept, onCancel }) {
+  mergeSession = {
+    chunks: computeMerge(base, ours, theirs),
+    notice,
+    onAccept,
+    onCancel,
+  };
+  diffMode = "merge";
+  renderDiffUI();
+}
+
+/**
+ * Drop the active merge without applying it (e.g. when the tab changes).
+ */
+export function cancelMerge() {
+  if (!mergeSession) return;
+  const { onCancel } = mergeSession;
+  endMerge();
+  if (onCancel) onCancel();
+}
+
+export function isMergeActive() {
+  return !!mergeSession;
+}
+
+function endMerge() {
+  mergeSession = null;
+  if (diffMode === "merge") diffMode = "history";
+  renderDiffUI();
+  if (window._mdpadDiffUpdate) window._mdpadDiffUpdate();
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderMergeLines(lines, cssClass) {
+  if (lines.length === 0) {
+    return `<div class="diff-line ${cssClass}"><span class="diff-line-content merge-empty">${t("diffPane.mergeEmpty")}</span></div>`;
+  }
+  return lines
+    .map((line) => `<div class="diff-line ${cssClass}"><span class="diff-line-content">${escapeHtml(line)}</span></div>`)
+    .join("");
+}
+
+function renderStableChunk(lines, isFirst, isLast) {
+  const head = isFirst ? 0 : MERGE_CONTEXT_LINES;
+  const tail = isLast ? 0 : MERGE_CONTEXT_LINES;
+  if (lines.length <= head + tail + 1) return renderMergeLines(lines, "unchanged");
+  const hidden = lines.length - head - tail;
+  return (
+    renderMergeLines(lines.slice(0, head), "unchanged") +
+    `<div class="diff-hunk-header">${t("diffPane.mergeUnchanged").replace("{n}", String(hidden))}</div>` +
+    renderMergeLines(lines.slice(lines.length - tail), "unchanged")
+  );
+}
+
+function renderConflictChunk(chunk, index, number) {
+  const choices = [
+    ["ours", "diffPane.mergeUseOurs"],
+    ["theirs", "diffPane.mergeUseTheirs"],
+    ["oursFirst", "diffPane.mergeOursFirst"],
+    ["theirsFirst", "diffPane.mergeTheirsFirst"],
+  ];
+  const buttons = choices
+    .map(([value, key]) => {
+      const active = chunk.resolution === value ? " active" : "";
+      return `<button class="merge-choice${active}" data-chunk="${index}" data-resolution="${value}">${t(key)}</button>`;
+    })
+    .join("");
+  const state = chunk.resolution
+    ? `<span class="merge-state resolved">\u2713 ${t("diffPane.mergeResolved")}</span>`
+    : `<span class="merge-state">${t("diffPane.mergeUnresolved")}</span>`;
+
+  let body;
+  if (chunk.resolution) {
+    body = renderMergeLines(resolveConflict(chunk), "added");
+  } else {
+    body =
+      `<div class="diff-side-by-side">` +
+      `<div class="diff-column"><div class="merge-side-label">${t("diffPane.mergeOurs")}</div>${renderMergeLines(chunk.ours, "removed")}</div>` +
+      `<div class="diff-column"><div class="merge-side-label">${t("diffPane.mergeTheirs")}</div>${renderMergeLines(chunk.theirs, "added")}</div>` +
+      `</div>`;
+  }
+
+  const reset = chunk.resolution
+    ? `<button class="merge-choice" data-chunk="${index}" data-resolution="">${t("diffPane.mergeReset")}</button>`
+    : "";
+  return (
+    `<div class="merge-conflict${chunk.resolution ? " resolved" : ""}">` +
+    `<div class="merge-conflict-header"><strong>${t("diffPane.mergeConflict").replace("{n}", String(number))}</strong>${state}` +
+    `<div style="flex:1"></div>${buttons}${reset}</div>${body}</div>`
+  );
+}
+
+function renderMergeView() {
+  if (!contentEl || !mergeSession) return;
+  const { chunks, notice } = mergeSession;
+  const unresolved = countUnresolved(chunks);
+  const autoCount = chunks.filter((c) => c.type !== "stable" && c.type !== "conflict").length;
+
+  const status = unresolved > 0
+    ? t("diffPane.mergeConflictsLeft").replace("{n}", String(unresolved))
+    : t("diffPane.mergeReady");
+  let html =
+    `<div class="merge-header">` +
+    `<span>${status} \u00b7 ${t("diffPane.mergeAutoCount").replace("{n}", String(autoCount))}</span>` +
+    `<div style="flex:1"></div>` +
+    `<button data-merge-action="cancel">${t("diffPane.mergeCancel")}</button>` +
+    `<button data-merge-action="accept" class="merge-accept"${unresolved > 0 ? " disabled" : ""}>${t("diffPane.mergeAccept")}</button>` +
+    `</div>`;
+  if (notice) html += `<div class="merge-notice">${escapeHtml(notice)}</div>`;
+
+  let conflictNumber = 0;
+  chunks.forEach((chunk, i) => {
+    if (chunk.type === "stable") {
+      html += renderStableChunk(chunk.lines, i === 0, i === chunks.length - 1);
+    } else if (chunk.type === "conflict") {
+      conflictNumber++;
+      html += renderConflictChunk(chunk, i, conflictNumber);
+    } else {
+      const label = t(
+        chunk.type === "ours" ? "diffPane.mergeAutoOurs"
+          : chunk.type === "theirs" ? "diffPane.mergeAutoTheirs"
+            : "diffPane.mergeAutoBoth"
+      );
+      html +=
+        `<div class="merge-auto"><div class="merge-side-label">${label}</div>` +
+        renderMergeLines(chunk.lines, "added") +
+        `</div>`;
+    }
+  });
+
+  contentEl.innerHTML = `<div class="diff-merge">${html}</div>`;
+}
+
+function handleMergeClick(e) {
+  if (!mergeSession) return;
+  const button = e.target.closest("button");
+  if (!button || button.disabled) return;
+
+  if (button.dataset.resolution !== undefined) {
+    const chunk = mergeSession.chunks[Number(button.dataset.chunk)];
+    if (chunk && chunk.type === "conflict") {
+      chunk.resolution = button.dataset.resolution || null;
+      renderMergeView();
+    }
+    return;
+  }
+
+  if (button.dataset.mergeAction === "cancel") {
+    cancelMerge();
+  } else if (button.dataset.mergeAction === "accept") {
+    const { chunks, onAccept } = mergeSession;
+    const merged = buildMergedText(chunks);
+    endMerge();
+    onAccept(merged);
+  }
 }
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview 編集モード（標準 / Vim / Emacs）の切り替え
+ * @description
+ * @replit/codemirror-vim と @replit/codemirror-emacs を Compartment に入れ、
+ * 設定 "editingMode" に従ってエディタのキー操作を切り替える。
+ *
+ * 【動作フロー】
+ * - getEditingModeExtension() が設定を読み、createEditor() の先頭に入る
+ *   （Vim / Emacs のキー処理をほかのキーマップより先に受け取るため）
+ * - 設定の変更（メニュー・Preferences・ほかのウィンドウ）は setEditingMode() で反映する
+ * - Vim: モードが変わるたびに onVimModeChange() のコールバックを呼ぶ（ステータスバー表示）。
+ *   :w / :q / :wq / :x / :e [path] / :e! は setEditingCommandHandler() で登録した
+ *   関数（index.js の保存・タブを閉じる・開く処理）に渡す
+ * - Emacs: C-x C-s / C-x C-w / C-x C-f / C-x k を同じ関数に渡す。
+ *   キルリングはこのモジュールで持ち、矩形選択（Alt+ドラッグ、C-x r）を C-w / M-w すると
+ *   矩形として記録して C-y で矩形のまま貼り付ける
+ *
+ * 【注意】
+ * - キルはシステムのクリップボードにも書き込み、rect-select.js の矩形クリップボードの
+ *   状態も更新する（Ctrl+V でも矩形として貼り付く）。逆に Ctrl+C / Ctrl+X でのコピーも
+ *   キルリングに入る
+ * - メニューのショートカット（Ctrl+S、Ctrl+W など）はエディタより先に処理されるため、
+ *   同じキーの Vim / Emacs の操作を使うにはキーボードショートカットで割り当てを外す
+ * - Vim のコマンド定義・Emacs のキー割り当ては両パッケージでグローバルなので、
+ *   モジュール読み込み時に一度だけ登録する
+ *
+ * @file editing-mode.js
+ * @version 1.1.00104
+ * @since 1.1.00104
+ * @revision 1
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { Compartment, EditorSelection, Prec } from "@codemirror/state";
+import { EditorView, ViewPlugin } from "@codemirror/view";
+import { selectGroupBackward, selectGroupForward, undo } from "@codemirror/commands";
+import { vim, Vim, getCM } from "@replit/codemirror-vim";
+import { emacs, EmacsHandler } from "@replit/codemirror-emacs";
+import { getSetting } from "./settings.js";
+import {
+  isRectangularSelection,
+  extractRectText,
+  pasteRectLines,
+  setRectClipboardLines,
+} from "./rect-select.js";
+
+/**
+ * 選択できる編集モード
+ * @type {string[]}
+ */
+export const EDITING_MODES = ["default", "vim", "emacs"];
+
+/**
+ * キルリングに残す件数
+ * @type {number}
+ */
+const KILL_RING_MAX = 30;
+
+/** Compartment（エディタ拡張の動的切り替え用） */
+const editingModeCompartment = new Compartment();
+
+/** 適用中の編集モード（getEditingModeExtension() で設定から読む） */
+let editingMode = "default";
+
+/** Vim の現在のモード（"normal" / "insert" / "visual" など。Vim 以外では null） */
+let vimMode = null;
+
+/** Vim のモード変更時のコールバック */
+const vimModeCallbacks = [];
+
+/** 保存・タブを閉じる・開くを実行する関数（index.js） */
+let commandHandler = null;
+
+/**
+ * キルリング（古い順）。lines はキルした矩形の各行（矩形でなければ null）
+ * @type {Array<{text: string, lines: string[]|null}>}
+ */
+const killRing = [];
+
+/**
+ * index.js の処理を呼ぶ。
+ *
+ * @param {string} command - "save" | "saveAs" | "close" | "saveAndClose" | "open" | "reload"
+ * @param {string} [arg] - "open" で開くパス（省略時はダイアログ）
+ */
+function runCommand(command, arg) {
+  if (commandHandler) commandHandler(command, arg || "");
+}
+
+// --- Vim ---------------------------------------------------------------
+
+Vim.defineEx("write", "w", () => runCommand("save"));
+Vim.defineEx("wq", "wq", () => runCommand("saveAndClose"));
+Vim.defineEx("xit", "x", () => runCommand("saveAndClose"));
+Vim.defineEx("quit", "q", () => runCommand("close"));
+Vim.defineEx("edit", "e", (cm, params) => {
+  const arg = (params.argString || "").trim();
+  if (arg === "!") runCommand("reload");
+  else runCommand("open", arg);
+});
+
+/**
+ * Vim のモード変更を通知する。
+ *
+ * @param {string|null} mode
+ */
+function notifyVimMode(mode) {
+  if (mode === vimMode) return;
+  vimMode = mode;
+  for (const callback of vimModeCallbacks.slice()) callback(mode);
+}
+
+/**
+ * Vim のモードを見張るプラグイン（Vim のプラグインと同時に作られ、破棄される）。
+ * タブ切り替え（setState）でも作り直され、ノーマルモードから始まる。
+ */
+const vimModeWatcher = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.cm = null;
+      this.onModeChange = (event) => {
+        let mode = event.mode;
+        if (event.subMode) mode += event.subMode === "linewise" ? " line" : " block";
+        notifyVimMode(mode);
+      };
+      this.attach(view);
+      notifyVimMode("normal");
+    }
+    update(update) {
+      if (!this.cm) this.attach(update.view);
+    }
+    attach(view) {
+      this.cm = getCM(view);
+      if (this.cm) this.cm.on("vim-mode-change", this.onModeChange);
+    }
+    destroy() {
+      if (this.cm) this.cm.off("vim-mode-change", this.onModeChange);
+      notifyVimMode(null);
+    }
+  }
+);
+
+// --- Emacs -------------------------------------------------------------
+
+/**
+ * キルリングに追加する。
+ *
+ * @param {string} text - キルしたテキスト
+ * @param {string[]|null} lines - 矩形の各行（矩形でなければ null）
+ * @param {boolean} [append=false] - 直前のキルに続ける（C-k の連続）
+ */
+function addKill(text, lines, append = false) {
+  const last = killRing[killRing.length - 1];
+  if (append && last) {
+    last.text += text;
+    last.lines = null;
+    return;
+  }
+  if (!text) return;
+  killRing.push({ text, lines });
+  if (killRing.length > KILL_RING_MAX) killRing.shift();
+}
+
+/**
+ * キルリングの最新の内容をシステムのクリップボードと矩形クリップボードに反映する。
+ *
+ * @param {EditorView} view
+ */
+function syncClipboard(view) {
+  const last = killRing[killRing.length - 1];
+  if (!last) return;
+  navigator.clipboard.writeText(last.text).catch(() => {});
+  setRectClipboardLines(view, last.lines);
+}
+
+/**
+ * 選択範囲をキルリングに記録する（矩形選択なら矩形として）。
+ *
+ * @param {EditorView} view
+ * @returns {boolean} 矩形として記録したら true
+ */
+function killSelection(view) {
+  const state = view.state;
+  if (isRectangularSelection(state)) {
+    const lines = extractRectText(state);
+    addKill(lines.join("\n"), lines);
+    return true;
+  }
+  addKill(state.selection.ranges.map((range) => state.sliceDoc(range.from, range.to)).join("\n"), null);
+  return false;
+}
+
+/**
+ * キルリングの内容を貼り付ける（矩形は矩形のまま）。
+ *
+ * @param {EmacsHandler} handler
+ * @param {{text: string, lines: string[]|null}} entry
+ */
+function yankEntry(handler, entry) {
+  if (entry.lines && pasteRectLines(handler.view, entry.lines)) return;
+  handler.onPaste(entry.text);
+}
+
+// The package's own kill ring is private; these replace its kill/yank commands
+EmacsHandler.addCommands({
+  killRegion: {
+    exec(handler) {
+      const view = handler.view;
+      const rect = killSelection(view);
+      syncClipboard(view);
+      if (rect) {
+        // Each range is on its own line: delete the characters, keep the lines
+        view.dispatch({ changes: view.state.selection.ranges.map((range) => ({ from: range.from, to: range.to })) });
+      } else {
+        view.dispatch(view.state.replaceSelection(""));
+      }
+      handler.setEmacsMark(null);
+    },
+  },
+  killRingSave: {
+    exec(handler) {
+      killSelection(handler.view);
+      syncClipboard(handler.view);
+      handler.clearSelection();
+    },
+    readOnly: true,
+  },
+  killLine: {
+    exec(handler) {
+      handler.pushEmacsMark(null);
+      handler.clearSelection();
+      const view = handler.view;
+      const state = view.state;
+      const text = [];
+      const changes = state.selection.ranges.map((range) => {
+        const from = range.head;
+        let to = state.doc.lineAt(from).to;
+        const rest = state.sliceDoc(from, to);
+        // Only whitespace left on the line: kill the line break too
+        if (/^\s*$/.test(rest) && to < state.doc.length) {
+          to += 1;
+          text.push(rest + "\n");
+        } else {
+          text.push(rest);
+        }
+        return { from, to };
+      });
+      addKill(text.join("\n"), null, handler.$data.lastCommand === "killLine");
+      syncClipboard(view);
+      handler.$data.lastCommand = "killLine";
+      view.dispatch({ changes });
+    },
+    keepLastCommand: true,
+  },
+  killWord: {
+    exec(handler, dir) {
+      const view = handler.view;
+      const selection = view.state.selection;
+      view.dispatch({
+        selection: EditorSelection.create(
+          selection.ranges.map((range) => EditorSelection.cursor(range.head)),
+          selection.mainIndex
+        ),
+      });
+      if (dir === "left") selectGroupBackward(view);
+      else selectGroupForward(view);
+      killSelection(view);
+      syncClipboard(view);
+      view.dispatch(view.state.replaceSelection(""));
+    },
+  },
+  yank: {
+    exec(handler) {
+      const entry = killRing[killRing.length - 1];
+      if (entry) yankEntry(handler, entry);
+      handler.$data.lastCommand = "yank";
+    },
+    keepLastCommand: true,
+  },
+  yankRotate: {
+    exec(handler) {
+      if (handler.$data.lastCommand !== "yank" || killRing.length < 2) return;
+      undo(handler.view);
+      killRing.unshift(killRing.pop());
+      yankEntry(handler, killRing[killRing.length - 1]);
+      handler.$data.lastCommand = "yank";
+    },
+    keepLastCommand: true,
+  },
+});
+
+EmacsHandler.bindKey("C-x C-s", { exec: () => runCommand("save") });
+EmacsHandler.bindKey("C-x C-w", { exec: () => runCommand("saveAs") });
+EmacsHandler.bindKey("C-x C-f", { exec: () => runCommand("open") });
+EmacsHandler.bindKey("C-x k", { exec: () => runCommand("close") });
+
+/**
+ * Ctrl+C / Ctrl+X（メニューの切り取り・コピー、rect-select.js の矩形コピーを含む）も
+ * キルリングに記録する。rect-select.js より先に選択範囲を読むため優先度を上げる。
+ */
+const emacsClipboardHandlers = Prec.high(
+  EditorView.domEventHandlers({
+    copy(event, view) {
+      killSelection(view);
+      return false;
+    },
+    cut(event, view) {
+      killSelection(view);
+      return false;
+    },
+  })
+);
+
+// --- Compartment -------------------------------------------------------
+
+/**
+ * 編集モードの拡張を作る。
+ *
+ * @param {string} mode - "default" | "vim" | "emacs"
+ * @returns {import("@codemirror/state").Extension}
+ */
+function createModeExt(mode) {
+  if (mode === "vim") return [vim(), vimModeWatcher];
+  if (mode === "emacs") return [emacs(), emacsClipboardHandlers];
+  return [];
+}
+
+/**
+ * Compartment ラップされた編集モード拡張を返す。
+ * createEditor() の extensions 配列の先頭に含めて使用する。
+ *
+ * @returns {import("@codemirror/state").Extension}
+ */
+export function getEditingModeExtension() {
+  editingMode = getSetting("editingMode") || "default";
+  return editingModeCompartment.of(createModeExt(editingMode));
+}
+
+/**
+ * 編集モードを設定し、エディタの Compartment を再構成する（状態は保存しない）。
+ *
+ * @param {EditorView} view - エディタビュー
+ * @param {string} mode - "default" | "vim" | "emacs"
+ */
+export function setEditingMode(view, mode) {
+  if (mode === editingMode) return;
+  editingMode = mode;
+  view.dispatch({ effects: editingModeCompartment.reconfigure(createModeExt(mode)) });
+}
+
+/**
+ * 現在の設定で編集モードの Compartment を再構成するエフェクトを返す。
+ * タブ切り替え時（setEditorState）に使用する。
+ *
+ * @returns {import("@codemirror/state").StateEffect}
+ */
+export function getEditingModeReconfigureEffect() {
+  return editingModeCompartment.reconfigure(createModeExt(editingMode));
+}
+
+/**
+ * Vim の現在のモードを返す。
+ *
+ * @returns {string|null} "normal" / "insert" / "visual" / "visual line" / "visual block" /
+ *   "replace"。Vim モードでなければ null
+ */
+export function getVimMode() {
+  return vimMode;
+}
+
+/**
+ * Vim のモードが変わったときのコールバックを登録する。
+ *
+ * @param {function(string|null): void} callback
+ * @returns {function(): void} 登録を解除する関数
+ */
+export function onVimModeChange(callback) {
+  vimModeCallbacks.push(callback);
+  return () => {
+    const index = vimModeCallbacks.indexOf(callback);
+    if (index >= 0) vimModeCallbacks.splice(index, 1);
+  };
+}
+
+/**
+ * Vim の ex コマンドと Emacs のキーで保存・タブを閉じる・開くを実行する関数を登録する。
+ *
+ * @param {function(string, string): void} handler - (command, arg) を受け取る関数
+ */
+export function setEditingCommandHandler(handler) {
+  commandHandler = handler;
+}
@@ -1,5 +1,5 @@
 import { EditorView, scrollPastEnd } from "@codemirror/view";
-import { EditorState, Compartment } from "@codemirror/state";
+import { EditorState, Compartment, StateField, StateEffect, RangeSet } from "@codemirror/state";
 import {
   keymap,
   ViewPlugin,
@@ -11,6 +11,8 @@ import {
   rectangularSelection,
   crosshairCursor,
   highlightActiveLine,
+  gutter,
+  GutterMarker,
 } from "@codemirror/view";
 import { markdown, markdownLanguage } from "@codemirror/lang-markdown";
 import { languages } from "@codemirror/language-data";
@@ -26,9 +28,10 @@ import {
   foldKeymap,
   indentOnInput,
   syntaxHighlighting,
-  defaultHighlightStyle,
+  HighlightStyle,
   bracketMatching,
 } from "@codemirror/language";
+import { tags } from "@lezer/highlight";
 import { closeBrackets, closeBracketsKeymap } from "@codemirror/autocomplete";
 import { autocompletion, completionKeymap } from "@codemirror/autocomplete";
 import { searchKeymap } from "@codemirror/search";
@@ -36,12 +39,51 @@ import { lintKeymap } from "@codemirror/lint";
 import { highlightSelectionMatches } from "@codemirror/search";
 import { t } from "../../i18n/i18n-renderer.js";
 import { rectSelectExtension } from "./rect-select.js";
-import { getFormatKeymap } from "./format-commands.js";
-import { getMinimapExtension } from "./minimap.js";
-import { getLintExtension } from "./markdown-linter.js";
+import { getUserKeymapExtension, getUserKeymapReconfigureEffect } from "./keybindings.js";
+import { getEditingModeExtension, getEditingModeReconfigureEffect } from "./editing-mode.js";
+import { getTableExtension } from "./table-editor.js";
+import { getSnippetExtension } from "./snippets.js";
+import { getMarkdownCompletionExtension } from "./markdown-completion.js";
+import { getImagePasteExtension } from "./image-paste.js";
+import { getMinimapExtension, getMinimapReconfigureEffect } from "./minimap.js";
+import { getLintExtension, getLintReconfigureEffect } from "./markdown-linter.js";
+import { getBlameExtension, getBlameReconfigureEffect } from "./git-blame.js";
+import { computeDiffWithHunks } from "../lib/diff-engine.js";
 
 const wrapCompartment = new Compartment();
 const closeBracketsCompartment = new Compartment();
+const darkThemeCompartment = new Compartment();
+
+// The app theme (View > Theme) drives prefers-color-scheme through nativeTheme
+const darkQuery = window.matchMedia("(prefers-color-scheme: dark)");
+
+// CodeMirror's default highlight style with the colors taken from theme.css,
+// so syntax colors follow the app theme without reconfiguring
+const themeHighlightStyle = HighlightStyle.define([
+  { tag: tags.meta, color: "var(--mdpad-syntax-meta)" },
+  { tag: tags.link, textDecoration: "underline" },
+  { tag: tags.heading, textDecoration: "underline", fontWeight: "bold" },
+  { tag: tags.emphasis, fontStyle: "italic" },
+  { tag: tags.strong, fontWeight: "bold" },
+  { tag: tags.strikethrough, textDecoration: "line-through" },
+  { tag: tags.keyword, color: "var(--mdpad-syntax-keyword)" },
+  { tag: [tags.atom, tags.bool, tags.url, tags.contentSeparator, tags.labelName], color: "var(--mdpad-syntax-atom)" },
+  { tag: [tags.literal, tags.inserted], color: "var(--mdpad-syntax-number)" },
+  { tag: [tags.string, tags.deleted], color: "var(--mdpad-syntax-string)" },
+  { tag: [tags.regexp, tags.escape, tags.special(tags.string)], color: "var(--mdpad-syntax-regexp)" },
+  { tag: tags.definition(tags.variableName), color: "var(--mdpad-syntax-definition)" },
+  { tag: tags.local(tags.variableName), color: "var(--mdpad-syntax-local)" },
+  { tag: [tags.typeName, tags.namespace], color: "var(--mdpad-syntax-type)" },
+  { tag: tags.className, color: "var(--mdpad-syntax-class)" },
+  { tag: [tags.special(tags.variableName), tags.macroName], color: "var(--mdpad-syntax-macro)" },
+  { tag: tags.definition(tags.propertyName), color: "var(--mdpad-syntax-property)" },
+  { tag: tags.comment, color: "var(--mdpad-syntax-comment)" },
+  { tag: tags.invalid, color: "var(--mdpad-syntax-invalid)" },
+]);
+
+function darkThemeExtension() {
+  return EditorView.darkTheme.of(darkQuery.matches);
+}
 let editorView = null;
 let editorExtensions = null; // Saved for state recreation (clearHistory)
 let onChangeCallback = null;
@@ -91,6 +133,102 @@ function overwriteInputHandler() {
   });
 }
 
+// Change gutter: marks lines added, modified or removed relative to the diff
+// baseline (the text the diff pane compares against). Recomputed shortly after
+// each edit, or immediately via refreshChangeGutter().
+const CHANGE_GUTTER_DELAY = 300;
+let changeBaselineProvider = null; // () => string|null; null hides the markers
+const setChangeMarkersEffect = StateEffect.define();
+
+class ChangeMarker extends GutterMarker {
+  constructor(kind) {
+    super();
+    this.kind = kind;
+  }
+  eq(other) {
+    return other.kind === this.kind;
+  }
+  toDOM() {
+    const el = document.createElement("div");
+    el.className = `cm-change-marker cm-change-${this.kind}`;
+    return el;
+  }
+}
+
+const CHANGE_MARKERS = {
+  added: new ChangeMarker("added"),
+  modified: new ChangeMarker("modified"),
+  removed: new ChangeMarker("removed"),
+};
+
+const changeMarkerField = StateField.define({
+  create: () => RangeSet.empty,
+  update(markers, tr) {
+    for (const effect of tr.effects) {
+      if (effect.is(setChangeMarkersEffect)) return effect.value;
+    }
+    return tr.docChanged ? markers.map(tr.changes) : markers;
+  },
+});
+
+function buildChangeMarkers(state) {
+  const baseline = changeBaselineProvider ? changeBaselineProvider() : null;
+  if (baseline === null || baseline === undefined) return RangeSet.empty;
+
+  const doc = state.doc;
+  const { hunks } = computeDiffWithHunks(baseline, doc.toString());
+  const ranges = [];
+  for (const hunk of hunks) {
+    if (hunk.newCount === 0) {
+      // Removed lines are marked on the line that now follows them
+      ranges.push(CHANGE_MARKERS.removed.range(doc.line(Math.min(hunk.newLine, doc.lines)).from));
+      continue;
+    }
+    const marker = hunk.oldCount === 0 ? CHANGE_MARKERS.added : CHANGE_MARKERS.modified;
+    const last = Math.min(hunk.newLine + hunk.newCount - 1, doc.lines);
+    for (let n = hunk.newLine; n <= last; n++) {
+      ranges.push(marker.range(doc.line(n).from));
+    }
+  }
+  return RangeSet.of(ranges, true);
+}
+
+const changeGutterPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.view = view;
+      this.timer = null;
+      this.schedule(0);
+    }
+    update(update) {
+      if (update.docChanged) this.schedule(CHANGE_GUTTER_DELAY);
+    }
+    schedule(delay) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.view.dispatch({
+          effects: setChangeMarkersEffect.of(buildChangeMarkers(this.view.state)),
+        });
+      }, delay);
+    }
+    destroy() {
+      clearTimeout(this.timer);
+    }
+  }
+);
+
+function changeGutterExtension() {
+  return [
+    changeMarkerField,
+    changeGutterPlugin,
+    gutter({
+      class: "cm-change-gutter",
+      markers: (view) => view.state.field(changeMarkerField),
+    }),
+  ];
+}
+
 // Ruler plugin: draws a vertical line at a given column using a ViewPlugin
 function rulerPlugin(col) {
   return ViewPlugin.fromClass(
@@ -99,7 +237,7 @@ function rulerPlugin(col) {
         this.ruler = document.createElement("div");
         this.ruler.className = "cm-ruler-line";
         this.ruler.style.cssText =
-          "position:absolute;top:0;bottom:0;width:0;border-left:1px dashed #d0d7de;pointer-events:none;z-index:1;";
+          "position:absolute;top:0;bottom:0;width:0;border-left:1px dashed var(--mdpad-border);pointer-events:none;z-index:1;";
         this.updatePosition(view);
         view.scrollDOM.style.position = "relative";
         view.scrollDOM.appendChild(this.ruler);
@@ -175,9 +313,10 @@ function horizontalRulerPlugin() {
         ctx.scale(dpr, dpr);
         ctx.clearRect(0, 0, rulerWidth, height);
 
-        // Draw tick marks
-        ctx.strokeStyle = "#d0d7de";
-        ctx.fillStyle = "#8c959f";
+        // Draw tick marks (canvas needs resolved colors, not var())
+        const style = getComputedStyle(this.ruler);
+        ctx.strokeStyle = style.getPropertyValue("--mdpad-border").trim();
+        ctx.fillStyle = style.getPropertyValue("--mdpad-fg-subtle").trim();
         ctx.font = "10px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
         ctx.textAlign = "center";
 
@@ -232,7 +371,9 @@ function horizontalRulerPlugin() {
       }
 
       update(update) {
-        if (update.geometryChanged || update.viewportChanged) {
+        const themeChanged =
+          update.startState.facet(EditorView.darkTheme) !== update.state.facet(EditorView.darkTheme);
+        if (update.geometryChanged || update.viewportChanged || themeChanged) {
           this.draw(update.view);
         } else if (update.selectionSet) {
           this.updateCursor(update.view);
@@ -455,8 +596,13 @@ export function createEditor(container, onChange) {
 
   // Build basicSetup manually (without closeBrackets, which goes in a Compartment)
   const extensions = [
+    // Vim / Emacs first, so their key handling runs before the other keymaps
+    getEditingModeExtension(),
+    // Blame gutter first, so it sits left of the line numbers
+    getBlameExtension(),
     // --- basicSetup components (expanded) ---
     lineNumbers(),
+    changeGutterExtension(),
     highlightActiveLineGutter(),
     highlightSpecialChars(),
     history(),
@@ -465,7 +611,7 @@ export function createEditor(container, onChange) {
     dropCursor(),
     EditorState.allowMultipleSelections.of(true),
     indentOnInput(),
-    syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
+    syntaxHighlighting(themeHighlightStyle, { fallback: true }),
     bracketMatching(),
     // closeBrackets in a compartment for toggling
     closeBracketsCompartment.of([closeBrackets(), keymap.of(closeBracketsKeymap)]),
@@ -488,8 +634,13 @@ export function createEditor(container, onChange) {
     search(),
     EditorState.phrases.of(getSearchPhrases()),
     keymap.of([indentWithTab]),
-    getFormatKeymap(),
+    getUserKeymapExtension(),
+    getSnippetExtension(),
+    getMarkdownCompletionExtension(),
+    getImagePasteExtension(),
+    getTableExtension(),
     wrapCompartment.of(EditorView.lineWrapping),
+    darkThemeCompartment.of(darkThemeExtension()),
     rulerPlugin(80),
     scrollPastEnd(),
     getMinimapExtension(),
@@ -525,9 +676,34 @@ export function createEditor(container, onChange) {
     parent: container,
   });
 
+  // Switch CodeMirror's light/dark base theme when the app theme changes
+  darkQuery.addEventListener("change", () => {
+    if (!editorView) return;
+    editorView.dispatch({
+      effects: darkThemeCompartment.reconfigure(darkThemeExtension()),
+    });
+  });
+
   return editorView;
 }
 
+/**
+ * Set where the change gutter gets its baseline text from.
+ * @param {function(): (string|null)} provider
+ */
+export function setChangeBaselineProvider(provider) {
+  changeBaselineProvider = provider;
+  refreshChangeGutter();
+}
+
+/**
+ * Recompute the change gutter now (after the baseline changed).
+ */
+export function refreshChangeGutter() {
+  const plugin = editorView && editorView.plugin(changeGutterPlugin);
+  if (plugin) plugin.schedule(0);
+}
+
 export function getEditor() {
   return editorView;
 }
@@ -560,7 +736,47 @@ export function clearHistory() {
     doc: editorView.state.doc.toString(),
     extensions: editorExtensions,
   });
-  editorView.setState(newState);
+  setEditorState(newState);
+}
+
+/**
+ * Create a detached EditorState for a document (used by tabs).
+ * The state shares the editor's extensions but has its own doc and history.
+ */
+export function createDocumentState(text) {
+  return EditorState.create({
+    doc: text || "",
+    extensions: editorExtensions || [],
+  });
+}
+
+export function getEditorState() {
+  return editorView ? editorView.state : null;
+}
+
+/**
+ * Swap the editor to another document state (tab switch).
+ * Compartments are re-synced because a stashed state keeps the
+ * configuration it had when it was created.
+ */
+export function setEditorState(state) {
+  if (!editorView || !state) return;
+  editorView.setState(state);
+  editorView.dispatch({
+    effects: [
+      wrapCompartment.reconfigure(wordWrapEnabled ? EditorView.lineWrapping : []),
+      closeBracketsCompartment.reconfigure(
+        closeBracketsEnabled ? [closeBrackets(), keymap.of(closeBracketsKeymap)] : []
+      ),
+      getMinimapReconfigureEffect(),
+      getLintReconfigureEffect(),
+      getBlameReconfigureEffect(),
+      getUserKeymapReconfigureEffect(),
+      getEditingModeReconfigureEffect(),
+      darkThemeCompartment.reconfigure(darkThemeExtension()),
+    ],
+  });
+  editorView.dom.classList.toggle("cm-overwrite-mode", overwriteMode);
 }
 
 export function toggleWordWrap() {
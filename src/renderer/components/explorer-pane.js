@@ -0,0 +1,858 @@
+/**
+ * @fileoverview エクスプローラーペイン
+ * @description
+ * 開いたフォルダ配下の Markdown ファイルをツリー表示し、
+ * クリックでファイルを開くナビゲーション機能を提供する。
+ * #pane-container 内の正式なペイン（explorer → editor → preview → toc → diff の順）として動作する。
+ *
+ * 【動作フロー】
+ * - setExplorerRoot() でルートフォルダを設定し、直下のみを読み込む
+ * - フォルダ行クリックで展開/折りたたみ（子要素は初回展開時に遅延読み込み）
+ * - ファイル行クリック → onOpenFile(path)（index.js の loadFileByPath() フロー）
+ * - 右クリックメニュー / ヘッダーボタンで新規ファイル・新規フォルダ・名前変更・削除
+ * - 行のドラッグ&ドロップでフォルダへ移動
+ * - 名前変更・移動の後は onEntryMoved(oldPath, newPath) で開いているタブに通知
+ * - メインプロセスのフォルダ監視（folder:changed）で展開中のフォルダを再読み込み
+ *
+ * 【注意】
+ * - 一覧の取得（.gitignore 除外・Markdown 以外の除外）はメインプロセス側
+ *   （folder-explorer.js）が担当する
+ * - ルートフォルダは localStorage("mdpad:explorerRoot") に保存され、次回起動時に復元される
+ * - 削除は OS のごみ箱への移動（shell.trashItem）
+ *
+ * @file explorer-pane.js
+ * @version 1.1.00101
+ * @since 1.1.00085
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { togglePane } from "./pane-manager.js";
+import { updateButtonStates } from "./toolbar.js";
+import { t, onLocaleChange } from "../../i18n/i18n-renderer.js";
+
+/**
+ * localStorage キー: ルートフォルダのパス
+ * @type {string}
+ */
+const ROOT_KEY = "mdpad:explorerRoot";
+
+/**
+ * ドラッグ中の項目パスを dataTransfer に格納する際の MIME タイプ。
+ * OS からのファイルドロップ（index.js の initDragAndDrop）と区別するために使用する。
+ * @type {string}
+ */
+const DRAG_MIME = "application/x-mdpad-explorer-path";
+
+/** DOM 要素の参照 */
+let explorerPaneEl = null;
+let rootLabelEl = null;
+let contentEl = null;
+
+/** ルートフォルダの絶対パス（未設定時は null） */
+let rootPath = null;
+
+/** 展開中のフォルダパス */
+const expandedDirs = new Set();
+
+/**
+ * 読み込み済みフォルダの子要素キャッシュ。
+ * @type {Map<string, Array<{name: string, path: string, isDirectory: boolean}>>}
+ */
+const childrenCache = new Map();
+
+/** 選択中の項目パス（キーボード操作・ヘッダーボタンの対象） */
+let selectedPath = null;
+
+/** エディタで開いているファイルのパス（ハイライト用） */
+let activeFilePath = null;
+
+/** 外部へ通知するコールバック */
+let callbacks = { onOpenFile: null, onEntryMoved: null };
+
+/** 右クリックメニュー要素 */
+let menuEl = null;
+
+/**
+ * パスの親フォルダを返す。
+ *
+ * @function parentDir
+ * @param {string} p - 絶対パス
+ * @returns {string} 親フォルダのパス
+ */
+function parentDir(p) {
+  return p.replace(/[\\/][^\\/]*$/, "");
+}
+
+/**
+ * パスの末尾（ファイル名/フォルダ名）を返す。
+ *
+ * @function baseName
+ * @param {string} p - 絶対パス
+ * @returns {string} 末尾の名前
+ */
+function baseName(p) {
+  return p.split(/[\\/]/).pop();
+}
+
+/**
+ * エクスプローラーペインを初期化する。
+ * HTML に静的配置された DOM 要素の参照取得、イベントリスナーの設定、
+ * 保存済みルートフォルダの復元を行う。
+ *
+ * @function initExplorerPane
+ * @param {{onOpenFile: Function, onEntryMoved: Function}} handlers - 外部通知コールバック
+ */
+export function initExplorerPane(handlers) {
+  callbacks = { ...callbacks, ...handlers };
+
+  explorerPaneEl = document.getElementById("explorer-pane");
+  if (!explorerPaneEl) return;
+
+  rootLabelEl = explorerPaneEl.querySelector(".explorer-root");
+  contentEl = explorerPaneEl.querySelector(".explorer-content");
+
+  const header = explorerPaneEl.querySelector(".explorer-header");
+  header.querySelector(".explorer-new-file").addEventListener("click", () => promptCreate(false, getTargetDir()));
+  header.querySelector(".explorer-new-folder").addEventListener("click", () => promptCreate(true, getTargetDir()));
+  header.querySelector(".explorer-refresh").addEventListener("click", () => refreshExplorer());
+  header.querySelector(".explorer-open-folder").addEventListener("click", () => openFolderDialog());
+  header.querySelector(".explorer-close").addEventListener("click", () => {
+    togglePane("explorer");
+    updateButtonStates();
+  });
+  applyHeaderTexts();
+
+  // ルート直下への移動（空き領域へのドロップ）
+  setupDropTarget(contentEl, () => rootPath);
+
+  // キーボード操作: F2 = 名前変更, Delete = 削除
+  contentEl.addEventListener("keydown", (e) => {
+    if (!selectedPath) return;
+    if (e.key === "F2") {
+      e.preventDefault();
+      promptRename(selectedPath);
+    } else if (e.key === "Delete") {
+      e.preventDefault();
+      confirmDelete(selectedPath);
+    }
+  });
+
+  // ルート上の右クリック → ルートへの新規作成のみ
+  contentEl.addEventListener("contextmenu", (e) => {
+    if (e.target !== contentEl || !rootPath) return;
+    e.preventDefault();
+    showItemMenu(e.clientX, e.clientY, { path: rootPath, isDirectory: true, isRoot: true });
+  });
+
+  // メニュー外クリック / ダイアログ表示時に右クリックメニューを閉じる
+  document.addEventListener("mousedown", (e) => {
+    if (menuEl && !menuEl.contains(e.target)) closeItemMenu();
+  });
+  window.addEventListener("mdpad:closePopups", () => closeItemMenu());
+
+  // 外部変更（フォルダ監視）→ 展開中のフォルダを再読み込み
+  window.mdpad.onFolderChanged(() => refreshExplorer());
+
+  onLocaleChange(() => {
+    applyHeaderTexts();
+    renderTree();
+  });
+
+  // 前回開いていたフォルダを復元
+  const savedRoot = localStorage.getItem(ROOT_KEY);
+  if (savedRoot) {
+    setExplorerRoot(savedRoot);
+  } else {
+    renderTree();
+  }
+}
+
+/**
+ * ヘッダーのタイトル・ボタンのテキストを設定する（ロケール変更時にも呼ばれる）。
+ *
+ * @function applyHeaderTexts
+ */
+function applyHeaderTexts() {
+  const header = explorerPaneEl.querySelector(".explorer-header");
+  header.querySelector(".explorer-title").textContent = t("explorer.title");
+
+  const buttons = [
+    [".explorer-new-file", "＋", "explorer.newFile"],
+    [".explorer-new-folder", "⊞", "explorer.newFolder"],
+    [".explorer-refresh", "⟳", "explorer.refresh"],
+    [".explorer-open-folder", "📂", "explorer.openFolder"],
+  ];
+  for (const [selector, icon, key] of buttons) {
+    const btn = header.querySelector(selector);
+    btn.textContent = icon;
+    btn.title = t(key);
+  }
+  header.querySelector(".explorer-close").title = t("explorer.close");
+}
+
+/**
+ * フォルダ選択ダイアログを開き、選択されたフォルダをルートに設定する。
+ * 成功時はエクスプローラーペインを表示する。
+ *
+ * @function openFolderDialog
+ * @returns {Promise<boolean>} フォルダが選択された場合 true
+ */
+export async function openFolderDialog() {
+  const result = await window.mdpad.openFolder();
+  if (!result) return false;
+  await setExplorerRoot(result.path);
+  return true;
+}
+
+/**
+ * ルートフォルダを設定し、ツリーを初期化してフォルダ監視を開始する。
+ * フォルダが読めない場合（削除済み等）はルートを解除する。
+ *
+ * @function setExplorerRoot
+ * @param {string|null} dirPath - ルートフォルダの絶対パス
+ */
+export async function setExplorerRoot(dirPath) {
+  expandedDirs.clear();
+  childrenCache.clear();
+  selectedPath = null;
+  rootPath = null;
+
+  if (dirPath) {
+    const entries = await window.mdpad.listFolder(dirPath);
+    if (entries) {
+      rootPath = dirPath;
+      childrenCache.set(dirPath, entries);
+    }
+  }
+
+  if (rootPath) {
+    localStorage.setItem(ROOT_KEY, rootPath);
+    await window.mdpad.watchFolder(rootPath);
+  } else {
+    localStorage.removeItem(ROOT_KEY);
+    await window.mdpad.unwatchFolder();
+  }
+
+  renderTree();
+}
+
+/**
+ * 現在のルートフォルダを返す。
+ *
+ * @function getExplorerRoot
+ * @returns {string|null} ルートフォルダの絶対パス
+ */
+export function getExplorerRoot() {
+  return rootPath;
+}
+
+/**
+ * エディタで開いているファイルを通知し、ツリー上でハイライトする。
+ *
+ * @function setExplorerActiveFile
+ * @param {string|null} filePath - 開いているファイルのパス
+ */
+export function setExplorerActiveFile(filePath) {
+  if (filePath === activeFilePath) return;
+  activeFilePath = filePath;
+  if (!contentEl) return;
+  contentEl.querySelectorAll(".explorer-item").forEach((el) => {
+    el.classList.toggle("active", el.dataset.path === activeFilePath);
+  });
+}
+
+/**
+ * 読み込み済みのフォルダ（ルート + 展開中）を再読み込みして再描画する。
+ * 消えたフォルダはキャッシュと展開状態から取り除く。
+ *
+ * @function refreshExplorer
+ */
+export async function refreshExplorer() {
+  if (!rootPath) return;
+
+  for (const dirPath of [...childrenCache.keys()]) {
+    const entries = await window.mdpad.listFolder(dirPath);
+    if (entries) {
+      childrenCache.set(dirPath, entries);
+    } else {
+      childrenCache.delete(dirPath);
+      expandedDirs.delete(dirPath);
+    }
+  }
+
+  // ルート自体が消えた場合はルートを解除
+  if (!childrenCache.has(rootPath)) {
+    await setExplorerRoot(null);
+    return;
+  }
+
+  renderTree();
+}
+
+/**
+ * ツリー全体を再描画する。
+ *
+ * @function renderTree
+ */
+function renderTree() {
+  if (!contentEl) return;
+
+  contentEl.innerHTML = "";
+
+  if (!rootPath) {
+    rootLabelEl.style.display = "none";
+    const emptyEl = document.createElement("div");
+    emptyEl.className = "explorer-empty";
+    emptyEl.textContent = t("explorer.noFolder");
+    const openBtn = document.createElement("button");
+    openBtn.className = "explorer-empty-open";
+    openBtn.textContent = t("explorer.openFolder");
+    openBtn.addEventListener("click", () => openFolderDialog());
+    emptyEl.appendChild(document.createElement("br"));
+    emptyEl.appendChild(openBtn);
+    contentEl.appendChild(emptyEl);
+    return;
+  }
+
+  rootLabelEl.style.display = "";
+  rootLabelEl.textContent = baseName(rootPath) || rootPath;
+  rootLabelEl.title = rootPath;
+
+  const entries = childrenCache.get(rootPath) || [];
+  if (entries.length === 0) {
+    const emptyEl = document.createElement("div");
+    emptyEl.className = "explorer-empty";
+    emptyEl.textContent = t("explorer.empty");
+    contentEl.appendChild(emptyEl);
+    return;
+  }
+
+  renderEntries(entries, 0);
+}
+
+/**
+ * フォルダの子要素を再帰的に描画する（展開中のフォルダのみ子を描画）。
+ *
+ * @function renderEntries
+ * @param {Array<{name: string, path: string, isDirectory: boolean}>} entries - 子要素
+ * @param {number} depth - 階層の深さ（インデント用）
+ */
+function renderEntries(entries, depth) {
+  for (const entry of entries) {
+    contentEl.appendChild(createItemEl(entry, depth));
+    if (entry.isDirectory && expandedDirs.has(entry.path)) {
+      renderEntries(childrenCache.get(entry.path) || [], depth + 1);
+    }
+  }
+}
+
+/**
+ * ツリーの1行を生成する。
+ *
+ * @function createItemEl
+ * @param {{name: string, path: string, isDirectory: boolean}} entry - 項目
+ * @param {number} depth - 階層の深さ
+ * @returns {HTMLElement} 行要素
+ */
+function createItemEl(entry, depth) {
+  const item = document.createElement("div");
+  item.className = "explorer-item" + (entry.isDirectory ? " folder" : " file");
+  if (entry.path === selectedPath) item.classList.add("selected");
+  if (entry.path === activeFilePath) item.classList.add("active");
+  item.dataset.path = entry.path;
+  item.style.paddingLeft = `${8 + depth * 12}px`;
+  item.title = entry.path;
+  item.draggable = true;
+
+  const twisty = document.createElement("span");
+  twisty.className = "explorer-twisty";
+  twisty.textContent = entry.isDirectory ? (expandedDirs.has(entry.path) ? "▾" : "▸") : "";
+  item.appendChild(twisty);
+
+  const nameEl = document.createElement("span");
+  nameEl.className = "explorer-name";
+  nameEl.textContent = entry.name;
+  item.appendChild(nameEl);
+
+  item.addEventListener("click", () => {
+    selectItem(entry.path);
+    if (entry.isDirectory) {
+      toggleFolder(entry.path);
+    } else if (callbacks.onOpenFile) {
+      callbacks.onOpenFile(entry.path);
+    }
+  });
+
+  item.addEventListener("contextmenu", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    selectItem(entry.path);
+    showItemMenu(e.clientX, e.clientY, entry);
+  });
+
+  // ドラッグ元
+  item.addEventListener("dragstart", (e) => {
+    e.dataTransfer.setData(DRAG_MIME, entry.path);
+    e.dataTransfer.effectAllowed = "move";
+  });
+
+  // フォルダはドロップ先（ファイル行へのドロップは親フォルダへ）
+  setupDropTarget(item, () => (entry.isDirectory ? entry.path : parentDir(entry.path)));
+
+  return item;
+}
+
+/**
+ * 項目を選択状態にする。
+ *
+ * @function selectItem
+ * @param {string} p - 項目のパス
+ */
+function selectItem(p) {
+  selectedPath = p;
+  contentEl.querySelectorAll(".explorer-item").forEach((el) => {
+    el.classList.toggle("selected", el.dataset.path === p);
+  });
+}
+
+/**
+ * フォルダの展開/折りたたみを切り替える。初回展開時に子要素を読み込む。
+ *
+ * @function toggleFolder
+ * @param {string} dirPath - フォルダのパス
+ */
+async function toggleFolder(dirPath) {
+  if (expandedDirs.has(dirPath)) {
+    expandedDirs.delete(dirPath);
+  } else {
+    await loadChildren(dirPath);
+    expandedDirs.add(dirPath);
+  }
+  renderTree();
+}
+
+/**
+ * フォルダの子要素を読み込み、キャッシュする。
+ *
+ * @function loadChildren
+ * @param {string} dirPath - フォルダのパス
+ */
+async function loadChildren(dirPath) {
+  const entries = await window.mdpad.listFolder(dirPath);
+  childrenCache.set(dirPath, entries || []);
+}
+
+/**
+ * ヘッダーボタンの作成先フォルダを返す。
+ * 選択中の項目がフォルダならそのフォルダ、ファイルなら親フォルダ、未選択ならルート。
+ *
+ * @function getTargetDir
+ * @returns {string|null} 作成先フォルダのパス
+ */
+function getTargetDir() {
+  if (!selectedPath) return rootPath;
+  const el = contentEl.querySelector(`.explorer-item[data-path="${CSS.escape(selectedPath)}"]`);
+  if (!el) return rootPath;
+  return el.classList.contains("folder") ? selectedPath : parentDir(selectedPath);
+}
+
+/**
+ * 要素を内部ドラッグ（項目の移動）のドロップ先として設定する。
+ *
+ * @function setupDropTarget
+ * @param {HTMLElement} el - ドロップ先要素
+ * @param {Function} getDestDir - 移動先フォルダのパスを返す関数
+ */
+function setupDropTarget(el, getDestDir) {
+  el.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer.types.includes(DRAG_MIME)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = "move";
+    el.classList.add("drop-target");
+  });
+  el.addEventListener("dragleave", () => el.classList.remove("drop-target"));
+  el.addEventListener("drop", async (e) => {
+    el.classList.remove("drop-target");
+    const srcPath = e.dataTransfer.getData(DRAG_MIME);
+    if (!srcPath) return; // OS からのファイルドロップは index.js に任せる
+    e.preventDefault();
+    e.stopPropagation();
+    const destDir = getDestDir();
+    if (!destDir || parentDir(srcPath) === destDir) return;
+
+    const result = await window.mdpad.moveFolderEntry(srcPath, destDir);
+    if (!handleResult(result)) return;
+    if (callbacks.onEntryMoved) callbacks.onEntryMoved(srcPath, result.path);
+    if (selectedPath === srcPath) selectedPath = result.path;
+    expandedDirs.add(destDir);
+    await refreshExplorer();
+  });
+}
+
+/**
+ * 右クリックメニューを表示する。
+ *
+ * @function showItemMenu
+ * @param {number} x - clientX
+ * @param {number} y - clientY
+ * @param {{path: string, isDirectory: boolean, isRoot?: boolean}} entry - 対象項目
+ */
+function showItemMenu(x, y, entry) {
+  closeItemMenu();
+
+  const dir = entry.isDirectory ? entry.path : parentDir(entry.path);
+  const items = [
+    { label: t("explorer.newFile"), action: () => promptCreate(false, dir) },
+    { label: t("explorer.newFolder"), action: () => promptCreate(true, dir) },
+  ];
+  if (!entry.isRoot) {
+    items.push(null);
+    items.push({ label: t("explorer.rename"), shortcut: "F2", action: () => promptRename(entry.path) });
+    items.push({ label: t("explorer.delete"), shortcut: "Del", action: () => confirmDelete(entry.path) });
+  }
+
+  menuEl = document.createElement("div");
+  menuEl.className = "explorer-menu";
+  for (const item of items) {
+    if (!item) {
+      const sep = document.createElement("div");
+      sep.className = "explorer-menu-separator";
+      menuEl.appendChild(sep);
+      continue;
+    }
+    const btn = document.createElement("button");
+    btn.className = "explorer-menu-item";
+    btn.textContent = item.label;
+    if (item.shortcut) {
+      const sc = document.createElement("span");
+      sc.className = "explorer-menu-shortcut";
+      sc.textContent = item.shortcut;
+      btn.appendChild(sc);
+    }
+    btn.addEventListener("click", () => {
+      closeItemMenu();
+      item.action();
+    });
+    menuEl.appendChild(btn);
+  }
+  document.body.appendChild(menuEl);
+
+  // 画面外にはみ出さないよう位置を調整
+  const rect = menuEl.getBoundingClientRect();
+  menuEl.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+  menuEl.style.top = `${Math.min(y, window.innerHeight - rect.height - 28)}px`;
+}
+
+/**
+ * 右クリックメニューを閉じる。
+ *
+ * @function closeItemMenu
+ */
+function closeItemMenu() {
+  if (menuEl) {
+    menuEl.remove();
+    menuEl = null;
+  }
+}
+
+/**
+ * 新規ファイル/フォルダ名を入力させて作成する。
+ * ファイルの場合は作成後に開く。
+ *
+ * @function promptCreate
+ * @param {boolean} isFolder - フォルダを作成する場合 true
+ * @param {string|null} dirPath - 作成先フォルダ
+ */
+async function promptCreate(isFolder, dirPath) {
+  if (!dirPath) return;
+  const name = await showNameDialog(
+    t(isFolder ? "explorer.newFolder" : "explorer.newFile"),
+    "",
+    t(isFolder ? "explorer.newFolderPlaceholder" : "explorer.newFilePlaceholder")
+  );
+  if (!name) return;
+
+  const result = isFolder
+    ? await window.mdpad.createFolderDir(dirPath, name)
+    : await window.mdpad.createFolderFile(dirPath, name);
+  if (!handleResult(result)) return;
+
+  if (dirPath !== rootPath) expandedDirs.add(dirPath);
+  if (!childrenCache.has(dirPath)) await loadChildren(dirPath);
+  selectedPath = result.path;
+  await refreshExplorer();
+
+  if (!isFolder && callbacks.onOpenFile) callbacks.onOpenFile(result.path);
+}
+
+/**
+ * 新しい名前を入力させて項目の名前を変更する。
+ *
+ * @function promptRename
+ * @param {string} entryPath - 対象項目のパス
+ */
+async function promptRename(entryPath) {
+  const oldName = baseName(entryPath);
+  const name = await showNameDialog(t("explorer.rename"), oldName, "");
+  if (!name || name === oldName) return;
+
+  const result = await window.mdpad.renameFolderEntry(entryPath, name);
+  if (!handleResult(result)) return;
+
+  // 展開状態・キャッシュのパスを付け替え（配下の古いパスは refreshExplorer() で除去される）
+  if (expandedDirs.delete(entryPath)) expandedDirs.add(result.path);
+  childrenCache.delete(entryPath);
+  if (expandedDirs.has(result.path)) await loadChildren(result.path);
+
+  if (callbacks.onEntryMoved) callbacks.onEntryMoved(entryPath, result.path);
+  selectedPath = result.path;
+  await refreshExplorer();
+}
+
+/**
+ * 確認後、項目をごみ箱へ移動する。
+ *
+ * @function confirmDelete
+ * @param {string} entryPath - 対象項目のパス
+ */
+async function confirmDelete(entryPath) {
+  const ok = await showDeleteConfirmDialog(baseName(entryPath));
+  if (!ok) return;
+
+  const result = await window.mdpad.deleteFolderEntry(entryPath);
+  if (!handleResult(result)) return;
+
+  expandedDirs.delete(entryPath);
+  childrenCache.delete(entryPath);
+  if (selectedPath === entryPath) selectedPath = null;
+  await refreshExplorer();
+}
+
+/**
+ * ファイル操作の結果を確認し、エラーの場合はメッセージを表示する。
+ *
+ * @function handleResult
+ * @param {{path?: string, error?: string}|null} result - 操作結果
+ * @returns {boolean} 成功した場合 true
+ */
+function handleResult(result) {
+  if (result && !result.error) return true;
+
+  const code = result ? result.error : "";
+  const known = {
+    exists: "explorer.errorExists",
+    invalidName: "explorer.errorInvalidName",
+    intoItself: "explorer.errorIntoItself",
+  };
+  const message = known[code]
+    ? t(known[code])
+    : t("explorer.errorGeneric").replace("{message}", code || "");
+  showErrorDialog(message);
+  return false;
+}
+
+/**
+ * 名前入力ダイアログを表示する。
+ *
+ * @function showNameDialog
+ * @param {string} title - ダイアログのタイトル
+ * @param {string} initialValue - 初期値
+ * @param {string} placeholder - プレースホルダー
+ * @returns {Promise<string|null>} 入力された名前（キャンセル時は null）
+ */
+function showNameDialog(title, initialValue, placeholder) {
+  return new Promise((resolve) => {
+    if (document.getElementById("explorer-name-overlay")) {
+      resolve(null);
+      return;
+    }
+
+    // Close any open popups
+    window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+    const overlay = document.createElement("div");
+    overlay.id = "explorer-name-overlay";
+    overlay.style.cssText =
+      "position:fixed;top:0;left:0;right:0;bottom:0;" +
+      "background:rgba(0,0,0,0.3);z-index:100001;" +
+      "display:flex;align-items:flex-start;justify-content:center;padding-top:20vh;";
+
+    const dialog = document.createElement("div");
+    dialog.style.cssText =
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+      "padding:16px;width:340px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
+
+    const titleEl = document.createElement("div");
+    titleEl.textContent = title;
+    titleEl.style.cssText = "font-size:14px;font-weight:600;margin-bottom:8px;color:var(--mdpad-fg);";
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = initialValue;
+    input.placeholder = placeholder;
+    input.style.cssText =
+      "width:100%;padding:6px 8px;border:1px solid var(--mdpad-border);" +
+      "border-radius:4px;font-size:14px;outline:none;box-sizing:border-box;";
+
+    dialog.appendChild(titleEl);
+    dialog.appendChild(input);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    input.focus();
+    // 拡張子を除いた部分を選択（名前変更時）
+    const dot = initialValue.lastIndexOf(".");
+    input.setSelectionRange(0, dot > 0 ? dot : initialValue.length);
+
+    function done(value) {
+      overlay.remove();
+      resolve(value);
+    }
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        done(input.value.trim() || null);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        done(null);
+      }
+    });
+
+    overlay.addEventListener("mousedown", (e) => {
+      if (e.target === overlay) done(null);
+    });
+  });
+}
+
+/**
+ * 削除確認ダイアログを表示する。
+ *
+ * @function showDeleteConfirmDialog
+ * @param {string} name - 削除対象の名前
+ * @returns {Promise<boolean>} 削除する場合 true
+ */
+function showDeleteConfirmDialog(name) {
+  return new Promise((resolve) => {
+    if (document.getElementById("explorer-delete-overlay")) {
+      resolve(false);
+      return;
+    }
+
+    // Close any open popups
+    window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+    const overlay = document.createElement("div");
+    overlay.id = "explorer-delete-overlay";
+    overlay.style.cssText =
+      "position:fixed;top:0;left:0;right:0;bottom:0;" +
+      "background:rgba(0,0,0,0.4);z-index:100001;" +
+      "display:flex;align-items:flex-start;justify-content:center;padding-top:15vh;";
+
+    const modal = document.createElement("div");
+    modal.style.cssText =
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+      "padding:20px;width:400px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
+
+    const msgEl = document.createElement("div");
+    msgEl.textContent = t("explorer.deleteConfirm").replace("{name}", name);
+    msgEl.style.cssText = "font-size:14px;color:var(--mdpad-fg);margin-bottom:16px;line-height:1.5;word-break:break-all;";
+    modal.appendChild(msgEl);
+
+    const btnRow = document.createElement("div");
+    btnRow.style.cssText = "display:flex;gap:8px;justify-content:flex-end;";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.textContent = t("explorer.cancel");
+    cancelBtn.style.cssText =
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+    cancelBtn.onclick = () => done(false);
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.textContent = t("explorer.delete");
+    deleteBtn.style.cssText =
+      "padding:6px 16px;border:none;border-radius:6px;" +
+      "background:var(--mdpad-danger-fg);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+    deleteBtn.onclick = () => done(true);
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(deleteBtn);
+    modal.appendChild(btnRow);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        done(false);
+      }
+    });
+    overlay.addEventListener("mousedown", (e) => {
+      if (e.target === overlay) done(false);
+    });
+
+    deleteBtn.focus();
+
+    function done(result) {
+      overlay.remove();
+      contentEl.focus();
+      resolve(result);
+    }
+  });
+}
+
+/**
+ * エラーメッセージダイアログを表示する。
+ *
+ * @function showErrorDialog
+ * @param {string} message - 表示するメッセージ
+ */
+function showErrorDialog(message) {
+  if (document.getElementById("explorer-error-overlay")) return;
+
+  const overlay = document.createElement("div");
+  overlay.id = "explorer-error-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.3);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:20vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:16px 20px;width:360px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
+
+  const msgEl = document.createElement("div");
+  msgEl.textContent = message;
+  msgEl.style.cssText = "font-size:14px;color:var(--mdpad-danger-fg);margin-bottom:12px;line-height:1.5;word-break:break-all;";
+  modal.appendChild(msgEl);
+
+  const okBtn = document.createElement("button");
+  okBtn.textContent = "OK";
+  okBtn.style.cssText =
+    "display:block;margin-left:auto;padding:6px 20px;border:1px solid var(--mdpad-border);" +
+    "border-radius:6px;background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+  okBtn.onclick = () => close();
+  modal.appendChild(okBtn);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  okBtn.focus();
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" || e.key === "Enter") {
+      e.preventDefault();
+      close();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  function close() {
+    overlay.remove();
+  }
+}
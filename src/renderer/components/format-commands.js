@@ -2,18 +2,18 @@
  * @fileoverview CodeMirror 6 ベースの Markdown 書式エンジン。
  * インライン切替、行プレフィクス切替、ブロック挿入、書式状態検出を提供。
  * コンテキストメニュー、ツールバー、キーボードショートカットが共有するコマンドレジストリ。
+ * ショートカットは keybindings.js（ID "format:<id>"）で割り当てる。
  *
  * @description format-commands.js — Markdown formatting engine
  * @file format-commands.js
  * @module format-commands
- * @version 0.1.10020
- * @revision 3
- * @lastModified 2026-03-07 20:00:00 (JST)
+ * @version 1.1.00103
+ * @revision 6
+ * @lastModified 2026-10-19 00:00:00 (JST)
  * @todo
  * - テーブル挿入時のセル選択サポート（$SELECT$ マーカー）
  */
 
-import { keymap } from "@codemirror/view";
 import { EditorSelection } from "@codemirror/state";
 
 // ─── Inline Format Toggle ───────────────────────────────────────────
@@ -308,6 +308,25 @@ export function insertBlock(view, template) {
   return true;
 }
 
+// ─── GitHub Alert Insert ─────────────────────────────────────────────
+
+/**
+ * GitHub アラート（> [!NOTE] 等）ブロックのテンプレートを生成する。
+ * 選択テキストがあれば各行を引用プレフィクス付きで本文にする。
+ *
+ * @function alertTemplate
+ * @param {string} type - アラート種別（"NOTE" | "TIP" | "IMPORTANT" | "WARNING" | "CAUTION"）
+ * @returns {function(string): string} - insertBlock 用テンプレート関数
+ */
+function alertTemplate(type) {
+  return (sel) => {
+    const body = sel
+      ? sel.split("\n").map((line) => (line ? "> " + line : ">")).join("\n")
+      : "> $0";
+    return `> [!${type}]\n${body}`;
+  };
+}
+
 // ─── Link & Image Insert ─────────────────────────────────────────────
 
 export function insertLink(view) {
@@ -570,7 +589,8 @@ function isAsymmetricActive(state, from, to, openTag, closeTag) {
 
 /**
  * FORMAT_COMMANDS: master registry of all format commands.
- * Each entry: { id, fn(view), icon, shortcut?, i18nKey, group }
+ * Each entry: { id, fn(view), icon, i18nKey, group }
+ * Shortcuts come from the keybindings ("format:<id>", see keybindings.js).
  *
  * Groups: inline, link, heading, list, block, extra
  */
@@ -581,7 +601,6 @@ export const FORMAT_COMMANDS = [
     fn: (view) => toggleInlineFormat(view, "**"),
     icon: "B",
     iconStyle: "font-weight:bold",
-    shortcut: "Ctrl+B",
     i18nKey: "format.bold",
     group: "inline",
     toggle: true,
@@ -591,7 +610,6 @@ export const FORMAT_COMMANDS = [
     fn: (view) => toggleInlineFormat(view, "*"),
     icon: "I",
     iconStyle: "font-style:italic",
-    shortcut: "Ctrl+I",
     i18nKey: "format.italic",
     group: "inline",
     toggle: true,
@@ -601,7 +619,6 @@ export const FORMAT_COMMANDS = [
     fn: (view) => toggleInlineFormat(view, "~~"),
     icon: "S",
     iconStyle: "text-decoration:line-through",
-    shortcut: "Ctrl+Shift+S",
     i18nKey: "format.strikethrough",
     group: "inline",
     toggle: true,
@@ -611,7 +628,6 @@ export const FORMAT_COMMANDS = [
     fn: (view) => toggleInlineFormat(view, "`"),
     icon: "<>",
     iconStyle: "font-family:monospace;font-size:11px",
-    shortcut: "Ctrl+`",
     i18nKey: "format.inlineCode",
     group: "inline",
     toggle: true,
@@ -621,7 +637,6 @@ export const FORMAT_COMMANDS = [
     fn: (view) => toggleAsymmetricInline(view, "<u>", "</u>"),
     icon: "U",
     iconStyle: "text-decoration:underline",
-    shortcut: "Ctrl+U",
     i18nKey: "format.underline",
     group: "inline",
     toggle: true,
@@ -632,7 +647,6 @@ export const FORMAT_COMMANDS = [
     id: "link",
     fn: (view) => insertLink(view),
     icon: "\uD83D\uDD17",
-    shortcut: "Ctrl+Shift+K",
     i18nKey: "format.link",
     group: "link",
   },
@@ -739,6 +753,47 @@ export const FORMAT_COMMANDS = [
     group: "block",
   },
 
+  // ── GitHub Alert ──
+  {
+    id: "alertNote",
+    fn: (view) => insertBlock(view, alertTemplate("NOTE")),
+    icon: "\u2139",
+    iconStyle: "color:var(--mdpad-accent-fg)",
+    i18nKey: "format.alertNote",
+    group: "alert",
+  },
+  {
+    id: "alertTip",
+    fn: (view) => insertBlock(view, alertTemplate("TIP")),
+    icon: "\uD83D\uDCA1",
+    i18nKey: "format.alertTip",
+    group: "alert",
+  },
+  {
+    id: "alertImportant",
+    fn: (view) => insertBlock(view, alertTemplate("IMPORTANT")),
+    icon: "!",
+    iconStyle: "color:#8250df;font-weight:bold",
+    i18nKey: "format.alertImportant",
+    group: "alert",
+  },
+  {
+    id: "alertWarning",
+    fn: (view) => insertBlock(view, alertTemplate("WARNING")),
+    icon: "\u26A0",
+    iconStyle: "color:var(--mdpad-attention-fg)",
+    i18nKey: "format.alertWarning",
+    group: "alert",
+  },
+  {
+    id: "alertCaution",
+    fn: (view) => insertBlock(view, alertTemplate("CAUTION")),
+    icon: "\u26D4",
+    iconStyle: "color:#d1242f",
+    i18nKey: "format.alertCaution",
+    group: "alert",
+  },
+
   // ── Block ──
   {
     id: "table",
@@ -888,38 +943,3 @@ export function getColorHistory() {
 export function getFormatCommand(id) {
   return FORMAT_COMMANDS.find((c) => c.id === id);
 }
-
-// ─── Keyboard Shortcut Keymap ────────────────────────────────────────
-
-/**
- * Returns a CodeMirror keymap extension for format shortcuts.
- * Usage: add getFormatKeymap() to the editor's extensions array.
- */
-export function getFormatKeymap() {
-  return keymap.of([
-    {
-      key: "Mod-b",
-      run: (view) => toggleInlineFormat(view, "**"),
-    },
-    {
-      key: "Mod-i",
-      run: (view) => toggleInlineFormat(view, "*"),
-    },
-    {
-      key: "Mod-Shift-s",
-      run: (view) => toggleInlineFormat(view, "~~"),
-    },
-    {
-      key: "Mod-`",
-      run: (view) => toggleInlineFormat(view, "`"),
-    },
-    {
-      key: "Mod-u",
-      run: (view) => toggleAsymmetricInline(view, "<u>", "</u>"),
-    },
-    {
-      key: "Mod-Shift-k",
-      run: (view) => insertLink(view),
-    },
-  ]);
-}
@@ -2,20 +2,24 @@
  * @fileoverview エディタペインの右クリックコンテキストメニュー。
  * レベル1に基本編集操作（元に戻す/やり直し/切り取り/コピー/貼り付け/全選択）を配置し、
  * Markdown 書式コマンドは「装飾 ▸」サブメニュー（レベル2）にまとめる。
- * 見出し・カラーはさらにレベル3のフライアウトで表示。
+ * 見出し・アラート・カラーはさらにレベル3のフライアウトで表示。
+ * カーソルがテーブル内にあるときは「表 ▸」サブメニュー（行・列の編集）も表示し、
+ * テーブル外では貼り付けの下に「表として貼り付け」を表示する。
  *
  * @description format-context-menu.js — Right-click context menu
  * @file format-context-menu.js
  * @module format-context-menu
- * @version 0.1.10020
+ * @version 1.1.00107
  * @since 0.1.10020
- * @revision 3
- * @lastModified 2026-03-07 20:00:00 (JST)
+ * @revision 8
+ * @lastModified 2026-10-19 00:00:00 (JST)
  */
 
 import { FORMAT_COMMANDS, isFormatActive, getFormatCommand, insertColor, getColorHistory } from "./format-commands.js";
 import { getEditor } from "./editor-pane.js";
+import { TABLE_COMMANDS, isInTable } from "./table-editor.js";
 import { t } from "../../i18n/i18n-renderer.js";
+import { getShortcutLabel } from "./keybindings.js";
 
 /** メインメニュー要素 */
 let menuEl = null;
@@ -23,8 +27,12 @@ let menuEl = null;
 let formattingSubmenuEl = null;
 /** 見出しサブメニュー（レベル3）要素 */
 let headingSubmenuEl = null;
+/** アラートサブメニュー（レベル3）要素 */
+let alertSubmenuEl = null;
 /** カラーパレット（レベル3）要素 */
 let colorPaletteEl = null;
+/** 表サブメニュー（レベル2）要素 */
+let tableSubmenuEl = null;
 
 /** ステータスバーの高さ（px）— フッターバーへの食い込み防止に使用 */
 const STATUS_BAR_HEIGHT = 24;
@@ -62,7 +70,9 @@ export function initFormatContextMenu() {
     if (menuEl && !menuEl.contains(e.target)) {
       if (formattingSubmenuEl && formattingSubmenuEl.contains(e.target)) return;
       if (headingSubmenuEl && headingSubmenuEl.contains(e.target)) return;
+      if (alertSubmenuEl && alertSubmenuEl.contains(e.target)) return;
       if (colorPaletteEl && colorPaletteEl.contains(e.target)) return;
+      if (tableSubmenuEl && tableSubmenuEl.contains(e.target)) return;
       closeContextMenu();
     }
   });
@@ -110,7 +120,7 @@ function showContextMenu(x, y) {
   menuEl.appendChild(createEditItem({
     label: t("menu.edit_undo"),
     icon: "↩",
-    shortcut: "Ctrl+Z",
+    shortcut: getShortcutLabel("undo"),
     disabled: false,
     onClick: () => {
       const v = getEditor();
@@ -125,7 +135,7 @@ function showContextMenu(x, y) {
   menuEl.appendChild(createEditItem({
     label: t("menu.edit_redo"),
     icon: "↪",
-    shortcut: "Ctrl+Y",
+    shortcut: getShortcutLabel("redo"),
     disabled: false,
     onClick: () => {
       const v = getEditor();
@@ -182,6 +192,23 @@ function showContextMenu(x, y) {
       }
     },
   }));
+  // 表として貼り付け（テーブル外のときだけ）
+  if (!isInTable(state)) {
+    const pasteAsTable = TABLE_COMMANDS.find((cmd) => cmd.id === "pasteAsTable");
+    menuEl.appendChild(createEditItem({
+      label: t(pasteAsTable.i18nKey),
+      icon: "\u25A6",
+      shortcut: getShortcutLabel("table:pasteAsTable"),
+      disabled: false,
+      onClick: () => {
+        const v = getEditor();
+        if (v) {
+          pasteAsTable.fn(v);
+          v.focus();
+        }
+      },
+    }));
+  }
 
   menuEl.appendChild(createSeparator());
 
@@ -205,6 +232,11 @@ function showContextMenu(x, y) {
   // ── 装飾サブメニュー（レベル2へのトリガー） ──
   menuEl.appendChild(createFormattingSubmenuTrigger(view));
 
+  // ── 表サブメニュー（カーソルがテーブル内のときだけ） ──
+  if (isInTable(state)) {
+    menuEl.appendChild(createTableSubmenuTrigger());
+  }
+
   document.body.appendChild(menuEl);
 
   // ── 位置計算（ステータスバー24pxを考慮） ──
@@ -232,6 +264,7 @@ function showContextMenu(x, y) {
  */
 function closeContextMenu() {
   closeFormattingSubmenu();
+  closeTableSubmenu();
   if (menuEl) {
     menuEl.remove();
     menuEl = null;
@@ -239,13 +272,14 @@ function closeContextMenu() {
 }
 
 /**
- * 装飾サブメニューとその子（見出し・カラー）を閉じる。
+ * 装飾サブメニューとその子（見出し・アラート・カラー）を閉じる。
  *
  * @function closeFormattingSubmenu
  * @returns {void}
  */
 function closeFormattingSubmenu() {
   closeHeadingSubmenu();
+  closeAlertSubmenu();
   closeColorPalette();
   if (formattingSubmenuEl) {
     formattingSubmenuEl.remove();
@@ -266,6 +300,19 @@ function closeHeadingSubmenu() {
   }
 }
 
+/**
+ * アラートサブメニュー（レベル3）を閉じる。
+ *
+ * @function closeAlertSubmenu
+ * @returns {void}
+ */
+function closeAlertSubmenu() {
+  if (alertSubmenuEl) {
+    alertSubmenuEl.remove();
+    alertSubmenuEl = null;
+  }
+}
+
 /**
  * カラーパレット（レベル3）を閉じる。
  *
@@ -383,10 +430,11 @@ function createMenuItem(cmd) {
   item.appendChild(label);
 
   // ショートカット
-  if (cmd.shortcut) {
+  const shortcutText = getShortcutLabel(`format:${cmd.id}`);
+  if (shortcutText) {
     const shortcut = document.createElement("span");
     shortcut.className = "fcm-shortcut";
-    shortcut.textContent = cmd.shortcut;
+    shortcut.textContent = shortcutText;
     item.appendChild(shortcut);
   }
 
@@ -449,7 +497,7 @@ function createFormattingSubmenuTrigger(view) {
   /**
    * 装飾サブメニュー（レベル2）を表示する。
    * 全装飾コマンドをグループ分けしてセパレーター区切りで配置。
-   * 見出しとカラーはさらにレベル3のフライアウトとして配置。
+   * 見出し・アラート・カラーはさらにレベル3のフライアウトとして配置。
    */
   function showFormattingSubmenu() {
     if (formattingSubmenuEl) return;
@@ -466,7 +514,7 @@ function createFormattingSubmenuTrigger(view) {
       // 見出し（レベル3サブメニュー）
       { items: ["heading_submenu"] },
       // リスト・ブロック
-      { items: ["bulletList", "numberedList", "taskList", "blockquote", "codeBlock"] },
+      { items: ["bulletList", "numberedList", "taskList", "blockquote", "alert_submenu", "codeBlock"] },
       // 拡張ブロック
       { items: ["table", "horizontalRule", "details", "definitionList", "kbd", "escape", "color"] },
     ];
@@ -475,6 +523,8 @@ function createFormattingSubmenuTrigger(view) {
       group.items.forEach((itemId) => {
         if (itemId === "heading_submenu") {
           formattingSubmenuEl.appendChild(createHeadingSubmenu(view));
+        } else if (itemId === "alert_submenu") {
+          formattingSubmenuEl.appendChild(createAlertSubmenu());
         } else if (itemId === "color") {
           formattingSubmenuEl.appendChild(createColorMenuItem());
         } else {
@@ -532,6 +582,121 @@ function createFormattingSubmenuTrigger(view) {
   return container;
 }
 
+// ─── 表サブメニュー（レベル2） ───────────────────────────────────────
+
+/**
+ * 表サブメニュー（レベル2）を閉じる。
+ *
+ * @function closeTableSubmenu
+ * @returns {void}
+ */
+function closeTableSubmenu() {
+  if (tableSubmenuEl) {
+    tableSubmenuEl.remove();
+    tableSubmenuEl = null;
+  }
+}
+
+/**
+ * レベル1の「表 ▸」トリガーアイテムを生成する。
+ * ホバー時に TABLE_COMMANDS（行・列の編集、配置、並べ替え）のフライアウトを表示する。
+ *
+ * @function createTableSubmenuTrigger
+ * @returns {HTMLDivElement} - サブメニュートリガー div 要素
+ */
+function createTableSubmenuTrigger() {
+  const container = document.createElement("div");
+  container.className = "fcm-item has-submenu";
+
+  const check = document.createElement("span");
+  check.className = "fcm-check";
+  container.appendChild(check);
+
+  const icon = document.createElement("span");
+  icon.className = "fcm-icon";
+  icon.textContent = "\u25A6";
+  container.appendChild(icon);
+
+  const label = document.createElement("span");
+  label.className = "fcm-label";
+  label.textContent = t("table.title");
+  container.appendChild(label);
+
+  const arrow = document.createElement("span");
+  arrow.className = "fcm-arrow";
+  arrow.textContent = "\u25B6";
+  container.appendChild(arrow);
+
+  let hoverTimeout = null;
+
+  function showTableSubmenu() {
+    if (tableSubmenuEl) return;
+    // 装飾サブメニューと同時には開かない
+    closeFormattingSubmenu();
+
+    tableSubmenuEl = document.createElement("div");
+    tableSubmenuEl.className = "fcm-submenu";
+
+    for (const cmd of TABLE_COMMANDS) {
+      // 表として貼り付けはテーブル外用（レベル1に表示する）
+      if (cmd.id === "pasteAsTable") continue;
+      if (cmd === "-") {
+        if (tableSubmenuEl.firstChild) tableSubmenuEl.appendChild(createSeparator());
+        continue;
+      }
+      tableSubmenuEl.appendChild(createEditItem({
+        label: t(cmd.i18nKey),
+        icon: "",
+        shortcut: getShortcutLabel(`table:${cmd.id}`),
+        disabled: false,
+        onClick: () => {
+          const v = getEditor();
+          if (v) {
+            cmd.fn(v);
+            v.focus();
+          }
+        },
+      }));
+    }
+
+    document.body.appendChild(tableSubmenuEl);
+
+    // 位置計算（装飾サブメニューと同じ: 右側、はみ出す場合は左側・上方向へ）
+    const itemRect = container.getBoundingClientRect();
+    tableSubmenuEl.style.left = (itemRect.right + 2) + "px";
+    tableSubmenuEl.style.top = itemRect.top + "px";
+    const subRect = tableSubmenuEl.getBoundingClientRect();
+    if (subRect.right > window.innerWidth) {
+      tableSubmenuEl.style.left = (itemRect.left - subRect.width - 2) + "px";
+    }
+    const usableH = window.innerHeight - STATUS_BAR_HEIGHT;
+    if (subRect.bottom > usableH) {
+      tableSubmenuEl.style.top = Math.max(4, usableH - subRect.height - 4) + "px";
+    }
+
+    tableSubmenuEl.addEventListener("mouseleave", () => {
+      hoverTimeout = setTimeout(closeTableSubmenu, 150);
+    });
+    tableSubmenuEl.addEventListener("mouseenter", () => {
+      clearTimeout(hoverTimeout);
+    });
+  }
+
+  container.addEventListener("mouseenter", () => {
+    clearTimeout(hoverTimeout);
+    showTableSubmenu();
+  });
+  container.addEventListener("mouseleave", () => {
+    hoverTimeout = setTimeout(closeTableSubmenu, 150);
+  });
+
+  container.addEventListener("click", (e) => {
+    e.stopPropagation();
+  });
+
+  return container;
+}
+
 // ─── 見出しサブメニュー（レベル3） ───────────────────────────────────
 
 /**
@@ -640,6 +805,101 @@ function createHeadingSubmenu(view) {
   return container;
 }
 
+// ─── アラートサブメニュー（レベル3） ─────────────────────────────────
+
+/**
+ * GitHub アラートサブメニューのトリガーアイテムを生成する。
+ * ホバー時に NOTE / TIP / IMPORTANT / WARNING / CAUTION のフライアウト（レベル3）を表示する。
+ *
+ * @function createAlertSubmenu
+ * @returns {HTMLDivElement} - サブメニュートリガー div 要素
+ */
+function createAlertSubmenu() {
+  const container = document.createElement("div");
+  container.className = "fcm-item has-submenu";
+
+  // チェックマーク（アラートは挿入のみのため常に空）
+  const check = document.createElement("span");
+  check.className = "fcm-check";
+  container.appendChild(check);
+
+  // アイコン
+  const icon = document.createElement("span");
+  icon.className = "fcm-icon";
+  icon.textContent = "\u2139";
+  container.appendChild(icon);
+
+  // ラベル
+  const label = document.createElement("span");
+  label.className = "fcm-label";
+  label.textContent = t("format.alert");
+  container.appendChild(label);
+
+  // 矢印
+  const arrow = document.createElement("span");
+  arrow.className = "fcm-arrow";
+  arrow.textContent = "\u25B6";
+  container.appendChild(arrow);
+
+  let hoverTimeout = null;
+
+  /**
+   * アラート種別のフライアウトサブメニューを表示する。
+   */
+  function showSubmenu() {
+    if (alertSubmenuEl) return;
+
+    alertSubmenuEl = document.createElement("div");
+    alertSubmenuEl.className = "fcm-submenu";
+
+    for (const cmd of FORMAT_COMMANDS) {
+      if (cmd.group === "alert") {
+        alertSubmenuEl.appendChild(createMenuItem(cmd));
+      }
+    }
+
+    document.body.appendChild(alertSubmenuEl);
+
+    // 位置計算（トリガーアイテムの右側）
+    const itemRect = container.getBoundingClientRect();
+    alertSubmenuEl.style.left = (itemRect.right + 2) + "px";
+    alertSubmenuEl.style.top = itemRect.top + "px";
+
+    // ビューポート境界チェック（ステータスバー考慮）
+    const subRect = alertSubmenuEl.getBoundingClientRect();
+    if (subRect.right > window.innerWidth) {
+      alertSubmenuEl.style.left = (itemRect.left - subRect.width - 2) + "px";
+    }
+    const usableH = window.innerHeight - STATUS_BAR_HEIGHT;
+    if (subRect.bottom > usableH) {
+      alertSubmenuEl.style.top = (usableH - subRect.height - 4) + "px";
+    }
+
+    // マウスが離れたら閉じる（150ms 遅延）
+    alertSubmenuEl.addEventListener("mouseleave", () => {
+      hoverTimeout = setTimeout(closeAlertSubmenu, 150);
+    });
+    alertSubmenuEl.addEventListener("mouseenter", () => {
+      clearTimeout(hoverTimeout);
+    });
+  }
+
+  container.addEventListener("mouseenter", () => {
+    clearTimeout(hoverTimeout);
+    showSubmenu();
+  });
+  container.addEventListener("mouseleave", () => {
+    hoverTimeout = setTimeout(closeAlertSubmenu, 150);
+  });
+
+  // トリガー自体のクリックではメニューを閉じない
+  container.addEventListener("click", (e) => {
+    e.stopPropagation();
+  });
+
+  return container;
+}
+
 // ─── カラーパレット（レベル3） ───────────────────────────────────────
 
 /**
@@ -725,14 +985,14 @@ function createColorMenuItem() {
     const colorInput = document.createElement("input");
     colorInput.type = "color";
     colorInput.value = "#0969da";
-    colorInput.style.cssText = "width:28px;height:24px;padding:0;border:1px solid #d0d7de;border-radius:4px;cursor:pointer;";
+    colorInput.style.cssText = "width:28px;height:24px;padding:0;border:1px solid var(--mdpad-border);border-radius:4px;cursor:pointer;";
     // カラーピッカーのクリックでメニュー閉じを防止
     colorInput.addEventListener("mousedown", (e) => e.stopPropagation());
 
     const applyBtn = document.createElement("button");
     applyBtn.textContent = "Apply";
     applyBtn.style.cssText =
-      "flex:1;height:24px;border:1px solid #d0d7de;border-radius:4px;background:#f6f8fa;cursor:pointer;font-size:11px;color:#24292f;";
+      "flex:1;height:24px;border:1px solid var(--mdpad-border);border-radius:4px;background:var(--mdpad-bg-subtle);cursor:pointer;font-size:11px;color:var(--mdpad-fg);";
     applyBtn.addEventListener("click", (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -801,7 +1061,7 @@ function createColorMenuItem() {
 function createColorSwatch(color) {
   const swatch = document.createElement("button");
   swatch.style.cssText =
-    `width:26px;height:26px;border-radius:4px;border:1px solid #d0d7de;cursor:pointer;background:${color};padding:0;`;
+    `width:26px;height:26px;border-radius:4px;border:1px solid var(--mdpad-border);cursor:pointer;background:${color};padding:0;`;
   // 白色は枠線を暗くして視認性を確保
   if (color === "#ffffff") swatch.style.border = "1px solid #8b949e";
   swatch.title = color;
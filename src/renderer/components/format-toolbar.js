@@ -6,16 +6,16 @@
  * @description format-toolbar.js — Format toolbar
  * @file format-toolbar.js
  * @module format-toolbar
- * @version 0.1.10020
- * @revision 1
- * @lastModified 2026-03-07 20:00:00 (JST)
+ * @version 1.1.00103
+ * @revision 4
+ * @lastModified 2026-10-19 00:00:00 (JST)
  */
 
 import { FORMAT_COMMANDS, isFormatActive, getFormatCommand, insertColor, getColorHistory } from "./format-commands.js";
 import { getEditor } from "./editor-pane.js";
 import { t, onLocaleChange } from "../../i18n/i18n-renderer.js";
-
-const STORAGE_KEY = "mdpad:formatBarMode";
+import { getSetting } from "./settings.js";
+import { getShortcutLabel, onKeybindingsChange } from "./keybindings.js";
 
 let currentMode = null; // "topbar" | "sidebar" | "hidden"
 let formatBarEl = null;
@@ -24,10 +24,10 @@ let activeDropdown = null;
 let emojiCallback = null; // Set externally by emoji-picker
 
 /**
- * Initialize format toolbar. Reads mode from localStorage and renders.
+ * Initialize format toolbar. Reads the "formatBarMode" setting and renders.
  */
 export function initFormatToolbar() {
-  currentMode = localStorage.getItem(STORAGE_KEY) || "hidden";
+  currentMode = getSetting("formatBarMode") || "hidden";
   renderFormatBar();
 
   // Track cursor/selection changes to update active states
@@ -37,8 +37,9 @@ export function initFormatToolbar() {
     setInterval(() => updateActiveStates(), 250);
   }
 
-  // Re-render on locale change
+  // Re-render on locale change and when shortcuts (tooltips) change
   onLocaleChange(() => renderFormatBar());
+  onKeybindingsChange(() => renderFormatBar());
 
   // Close dropdown on click outside
   document.addEventListener("mousedown", (e) => {
@@ -55,16 +56,25 @@ export function initFormatToolbar() {
 }
 
 /**
- * Set the format bar mode.
+ * Set the format bar mode and save it (the main process updates the menu
+ * and the other windows).
  * @param {"topbar"|"sidebar"|"hidden"} mode
  */
 export function setFormatBarMode(mode) {
-  currentMode = mode;
-  localStorage.setItem(STORAGE_KEY, mode);
-  // メインプロセスのメニュー状態を同期（ラジオボタンの checked を更新）
+  applyFormatBarMode(mode);
   if (window.mdpad && window.mdpad.setFormatBarModeMain) {
     window.mdpad.setFormatBarModeMain(mode);
   }
+}
+
+/**
+ * Show the format bar in the given mode without saving it
+ * (used when the setting changed elsewhere).
+ * @param {"topbar"|"sidebar"|"hidden"} mode
+ */
+export function applyFormatBarMode(mode) {
+  if (mode === currentMode) return;
+  currentMode = mode;
   renderFormatBar();
 }
 
@@ -213,7 +223,8 @@ function createFormatButton(view, cmd) {
   const btn = document.createElement("button");
   btn.className = "fb-btn";
   btn.dataset.formatId = cmd.id;
-  btn.title = t(cmd.i18nKey) + (cmd.shortcut ? ` (${cmd.shortcut})` : "");
+  const shortcut = getShortcutLabel(`format:${cmd.id}`);
+  btn.title = t(cmd.i18nKey) + (shortcut ? ` (${shortcut})` : "");
   btn.textContent = cmd.icon;
   if (cmd.iconStyle) btn.style.cssText = cmd.iconStyle;
 
@@ -437,10 +448,11 @@ function adjustLayout() {
   if (!paneContainer) return;
 
   const toolbarHeight = 36; // #toolbar
+  const tabBarHeight = 30; // #tab-bar
   const statusBarHeight = 24; // #status-bar
   const formatBarHeight = currentMode === "topbar" ? 31 : 0; // 30px + 1px border
 
-  paneContainer.style.height = `calc(100vh - ${toolbarHeight}px - ${statusBarHeight}px - ${formatBarHeight}px)`;
+  paneContainer.style.height = `calc(100vh - ${toolbarHeight}px - ${tabBarHeight}px - ${statusBarHeight}px - ${formatBarHeight}px)`;
 
   if (currentMode === "sidebar") {
     ensureMainContentWrapper();
@@ -482,7 +494,7 @@ function showColorPalette(anchorBtn) {
   COLOR_PRESETS.forEach((color) => {
     const swatch = document.createElement("button");
     swatch.style.cssText =
-      `width:26px;height:26px;border-radius:4px;border:1px solid #d0d7de;cursor:pointer;background:${color};padding:0;`;
+      `width:26px;height:26px;border-radius:4px;border:1px solid var(--mdpad-border);cursor:pointer;background:${color};padding:0;`;
     if (color === "#ffffff") {
       swatch.style.border = "1px solid #8b949e";
     }
@@ -506,7 +518,7 @@ function showColorPalette(anchorBtn) {
   const history = getColorHistory();
   if (history.length > 0) {
     const histLabel = document.createElement("div");
-    histLabel.style.cssText = "font-size:10px;color:#8b949e;margin:6px 0 2px 0;padding:0;";
+    histLabel.style.cssText = "font-size:10px;color:var(--mdpad-fg-subtle);margin:6px 0 2px 0;padding:0;";
     histLabel.textContent = t("format.recentColors");
     colorPaletteEl.appendChild(histLabel);
 
@@ -516,7 +528,7 @@ function showColorPalette(anchorBtn) {
     history.forEach((color) => {
       const swatch = document.createElement("button");
       swatch.style.cssText =
-        `width:26px;height:26px;border-radius:4px;border:1px solid #d0d7de;cursor:pointer;background:${color};padding:0;`;
+        `width:26px;height:26px;border-radius:4px;border:1px solid var(--mdpad-border);cursor:pointer;background:${color};padding:0;`;
       if (color === "#ffffff") swatch.style.border = "1px solid #8b949e";
       swatch.title = color;
       swatch.addEventListener("click", (e) => {
@@ -542,12 +554,12 @@ function showColorPalette(anchorBtn) {
   const colorInput = document.createElement("input");
   colorInput.type = "color";
   colorInput.value = "#0969da";
-  colorInput.style.cssText = "width:28px;height:24px;padding:0;border:1px solid #d0d7de;border-radius:4px;cursor:pointer;";
+  colorInput.style.cssText = "width:28px;height:24px;padding:0;border:1px solid var(--mdpad-border);border-radius:4px;cursor:pointer;";
 
   const applyBtn = document.createElement("button");
   applyBtn.textContent = "Apply";
   applyBtn.style.cssText =
-    "flex:1;height:24px;border:1px solid #d0d7de;border-radius:4px;background:#f6f8fa;cursor:pointer;font-size:11px;color:#24292f;";
+    "flex:1;height:24px;border:1px solid var(--mdpad-border);border-radius:4px;background:var(--mdpad-bg-subtle);cursor:pointer;font-size:11px;color:var(--mdpad-fg);";
   applyBtn.addEventListener("click", (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -0,0 +1,371 @@
+/**
+ * git-blame.js
+ *
+ * エディタの Git Blame ガター。各行の最終変更コミット（作者・相対日時）を
+ * 行番号の左に表示し、ホバーでコミットの詳細カードを表示する。
+ *
+ * 【動作フロー】
+ * - setBlame() にメインプロセスの git blame --porcelain 結果（ディスク上のファイル）を渡す
+ * - lib/blame.js の mapBlameLines() で現在のバッファの各行にコミットを対応付ける
+ *   （ディスクと異なる行は「未コミット」）
+ * - 以後の編集は StateField で変更位置にマッピングし、編集された行を「未コミット」にする
+ *   （入力が止まって 300ms 後に mapBlameLines() で全体を対応付け直す）
+ * - 同じコミットが連続する行はラベルを先頭行にだけ表示する
+ * - コミット行のクリックで setBlameCommitHandler() のハンドラを呼ぶ
+ *   （index.js が差分ペインで親コミットとの比較を開く）
+ * - Compartment で ON/OFF 切り替え可能（状態は設定 "blameEnabled" に保存され、
+ *   ほかのウィンドウでの変更は setBlameEnabled() で反映する）
+ *
+ * @file git-blame.js
+ * @version 1.1.00102
+ * @since 1.1.00093
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { Compartment, StateField, StateEffect, RangeSet } from "@codemirror/state";
+import { gutter, GutterMarker, ViewPlugin } from "@codemirror/view";
+import { mapBlameLines, formatRelativeTime } from "../lib/blame.js";
+import { t, getLocale } from "../../i18n/i18n-renderer.js";
+import { getSetting, setSetting } from "./settings.js";
+
+/** Compartment（エディタ拡張の動的切り替え用） */
+const blameCompartment = new Compartment();
+
+/** エディタに適用中の Blame の有効/無効状態（getBlameExtension() で設定から読む） */
+let blameEnabled = false;
+
+/** コミット行クリック時のハンドラ: (commit) => void */
+let commitHandler = null;
+
+/** ホバーカード要素（表示中のみ）と表示中のマーカー */
+let cardEl = null;
+let cardMarker = null;
+
+/** 編集後に Blame を対応付け直すまでの待ち時間（ms） */
+const REMAP_DELAY = 300;
+
+/** Blame データを差し替えるエフェクト（null でクリア） */
+const setBlameEffect = StateEffect.define();
+
+/**
+ * 1行分の Blame マーカー。commit が null なら未コミット行。
+ */
+class BlameMarker extends GutterMarker {
+  /**
+   * @param {Object|null} commit - コミット情報（getGitBlame の commits の値）
+   * @param {boolean} [showLabel=false] - ラベルを表示するか（連続行の先頭のみ）
+   */
+  constructor(commit, showLabel = false) {
+    super();
+    this.commit = commit;
+    this.showLabel = showLabel;
+  }
+
+  eq(other) {
+    return other.commit === this.commit && other.showLabel === this.showLabel;
+  }
+
+  toDOM() {
+    const el = document.createElement("div");
+    el.className = this.commit ? "cm-blame-line" : "cm-blame-line cm-blame-uncommitted";
+    if (this.showLabel) {
+      el.textContent = this.commit
+        ? `${this.commit.author} · ${formatRelativeTime(this.commit.time, getLocale())}`
+        : t("blame.notCommitted");
+    }
+    return el;
+  }
+}
+
+/** 未コミット行のマーカー（共有インスタンス） */
+const UNCOMMITTED = new BlameMarker(null);
+
+/**
+ * Blame の状態: { blame, markers }。markers は行頭位置 → BlameMarker の RangeSet。
+ * 編集に合わせてマッピングし、変更された行は未コミットに置き換える。
+ * Blame 未取得時は null。
+ */
+const blameField = StateField.define({
+  create: () => null,
+  update(value, tr) {
+    for (const effect of tr.effects) {
+      if (effect.is(setBlameEffect)) return effect.value;
+    }
+    if (!value || !tr.docChanged) return value;
+
+    let markers = value.markers.map(tr.changes);
+    const doc = tr.state.doc;
+    tr.changes.iterChangedRanges((_fromA, _toA, fromB, toB) => {
+      const first = doc.lineAt(fromB);
+      const last = doc.lineAt(toB);
+      const add = [];
+      for (let n = first.number; n <= last.number; n++) {
+        add.push(UNCOMMITTED.range(doc.line(n).from));
+      }
+      markers = markers.update({ filter: () => false, filterFrom: first.from, filterTo: last.to, add });
+    });
+    return { blame: value.blame, markers };
+  },
+});
+
+/**
+ * Blame 結果を現在のドキュメントの各行に対応付けたマーカーを生成する。
+ *
+ * @param {import("@codemirror/state").Text} doc - ドキュメント
+ * @param {{lines: Array<{commit: string|null, text: string}>, commits: Object}} blame - getGitBlame の結果
+ * @returns {RangeSet<BlameMarker>} 行頭位置 → マーカー
+ */
+function buildMarkers(doc, blame) {
+  const hashes = mapBlameLines(blame.lines, doc.toString());
+  const cache = new Map();
+  const ranges = hashes.map((hash, i) => {
+    const commit = hash ? blame.commits[hash] || null : null;
+    if (!commit) return UNCOMMITTED.range(doc.line(i + 1).from);
+    if (!cache.has(hash)) cache.set(hash, new BlameMarker(commit));
+    return cache.get(hash).range(doc.line(i + 1).from);
+  });
+  return RangeSet.of(ranges);
+}
+
+/**
+ * 編集が止まったら Blame を対応付け直す（位置マッピングでは、行頭への改行挿入などで
+ * 内容の変わらない行まで未コミット扱いになるため）。
+ */
+const remapPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.view = view;
+      this.timer = null;
+    }
+    update(update) {
+      if (!update.docChanged || !update.state.field(blameField, false)) return;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        const value = this.view.state.field(blameField, false);
+        if (!value) return;
+        this.view.dispatch({
+          effects: setBlameEffect.of({
+            blame: value.blame,
+            markers: buildMarkers(this.view.state.doc, value.blame),
+          }),
+        });
+      }, REMAP_DELAY);
+    }
+    destroy() {
+      clearTimeout(this.timer);
+    }
+  }
+);
+
+/**
+ * 指定位置（行頭）の BlameMarker を返す。
+ *
+ * @param {import("@codemirror/state").EditorState} state - エディタの状態
+ * @param {number} pos - 行頭の位置
+ * @returns {BlameMarker|null} マーカー
+ */
+function markerAt(state, pos) {
+  const value = state.field(blameField, false);
+  if (!value) return null;
+  let found = null;
+  value.markers.between(pos, pos, (from, _to, marker) => {
+    if (from !== pos) return undefined;
+    found = marker;
+    return false;
+  });
+  return found;
+}
+
+/**
+ * 行に対応する BlameMarker を返す（ホバー・クリック用）。
+ *
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {import("@codemirror/view").BlockInfo} line - ガターの行
+ * @returns {BlameMarker|null} マーカー
+ */
+function lineBlame(view, line) {
+  return markerAt(view.state, view.state.doc.lineAt(line.from).from);
+}
+
+/**
+ * ホバーカードを表示する。
+ *
+ * @param {BlameMarker} marker - 対象行のマーカー
+ * @param {MouseEvent} event - マウスイベント（位置決め用）
+ */
+function showCard(marker, event) {
+  if (!cardEl) {
+    cardEl = document.createElement("div");
+    cardEl.className = "cm-blame-card";
+    document.body.appendChild(cardEl);
+  }
+  if (cardMarker !== marker) {
+    cardMarker = marker;
+    cardEl.innerHTML = "";
+    const add = (className, text) => {
+      const div = document.createElement("div");
+      div.className = className;
+      div.textContent = text;
+      cardEl.appendChild(div);
+    };
+    const commit = marker.commit;
+    if (commit) {
+      add("cm-blame-card-summary", commit.summary);
+      add(
+        "cm-blame-card-meta",
+        `${commit.author}${commit.authorMail ? ` <${commit.authorMail}>` : ""}`
+      );
+      add(
+        "cm-blame-card-meta",
+        `${new Date(commit.time).toLocaleString()} (${formatRelativeTime(commit.time, getLocale())})`
+      );
+      add("cm-blame-card-hash", commit.hash.slice(0, 7));
+      add("cm-blame-card-hint", t("blame.clickHint"));
+    } else {
+      add("cm-blame-card-summary", t("blame.notCommitted"));
+      add("cm-blame-card-meta", t("blame.notCommittedDetail"));
+    }
+  }
+  const x = Math.min(event.clientX + 12, window.innerWidth - cardEl.offsetWidth - 8);
+  const y = Math.min(event.clientY + 12, window.innerHeight - cardEl.offsetHeight - 8);
+  cardEl.style.left = `${Math.max(0, x)}px`;
+  cardEl.style.top = `${Math.max(0, y)}px`;
+}
+
+/** ホバーカードを閉じる */
+function hideCard() {
+  if (cardEl) {
+    cardEl.remove();
+    cardEl = null;
+    cardMarker = null;
+  }
+}
+
+/** Blame ガター（連続する同一コミットの先頭行にだけラベルを表示） */
+const blameGutter = gutter({
+  class: "cm-blame-gutter",
+  lineMarker(view, line) {
+    const marker = lineBlame(view, line);
+    if (!marker) return null;
+    const prev = line.from > 0 ? markerAt(view.state, view.state.doc.lineAt(line.from - 1).from) : null;
+    const showLabel = !prev || prev.commit !== marker.commit;
+    return showLabel ? new BlameMarker(marker.commit, true) : marker;
+  },
+  lineMarkerChange: (update) =>
+    update.docChanged ||
+    update.transactions.some((tr) => tr.effects.some((e) => e.is(setBlameEffect))),
+  domEventHandlers: {
+    mousemove(view, line, event) {
+      const marker = lineBlame(view, line);
+      if (marker) showCard(marker, event);
+      else hideCard();
+      return false;
+    },
+    mouseleave() {
+      hideCard();
+      return false;
+    },
+    mousedown(view, line) {
+      const marker = lineBlame(view, line);
+      hideCard();
+      if (!marker || !marker.commit || !commitHandler) return false;
+      commitHandler(marker.commit);
+      return true;
+    },
+  },
+});
+
+/**
+ * Blame 拡張を生成する。フィールドとガターはモジュール共通のインスタンスで、
+ * Compartment を再構成してもタブごとの Blame データは保持される。
+ *
+ * @returns {import("@codemirror/state").Extension} Blame 拡張
+ */
+function createBlameExtensions() {
+  return [blameField, blameGutter, remapPlugin];
+}
+
+/**
+ * Compartment ラップされた Blame 拡張を返す。
+ * createEditor() の extensions 配列に含めて使用する。
+ *
+ * @returns {import("@codemirror/state").Extension} Compartment 付き Blame 拡張
+ */
+export function getBlameExtension() {
+  blameEnabled = getSetting("blameEnabled") === true;
+  return blameCompartment.of(blameEnabled ? createBlameExtensions() : []);
+}
+
+/**
+ * 現在の設定で Blame Compartment を再構成するエフェクトを返す。
+ * タブ切り替え時（setEditorState）に使用する。
+ *
+ * @returns {import("@codemirror/state").StateEffect} 再構成エフェクト
+ */
+export function getBlameReconfigureEffect() {
+  return blameCompartment.reconfigure(blameEnabled ? createBlameExtensions() : []);
+}
+
+/**
+ * Blame の ON/OFF を設定する（状態は保存しない）。
+ * 有効にした場合、呼び出し側が blame を読み込み直す。
+ *
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {boolean} enabled - 有効にするなら true
+ * @returns {boolean} 状態が変わったら true
+ */
+export function setBlameEnabled(view, enabled) {
+  if (enabled === blameEnabled) return false;
+  blameEnabled = enabled;
+  view.dispatch({ effects: getBlameReconfigureEffect() });
+  if (!blameEnabled) hideCard();
+  return true;
+}
+
+/**
+ * Blame の ON/OFF を切り替え、状態を設定に保存する。
+ *
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @returns {boolean} 切り替え後の状態
+ */
+export function toggleBlame(view) {
+  setBlameEnabled(view, !blameEnabled);
+  setSetting("blameEnabled", blameEnabled);
+  return blameEnabled;
+}
+
+/**
+ * Blame が有効かどうか。
+ *
+ * @returns {boolean} 有効なら true
+ */
+export function isBlameEnabled() {
+  return blameEnabled;
+}
+
+/**
+ * Blame 結果をエディタに設定する（null でクリア）。
+ * blame はバッファ取得時点のディスク内容に対するもので、現在のバッファへ対応付ける。
+ *
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {{lines: Array<{commit: string|null, text: string}>, commits: Object}|null} blame - getGitBlame の結果
+ */
+export function setBlame(view, blame) {
+  if (!view || !blameEnabled) return;
+  if (!blame) {
+    view.dispatch({ effects: setBlameEffect.of(null) });
+    return;
+  }
+  view.dispatch({ effects: setBlameEffect.of({ blame, markers: buildMarkers(view.state.doc, blame) }) });
+}
+
+/**
+ * コミット行クリック時のハンドラを設定する。
+ *
+ * @param {function(Object): void} handler - コミット情報を受け取るハンドラ
+ */
+export function setBlameCommitHandler(handler) {
+  commitHandler = handler;
+}
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Git ファイル履歴ブラウザ
+ * @description
+ * 現在のファイルに触れたすべてのコミットを時系列で一覧し、各リビジョンの
+ * レンダリング済み Markdown と、1つ前のリビジョンとのリッチ差分を表示する。
+ *
+ * 【動作フロー】
+ * - showGitHistory() がメインプロセスからファイル履歴（git log --follow、件数無制限）を取得する
+ * - 左の一覧でコミットを選ぶと、右側に「プレビュー」（renderMarkdown()）または
+ *   「変更」（renderMarkdownDiff() で1つ前のリビジョンと比較）を表示する
+ * - 最も古いコミットは空の内容と比較する（ファイルを追加したコミット）
+ * - 「差分ペインで開く」は onShowDiff(base, target) で差分ペインに同じ比較を表示する
+ * - 「このリビジョンに戻す」は onRestore(content) でエディタの内容を置き換える
+ *   （1回の元に戻すで取り消せる。ファイルは保存しない）
+ *
+ * 【注意】
+ * - リビジョンの内容は表示中のダイアログ内でキャッシュする
+ * - リネームされたファイルは各コミット時点のパスで内容を読む
+ *
+ * @file git-history.js
+ * @version 1.1.00101
+ * @since 1.1.00095
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { renderMarkdown } from "../lib/markdown-engine.js";
+import { renderMarkdownDiff } from "../lib/markdown-diff.js";
+import { formatRelativeTime } from "../lib/blame.js";
+import { renderHtmlInto } from "./preview-pane.js";
+import { loadRevisionContent } from "./git-revision-picker.js";
+import { t, getLocale } from "../../i18n/i18n-renderer.js";
+
+/**
+ * ツールバーボタンの共通スタイル
+ * @type {string}
+ */
+const BUTTON_STYLE =
+  "padding:4px 12px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+  "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:12px;";
+
+/**
+ * 履歴のコミットをリビジョンオブジェクトにする。
+ *
+ * @function commitRevision
+ * @param {{hash: string, shortHash: string, subject: string, path: string}} commit - 履歴のコミット
+ * @returns {{rev: string, path: string, label: string, title: string}} リビジョン
+ */
+function commitRevision(commit) {
+  return {
+    rev: commit.hash,
+    path: commit.path,
+    label: commit.shortHash,
+    title: `${commit.shortHash} ${commit.subject}`,
+  };
+}
+
+/**
+ * 1つ前のリビジョン（比較元）を返す。最も古いコミットは空の親と比較する。
+ *
+ * @function previousRevision
+ * @param {Array} history - ファイル履歴（新しい順）
+ * @param {number} index - 対象コミットの位置
+ * @returns {Object} リビジョン
+ */
+function previousRevision(history, index) {
+  if (index + 1 < history.length) return commitRevision(history[index + 1]);
+  const short = history[index].shortHash;
+  return { rev: `${history[index].hash}^`, path: null, label: `${short}^`, title: `${short}^`, empty: true };
+}
+
+/**
+ * ファイル履歴ブラウザを表示する。
+ *
+ * @function showGitHistory
+ * @param {Object} options
+ * @param {string} options.filePath - 現在のファイルのパス
+ * @param {function(string): void} options.onRestore - 選択したリビジョンの内容でエディタを置き換える
+ * @param {function(Object, Object): void} [options.onShowDiff] - 差分ペインで base → target を開く
+ */
+export function showGitHistory({ filePath, onRestore, onShowDiff = null }) {
+  if (document.getElementById("git-history-overlay")) return;
+
+  // Close any open popups
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "git-history-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.4);z-index:100001;" +
+    "display:flex;align-items:center;justify-content:center;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "width:90vw;max-width:1200px;height:85vh;display:flex;flex-direction:column;" +
+    "box-shadow:0 8px 24px rgba(0,0,0,0.2);font-size:13px;color:var(--mdpad-fg);overflow:hidden;";
+
+  // タイトル行
+  const header = document.createElement("div");
+  header.style.cssText =
+    "display:flex;align-items:center;gap:8px;padding:10px 16px;border-bottom:1px solid var(--mdpad-border);";
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("gitHistory.title").replace("{file}", filePath.split(/[\\/]/).pop());
+  titleEl.style.cssText = "flex:1;font-size:15px;font-weight:700;";
+  const closeBtn = document.createElement("button");
+  closeBtn.textContent = "×";
+  closeBtn.title = t("gitHistory.close");
+  closeBtn.style.cssText =
+    "border:none;background:none;font-size:20px;line-height:1;cursor:pointer;color:var(--mdpad-fg-muted);";
+  closeBtn.onclick = () => close();
+  header.appendChild(titleEl);
+  header.appendChild(closeBtn);
+  modal.appendChild(header);
+
+  const main = document.createElement("div");
+  main.style.cssText = "flex:1;display:flex;min-height:0;";
+
+  // 左: コミット一覧
+  const listEl = document.createElement("div");
+  listEl.className = "git-history-list";
+  listEl.tabIndex = 0;
+  listEl.style.cssText =
+    "width:300px;flex-shrink:0;overflow-y:auto;border-right:1px solid var(--mdpad-border);outline:none;";
+  listEl.innerHTML = `<div style="padding:12px;color:var(--mdpad-fg-muted);">${t("gitHistory.loading")}</div>`;
+  main.appendChild(listEl);
+
+  // 右: 表示切替 + 内容
+  const right = document.createElement("div");
+  right.style.cssText = "flex:1;display:flex;flex-direction:column;min-width:0;";
+
+  const toolbar = document.createElement("div");
+  toolbar.style.cssText =
+    "display:flex;align-items:center;gap:6px;padding:6px 12px;" +
+    "border-bottom:1px solid var(--mdpad-border);background:var(--mdpad-bg-subtle);";
+  const previewTab = document.createElement("button");
+  previewTab.className = "git-history-tab-preview";
+  previewTab.textContent = t("gitHistory.preview");
+  const changesTab = document.createElement("button");
+  changesTab.className = "git-history-tab-changes";
+  changesTab.textContent = t("gitHistory.changes");
+  const infoEl = document.createElement("span");
+  infoEl.className = "git-history-info";
+  infoEl.style.cssText =
+    "flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" +
+    "color:var(--mdpad-fg-muted);font-size:12px;margin-left:6px;";
+  const diffBtn = document.createElement("button");
+  diffBtn.className = "git-history-open-diff";
+  diffBtn.textContent = t("gitHistory.openInDiff");
+  diffBtn.style.cssText = BUTTON_STYLE;
+  const restoreBtn = document.createElement("button");
+  restoreBtn.className = "git-history-restore";
+  restoreBtn.textContent = t("gitHistory.restore");
+  restoreBtn.title = t("gitHistory.restoreTitle");
+  restoreBtn.style.cssText = BUTTON_STYLE + "border-color:var(--mdpad-success-emphasis);color:var(--mdpad-success-fg);";
+  toolbar.appendChild(previewTab);
+  toolbar.appendChild(changesTab);
+  toolbar.appendChild(infoEl);
+  if (onShowDiff) toolbar.appendChild(diffBtn);
+  toolbar.appendChild(restoreBtn);
+  right.appendChild(toolbar);
+
+  const contentEl = document.createElement("div");
+  contentEl.className = "git-history-content";
+  contentEl.style.cssText = "flex:1;overflow-y:auto;padding:20px 28px;";
+  const body = document.createElement("div");
+  body.className = "markdown-body";
+  contentEl.appendChild(body);
+  right.appendChild(contentEl);
+
+  main.appendChild(right);
+  modal.appendChild(main);
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  listEl.focus();
+
+  let history = [];
+  let activeIndex = -1;
+  let view = localStorage.getItem("mdpad:gitHistoryView") === "changes" ? "changes" : "preview";
+  let renderSeq = 0;
+  // rev → Promise<string|null>
+  const contentCache = new Map();
+
+  /** リビジョンの内容を読み込む（キャッシュ付き） */
+  function loadContent(revision) {
+    const key = revision.empty ? "" : `${revision.rev}:${revision.path || ""}`;
+    if (!contentCache.has(key)) {
+      contentCache.set(key, loadRevisionContent(filePath, revision).catch(() => null));
+    }
+    return contentCache.get(key);
+  }
+
+  /** プレビュー / 変更 タブの見た目を更新する */
+  function updateTabs() {
+    for (const [btn, name] of [[previewTab, "preview"], [changesTab, "changes"]]) {
+      const active = view === name;
+      btn.style.cssText = BUTTON_STYLE + (active
+        ? "background:var(--mdpad-bg);border-color:var(--mdpad-accent-fg);color:var(--mdpad-accent-fg);font-weight:600;"
+        : "");
+    }
+    const disabled = activeIndex < 0;
+    diffBtn.disabled = disabled;
+    restoreBtn.disabled = disabled;
+  }
+
+  /** 一覧を描画する */
+  function renderList() {
+    listEl.innerHTML = "";
+    if (history.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = t("gitHistory.empty");
+      empty.style.cssText = "padding:12px;color:var(--mdpad-fg-muted);";
+      listEl.appendChild(empty);
+      return;
+    }
+    history.forEach((commit, index) => {
+      const row = document.createElement("div");
+      row.className = "git-history-item";
+      row.dataset.index = String(index);
+      row.style.cssText = "padding:6px 12px;cursor:pointer;border-bottom:1px solid var(--mdpad-bg-muted);";
+
+      const subject = document.createElement("div");
+      subject.textContent = commit.subject;
+      subject.style.cssText = "white-space:nowrap;overflow:hidden;text-overflow:ellipsis;";
+      row.appendChild(subject);
+
+      const date = new Date(commit.date);
+      const meta = document.createElement("div");
+      meta.textContent =
+        `${commit.shortHash} · ${commit.author} · ` +
+        (isNaN(date.getTime()) ? commit.date : formatRelativeTime(date.getTime(), getLocale()));
+      meta.title = isNaN(date.getTime()) ? "" : date.toLocaleString();
+      meta.style.cssText = "font-size:11px;color:var(--mdpad-fg-muted);";
+      row.appendChild(meta);
+
+      if (commit.path !== history[0].path) {
+        const renamed = document.createElement("div");
+        renamed.textContent = t("gitRevision.renamedFrom").replace("{path}", commit.path);
+        renamed.style.cssText = "font-size:11px;color:var(--mdpad-attention-fg);";
+        row.appendChild(renamed);
+      }
+
+      row.addEventListener("click", () => select(index));
+      listEl.appendChild(row);
+    });
+  }
+
+  /** コミットを選択して表示する */
+  function select(index) {
+    if (index < 0 || index >= history.length) return;
+    activeIndex = index;
+    for (const row of listEl.querySelectorAll(".git-history-item")) {
+      const isActive = Number(row.dataset.index) === index;
+      row.style.background = isActive ? "var(--mdpad-accent-subtle)" : "";
+      if (isActive) row.scrollIntoView({ block: "nearest" });
+    }
+    const commit = history[index];
+    infoEl.textContent = `${commit.shortHash} ${commit.subject}`;
+    infoEl.title = `${commit.hash}\n${commit.author}\n${new Date(commit.date).toLocaleString()}\n${commit.path}`;
+    updateTabs();
+    renderContent();
+  }
+
+  /** 選択中のリビジョンをプレビューまたはリッチ差分で表示する */
+  async function renderContent() {
+    if (activeIndex < 0) return;
+    const seq = ++renderSeq;
+    const target = commitRevision(history[activeIndex]);
+    const base = previousRevision(history, activeIndex);
+    body.innerHTML = `<div class="md-diff-empty">${t("gitHistory.loading")}</div>`;
+
+    const [newText, oldText] = await Promise.all([
+      loadContent(target),
+      view === "changes" ? loadContent(base) : Promise.resolve(""),
+    ]);
+    // Another commit or view was selected while loading
+    if (seq !== renderSeq || !overlay.isConnected) return;
+
+    if (newText === null || oldText === null) {
+      body.innerHTML = `<div class="md-diff-empty"></div>`;
+      body.firstChild.textContent = t("diffPane.gitNoContent").replace(
+        "{rev}", (newText === null ? target : base).label
+      );
+      return;
+    }
+    const rawHtml = view === "changes"
+      ? renderMarkdownDiff(oldText, newText)
+      : renderMarkdown(newText);
+    await renderHtmlInto(body, rawHtml, filePath);
+    if (seq === renderSeq) contentEl.scrollTop = 0;
+  }
+
+  /** プレビュー / 変更 を切り替える */
+  function setView(next) {
+    if (view === next) return;
+    view = next;
+    localStorage.setItem("mdpad:gitHistoryView", view);
+    updateTabs();
+    renderContent();
+  }
+
+  previewTab.onclick = () => setView("preview");
+  changesTab.onclick = () => setView("changes");
+
+  diffBtn.onclick = () => {
+    if (activeIndex < 0) return;
+    const target = commitRevision(history[activeIndex]);
+    const base = previousRevision(history, activeIndex);
+    close();
+    onShowDiff(base, target);
+  };
+
+  restoreBtn.onclick = async () => {
+    if (activeIndex < 0) return;
+    const content = await loadContent(commitRevision(history[activeIndex]));
+    if (content === null || !overlay.isConnected) return;
+    close();
+    onRestore(content);
+  };
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    } else if (e.key === "ArrowDown" && e.target === listEl) {
+      e.preventDefault();
+      select(activeIndex + 1);
+    } else if (e.key === "ArrowUp" && e.target === listEl) {
+      e.preventDefault();
+      select(activeIndex - 1);
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  function close() {
+    renderSeq++;
+    overlay.remove();
+  }
+
+  updateTabs();
+  window.mdpad.getGitFileHistory(filePath, 0).then((commits) => {
+    if (!overlay.isConnected) return;
+    history = commits || [];
+    renderList();
+    select(0);
+  }).catch(() => {
+    if (!overlay.isConnected) return;
+    listEl.innerHTML = `<div style="padding:12px;color:var(--mdpad-danger-fg);">${t("diffPane.gitError")}</div>`;
+  });
+}
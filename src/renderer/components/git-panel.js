@@ -0,0 +1,448 @@
+/**
+ * @fileoverview Git パネル（ステージ・コミット・プッシュ）
+ * @description
+ * 現在のファイルのリポジトリについて、作業ツリーの状態表示・ステージ/ステージ解除・
+ * コミット・プッシュを行うダイアログを提供する。
+ *
+ * 【動作フロー】
+ * - showGitPanel() がメインプロセスの git:getStatus で変更ファイル一覧を取得して表示する
+ * - ファイル単位のステージ/解除は git add / git reset（ディスク上の内容が対象）
+ * - 「ハンクを選んでステージ」は onStageHunks() を呼び、差分ペインを
+ *   「インデックス → エディタ」の比較で開く（ハンクごとのステージは diff-pane.js）
+ * - コミットメッセージの1行目（件名）は SUBJECT_WARN 文字で警告、
+ *   SUBJECT_MAX 文字を超えるとコミットできない
+ * - 「コミット後にプッシュ」を選ぶと、選択したリモートの同名ブランチへ git push する
+ *
+ * 【注意】
+ * - git のエラー出力は showGitErrorDialog() でそのまま表示する
+ * - 操作のたびに onChanged() を呼ぶ（ステータスバー・差分・Blame の更新用）
+ *
+ * @file git-panel.js
+ * @version 1.1.00102
+ * @since 1.1.00094
+ * @revision 3
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { t } from "../../i18n/i18n-renderer.js";
+import { getSetting, setSetting } from "./settings.js";
+
+/**
+ * 件名の推奨最大長（超えると警告色）
+ * @type {number}
+ */
+const SUBJECT_WARN = 50;
+
+/**
+ * 件名の上限（超えるとコミット不可）
+ * @type {number}
+ */
+const SUBJECT_MAX = 72;
+
+/**
+ * ボタンの共通スタイル
+ * @type {string}
+ */
+const BUTTON_STYLE =
+  "padding:4px 12px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+  "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:12px;";
+
+/**
+ * git のエラー出力をそのまま表示するダイアログ。
+ *
+ * @function showGitErrorDialog
+ * @param {string} output - git の出力（stderr / stdout）
+ */
+export function showGitErrorDialog(output) {
+  if (document.getElementById("git-error-overlay")) return;
+
+  const overlay = document.createElement("div");
+  overlay.id = "git-error-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.3);z-index:100002;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:15vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:16px 20px;width:560px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("gitPanel.errorTitle");
+  titleEl.style.cssText = "font-size:15px;font-weight:700;color:var(--mdpad-danger-fg);margin-bottom:10px;";
+  modal.appendChild(titleEl);
+
+  const pre = document.createElement("pre");
+  pre.className = "git-error-output";
+  pre.textContent = output;
+  pre.style.cssText =
+    "margin:0 0 12px;padding:8px 10px;max-height:40vh;overflow:auto;" +
+    "background:var(--mdpad-bg-subtle);border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "font-family:'Cascadia Code','Consolas','Courier New',monospace;font-size:12px;" +
+    "white-space:pre-wrap;word-break:break-all;user-select:text;";
+  modal.appendChild(pre);
+
+  const okBtn = document.createElement("button");
+  okBtn.textContent = "OK";
+  okBtn.style.cssText =
+    "display:block;margin-left:auto;padding:6px 20px;border:1px solid var(--mdpad-border);" +
+    "border-radius:6px;background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+  okBtn.onclick = () => overlay.remove();
+  modal.appendChild(okBtn);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  okBtn.focus();
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" || e.key === "Enter") {
+      e.preventDefault();
+      overlay.remove();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) overlay.remove();
+  });
+}
+
+/**
+ * porcelain の状態文字を表示用の短いラベルにする。
+ *
+ * @function statusLabel
+ * @param {{index: string, worktree: string}} file - 変更ファイル
+ * @returns {string} ラベル（例: "M", "A", "??", "MM"）
+ */
+function statusLabel(file) {
+  if (file.index === "?") return "??";
+  return (file.index + file.worktree).trim();
+}
+
+/**
+ * コミットメッセージの件名の長さを検査する。
+ *
+ * @function checkSubject
+ * @param {string} message - コミットメッセージ
+ * @returns {{length: number, level: "empty"|"ok"|"warn"|"error"}} 件名の長さと判定
+ */
+export function checkSubject(message) {
+  const subject = message.split("\n")[0].trim();
+  const length = [...subject].length;
+  if (length === 0) return { length, level: "empty" };
+  if (length > SUBJECT_MAX) return { length, level: "error" };
+  if (length > SUBJECT_WARN) return { length, level: "warn" };
+  return { length, level: "ok" };
+}
+
+/**
+ * Git パネルを表示する。
+ *
+ * @function showGitPanel
+ * @param {Object} options
+ * @param {string} options.filePath - 現在のファイルのパス
+ * @param {boolean} options.isDirty - 現在のファイルに未保存の変更があるか
+ * @param {function(): void} [options.onChanged] - ステージ・コミット後に呼ばれる
+ * @param {function(): void} [options.onStageHunks] - 「ハンクを選んでステージ」で呼ばれる
+ */
+export function showGitPanel({ filePath, isDirty, onChanged = () => {}, onStageHunks = () => {} }) {
+  if (document.getElementById("git-panel-overlay")) return;
+
+  // Close any open popups
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "git-panel-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.4);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:8vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:16px 20px;width:600px;max-height:80vh;display:flex;flex-direction:column;" +
+    "box-shadow:0 8px 24px rgba(0,0,0,0.2);font-size:13px;color:var(--mdpad-fg);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("gitPanel.title");
+  titleEl.style.cssText = "font-size:16px;font-weight:700;margin-bottom:4px;";
+  modal.appendChild(titleEl);
+
+  // リポジトリ・ブランチ・追跡状況
+  const repoEl = document.createElement("div");
+  repoEl.className = "git-panel-repo";
+  repoEl.style.cssText = "color:var(--mdpad-fg-muted);font-size:12px;margin-bottom:10px;";
+  modal.appendChild(repoEl);
+
+  // 変更ファイル一覧
+  const listLabel = document.createElement("div");
+  listLabel.textContent = t("gitPanel.changes");
+  listLabel.style.cssText = "font-weight:600;margin-bottom:4px;";
+  modal.appendChild(listLabel);
+
+  const listEl = document.createElement("div");
+  listEl.className = "git-panel-files";
+  listEl.style.cssText =
+    "flex:1;min-height:80px;max-height:30vh;overflow-y:auto;" +
+    "border:1px solid var(--mdpad-border);border-radius:4px;margin-bottom:8px;";
+  listEl.innerHTML = `<div style="padding:8px 10px;color:var(--mdpad-fg-muted);">${t("gitPanel.loading")}</div>`;
+  modal.appendChild(listEl);
+
+  if (isDirty) {
+    const dirtyEl = document.createElement("div");
+    dirtyEl.textContent = t("gitPanel.unsavedWarning");
+    dirtyEl.style.cssText = "color:var(--mdpad-attention-fg);font-size:12px;margin-bottom:8px;";
+    modal.appendChild(dirtyEl);
+  }
+
+  const hunkBtn = document.createElement("button");
+  hunkBtn.className = "git-panel-stage-hunks";
+  hunkBtn.textContent = t("gitPanel.stageHunks");
+  hunkBtn.title = t("gitPanel.stageHunksTitle");
+  hunkBtn.style.cssText = BUTTON_STYLE + "align-self:flex-start;margin-bottom:12px;";
+  hunkBtn.onclick = () => {
+    close();
+    onStageHunks();
+  };
+  modal.appendChild(hunkBtn);
+
+  // コミットメッセージ
+  const messageInput = document.createElement("textarea");
+  messageInput.className = "git-panel-message";
+  messageInput.placeholder = t("gitPanel.messagePlaceholder");
+  messageInput.rows = 5;
+  messageInput.style.cssText =
+    "width:100%;box-sizing:border-box;padding:6px 8px;border:1px solid var(--mdpad-border);" +
+    "border-radius:4px;font-family:'Cascadia Code','Consolas','Courier New',monospace;" +
+    "font-size:12px;resize:vertical;";
+  modal.appendChild(messageInput);
+
+  const counterEl = document.createElement("div");
+  counterEl.className = "git-panel-subject-counter";
+  counterEl.style.cssText = "font-size:11px;margin:2px 0 10px;text-align:right;";
+  modal.appendChild(counterEl);
+
+  // プッシュ設定
+  const pushRow = document.createElement("div");
+  pushRow.style.cssText = "display:flex;align-items:center;gap:8px;margin-bottom:12px;";
+  const pushCheck = document.createElement("input");
+  pushCheck.type = "checkbox";
+  pushCheck.id = "git-panel-push";
+  pushCheck.checked = getSetting("gitPushAfterCommit") === true;
+  const pushLabel = document.createElement("label");
+  pushLabel.htmlFor = "git-panel-push";
+  pushLabel.textContent = t("gitPanel.pushAfterCommit");
+  const remoteSelect = document.createElement("select");
+  remoteSelect.style.cssText = "font-size:12px;padding:2px 6px;border:1px solid var(--mdpad-border);border-radius:4px;";
+  pushRow.appendChild(pushCheck);
+  pushRow.appendChild(pushLabel);
+  pushRow.appendChild(remoteSelect);
+  modal.appendChild(pushRow);
+
+  // ステータス行 + ボタン
+  const footer = document.createElement("div");
+  footer.style.cssText = "display:flex;align-items:center;gap:8px;";
+  const statusEl = document.createElement("div");
+  statusEl.className = "git-panel-status";
+  statusEl.style.cssText = "flex:1;font-size:12px;color:var(--mdpad-fg-muted);";
+  const closeBtn = document.createElement("button");
+  closeBtn.textContent = t("gitPanel.close");
+  closeBtn.style.cssText = BUTTON_STYLE + "padding:6px 16px;font-size:13px;";
+  closeBtn.onclick = () => close();
+  const commitBtn = document.createElement("button");
+  commitBtn.className = "git-panel-commit";
+  commitBtn.textContent = t("gitPanel.commit");
+  commitBtn.style.cssText =
+    "padding:6px 16px;border:none;border-radius:6px;" +
+    "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+  footer.appendChild(statusEl);
+  footer.appendChild(closeBtn);
+  footer.appendChild(commitBtn);
+  modal.appendChild(footer);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  messageInput.focus();
+
+  let status = null;
+  let busy = false;
+
+  /** 件名カウンターとコミットボタンの状態を更新する */
+  function updateCommitState() {
+    const subject = checkSubject(messageInput.value);
+    counterEl.textContent = t("gitPanel.subjectLength")
+      .replace("{n}", String(subject.length))
+      .replace("{max}", String(SUBJECT_MAX));
+    counterEl.style.color =
+      subject.level === "error" ? "var(--mdpad-danger-fg)" : subject.level === "warn" ? "var(--mdpad-attention-fg)" : "var(--mdpad-fg-muted)";
+    if (subject.level === "error") counterEl.textContent += " — " + t("gitPanel.subjectTooLong");
+    else if (subject.level === "warn") counterEl.textContent += " — " + t("gitPanel.subjectLong");
+
+    const hasStaged = !!status && status.files.some((f) => f.index !== " " && f.index !== "?");
+    commitBtn.disabled = busy || !hasStaged || subject.level === "empty" || subject.level === "error";
+    commitBtn.style.opacity = commitBtn.disabled ? "0.5" : "1";
+    commitBtn.title = hasStaged ? "" : t("gitPanel.nothingStaged");
+    remoteSelect.disabled = busy || !pushCheck.checked || remoteSelect.options.length === 0;
+  }
+
+  /** 状態を再取得して一覧を描画する */
+  async function reload() {
+    status = await window.mdpad.getGitStatus(filePath);
+    if (!overlay.isConnected) return;
+    if (!status) {
+      repoEl.textContent = "";
+      listEl.innerHTML = "";
+      const div = document.createElement("div");
+      div.textContent = t("gitPanel.notRepo");
+      div.style.cssText = "padding:8px 10px;color:var(--mdpad-danger-fg);";
+      listEl.appendChild(div);
+      updateCommitState();
+      return;
+    }
+
+    let repoText = `${status.repoRoot.split(/[\\/]/).pop()} · ${status.branch}`;
+    if (status.upstream) {
+      repoText += ` → ${status.upstream}`;
+      if (status.ahead || status.behind) repoText += ` (↑${status.ahead} ↓${status.behind})`;
+    }
+    repoEl.textContent = repoText;
+
+    const selectedRemote = remoteSelect.value || (status.upstream ? status.upstream.split("/")[0] : "");
+    remoteSelect.innerHTML = "";
+    for (const remote of status.remotes) {
+      const opt = document.createElement("option");
+      opt.value = remote;
+      opt.textContent = remote;
+      opt.selected = remote === selectedRemote || (!selectedRemote && remote === "origin");
+      remoteSelect.appendChild(opt);
+    }
+    pushCheck.disabled = status.remotes.length === 0;
+    if (status.remotes.length === 0) pushCheck.checked = false;
+
+    renderFiles();
+    updateCommitState();
+  }
+
+  /** 変更ファイル一覧を描画する（現在のファイルを先頭・太字） */
+  function renderFiles() {
+    listEl.innerHTML = "";
+    const files = [...status.files].sort(
+      (a, b) => (b.path === status.relPath) - (a.path === status.relPath)
+    );
+    if (files.length === 0) {
+      const div = document.createElement("div");
+      div.textContent = t("gitPanel.clean");
+      div.style.cssText = "padding:8px 10px;color:var(--mdpad-fg-muted);";
+      listEl.appendChild(div);
+      return;
+    }
+    for (const file of files) {
+      const row = document.createElement("div");
+      row.className = "git-panel-file";
+      row.dataset.path = file.path;
+      row.style.cssText =
+        "display:flex;align-items:center;gap:8px;padding:4px 10px;border-bottom:1px solid var(--mdpad-bg-muted);";
+
+      const badge = document.createElement("span");
+      badge.textContent = statusLabel(file);
+      badge.title = t("gitPanel.statusHint");
+      badge.style.cssText =
+        "width:24px;flex-shrink:0;font-family:'Cascadia Code','Consolas','Courier New',monospace;" +
+        "font-size:11px;color:var(--mdpad-attention-fg);";
+      row.appendChild(badge);
+
+      const name = document.createElement("span");
+      name.textContent = file.origPath ? `${file.origPath} → ${file.path}` : file.path;
+      name.style.cssText = "flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;";
+      if (file.path === status.relPath) name.style.fontWeight = "600";
+      row.appendChild(name);
+
+      // 作業ツリーに変更があればステージ、インデックスに変更があれば解除
+      if (file.worktree !== " ") {
+        row.appendChild(actionButton("git-panel-stage", t("gitPanel.stage"), () =>
+          run(() => window.mdpad.gitStage(filePath, [file.path]))
+        ));
+      }
+      if (file.index !== " " && file.index !== "?") {
+        row.appendChild(actionButton("git-panel-unstage", t("gitPanel.unstage"), () =>
+          run(() => window.mdpad.gitUnstage(filePath, [file.path]))
+        ));
+      }
+      listEl.appendChild(row);
+    }
+  }
+
+  /** 一覧行のボタンを生成する */
+  function actionButton(className, label, onClick) {
+    const btn = document.createElement("button");
+    btn.className = className;
+    btn.textContent = label;
+    btn.style.cssText = BUTTON_STYLE + "padding:2px 10px;font-size:11px;";
+    btn.onclick = onClick;
+    return btn;
+  }
+
+  /**
+   * git 操作を実行し、失敗時はエラー出力を表示する。
+   * @returns {Promise<boolean>} 成功なら true
+   */
+  async function run(operation, busyText = "") {
+    if (busy) return false;
+    busy = true;
+    statusEl.textContent = busyText;
+    updateCommitState();
+    let result;
+    try {
+      result = await operation();
+    } catch (err) {
+      result = { ok: false, error: err.message };
+    }
+    busy = false;
+    statusEl.textContent = "";
+    if (!result.ok) showGitErrorDialog(result.error);
+    onChanged();
+    await reload();
+    return result.ok;
+  }
+
+  commitBtn.onclick = async () => {
+    if (commitBtn.disabled) return;
+    const message = messageInput.value.replace(/\s+$/, "") + "\n";
+    const push = pushCheck.checked && !!remoteSelect.value;
+    const remote = remoteSelect.value;
+    setSetting("gitPushAfterCommit", pushCheck.checked);
+
+    const committed = await run(() => window.mdpad.gitCommit(filePath, message), t("gitPanel.committing"));
+    if (!committed) return;
+    messageInput.value = "";
+    updateCommitState();
+    statusEl.textContent = t("gitPanel.committed");
+    if (!push) return;
+
+    const pushed = await run(() => window.mdpad.gitPush(filePath, remote), t("gitPanel.pushing"));
+    statusEl.textContent = pushed ? t("gitPanel.pushed").replace("{remote}", remote) : "";
+  };
+
+  messageInput.addEventListener("input", updateCommitState);
+  pushCheck.addEventListener("change", updateCommitState);
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    } else if (e.key === "Enter" && e.ctrlKey && !commitBtn.disabled) {
+      e.preventDefault();
+      commitBtn.click();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay && !busy) close();
+  });
+
+  function close() {
+    overlay.remove();
+  }
+
+  updateCommitState();
+  reload();
+}
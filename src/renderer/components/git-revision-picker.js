@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Git リビジョン選択ダイアログ
+ * @description
+ * 差分ペイン / リッチ差分の比較元・比較先として、ファイルの Git リビジョンを選ぶ
+ * ダイアログを提供する。
+ *
+ * 【動作フロー】
+ * - showRevisionPicker() がメインプロセスからブランチ一覧とファイル履歴
+ *   （git log --follow）を取得し、一覧を表示する
+ * - 一覧は「エディタ（allowBuffer 時のみ）/ インデックス / HEAD」「ブランチ」「履歴」の順
+ * - フィルタ入力でハッシュ・件名・作者・ブランチ名を絞り込み、
+ *   ↑↓ / Enter / Esc またはクリックで選択する
+ *
+ * 【リビジョンの表現】
+ * - { rev, path, label, title } — rev は git に渡す名前（"HEAD"、ブランチ名、
+ *   コミットハッシュ、インデックスは ":"）。path はそのコミット時点のファイルパス
+ *   （リネーム追跡用、null なら現在のパス）
+ * - エディタのバッファは null で表す
+ * - empty: true のリビジョンは空の内容として扱う（ファイルを追加したコミットの親）
+ * - 内容は現在のタブのエンコーディングでデコードする（エディタの内容と比較・復元できるように）
+ *
+ * @file git-revision-picker.js
+ * @version 1.1.00107
+ * @since 1.1.00092
+ * @revision 5
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { t } from "../../i18n/i18n-renderer.js";
+
+/**
+ * 既定の比較元: HEAD
+ * @type {{rev: string, path: null, label: string, title: string}}
+ */
+export const HEAD_REVISION = { rev: "HEAD", path: null, label: "HEAD", title: "HEAD" };
+
+/**
+ * インデックス（ステージ済みの内容）
+ * @type {{rev: string, path: null, label: string, title: string}}
+ */
+export const INDEX_REVISION = { rev: ":", path: null, label: "", title: "" };
+
+/**
+ * リビジョンの表示名を返す（null はエディタのバッファ）。
+ *
+ * @function revisionLabel
+ * @param {Object|null} revision - リビジョン
+ * @returns {string} 表示名
+ */
+export function revisionLabel(revision) {
+  if (!revision) return t("gitRevision.buffer");
+  if (revision.rev === ":") return t("gitRevision.index");
+  return revision.label || revision.rev;
+}
+
+/**
+ * リビジョンのツールチップ文字列を返す。
+ *
+ * @function revisionTitle
+ * @param {Object|null} revision - リビジョン
+ * @returns {string} ツールチップ
+ */
+export function revisionTitle(revision) {
+  if (!revision || revision.rev === ":") return revisionLabel(revision);
+  return revision.title || revision.rev;
+}
+
+/**
+ * 同じリビジョンかどうか（null 同士はバッファとして一致）。
+ *
+ * @function sameRevision
+ * @param {Object|null} a - リビジョン
+ * @param {Object|null} b - リビジョン
+ * @returns {boolean} 一致すれば true
+ */
+export function sameRevision(a, b) {
+  if (!a || !b) return a === b;
+  return a.rev === b.rev && (a.path || null) === (b.path || null);
+}
+
+/**
+ * リビジョン時点のファイル内容を読み込む（現在のタブのエンコーディングでデコード）。
+ *
+ * @function loadRevisionContent
+ * @param {string} filePath - 作業ツリー上のファイルパス
+ * @param {Object} revision - リビジョン
+ * @returns {Promise<string|null>} 内容（存在しなければ null）
+ */
+export function loadRevisionContent(filePath, revision) {
+  if (revision.empty) return Promise.resolve("");
+  const { encoding } = typeof window.__mdpadGetCurrentEncoding === "function"
+    ? window.__mdpadGetCurrentEncoding()
+    : { encoding: null };
+  return window.mdpad.getGitFileContent(filePath, revision.rev, revision.path, encoding);
+}
+
+/**
+ * ISO 日時を一覧表示用の短い日時に整形する。
+ *
+ * @function formatDate
+ * @param {string} iso - ISO 8601 日時
+ * @returns {string} 表示用日時
+ */
+function formatDate(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return iso || "";
+  return d.toLocaleDateString() + " " + d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+/**
+ * リビジョン選択ダイアログを表示する。
+ *
+ * @function showRevisionPicker
+ * @param {Object} options
+ * @param {string} options.filePath - 対象ファイルのパス
+ * @param {string} options.title - ダイアログのタイトル
+ * @param {boolean} [options.allowBuffer=false] - 「エディタ」を選択肢に含めるか
+ * @param {Object|null} [options.selected] - 現在の選択（強調表示）
+ * @returns {Promise<{revision: Object|null}|null>} 選択結果（キャンセル時は null）
+ */
+export function showRevisionPicker({ filePath, title, allowBuffer = false, selected = null }) {
+  return new Promise((resolve) => {
+    if (document.getElementById("git-revision-overlay")) {
+      resolve(null);
+      return;
+    }
+
+    // Close any open popups
+    window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+    const overlay = document.createElement("div");
+    overlay.id = "git-revision-overlay";
+    overlay.style.cssText =
+      "position:fixed;top:0;left:0;right:0;bottom:0;" +
+      "background:rgba(0,0,0,0.4);z-index:100001;" +
+      "display:flex;align-items:flex-start;justify-content:center;padding-top:10vh;";
+
+    const modal = document.createElement("div");
+    modal.style.cssText =
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+      "padding:16px;width:560px;max-height:70vh;display:flex;flex-direction:column;" +
+      "box-shadow:0 8px 24px rgba(0,0,0,0.2);font-size:13px;color:var(--mdpad-fg);";
+
+    const titleEl = document.createElement("div");
+    titleEl.textContent = title;
+    titleEl.style.cssText = "font-size:16px;font-weight:700;margin-bottom:12px;";
+    modal.appendChild(titleEl);
+
+    const filterInput = document.createElement("input");
+    filterInput.type = "text";
+    filterInput.placeholder = t("gitRevision.filter");
+    filterInput.style.cssText =
+      "padding:6px 8px;border:1px solid var(--mdpad-border);border-radius:4px;" +
+      "font-size:13px;margin-bottom:8px;box-sizing:border-box;width:100%;";
+    modal.appendChild(filterInput);
+
+    const listEl = document.createElement("div");
+    listEl.className = "git-revision-list";
+    listEl.style.cssText =
+      "flex:1;overflow-y:auto;border:1px solid var(--mdpad-border);border-radius:4px;min-height:120px;";
+    listEl.innerHTML =
+      `<div style="padding:12px;color:var(--mdpad-fg-muted);">${t("gitRevision.loading")}</div>`;
+    modal.appendChild(listEl);
+
+    const btnRow = document.createElement("div");
+    btnRow.style.cssText = "display:flex;justify-content:flex-end;margin-top:12px;";
+    const cancelBtn = document.createElement("button");
+    cancelBtn.textContent = t("dialog.saveConfirmCancel");
+    cancelBtn.style.cssText =
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+    cancelBtn.onclick = () => done(null);
+    btnRow.appendChild(cancelBtn);
+    modal.appendChild(btnRow);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    filterInput.focus();
+
+    // { section, revision, primary, secondary, search }
+    let items = [];
+    let visible = [];
+    let activeIndex = 0;
+
+    const special = [];
+    if (allowBuffer) {
+      special.push({ revision: null, primary: t("gitRevision.buffer"), secondary: "" });
+    }
+    special.push({ revision: INDEX_REVISION, primary: t("gitRevision.index"), secondary: "" });
+    special.push({ revision: HEAD_REVISION, primary: "HEAD", secondary: t("gitRevision.headHint") });
+
+    Promise.all([
+      window.mdpad.getGitBranches(filePath),
+      window.mdpad.getGitFileHistory(filePath),
+    ]).then(([branches, history]) => {
+      if (!overlay.isConnected) return;
+      items = [
+        ...special.map((s) => ({ section: "special", ...s })),
+        ...(branches || []).map((name) => ({
+          section: "branches",
+          revision: { rev: name, path: null, label: name, title: name },
+          primary: name,
+          secondary: "",
+        })),
+        ...(history || []).map((c) => ({
+          section: "history",
+          revision: {
+            rev: c.hash,
+            path: c.path,
+            label: c.shortHash,
+            title: `${c.shortHash} ${c.subject}`,
+          },
+          primary: c.subject,
+          secondary: `${c.shortHash} · ${c.author} · ${formatDate(c.date)}` +
+            (c.path !== history[0].path
+              ? " · " + t("gitRevision.renamedFrom").replace("{path}", c.path)
+              : ""),
+        })),
+      ];
+      for (const item of items) {
+        item.search = `${item.revision ? item.revision.rev : ""} ${item.primary} ${item.secondary}`.toLowerCase();
+      }
+      const sel = items.findIndex((item) => sameRevision(item.revision, selected));
+      render();
+      if (sel >= 0) setActive(visible.indexOf(items[sel]));
+    }).catch(() => {
+      if (!overlay.isConnected) return;
+      listEl.innerHTML =
+        `<div style="padding:12px;color:var(--mdpad-danger-fg);">${t("diffPane.gitError")}</div>`;
+    });
+
+    /** フィルタを適用して一覧を再描画する */
+    function render() {
+      const query = filterInput.value.trim().toLowerCase();
+      visible = items.filter((item) => !query || item.search.includes(query));
+      listEl.innerHTML = "";
+
+      let prevSection = null;
+      visible.forEach((item, index) => {
+        if (item.section !== prevSection) {
+          prevSection = item.section;
+          if (item.section !== "special") {
+            const header = document.createElement("div");
+            header.textContent = t(
+              item.section === "branches" ? "gitRevision.branches" : "gitRevision.history"
+            );
+            header.style.cssText =
+              "padding:4px 10px;font-size:11px;font-weight:600;color:var(--mdpad-fg-muted);" +
+              "background:var(--mdpad-bg-subtle);border-top:1px solid var(--mdpad-border);";
+            listEl.appendChild(header);
+          }
+        }
+        const row = document.createElement("div");
+        row.className = "git-revision-item";
+        row.dataset.index = String(index);
+        row.style.cssText = "padding:5px 10px;cursor:pointer;";
+        const primary = document.createElement("div");
+        primary.textContent = item.primary;
+        primary.style.cssText = "white-space:nowrap;overflow:hidden;text-overflow:ellipsis;";
+        if (sameRevision(item.revision, selected)) primary.style.fontWeight = "600";
+        row.appendChild(primary);
+        if (item.secondary) {
+          const secondary = document.createElement("div");
+          secondary.textContent = item.secondary;
+          secondary.style.cssText = "font-size:11px;color:var(--mdpad-fg-muted);";
+          row.appendChild(secondary);
+        }
+        row.addEventListener("mouseenter", () => setActive(index));
+        row.addEventListener("click", () => done({ revision: item.revision }));
+        listEl.appendChild(row);
+      });
+
+      if (!visible.some((item) => item.section === "history") && !query) {
+        const empty = document.createElement("div");
+        empty.textContent = t("gitRevision.noHistory");
+        empty.style.cssText = "padding:8px 10px;color:var(--mdpad-fg-muted);border-top:1px solid var(--mdpad-border);";
+        listEl.appendChild(empty);
+      }
+      setActive(0);
+    }
+
+    /** キーボード選択中の行を切り替える */
+    function setActive(index) {
+      if (visible.length === 0) return;
+      activeIndex = Math.max(0, Math.min(index, visible.length - 1));
+      for (const row of listEl.querySelectorAll(".git-revision-item")) {
+        const isActive = Number(row.dataset.index) === activeIndex;
+        row.style.background = isActive ? "var(--mdpad-accent-subtle)" : "";
+        if (isActive) row.scrollIntoView({ block: "nearest" });
+      }
+    }
+
+    filterInput.addEventListener("input", render);
+
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        done(null);
+      } else if (e.key === "ArrowDown") {
+        e.preventDefault();
+        setActive(activeIndex + 1);
+      } else if (e.key === "ArrowUp") {
+        e.preventDefault();
+        setActive(activeIndex - 1);
+      } else if (e.key === "Enter" && visible[activeIndex]) {
+        e.preventDefault();
+        done({ revision: visible[activeIndex].revision });
+      }
+    });
+    overlay.addEventListener("mousedown", (e) => {
+      if (e.target === overlay) done(null);
+    });
+
+    function done(result) {
+      overlay.remove();
+      resolve(result);
+    }
+  });
+}
@@ -42,16 +42,18 @@ const highlightMark = Decoration.mark({
   class: "global-search-highlight",
 });
 
-let fieldInstalled = false;
+// The field lives in the EditorState, so it has to be re-appended whenever
+// the editor switches to another state (tab switch, clearHistory).
+function isFieldInstalled(editor) {
+  return !!editor.state.field(searchHighlightField, false);
+}
 
 function ensureFieldInstalled() {
-  if (fieldInstalled) return;
   const editor = getEditor();
-  if (!editor) return;
+  if (!editor || isFieldInstalled(editor)) return;
   editor.dispatch({
     effects: StateEffect.appendConfig.of(searchHighlightField),
   });
-  fieldInstalled = true;
 }
 
 // --- Init ---
@@ -249,7 +251,7 @@ function highlightEditor(query) {
 
 function clearEditorHighlights() {
   const editor = getEditor();
-  if (!editor || !fieldInstalled) return;
+  if (!editor || !isFieldInstalled(editor)) return;
   editor.dispatch({
     effects: setSearchHighlights.of(Decoration.none),
   });
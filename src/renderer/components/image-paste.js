@@ -0,0 +1,536 @@
+/**
+ * @fileoverview 画像の貼り付け・ドロップ
+ * @description
+ * クリップボードの画像を貼り付けたとき、または画像ファイルをエディタにドロップしたとき、
+ * 画像をドキュメントの隣のフォルダ（既定: ./assets/{docname}/）に保存し、
+ * 相対パスの ![alt](path) リンクを挿入する。
+ *
+ * 【動作フロー】
+ * - 貼り付け: getImagePasteExtension() の paste ハンドラがクリップボードの画像を拾う
+ * - ドロップ: index.js の initDragAndDrop() がエディタ上にドロップされた画像ファイルを
+ *   insertImageFiles() に渡す（Shift+ドロップは従来どおりファイルとして開く）
+ * - 設定の最大幅を超える画像は縮小し、形式の変換が指定されていれば canvas で再エンコードする
+ * - メインプロセスの image-assets.js が重複しないファイル名で書き込み、相対リンクを返す
+ * - 挿入後、画像が1枚なら alt テキストを選択状態にする
+ * - 無題のドキュメントでは、保存先が決まらないため先に保存するよう確認する
+ *
+ * 【注意】
+ * - クリップボードにテキストもある場合（Excel のセルなど）はテキストの貼り付けを優先する
+ * - GIF・SVG はアニメーション・ベクターを保つため縮小・変換せずに保存する
+ * - 元に戻す（Ctrl+Z）でリンクを消しても、保存した画像ファイルは削除されない
+ * - プレビューでは相対パスが resolveRelativePaths() でドキュメントのフォルダ基準に解決される
+ *
+ * @file image-paste.js
+ * @version 1.1.00101
+ * @since 1.1.00099
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { EditorView } from "@codemirror/view";
+import { t } from "../../i18n/i18n-renderer.js";
+
+/**
+ * 画像の MIME タイプと保存時の拡張子
+ * @type {Object<string, string>}
+ */
+const MIME_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/bmp": "bmp",
+  "image/svg+xml": "svg",
+};
+
+/**
+ * 拡張子から MIME タイプを引く（ドロップしたファイルの type が空のとき用）
+ * @type {Object<string, string>}
+ */
+const EXTENSION_MIMES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  svg: "image/svg+xml",
+};
+
+/**
+ * canvas で縮小・変換できる形式
+ * @type {Set<string>}
+ */
+const CONVERTIBLE = new Set(["image/png", "image/jpeg", "image/webp", "image/bmp"]);
+
+/**
+ * 設定の形式と出力 MIME タイプ
+ * @type {Object<string, string>}
+ */
+const FORMAT_MIMES = { png: "image/png", jpeg: "image/jpeg", webp: "image/webp" };
+
+/**
+ * JPEG / WebP の品質
+ * @type {number}
+ */
+const QUALITY = 0.9;
+
+/**
+ * ボタンの共通スタイル
+ * @type {string}
+ */
+const BUTTON_STYLE =
+  "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+  "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+
+/**
+ * 主ボタンのスタイル
+ * @type {string}
+ */
+const PRIMARY_BUTTON_STYLE =
+  "padding:6px 16px;border:none;border-radius:6px;" +
+  "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+
+/**
+ * 入力欄の共通スタイル
+ * @type {string}
+ */
+const INPUT_STYLE =
+  "padding:4px 6px;border:1px solid var(--mdpad-border);border-radius:4px;font-size:13px;";
+
+/**
+ * index.js から渡されるコールバック
+ * @type {{ getFilePath: function(): (string|null), saveAs: function(): Promise<boolean> }}
+ */
+let callbacks = {
+  getFilePath: () => null,
+  saveAs: async () => false,
+};
+
+/**
+ * 画像の貼り付け・ドロップを初期化する。
+ *
+ * @function initImagePaste
+ * @param {Object} options
+ * @param {function(): (string|null)} options.getFilePath - アクティブなドキュメントのパス
+ * @param {function(): Promise<boolean>} options.saveAs - 名前を付けて保存（保存したら true）
+ */
+export function initImagePaste(options) {
+  callbacks = { ...callbacks, ...options };
+}
+
+/**
+ * ファイルの画像 MIME タイプを返す。
+ *
+ * @function imageType
+ * @param {File} file - ファイル
+ * @returns {string|null} 対応する画像なら MIME タイプ
+ */
+function imageType(file) {
+  if (!file) return null;
+  if (MIME_EXTENSIONS[file.type]) return file.type;
+  const ext = /\.([^.]+)$/.exec(file.name || "");
+  return ext ? EXTENSION_MIMES[ext[1].toLowerCase()] || null : null;
+}
+
+/**
+ * 画像ファイルか判定する。
+ *
+ * @function isImageFile
+ * @param {File} file - ファイル
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+  return imageType(file) !== null;
+}
+
+/**
+ * 貼り付けた画像のファイル名（拡張子なし）を作る。例: image-20261019-153012
+ *
+ * @function timestampName
+ * @returns {string}
+ */
+function timestampName() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `image-${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-` +
+    `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+/**
+ * 画像を設定に従って縮小・変換する。変換が不要ならファイルをそのまま返す。
+ *
+ * @async
+ * @function encodeImage
+ * @param {File} file - 画像ファイル
+ * @param {string} type - 画像の MIME タイプ
+ * @param {{ maxWidth: number, format: string }} settings - 画像の設定
+ * @returns {Promise<{ blob: Blob, type: string }>}
+ */
+async function encodeImage(file, type, settings) {
+  if (!CONVERTIBLE.has(type)) return { blob: file, type };
+  const outType = FORMAT_MIMES[settings.format] || type;
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    return { blob: file, type }; // 壊れた画像などはそのまま保存する
+  }
+  const scale = settings.maxWidth > 0 && bitmap.width > settings.maxWidth
+    ? settings.maxWidth / bitmap.width
+    : 1;
+  if (scale === 1 && outType === type) {
+    bitmap.close();
+    return { blob: file, type };
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = canvas.getContext("2d");
+  if (outType === "image/jpeg") {
+    // JPEG は透過できないので白で塗る
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, outType, QUALITY));
+  if (!blob) return { blob: file, type };
+  // 対応していない形式（BMP など）は PNG で返ってくる
+  return { blob, type: blob.type || outType };
+}
+
+/**
+ * 画像ファイルを保存し、リンクを挿入する。
+ *
+ * @async
+ * @function insertImageFiles
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {File[]} files - ファイル（画像以外は無視する）
+ * @param {Object} [options]
+ * @param {number|null} [options.pos=null] - 挿入位置（null なら選択範囲を置き換える）
+ * @param {boolean} [options.dropped=false] - ドロップされたファイルか（元のファイル名を使う）
+ * @returns {Promise<boolean>} 1枚以上挿入したか
+ */
+export async function insertImageFiles(view, files, { pos = null, dropped = false } = {}) {
+  const images = files.filter(isImageFile);
+  if (!view || images.length === 0) return false;
+
+  let docPath = callbacks.getFilePath();
+  if (!docPath) {
+    if (!(await confirmSaveFirst())) return false;
+    if (!(await callbacks.saveAs())) return false;
+    docPath = callbacks.getFilePath();
+    if (!docPath) return false;
+  }
+
+  const settings = await window.mdpad.getImageAssetSettings();
+  const links = [];
+  for (const file of images) {
+    try {
+      const { blob, type } = await encodeImage(file, imageType(file), settings);
+      const baseName = dropped ? file.name.replace(/\.[^.]+$/, "") : timestampName();
+      const data = new Uint8Array(await blob.arrayBuffer());
+      const saved = await window.mdpad.saveImageAsset(
+        docPath, `${baseName}.${MIME_EXTENSIONS[type] || "png"}`, data,
+      );
+      const alt = dropped ? baseName.replace(/[[\]\\]/g, "\\$&") : "image";
+      links.push({ alt, link: saved.link });
+    } catch (err) {
+      showImageErrorDialog(t("imagePaste.saveFailed").replace("{error}", err?.message || String(err)));
+      break;
+    }
+  }
+  if (links.length === 0) return false;
+
+  // 保存を待つ間に文書が変わっていても範囲外にならないようにする
+  const { state } = view;
+  const range = state.selection.main;
+  const from = pos == null ? range.from : Math.min(pos, state.doc.length);
+  const to = pos == null ? range.to : from;
+  const insert = links.map(({ alt, link }) => `![${alt}](${link})`).join("\n");
+  view.dispatch({
+    changes: { from, to, insert },
+    selection: links.length === 1
+      ? { anchor: from + 2, head: from + 2 + links[0].alt.length } // alt を選択
+      : { anchor: from + insert.length },
+    scrollIntoView: true,
+    userEvent: "input.paste",
+  });
+  view.focus();
+  return true;
+}
+
+/**
+ * 無題のドキュメントに画像を貼り付けるとき、先に保存するか確認する。
+ *
+ * @function confirmSaveFirst
+ * @returns {Promise<boolean>} 保存を選んだら true
+ */
+function confirmSaveFirst() {
+  return new Promise((resolve) => {
+    if (document.getElementById("image-save-first-overlay")) {
+      resolve(false);
+      return;
+    }
+
+    // Close any open popups
+    window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+    const overlay = document.createElement("div");
+    overlay.id = "image-save-first-overlay";
+    overlay.style.cssText =
+      "position:fixed;top:0;left:0;right:0;bottom:0;" +
+      "background:rgba(0,0,0,0.4);z-index:100001;" +
+      "display:flex;align-items:flex-start;justify-content:center;padding-top:15vh;";
+
+    const modal = document.createElement("div");
+    modal.style.cssText =
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+      "padding:20px;width:420px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
+
+    const titleEl = document.createElement("div");
+    titleEl.textContent = t("imagePaste.saveFirstTitle");
+    titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);margin-bottom:12px;";
+    modal.appendChild(titleEl);
+
+    const msgEl = document.createElement("div");
+    msgEl.textContent = t("imagePaste.saveFirstMessage");
+    msgEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:16px;line-height:1.5;";
+    modal.appendChild(msgEl);
+
+    const btnRow = document.createElement("div");
+    btnRow.style.cssText = "display:flex;gap:8px;justify-content:flex-end;";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.textContent = t("dialog.saveConfirmCancel");
+    cancelBtn.style.cssText = BUTTON_STYLE;
+    cancelBtn.onclick = () => done(false);
+
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "image-save-first-save";
+    saveBtn.textContent = t("imagePaste.saveFirstSave");
+    saveBtn.style.cssText = PRIMARY_BUTTON_STYLE;
+    saveBtn.onclick = () => done(true);
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(saveBtn);
+    modal.appendChild(btnRow);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    saveBtn.focus();
+
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        done(false);
+      }
+    });
+    overlay.addEventListener("mousedown", (e) => {
+      if (e.target === overlay) done(false);
+    });
+
+    function done(result) {
+      overlay.remove();
+      resolve(result);
+    }
+  });
+}
+
+/**
+ * 画像を保存できなかったときのメッセージを表示する。
+ *
+ * @function showImageErrorDialog
+ * @param {string} message - 表示するメッセージ
+ */
+function showImageErrorDialog(message) {
+  if (document.getElementById("image-error-overlay")) return;
+
+  const overlay = document.createElement("div");
+  overlay.id = "image-error-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.3);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:20vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:16px 20px;width:360px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
+
+  const msgEl = document.createElement("div");
+  msgEl.textContent = message;
+  msgEl.style.cssText = "font-size:14px;color:var(--mdpad-danger-fg);margin-bottom:12px;line-height:1.5;word-break:break-all;";
+  modal.appendChild(msgEl);
+
+  const okBtn = document.createElement("button");
+  okBtn.textContent = "OK";
+  okBtn.style.cssText = BUTTON_STYLE + "display:block;margin-left:auto;";
+  okBtn.onclick = () => overlay.remove();
+  modal.appendChild(okBtn);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  okBtn.focus();
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" || e.key === "Enter") {
+      e.preventDefault();
+      overlay.remove();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) overlay.remove();
+  });
+}
+
+/**
+ * 画像の貼り付け設定ダイアログを表示する（保存先フォルダ・最大幅・形式）。
+ *
+ * @function showImageSettings
+ */
+export function showImageSettings() {
+  if (document.getElementById("image-settings-overlay")) return;
+
+  // Close any open popups
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "image-settings-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.4);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:15vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:20px;width:460px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("imagePaste.settingsTitle");
+  titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);margin-bottom:16px;";
+  modal.appendChild(titleEl);
+
+  /** ラベル・入力欄・説明を1項目として追加する */
+  const addField = (label, input, hint) => {
+    const field = document.createElement("label");
+    field.style.cssText = "display:block;margin-bottom:12px;font-size:13px;color:var(--mdpad-fg);";
+    const labelEl = document.createElement("div");
+    labelEl.textContent = label;
+    labelEl.style.cssText = "font-weight:600;margin-bottom:4px;";
+    field.appendChild(labelEl);
+    field.appendChild(input);
+    if (hint) {
+      const hintEl = document.createElement("div");
+      hintEl.textContent = hint;
+      hintEl.style.cssText = "font-size:12px;color:var(--mdpad-fg-muted);margin-top:4px;line-height:1.4;";
+      field.appendChild(hintEl);
+    }
+    modal.appendChild(field);
+  };
+
+  const folderInput = document.createElement("input");
+  folderInput.type = "text";
+  folderInput.className = "image-settings-folder";
+  folderInput.spellcheck = false;
+  folderInput.style.cssText = INPUT_STYLE + "width:100%;box-sizing:border-box;font-family:monospace;";
+  addField(t("imagePaste.folder"), folderInput, t("imagePaste.folderHint"));
+
+  const widthInput = document.createElement("input");
+  widthInput.type = "number";
+  widthInput.min = "0";
+  widthInput.max = "10000";
+  widthInput.step = "100";
+  widthInput.className = "image-settings-max-width";
+  widthInput.style.cssText = INPUT_STYLE + "width:100px;";
+  addField(t("imagePaste.maxWidth"), widthInput, t("imagePaste.maxWidthHint"));
+
+  const formatSelect = document.createElement("select");
+  formatSelect.className = "image-settings-format";
+  formatSelect.style.cssText = INPUT_STYLE;
+  for (const format of ["original", "png", "jpeg", "webp"]) {
+    const option = document.createElement("option");
+    option.value = format;
+    option.textContent = t(`imagePaste.format_${format}`);
+    formatSelect.appendChild(option);
+  }
+  addField(t("imagePaste.format"), formatSelect, t("imagePaste.formatHint"));
+
+  const btnRow = document.createElement("div");
+  btnRow.style.cssText = "display:flex;gap:8px;justify-content:flex-end;margin-top:4px;";
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.textContent = t("dialog.saveConfirmCancel");
+  cancelBtn.style.cssText = BUTTON_STYLE;
+  cancelBtn.onclick = () => close();
+
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "image-settings-save";
+  saveBtn.textContent = t("imagePaste.save");
+  saveBtn.style.cssText = PRIMARY_BUTTON_STYLE;
+  saveBtn.onclick = async () => {
+    await window.mdpad.setImageAssetSettings({
+      folder: folderInput.value,
+      maxWidth: Number(widthInput.value),
+      format: formatSelect.value,
+    });
+    close();
+  };
+
+  btnRow.appendChild(cancelBtn);
+  btnRow.appendChild(saveBtn);
+  modal.appendChild(btnRow);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  window.mdpad.getImageAssetSettings().then((settings) => {
+    folderInput.value = settings.folder;
+    widthInput.value = String(settings.maxWidth);
+    formatSelect.value = settings.format;
+    folderInput.focus();
+  });
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    } else if (e.key === "Enter" && e.target.tagName === "INPUT") {
+      e.preventDefault();
+      saveBtn.click();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  function close() {
+    overlay.remove();
+  }
+}
+
+/**
+ * クリップボードの画像を貼り付ける拡張機能を返す。
+ *
+ * @function getImagePasteExtension
+ * @returns {import("@codemirror/state").Extension}
+ */
+export function getImagePasteExtension() {
+  return EditorView.domEventHandlers({
+    paste(event, view) {
+      const data = event.clipboardData;
+      if (!data || data.getData("text/plain")) return false;
+      const files = Array.from(data.files).filter(isImageFile);
+      if (files.length === 0) return false;
+      event.preventDefault();
+      insertImageFiles(view, files);
+      return true;
+    },
+  });
+}
@@ -0,0 +1,352 @@
+/**
+ * @fileoverview キーバインドのクライアント
+ * @description
+ * メインプロセスの keybindings.js（コマンドレジストリとユーザーのキーバインド）を
+ * レンダラー側にキャッシュし、表示用のショートカット文字列とエディタのキーマップを提供する。
+ *
+ * 【動作フロー】
+ * - initKeybindings() が全コマンドと現在のショートカットを取得する
+ *   （エディタ作成より前に await する）
+ * - メニューにないコマンド（書式・表・Lint パネル）は getUserKeymapExtension() の
+ *   キーマップでエディタに割り当てる。書式は FORMAT_COMMANDS、表は TABLE_COMMANDS の
+ *   関数を直接呼び、それ以外は setCommandRunner() で登録した関数（handleMenuAction）に渡す
+ * - メニューにあるコマンドはメインプロセスがメニューのアクセラレータに設定する
+ * - 変更は keybindings:changed で全ウィンドウに届き、onKeybindingsChange() の
+ *   コールバックを呼ぶ（index.js がキーマップを再構成する）
+ *
+ * 【注意】
+ * - ショートカットは Electron のアクセラレータ形式（"CmdOrCtrl+Shift+K"）で扱い、
+ *   CodeMirror のキー名（"Mod-Shift-k"）には toCodeMirrorKey() で変換する
+ * - ユーザーのキーマップは Prec.highest で、CodeMirror の既定キーマップより優先する
+ * - コマンドパレットは runCommand() で、メニューと同じ handleMenuAction に渡す
+ *
+ * @file keybindings.js
+ * @version 1.1.00105
+ * @since 1.1.00103
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { keymap } from "@codemirror/view";
+import { Compartment, Prec } from "@codemirror/state";
+import { getFormatCommand } from "./format-commands.js";
+import { TABLE_COMMANDS } from "./table-editor.js";
+
+/**
+ * macOS かどうか（表示用のキー名の切り替え）
+ * @type {boolean}
+ */
+const IS_MAC = navigator.platform.startsWith("Mac");
+
+/**
+ * アクセラレータのキー名 → CodeMirror のキー名（大文字小文字の違いだけのものは除く）
+ * @type {Object<string, string>}
+ */
+const CODEMIRROR_KEYS = {
+  Up: "ArrowUp",
+  Down: "ArrowDown",
+  Left: "ArrowLeft",
+  Right: "ArrowRight",
+  Esc: "Escape",
+  Plus: "+",
+};
+
+/**
+ * 表示用のキー名
+ * @type {Object<string, string>}
+ */
+const DISPLAY_KEYS = {
+  Up: "↑",
+  Down: "↓",
+  Left: "←",
+  Right: "→",
+  Plus: "+",
+};
+
+/**
+ * KeyboardEvent.key → アクセラレータのキー名（記録用）
+ * @type {Object<string, string>}
+ */
+const EVENT_KEYS = {
+  ArrowUp: "Up",
+  ArrowDown: "Down",
+  ArrowLeft: "Left",
+  ArrowRight: "Right",
+  Escape: "Esc",
+  " ": "Space",
+  "+": "Plus",
+};
+
+/**
+ * 全コマンド（メインプロセスの COMMANDS と現在のショートカット）
+ * @type {Array<{id: string, category: string, label: string, menu: boolean, defaultKey: string, key: string}>}
+ */
+let commands = [];
+
+/**
+ * 複数のコマンドに割り当てられたショートカット
+ * @type {Array<{key: string, ids: string[]}>}
+ */
+let conflicts = [];
+
+/**
+ * ID → コマンド
+ * @type {Map<string, Object>}
+ */
+let commandById = new Map();
+
+/**
+ * 変更時のコールバック
+ * @type {Array<function(): void>}
+ */
+const changeCallbacks = [];
+
+/**
+ * 書式・表以外のコマンドを実行する関数（index.js の handleMenuAction）
+ * @type {function(string): void|null}
+ */
+let commandRunner = null;
+
+/**
+ * ユーザーのキーマップの Compartment
+ * @type {Compartment}
+ */
+const keymapCompartment = new Compartment();
+
+/**
+ * メインプロセスから受け取った状態を保持する。
+ *
+ * @function applyState
+ * @param {{commands: Array<Object>, conflicts: Array<Object>}} state
+ */
+function applyState(state) {
+  commands = state.commands;
+  conflicts = state.conflicts;
+  commandById = new Map(commands.map((command) => [command.id, command]));
+}
+
+/**
+ * キーバインドを読み込み、変更の通知を受け取る。
+ *
+ * @async
+ * @function initKeybindings
+ * @returns {Promise<void>}
+ */
+export async function initKeybindings() {
+  window.mdpad.onKeybindingsChanged((state) => {
+    applyState(state);
+    for (const callback of changeCallbacks.slice()) callback();
+  });
+  applyState(await window.mdpad.getKeybindings());
+}
+
+/**
+ * 全コマンドを返す（キーマップエディタの並び順）。
+ *
+ * @function getCommands
+ * @returns {Array<Object>}
+ */
+export function getCommands() {
+  return commands;
+}
+
+/**
+ * 重複しているショートカットを返す。
+ *
+ * @function getConflicts
+ * @returns {Array<{key: string, ids: string[]}>}
+ */
+export function getConflicts() {
+  return conflicts;
+}
+
+/**
+ * コマンドのショートカット（アクセラレータ形式、未割り当てなら ""）を返す。
+ *
+ * @function getKeybinding
+ * @param {string} id - コマンド ID
+ * @returns {string}
+ */
+export function getKeybinding(id) {
+  const command = commandById.get(id);
+  return command ? command.key : "";
+}
+
+/**
+ * アクセラレータを表示用の文字列にする（"CmdOrCtrl+Shift+K" → "Ctrl+Shift+K"）。
+ *
+ * @function formatAccelerator
+ * @param {string} accelerator - アクセラレータ
+ * @returns {string}
+ */
+export function formatAccelerator(accelerator) {
+  if (!accelerator) return "";
+  return accelerator
+    .split("+")
+    .map((part) => {
+      if (part === "CmdOrCtrl") return IS_MAC ? "Cmd" : "Ctrl";
+      if (part === "Super") return IS_MAC ? "Cmd" : "Win";
+      return DISPLAY_KEYS[part] || part;
+    })
+    .join("+");
+}
+
+/**
+ * コマンドのショートカットを表示用の文字列で返す（未割り当てなら ""）。
+ *
+ * @function getShortcutLabel
+ * @param {string} id - コマンド ID
+ * @returns {string}
+ */
+export function getShortcutLabel(id) {
+  return formatAccelerator(getKeybinding(id));
+}
+
+/**
+ * キー入力をアクセラレータにする（ショートカットの記録用）。
+ *
+ * @function acceleratorFromEvent
+ * @param {KeyboardEvent} event - keydown イベント
+ * @returns {string|null} 修飾キーだけのときは null
+ */
+export function acceleratorFromEvent(event) {
+  if (["Control", "Shift", "Alt", "Meta", "AltGraph", "CapsLock"].includes(event.key)) return null;
+  let key;
+  // 英字・数字は Shift で記号に変わらないよう物理キーから取る
+  const codeMatch = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code);
+  if (codeMatch) {
+    key = codeMatch[1] || codeMatch[2];
+  } else if (EVENT_KEYS[event.key]) {
+    key = EVENT_KEYS[event.key];
+  } else if (event.key.length === 1) {
+    key = event.key.toUpperCase();
+  } else {
+    key = event.key;
+  }
+  const parts = [];
+  if (event.ctrlKey || (IS_MAC && event.metaKey)) parts.push("CmdOrCtrl");
+  if (event.altKey) parts.push("Alt");
+  if (event.shiftKey) parts.push("Shift");
+  if (event.metaKey && !IS_MAC) parts.push("Super");
+  parts.push(key);
+  return parts.join("+");
+}
+
+/**
+ * アクセラレータを CodeMirror のキー名にする（"CmdOrCtrl+Shift+K" → "Mod-Shift-k"）。
+ *
+ * @function toCodeMirrorKey
+ * @param {string} accelerator - 正規化済みのアクセラレータ
+ * @returns {string}
+ */
+function toCodeMirrorKey(accelerator) {
+  const parts = accelerator.split("+");
+  const key = parts.pop();
+  const modifiers = parts.map((part) => {
+    if (part === "CmdOrCtrl") return "Mod";
+    if (part === "Super") return "Meta";
+    return part;
+  });
+  const name = CODEMIRROR_KEYS[key] || (key.length === 1 ? key.toLowerCase() : key);
+  return [...modifiers, name].join("-");
+}
+
+/**
+ * 書式・表以外のコマンドを実行する関数を登録する。
+ *
+ * @function setCommandRunner
+ * @param {function(string): void} runner - コマンド ID を受け取る関数
+ */
+export function setCommandRunner(runner) {
+  commandRunner = runner;
+}
+
+/**
+ * コマンドを ID で実行する（setCommandRunner() で登録した関数に渡す）。
+ *
+ * @function runCommand
+ * @param {string} id - コマンド ID
+ */
+export function runCommand(id) {
+  if (commandRunner) commandRunner(id);
+}
+
+/**
+ * コマンドの CodeMirror コマンドを返す。
+ *
+ * @function commandFor
+ * @param {string} id - コマンド ID
+ * @returns {function(import("@codemirror/view").EditorView): boolean|null}
+ */
+function commandFor(id) {
+  if (id.startsWith("format:")) {
+    const command = getFormatCommand(id.slice("format:".length));
+    if (!command || !command.fn) return null;
+    return (view) => {
+      command.fn(view);
+      return true;
+    };
+  }
+  if (id.startsWith("table:")) {
+    const tableId = id.slice("table:".length);
+    const command = TABLE_COMMANDS.find((item) => item !== "-" && item.id === tableId);
+    // テーブル外では false を返し、ほかのキーマップに渡す
+    return command ? command.fn : null;
+  }
+  return () => {
+    runCommand(id);
+    return true;
+  };
+}
+
+/**
+ * メニューにないコマンドのキーマップを作る。
+ *
+ * @function buildKeymap
+ * @returns {import("@codemirror/state").Extension}
+ */
+function buildKeymap() {
+  const bindings = [];
+  for (const command of commands) {
+    if (command.menu || !command.key) continue;
+    const run = commandFor(command.id);
+    if (run) bindings.push({ key: toCodeMirrorKey(command.key), run });
+  }
+  return keymap.of(bindings);
+}
+
+/**
+ * ユーザーのキーマップ拡張を返す（createEditor() で使用）。
+ *
+ * @function getUserKeymapExtension
+ * @returns {import("@codemirror/state").Extension}
+ */
+export function getUserKeymapExtension() {
+  return Prec.highest(keymapCompartment.of(buildKeymap()));
+}
+
+/**
+ * 現在のキーバインドでキーマップを再構成するエフェクトを返す。
+ * キーバインドの変更時とタブ切り替え時（setEditorState）に使用する。
+ *
+ * @function getUserKeymapReconfigureEffect
+ * @returns {import("@codemirror/state").StateEffect}
+ */
+export function getUserKeymapReconfigureEffect() {
+  return keymapCompartment.reconfigure(buildKeymap());
+}
+
+/**
+ * キーバインドが変更されたときのコールバックを登録する（ほかのウィンドウでの変更も含む）。
+ *
+ * @function onKeybindingsChange
+ * @param {function(): void} callback
+ * @returns {function(): void} 登録を解除する関数
+ */
+export function onKeybindingsChange(callback) {
+  changeCallbacks.push(callback);
+  return () => {
+    const index = changeCallbacks.indexOf(callback);
+    if (index >= 0) changeCallbacks.splice(index, 1);
+  };
+}
@@ -0,0 +1,329 @@
+/**
+ * @fileoverview キーボードショートカットの編集ダイアログ
+ * @description
+ * コマンドレジストリ（keybindings.js）の全コマンドをカテゴリごとに一覧し、
+ * ショートカットの記録・削除・既定値へのリセットと、重複の表示を行う。
+ *
+ * 【動作フロー】
+ * - showKeymapEditor() がカテゴリ見出しとコマンドの行を並べる
+ * - 検索欄はコマンド名・コマンド ID・ショートカットの部分一致で行を絞り込む
+ * - 「記録」を押すと次のキー入力をショートカットとして割り当てる（Esc で中止）。
+ *   記録中はメニューのアクセラレータを無効にする（setKeybindingRecording）
+ * - 割り当て先がほかのコマンドと重複する場合は割り当てたうえで警告を表示し、
+ *   重複している行に印を付ける
+ * - キーバインドの変更（ほかのウィンドウを含む）は onKeybindingsChange() で再描画する
+ *
+ * 【注意】
+ * - 修飾キーなしの文字キーは入力の妨げになるため割り当てられない（ファンクションキーは可）
+ * - メニューにないコマンド（書式・表など）はエディタにフォーカスがあるときだけ有効
+ *
+ * @file keymap-editor.js
+ * @version 1.1.00103
+ * @since 1.1.00103
+ * @revision 1
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { t } from "../../i18n/i18n-renderer.js";
+import {
+  getCommands,
+  getConflicts,
+  formatAccelerator,
+  acceleratorFromEvent,
+  onKeybindingsChange,
+} from "./keybindings.js";
+
+/**
+ * ボタンの共通スタイル
+ * @type {string}
+ */
+const BUTTON_STYLE =
+  "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+  "background:var(--mdpad-bg-subtle);color:var(--mdpad-fg);cursor:pointer;font-size:13px;";
+
+/**
+ * 行内の小さいボタンのスタイル
+ * @type {string}
+ */
+const ROW_BUTTON_STYLE =
+  "border:none;background:none;cursor:pointer;font-size:13px;color:var(--mdpad-fg-muted);" +
+  "padding:2px 4px;width:24px;";
+
+/**
+ * 入力欄の共通スタイル
+ * @type {string}
+ */
+const INPUT_STYLE =
+  "padding:4px 6px;border:1px solid var(--mdpad-border);border-radius:4px;font-size:13px;" +
+  "background:var(--mdpad-bg);color:var(--mdpad-fg);";
+
+/**
+ * キーボードショートカットの編集ダイアログを表示する。
+ *
+ * @function showKeymapEditor
+ */
+export function showKeymapEditor() {
+  if (document.getElementById("keymap-editor-overlay")) return;
+
+  // Close any open popups
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "keymap-editor-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.4);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:8vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:20px;width:640px;max-height:80vh;display:flex;flex-direction:column;" +
+    "box-shadow:0 8px 24px rgba(0,0,0,0.2);color:var(--mdpad-fg);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("keybindings.title");
+  titleEl.style.cssText = "font-size:16px;font-weight:700;margin-bottom:12px;";
+  modal.appendChild(titleEl);
+
+  const searchInput = document.createElement("input");
+  searchInput.type = "search";
+  searchInput.className = "keymap-search";
+  searchInput.placeholder = t("keybindings.searchPlaceholder");
+  searchInput.style.cssText = INPUT_STYLE + "width:100%;box-sizing:border-box;margin-bottom:8px;";
+  modal.appendChild(searchInput);
+
+  const conflictEl = document.createElement("div");
+  conflictEl.className = "keymap-conflicts";
+  conflictEl.style.cssText =
+    "display:none;font-size:12px;padding:6px 8px;margin-bottom:8px;border-radius:4px;" +
+    "background:var(--mdpad-attention-subtle);border:1px solid var(--mdpad-attention-border);" +
+    "color:var(--mdpad-fg);";
+  modal.appendChild(conflictEl);
+
+  const listEl = document.createElement("div");
+  listEl.style.cssText = "overflow-y:auto;flex:1;min-height:0;padding-right:4px;";
+  modal.appendChild(listEl);
+
+  const statusEl = document.createElement("div");
+  statusEl.className = "keymap-status";
+  statusEl.style.cssText = "min-height:18px;margin-top:8px;font-size:12px;color:var(--mdpad-fg-muted);";
+  modal.appendChild(statusEl);
+
+  const btnRow = document.createElement("div");
+  btnRow.style.cssText = "display:flex;gap:8px;margin-top:8px;";
+
+  const resetAllBtn = document.createElement("button");
+  resetAllBtn.textContent = t("keybindings.resetAll");
+  resetAllBtn.style.cssText = BUTTON_STYLE;
+  resetAllBtn.onclick = async () => {
+    cancelRecording();
+    await window.mdpad.resetKeybindings();
+    showStatus("");
+  };
+
+  const spacer = document.createElement("div");
+  spacer.style.cssText = "flex:1;";
+
+  const closeBtn = document.createElement("button");
+  closeBtn.className = "keymap-close";
+  closeBtn.textContent = t("keybindings.close");
+  closeBtn.style.cssText = BUTTON_STYLE;
+  closeBtn.onclick = () => close();
+
+  btnRow.appendChild(resetAllBtn);
+  btnRow.appendChild(spacer);
+  btnRow.appendChild(closeBtn);
+  modal.appendChild(btnRow);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  /** 記録中のコマンド ID（記録していなければ null） */
+  let recordingId = null;
+
+  /** ID → 表示ラベル */
+  const labelOf = (command) => t(command.label);
+  const commandLabel = (id) => {
+    const command = getCommands().find((item) => item.id === id);
+    return command ? labelOf(command) : id;
+  };
+
+  /** ダイアログ下部のメッセージを表示する */
+  function showStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.style.color = isError ? "var(--mdpad-danger-fg)" : "var(--mdpad-fg-muted)";
+  }
+
+  /** 一覧を描き直す（検索語を適用） */
+  function render() {
+    const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const conflicts = getConflicts();
+    const conflictById = new Map();
+    for (const { ids } of conflicts) {
+      for (const id of ids) conflictById.set(id, ids.filter((other) => other !== id));
+    }
+
+    if (conflicts.length > 0) {
+      conflictEl.textContent = t("keybindings.conflictsFound").replace("{count}", String(conflicts.length));
+      conflictEl.style.display = "block";
+    } else {
+      conflictEl.style.display = "none";
+    }
+
+    listEl.textContent = "";
+    let currentCategory = null;
+    let anyVisible = false;
+    for (const command of getCommands()) {
+      const label = labelOf(command);
+      const shortcut = formatAccelerator(command.key);
+      const text = `${label} ${command.id} ${shortcut}`.toLowerCase();
+      if (!terms.every((term) => text.includes(term))) continue;
+      anyVisible = true;
+
+      if (command.category !== currentCategory) {
+        currentCategory = command.category;
+        const heading = document.createElement("div");
+        heading.textContent = t(`keybindings.category_${command.category}`);
+        heading.style.cssText =
+          "font-size:12px;font-weight:700;text-transform:uppercase;color:var(--mdpad-fg-muted);" +
+          "border-bottom:1px solid var(--mdpad-border-muted);padding:8px 0 4px;";
+        listEl.appendChild(heading);
+      }
+
+      const row = document.createElement("div");
+      row.dataset.commandId = command.id;
+      row.style.cssText = "display:flex;align-items:center;gap:8px;padding:4px 0;font-size:13px;";
+
+      const labelEl = document.createElement("div");
+      labelEl.style.cssText = "flex:1;min-width:0;";
+      const nameEl = document.createElement("div");
+      nameEl.textContent = label;
+      const idEl = document.createElement("div");
+      idEl.textContent = command.menu ? command.id : `${command.id} · ${t("keybindings.editorOnly")}`;
+      idEl.style.cssText = "font-size:11px;color:var(--mdpad-fg-subtle);font-family:monospace;";
+      labelEl.appendChild(nameEl);
+      labelEl.appendChild(idEl);
+
+      const keyEl = document.createElement("div");
+      keyEl.className = "keymap-key";
+      keyEl.style.cssText =
+        "min-width:150px;text-align:right;font-family:monospace;font-size:12px;color:var(--mdpad-fg);";
+      const others = conflictById.get(command.id);
+      if (command.id === recordingId) {
+        keyEl.textContent = t("keybindings.recording");
+        keyEl.style.color = "var(--mdpad-accent-fg)";
+      } else {
+        keyEl.textContent = shortcut;
+        if (others) {
+          keyEl.textContent = "⚠ " + shortcut;
+          keyEl.style.color = "var(--mdpad-attention-fg)";
+          keyEl.title = t("keybindings.conflict").replace("{commands}", others.map(commandLabel).join(", "));
+        }
+      }
+
+      const recordBtn = document.createElement("button");
+      recordBtn.className = "keymap-record";
+      recordBtn.textContent = "✎";
+      recordBtn.title = t("keybindings.record");
+      recordBtn.style.cssText = ROW_BUTTON_STYLE;
+      recordBtn.onclick = () => startRecording(command.id);
+
+      const removeBtn = document.createElement("button");
+      removeBtn.textContent = "✕";
+      removeBtn.title = t("keybindings.remove");
+      removeBtn.style.cssText = ROW_BUTTON_STYLE + (command.key ? "" : "visibility:hidden;");
+      removeBtn.onclick = () => assign(command.id, "");
+
+      const resetBtn = document.createElement("button");
+      resetBtn.textContent = "↺";
+      resetBtn.title = t("keybindings.reset");
+      resetBtn.style.cssText = ROW_BUTTON_STYLE + (command.key === command.defaultKey ? "visibility:hidden;" : "");
+      resetBtn.onclick = () => assign(command.id, command.defaultKey);
+
+      row.appendChild(labelEl);
+      row.appendChild(keyEl);
+      row.appendChild(recordBtn);
+      row.appendChild(removeBtn);
+      row.appendChild(resetBtn);
+      listEl.appendChild(row);
+    }
+
+    if (!anyVisible) {
+      const emptyEl = document.createElement("div");
+      emptyEl.textContent = t("keybindings.noMatch");
+      emptyEl.style.cssText = "padding:16px 0;text-align:center;color:var(--mdpad-fg-muted);font-size:13px;";
+      listEl.appendChild(emptyEl);
+    }
+  }
+
+  /** ショートカットを割り当て、重複があれば警告する */
+  async function assign(id, accelerator) {
+    const result = await window.mdpad.setKeybinding(id, accelerator);
+    if (!result.ok) {
+      showStatus(t("keybindings.invalid"), true);
+      return;
+    }
+    if (result.conflicts.length > 0) {
+      showStatus(t("keybindings.conflict").replace("{commands}", result.conflicts.map(commandLabel).join(", ")), true);
+    } else {
+      showStatus("");
+    }
+  }
+
+  /** 次のキー入力の記録を始める */
+  function startRecording(id) {
+    recordingId = id;
+    window.mdpad.setKeybindingRecording(true);
+    showStatus("");
+    render();
+  }
+
+  /** 記録を中止する */
+  function cancelRecording() {
+    if (recordingId === null) return;
+    recordingId = null;
+    window.mdpad.setKeybindingRecording(false);
+    render();
+  }
+
+  /** 記録中のキー入力（ほかのハンドラより先に受け取る） */
+  function onRecordKey(e) {
+    if (recordingId === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === "Escape" && !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey) {
+      cancelRecording();
+      return;
+    }
+    const accelerator = acceleratorFromEvent(e);
+    if (!accelerator) return; // Modifier only: wait for the key
+    const id = recordingId;
+    cancelRecording();
+    assign(id, accelerator);
+  }
+  window.addEventListener("keydown", onRecordKey, true);
+
+  searchInput.addEventListener("input", render);
+  render();
+  searchInput.focus();
+
+  const unsubscribe = onKeybindingsChange(() => render());
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  function close() {
+    cancelRecording();
+    window.removeEventListener("keydown", onRecordKey, true);
+    unsubscribe();
+    overlay.remove();
+  }
+}
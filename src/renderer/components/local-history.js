@@ -0,0 +1,385 @@
+/**
+ * @fileoverview ローカル履歴ブラウザ
+ * @description
+ * メインプロセスの local-history.js が保存したスナップショット（ファイルを開いた時・
+ * 保存時・自動バックアップ時）を一覧し、エディタの内容との差分を表示して復元する。
+ *
+ * 【動作フロー】
+ * - showLocalHistory() が history:list でスナップショット一覧（新しい順）を取得する
+ * - 一覧で選んだスナップショットとエディタのバッファを computeDiffWithHunks()
+ *   （computeDiff() と同じ差分エンジン）で比較し、差分ペインと同じ表示で描画する
+ * - ハンクごとの「この部分を復元」で部分復元、「すべて復元」でバッファ全体を置き換える
+ *   （どちらも1回の元に戻すで取り消せる）
+ * - 下部で保持件数・保持日数を変更でき、ファイルの履歴を削除できる
+ *
+ * 【注意】
+ * - スナップショットは保存しても消えない（保存前の内容に戻すため）
+ * - スナップショットの改行コードは LF に統一されている
+ *
+ * @file local-history.js
+ * @version 1.1.00101
+ * @since 1.1.00096
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { computeDiffWithHunks } from "../lib/diff-engine.js";
+import { renderSideBySideDiff } from "../lib/diff-renderer.js";
+import { formatRelativeTime } from "../lib/blame.js";
+import { getEditor } from "./editor-pane.js";
+import { t, getLocale } from "../../i18n/i18n-renderer.js";
+
+/**
+ * ボタンの共通スタイル
+ * @type {string}
+ */
+const BUTTON_STYLE =
+  "padding:4px 12px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+  "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:12px;";
+
+/**
+ * 数値入力の共通スタイル
+ * @type {string}
+ */
+const NUMBER_STYLE =
+  "width:56px;padding:2px 4px;border:1px solid var(--mdpad-border);border-radius:4px;font-size:12px;";
+
+/**
+ * バイト数を表示用の文字列にする。
+ *
+ * @function formatSize
+ * @param {number} bytes - バイト数
+ * @returns {string} 表示用サイズ
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * ローカル履歴ブラウザを表示する。
+ *
+ * @function showLocalHistory
+ * @param {Object} options
+ * @param {string} options.filePath - 現在のファイルのパス
+ */
+export function showLocalHistory({ filePath }) {
+  if (document.getElementById("local-history-overlay")) return;
+
+  // Close any open popups
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "local-history-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.4);z-index:100001;" +
+    "display:flex;align-items:center;justify-content:center;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "width:90vw;max-width:1200px;height:85vh;display:flex;flex-direction:column;" +
+    "box-shadow:0 8px 24px rgba(0,0,0,0.2);font-size:13px;color:var(--mdpad-fg);overflow:hidden;";
+
+  // タイトル行
+  const header = document.createElement("div");
+  header.style.cssText =
+    "display:flex;align-items:center;gap:8px;padding:10px 16px;border-bottom:1px solid var(--mdpad-border);";
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("localHistory.title").replace("{file}", filePath.split(/[\\/]/).pop());
+  titleEl.style.cssText = "flex:1;font-size:15px;font-weight:700;";
+  const closeBtn = document.createElement("button");
+  closeBtn.textContent = "×";
+  closeBtn.title = t("localHistory.close");
+  closeBtn.style.cssText =
+    "border:none;background:none;font-size:20px;line-height:1;cursor:pointer;color:var(--mdpad-fg-muted);";
+  closeBtn.onclick = () => close();
+  header.appendChild(titleEl);
+  header.appendChild(closeBtn);
+  modal.appendChild(header);
+
+  const main = document.createElement("div");
+  main.style.cssText = "flex:1;display:flex;min-height:0;";
+
+  // 左: スナップショット一覧
+  const listEl = document.createElement("div");
+  listEl.className = "local-history-list";
+  listEl.tabIndex = 0;
+  listEl.style.cssText =
+    "width:260px;flex-shrink:0;overflow-y:auto;border-right:1px solid var(--mdpad-border);outline:none;";
+  listEl.innerHTML = `<div style="padding:12px;color:var(--mdpad-fg-muted);">${t("localHistory.loading")}</div>`;
+  main.appendChild(listEl);
+
+  // 右: 差分（スナップショット → エディタ）
+  const right = document.createElement("div");
+  right.style.cssText = "flex:1;display:flex;flex-direction:column;min-width:0;";
+
+  const toolbar = document.createElement("div");
+  toolbar.style.cssText =
+    "display:flex;align-items:center;gap:6px;padding:6px 12px;" +
+    "border-bottom:1px solid var(--mdpad-border);background:var(--mdpad-bg-subtle);";
+  const infoEl = document.createElement("span");
+  infoEl.className = "local-history-info";
+  infoEl.style.cssText =
+    "flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" +
+    "color:var(--mdpad-fg-muted);font-size:12px;";
+  const restoreBtn = document.createElement("button");
+  restoreBtn.className = "local-history-restore";
+  restoreBtn.textContent = t("localHistory.restoreAll");
+  restoreBtn.title = t("localHistory.restoreAllTitle");
+  restoreBtn.style.cssText = BUTTON_STYLE + "border-color:var(--mdpad-success-emphasis);color:var(--mdpad-success-fg);";
+  toolbar.appendChild(infoEl);
+  toolbar.appendChild(restoreBtn);
+  right.appendChild(toolbar);
+
+  const contentEl = document.createElement("div");
+  contentEl.className = "local-history-content";
+  contentEl.style.cssText = "flex:1;overflow:auto;";
+  right.appendChild(contentEl);
+
+  main.appendChild(right);
+  modal.appendChild(main);
+
+  // 下部: 保持設定
+  const footer = document.createElement("div");
+  footer.style.cssText =
+    "display:flex;align-items:center;gap:6px;padding:8px 16px;" +
+    "border-top:1px solid var(--mdpad-border);font-size:12px;color:var(--mdpad-fg-muted);";
+  const keepLabel = document.createElement("span");
+  keepLabel.textContent = t("localHistory.keep");
+  const entriesInput = document.createElement("input");
+  entriesInput.type = "number";
+  entriesInput.min = "1";
+  entriesInput.max = "500";
+  entriesInput.className = "local-history-max-entries";
+  entriesInput.style.cssText = NUMBER_STYLE;
+  const entriesLabel = document.createElement("span");
+  entriesLabel.textContent = t("localHistory.snapshotsFor");
+  const daysInput = document.createElement("input");
+  daysInput.type = "number";
+  daysInput.min = "1";
+  daysInput.max = "365";
+  daysInput.className = "local-history-max-days";
+  daysInput.style.cssText = NUMBER_STYLE;
+  const daysLabel = document.createElement("span");
+  daysLabel.textContent = t("localHistory.days");
+  daysLabel.style.flex = "1";
+  const clearBtn = document.createElement("button");
+  clearBtn.textContent = t("localHistory.clear");
+  clearBtn.title = t("localHistory.clearTitle");
+  clearBtn.style.cssText = BUTTON_STYLE + "color:var(--mdpad-danger-fg);";
+  for (const el of [keepLabel, entriesInput, entriesLabel, daysInput, daysLabel, clearBtn]) {
+    footer.appendChild(el);
+  }
+  modal.appendChild(footer);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  listEl.focus();
+
+  let entries = [];
+  let activeIndex = -1;
+  let snapshotText = null; // content of the selected snapshot
+  let hunks = []; // hunks of the rendered diff (snapshot → buffer)
+  let renderedText = null; // buffer text the hunks were computed from
+  let selectSeq = 0;
+
+  /** 一覧を描画する */
+  function renderList() {
+    listEl.innerHTML = "";
+    if (entries.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = t("localHistory.empty");
+      empty.style.cssText = "padding:12px;color:var(--mdpad-fg-muted);";
+      listEl.appendChild(empty);
+      return;
+    }
+    entries.forEach((entry, index) => {
+      const row = document.createElement("div");
+      row.className = "local-history-item";
+      row.dataset.index = String(index);
+      row.style.cssText = "padding:6px 12px;cursor:pointer;border-bottom:1px solid var(--mdpad-bg-muted);";
+
+      const when = document.createElement("div");
+      when.textContent = new Date(entry.savedAt).toLocaleString();
+      row.appendChild(when);
+
+      const meta = document.createElement("div");
+      meta.textContent =
+        `${t("localHistory.reason_" + entry.reason)} · ` +
+        `${formatRelativeTime(entry.savedAt, getLocale())} · ${formatSize(entry.size)}`;
+      meta.style.cssText = "font-size:11px;color:var(--mdpad-fg-muted);";
+      row.appendChild(meta);
+
+      row.addEventListener("click", () => select(index));
+      listEl.appendChild(row);
+    });
+  }
+
+  /** スナップショットを選択して差分を表示する */
+  async function select(index) {
+    if (index < 0 || index >= entries.length) return;
+    activeIndex = index;
+    for (const row of listEl.querySelectorAll(".local-history-item")) {
+      const isActive = Number(row.dataset.index) === index;
+      row.style.background = isActive ? "var(--mdpad-accent-subtle)" : "";
+      if (isActive) row.scrollIntoView({ block: "nearest" });
+    }
+    const entry = entries[index];
+    infoEl.textContent = `${new Date(entry.savedAt).toLocaleString()} → ${t("localHistory.editor")}`;
+    snapshotText = null;
+    updateButtons();
+    contentEl.innerHTML = `<div class="diff-empty">${t("localHistory.loading")}</div>`;
+
+    const seq = ++selectSeq;
+    const text = await window.mdpad.readLocalHistory(filePath, entry.id);
+    if (seq !== selectSeq || !overlay.isConnected) return;
+    if (text === null) {
+      contentEl.innerHTML = `<div class="diff-empty">${t("localHistory.missing")}</div>`;
+      return;
+    }
+    snapshotText = text;
+    renderDiff();
+  }
+
+  /** 選択中のスナップショットとバッファの差分を描画する */
+  function renderDiff() {
+    hunks = [];
+    renderedText = null;
+    updateButtons();
+    const view = getEditor();
+    if (snapshotText === null || !view) return;
+
+    const bufferText = view.state.doc.toString();
+    const { lines, hunks: diffHunks } = computeDiffWithHunks(snapshotText, bufferText);
+    if (diffHunks.length === 0) {
+      contentEl.innerHTML = `<div class="diff-empty">${t("localHistory.same")}</div>`;
+      return;
+    }
+    hunks = diffHunks;
+    renderedText = bufferText;
+    const scrollTop = contentEl.scrollTop;
+    contentEl.innerHTML = renderSideBySideDiff(lines, {
+      hunkAction: {
+        label: t("localHistory.restoreHunk"),
+        title: t("localHistory.restoreHunkTitle"),
+      },
+    });
+    contentEl.scrollTop = scrollTop;
+    updateButtons();
+  }
+
+  /** 復元ボタンの有効/無効を更新する */
+  function updateButtons() {
+    restoreBtn.disabled = hunks.length === 0;
+    restoreBtn.style.opacity = restoreBtn.disabled ? "0.5" : "1";
+  }
+
+  /**
+   * バッファに変更を適用する（1トランザクション = 1回の元に戻す）。
+   * 差分を計算した時点からバッファが変わっていれば描画し直すだけにする。
+   */
+  function applyChange(from, to, insert) {
+    const view = getEditor();
+    if (!view) return;
+    if (view.state.doc.toString() !== renderedText) {
+      renderDiff();
+      return;
+    }
+    view.dispatch({
+      changes: { from, to, insert },
+      selection: { anchor: from },
+      scrollIntoView: true,
+      userEvent: "input.restore",
+    });
+    renderDiff();
+  }
+
+  contentEl.addEventListener("click", (e) => {
+    const button = e.target.closest(".diff-hunk-revert");
+    if (!button) return;
+    const hunk = hunks[Number(button.dataset.hunk)];
+    if (hunk) applyChange(hunk.newFrom, hunk.newTo, hunk.oldText);
+  });
+
+  restoreBtn.onclick = () => {
+    if (snapshotText === null || renderedText === null) return;
+    applyChange(0, renderedText.length, snapshotText);
+    close();
+    const view = getEditor();
+    if (view) view.focus();
+  };
+
+  // 保持設定（変更はメインプロセスの設定ファイルに保存、次のスナップショットで適用）
+  window.mdpad.getLocalHistorySettings().then((settings) => {
+    entriesInput.value = String(settings.maxEntries);
+    daysInput.value = String(settings.maxDays);
+  });
+  const saveSettings = async () => {
+    const settings = await window.mdpad.setLocalHistorySettings({
+      maxEntries: Number(entriesInput.value),
+      maxDays: Number(daysInput.value),
+    });
+    entriesInput.value = String(settings.maxEntries);
+    daysInput.value = String(settings.maxDays);
+  };
+  entriesInput.addEventListener("change", saveSettings);
+  daysInput.addEventListener("change", saveSettings);
+
+  // 誤操作防止: 2回目のクリックで削除する
+  let clearArmed = false;
+  clearBtn.onclick = async () => {
+    if (!clearArmed) {
+      clearArmed = true;
+      clearBtn.textContent = t("localHistory.clearConfirm");
+      setTimeout(() => {
+        clearArmed = false;
+        clearBtn.textContent = t("localHistory.clear");
+      }, 3000);
+      return;
+    }
+    await window.mdpad.clearLocalHistory(filePath);
+    entries = [];
+    activeIndex = -1;
+    snapshotText = null;
+    infoEl.textContent = "";
+    contentEl.innerHTML = "";
+    renderList();
+    renderDiff();
+  };
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    } else if (e.key === "ArrowDown" && e.target === listEl) {
+      e.preventDefault();
+      select(activeIndex + 1);
+    } else if (e.key === "ArrowUp" && e.target === listEl) {
+      e.preventDefault();
+      select(activeIndex - 1);
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  function close() {
+    selectSeq++;
+    overlay.remove();
+  }
+
+  updateButtons();
+  window.mdpad.listLocalHistory(filePath).then((list) => {
+    if (!overlay.isConnected) return;
+    entries = list || [];
+    renderList();
+    select(0);
+  }).catch(() => {
+    if (!overlay.isConnected) return;
+    entries = [];
+    renderList();
+  });
+}
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Markdown 用の補完ソース
+ * @description
+ * autocompletion() に Markdown 固有の候補を追加する。打ち間違えたアンカーや
+ * パスでリンクが切れるのを防ぐため、リンク先・参照・脚注・絵文字・言語名を補完する。
+ *
+ * 【動作フロー】
+ * - リンク / 画像のリンク先（`[text](` `![alt](` `[label]: ` の後）
+ *   - 相対パス: 現在のファイルのフォルダから入力済みのフォルダをたどって一覧
+ *     （listPathEntries()）。フォルダを選ぶと続けて中身を補完する
+ *   - `#`: 見出しのアンカー。プレビューと同じ slug（markdown-engine.js の
+ *     getHeadingAnchors()）
+ * - `][`: 文書内で定義された参照リンクのラベル（`[label]: url`）
+ * - `[^`: 定義済みの脚注ラベル。行頭（脚注の定義）では参照されているのに
+ *   未定義のラベルを出す
+ * - `:xx`: 絵文字のショートコード（EMOJI_NAMES）。2 文字目から候補を出す
+ * - ``` / ~~~ の開始行: highlight.js の言語名と別名（と mermaid）
+ *
+ * 【注意】
+ * - コードブロック・インラインコードの中では言語名以外の候補を出さない
+ * - 未保存のドキュメントはフォルダが無いので相対パスを補完しない
+ * - パスの空白と括弧は %20 / %28 / %29 にして挿入する
+ *
+ * @file markdown-completion.js
+ * @version 1.1.00107
+ * @since 1.1.00107
+ * @revision 1
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { EditorState } from "@codemirror/state";
+import { EditorView } from "@codemirror/view";
+import { syntaxTree } from "@codemirror/language";
+import { pickedCompletion, startCompletion } from "@codemirror/autocomplete";
+import hljs from "highlight.js";
+import { EMOJI_NAMES } from "../data/emoji-names.js";
+import { getHeadingAnchors } from "../lib/markdown-engine.js";
+
+/**
+ * リンク先の入力位置（インラインリンク・画像、または参照リンクの定義）
+ * @type {RegExp}
+ */
+const LINK_TARGET_RE = /(?:!?\[[^\]]*\]\(|^ {0,3}\[[^\]^][^\]]*\]:[ \t]*)<?([^\s()<>]*)$/;
+
+/** 参照リンクのラベル入力位置 `[text][lab` */
+const REFERENCE_RE = /\]\[([^\]]*)$/;
+
+/** 脚注ラベルの入力位置 `[^lab` */
+const FOOTNOTE_RE = /\[\^([^\]\s]*)$/;
+
+/** 絵文字ショートコードの入力位置（直前が英数字・コロンでない `:xx`） */
+const EMOJI_RE = /(?:^|[^\w:])(:[a-z0-9_+-]*)$/i;
+
+/** コードフェンスの開始行 */
+const FENCE_RE = /^ {0,3}(?:`{3,}|~{3,})([\w+#.-]*)$/;
+
+/** 参照リンクの定義 `[label]: url` */
+const REFERENCE_DEF_RE = /^ {0,3}\[([^\]^][^\]]*)\]:[ \t]*(\S+)/gm;
+
+/** 脚注の定義 `[^label]: text` */
+const FOOTNOTE_DEF_RE = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/gm;
+
+/** 脚注の参照 `[^label]` */
+const FOOTNOTE_REF_RE = /\[\^([^\]\s]+)\](?!:)/g;
+
+/** コードとして扱うノード */
+const CODE_NODES = new Set(["FencedCode", "CodeBlock", "InlineCode"]);
+
+/** 現在のファイルパスを返す関数（index.js が登録） */
+let filePathProvider = () => null;
+
+/** 絵文字の候補（初回に作る） */
+let emojiOptions = null;
+
+/** 言語名の候補（初回に作る） */
+let languageOptions = null;
+
+/**
+ * 相対パスの基準にするファイルパスの取得元を登録する。
+ *
+ * @function setCompletionFilePathProvider
+ * @param {function(): (string|null)} provider
+ */
+export function setCompletionFilePathProvider(provider) {
+  filePathProvider = provider;
+}
+
+/**
+ * pos を含むコードのノード（フェンス・インデント・インラインコード）を返す。
+ *
+ * @param {EditorState} state
+ * @param {number} pos
+ * @returns {SyntaxNode|null}
+ */
+function codeNodeAt(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, -1); node; node = node.parent) {
+    if (CODE_NODES.has(node.name)) return node;
+  }
+  return null;
+}
+
+/**
+ * パスの一部として挿入する名前（空白と括弧はリンクを壊すのでエスケープ）。
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function encodePathName(name) {
+  return name.replace(/[ ()]/g, (c) => ({ " ": "%20", "(": "%28", ")": "%29" })[c]);
+}
+
+/**
+ * %20 などを戻す（不正な並びはそのまま）。
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * フォルダを選んだら名前と "/" を入れ、続けてその中身を補完する。
+ *
+ * @param {string} insert - 挿入する文字列
+ * @returns {function(EditorView, Completion, number, number): void}
+ */
+function applyFolder(insert) {
+  return (view, completion, from, to) => {
+    view.dispatch({
+      changes: { from, to, insert },
+      selection: { anchor: from + insert.length },
+      annotations: pickedCompletion.of(completion),
+    });
+    startCompletion(view);
+  };
+}
+
+/**
+ * 相対パスの候補。
+ *
+ * @async
+ * @param {CompletionContext} context
+ * @param {string} target - 入力済みのリンク先
+ * @returns {Promise<CompletionResult|null>}
+ */
+async function pathCompletion(context, target) {
+  const filePath = filePathProvider();
+  if (!filePath) return null;
+  const baseDir = filePath.replace(/[\\/][^\\/]*$/, "");
+  const slash = target.lastIndexOf("/");
+  const dirPart = slash >= 0 ? target.slice(0, slash + 1) : "";
+  const partial = target.slice(slash + 1);
+
+  const entries = await window.mdpad.listPathEntries(baseDir, decodePath(dirPart));
+  if (!entries || context.aborted) return null;
+  const options = entries.map((entry) =>
+    entry.isDirectory
+      ? { label: entry.name + "/", type: "folder", apply: applyFolder(encodePathName(entry.name) + "/") }
+      : { label: entry.name, type: "file", apply: encodePathName(entry.name) }
+  );
+  if (options.length === 0) return null;
+  return { from: context.pos - partial.length, options, validFor: /^[^\s/()<>#]*$/ };
+}
+
+/**
+ * 見出しアンカーの候補（`#` の後）。
+ *
+ * @param {CompletionContext} context
+ * @param {string} fragment - `#` より後に入力済みの文字列
+ * @returns {CompletionResult|null}
+ */
+function anchorCompletion(context, fragment) {
+  const options = getHeadingAnchors(context.state.doc.toString())
+    .filter((heading) => heading.anchor)
+    .map((heading) => ({
+      label: heading.anchor,
+      detail: `${"#".repeat(heading.level)} ${heading.text}`,
+      type: "anchor",
+    }));
+  if (options.length === 0) return null;
+  return { from: context.pos - fragment.length, options, validFor: /^[\p{L}\p{M}\p{N}_-]*$/u };
+}
+
+/**
+ * リンク先の候補（相対パス・見出しアンカー）。
+ *
+ * @param {CompletionContext} context
+ * @param {string} before - カーソルより前の行テキスト
+ * @returns {CompletionResult|Promise<CompletionResult|null>|null}
+ */
+function linkTargetCompletion(context, before) {
+  const m = LINK_TARGET_RE.exec(before);
+  if (!m) return null;
+  const target = m[1];
+  if (target.startsWith("#")) return anchorCompletion(context, target.slice(1));
+  // URLs, absolute paths and links into other files' headings are left alone
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith("/") || target.includes("#")) return null;
+  return pathCompletion(context, target);
+}
+
+/**
+ * 参照リンクのラベルの候補（`][` の後）。
+ *
+ * @param {CompletionContext} context
+ * @param {string} before
+ * @returns {CompletionResult|null}
+ */
+function referenceCompletion(context, before) {
+  const m = REFERENCE_RE.exec(before);
+  if (!m) return null;
+  const seen = new Set();
+  const options = [];
+  for (const def of context.state.doc.toString().matchAll(REFERENCE_DEF_RE)) {
+    const key = def[1].toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    options.push({ label: def[1], detail: def[2], type: "reference" });
+  }
+  if (options.length === 0) return null;
+  return { from: context.pos - m[1].length, options, validFor: /^[^\]]*$/ };
+}
+
+/**
+ * 脚注ラベルの候補（`[^` の後）。行頭では未定義の参照を、それ以外では定義済みの
+ * ラベルを出す。
+ *
+ * @param {CompletionContext} context
+ * @param {string} before
+ * @returns {CompletionResult|null}
+ */
+function footnoteCompletion(context, before) {
+  const m = FOOTNOTE_RE.exec(before);
+  if (!m) return null;
+  const text = context.state.doc.toString();
+  const defined = new Map();
+  for (const def of text.matchAll(FOOTNOTE_DEF_RE)) {
+    if (!defined.has(def[1])) defined.set(def[1], def[2]);
+  }
+
+  let options;
+  if (/^ {0,3}\[\^[^\]\s]*$/.test(before)) {
+    const missing = new Set();
+    for (const ref of text.matchAll(FOOTNOTE_REF_RE)) {
+      if (!defined.has(ref[1])) missing.add(ref[1]);
+    }
+    options = [...missing].map((label) => ({ label, apply: `${label}]: `, type: "footnote" }));
+  } else {
+    options = [...defined].map(([label, body]) => ({ label, detail: body, type: "footnote" }));
+  }
+  if (options.length === 0) return null;
+  return { from: context.pos - m[1].length, options, validFor: /^[^\]\s]*$/ };
+}
+
+/**
+ * 絵文字ショートコードの候補（`:` の後、2 文字目から。Ctrl+Space なら `:` だけでも）。
+ *
+ * @param {CompletionContext} context
+ * @param {string} before
+ * @returns {CompletionResult|null}
+ */
+function emojiCompletion(context, before) {
+  const m = EMOJI_RE.exec(before);
+  if (!m) return null;
+  if (!context.explicit && m[1].length < 3) return null;
+  if (!emojiOptions) {
+    emojiOptions = [...EMOJI_NAMES].map(([emoji, info]) => ({
+      label: `:${info.shortcode}:`,
+      detail: emoji,
+      info: info.name,
+      type: "emoji",
+    }));
+  }
+  return { from: context.pos - m[1].length, options: emojiOptions, validFor: /^:[a-z0-9_+-]*$/i };
+}
+
+/**
+ * コードフェンスの言語名の候補（開始フェンスの行のみ）。
+ *
+ * @param {CompletionContext} context
+ * @param {Line} line - カーソルの行
+ * @param {string} typed - フェンス記号の後に入力済みの文字列
+ * @returns {CompletionResult|null}
+ */
+function fenceLanguageCompletion(context, line, typed) {
+  // A fence whose block started on an earlier line closes it
+  const code = codeNodeAt(context.state, context.pos);
+  if (code && code.from < line.from) return null;
+  if (!languageOptions) {
+    const options = new Map([["mermaid", { label: "mermaid", detail: "Mermaid", type: "language" }]]);
+    for (const name of hljs.listLanguages()) {
+      const language = hljs.getLanguage(name);
+      for (const label of [name, ...(language.aliases || [])]) {
+        if (!options.has(label)) options.set(label, { label, detail: language.name, type: "language" });
+      }
+    }
+    languageOptions = [...options.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }
+  return { from: context.pos - typed.length, options: languageOptions, validFor: /^[\w+#.-]*$/ };
+}
+
+/**
+ * Markdown の補完ソース。カーソルの前の文字列で候補の種類を選ぶ。
+ *
+ * @param {CompletionContext} context
+ * @returns {CompletionResult|Promise<CompletionResult|null>|null}
+ */
+function markdownCompletionSource(context) {
+  const { state, pos } = context;
+  const line = state.doc.lineAt(pos);
+  const before = line.text.slice(0, pos - line.from);
+
+  const fence = FENCE_RE.exec(before);
+  if (fence) return fenceLanguageCompletion(context, line, fence[1]);
+  if (codeNodeAt(state, pos)) return null;
+
+  return (
+    footnoteCompletion(context, before) ||
+    referenceCompletion(context, before) ||
+    linkTargetCompletion(context, before) ||
+    emojiCompletion(context, before)
+  );
+}
+
+/**
+ * 候補の種類ごとのアイコン（CodeMirror の既定に無いもの）
+ */
+const completionIconTheme = EditorView.baseTheme({
+  ".cm-completionIcon-file:after": { content: "'📄'" },
+  ".cm-completionIcon-folder:after": { content: "'📁'" },
+  ".cm-completionIcon-anchor:after": { content: "'#'" },
+  ".cm-completionIcon-reference:after": { content: "'[]'" },
+  ".cm-completionIcon-footnote:after": { content: "'^'" },
+  ".cm-completionIcon-emoji:after": { content: "'☺'" },
+  ".cm-completionIcon-language:after": { content: "'</>'", fontSize: "70%" },
+});
+
+/**
+ * Markdown 補完ソースの拡張。
+ *
+ * @function getMarkdownCompletionExtension
+ * @returns {Extension}
+ */
+export function getMarkdownCompletionExtension() {
+  return [
+    EditorState.languageData.of(() => [{ autocomplete: markdownCompletionSource }]),
+    completionIconTheme,
+  ];
+}
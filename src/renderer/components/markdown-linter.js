@@ -10,36 +10,52 @@
  * 3. checkBrokenLinks — [text]() のような空リンクを警告
  * 4. checkConsecutiveBlankLines — 3行以上の連続空行を情報表示
  * 5. checkTrailingSpaces — 行末の余分なスペースをヒント表示
+ * 6. checkFrontMatter — フロントマター（YAML/TOML）の構文エラーをエラー表示
  *
  * 【動作フロー】
- * - 全ルールはコードブロック（``` ～ ```）内の行を除外する
+ * - 全ルールはコードブロック（``` ～ ```）内とフロントマター内の行を除外する
  * - delay: 500ms で debounce（大きなドキュメントのパフォーマンス対策）
- * - Compartment で ON/OFF 切り替え可能
+ * - Compartment で ON/OFF 切り替え可能（状態は設定 "lintEnabled" に保存され、
+ *   ほかのウィンドウでの変更は setLintEnabled() で反映する）
+ * - lintText() はエディタを介さずに同じルールを実行する（CLI の --lint で使用）
  *
  * @file markdown-linter.js
- * @version 0.1.10020
+ * @version 1.1.00102
  * @since 0.1.10020
- * @revision 1
- * @lastModified 2026-03-01 00:00:00 (JST)
+ * @revision 4
+ * @lastModified 2026-10-19 00:00:00 (JST)
  */
 
 import { linter, lintGutter } from "@codemirror/lint";
-import { Compartment } from "@codemirror/state";
-
-/** localStorage キー */
-const STORAGE_KEY = "mdpad:lintEnabled";
+import { Compartment, Text } from "@codemirror/state";
+import { extractFrontMatter } from "../lib/front-matter.js";
+import { getSetting, setSetting } from "./settings.js";
 
 /** Compartment（エディタ拡張の動的切り替え用） */
 const lintCompartment = new Compartment();
 
-/** Lint の有効/無効状態（デフォルト: OFF） */
-let lintEnabled = localStorage.getItem(STORAGE_KEY) === "true";
+/** エディタに適用中の Lint の有効/無効状態（getLintExtension() で設定から読む） */
+let lintEnabled = false;
 
 // ─── コードブロック除外ヘルパー ──────────────────────────────────────
 
+/**
+ * 先頭のフロントマターを解析する（なければ null）。
+ * 1行目がフェンス（--- / +++）でない場合は全文を文字列化しない。
+ *
+ * @param {import("@codemirror/state").Text} doc - CodeMirror の Text オブジェクト
+ * @returns {ReturnType<typeof extractFrontMatter>} フロントマター情報
+ */
+function getFrontMatter(doc) {
+  const first = doc.line(1).text.trimEnd();
+  if (first !== "---" && first !== "+++") return null;
+  return extractFrontMatter(doc.toString());
+}
+
 /**
  * コードブロック内の行番号のセットを返す。
- * フェンスド コードブロック（``` ～ ```）の開始行と終了行の間を除外対象とする。
+ * フェンスド コードブロック（``` ～ ```）の開始行と終了行の間、
+ * および先頭のフロントマター（フェンス行を含む）を除外対象とする。
  *
  * @param {import("@codemirror/state").Text} doc - CodeMirror の Text オブジェクト
  * @returns {Set<number>} コードブロック内にある行番号のセット（1-indexed）
@@ -47,8 +63,15 @@ let lintEnabled = localStorage.getItem(STORAGE_KEY) === "true";
 function getCodeBlockLines(doc) {
   const codeLines = new Set();
   let inCodeBlock = false;
+  let start = 1;
 
-  for (let i = 1; i <= doc.lines; i++) {
+  const frontMatter = getFrontMatter(doc);
+  if (frontMatter) {
+    start = frontMatter.endLine + 2; // endLine は 0 始まりの閉じフェンス行
+    for (let i = 1; i < start; i++) codeLines.add(i);
+  }
+
+  for (let i = start; i <= doc.lines; i++) {
     const lineText = doc.line(i).text;
     if (lineText.trimStart().startsWith("```")) {
       codeLines.add(i); // フェンス行自体も除外
@@ -273,8 +296,62 @@ function checkTrailingSpaces(doc, codeLines) {
   return diagnostics;
 }
 
+/**
+ * フロントマターの構文エラーを検出する。
+ * エラー位置の行（特定できない場合は開始フェンス行）を error として報告する。
+ *
+ * @param {import("@codemirror/state").Text} doc - ドキュメント
+ * @returns {Array<import("@codemirror/lint").Diagnostic>} 診断結果配列
+ */
+function checkFrontMatter(doc) {
+  const frontMatter = getFrontMatter(doc);
+  if (!frontMatter || !frontMatter.error) return [];
+
+  const lineNo = Math.min(Math.max(frontMatter.error.line, 1), doc.lines);
+  const line = doc.line(lineNo);
+  return [{
+    from: line.from,
+    to: line.to,
+    severity: "error",
+    message: `Front matter (${frontMatter.format.toUpperCase()}): ${frontMatter.error.message}`,
+  }];
+}
+
 // ─── Linter Extension ────────────────────────────────────────────────
 
+/**
+ * リントルール一覧（ルール ID とチェック関数）。
+ * ルール ID は CLI の出力に表示される。
+ * @type {Array<[string, Function]>}
+ */
+const LINT_RULES = [
+  ["heading-level-jump", checkHeadingLevelJumps],
+  ["empty-list-item", checkEmptyListItems],
+  ["empty-link", checkBrokenLinks],
+  ["consecutive-blank-lines", checkConsecutiveBlankLines],
+  ["trailing-spaces", checkTrailingSpaces],
+  ["front-matter-syntax", checkFrontMatter],
+];
+
+/**
+ * 全リントルールを実行する。各診断結果には rule（ルール ID）が付与される。
+ *
+ * @param {import("@codemirror/state").Text} doc - ドキュメント
+ * @returns {Array<import("@codemirror/lint").Diagnostic>} 診断結果配列
+ */
+function runLintRules(doc) {
+  const codeLines = getCodeBlockLines(doc);
+  const diagnostics = [];
+
+  for (const [rule, check] of LINT_RULES) {
+    for (const d of check(doc, codeLines)) {
+      diagnostics.push({ ...d, rule });
+    }
+  }
+
+  return diagnostics;
+}
+
 /**
  * 全リントルールを実行するメイン linter 関数を生成する。
  *
@@ -282,19 +359,7 @@ function checkTrailingSpaces(doc, codeLines) {
  */
 function createLintExtensions() {
   return [
-    linter((view) => {
-      const doc = view.state.doc;
-      const codeLines = getCodeBlockLines(doc);
-      const diagnostics = [];
-
-      diagnostics.push(...checkHeadingLevelJumps(doc, codeLines));
-      diagnostics.push(...checkEmptyListItems(doc, codeLines));
-      diagnostics.push(...checkBrokenLinks(doc, codeLines));
-      diagnostics.push(...checkConsecutiveBlankLines(doc, codeLines));
-      diagnostics.push(...checkTrailingSpaces(doc, codeLines));
-
-      return diagnostics;
-    }, { delay: 500 }),
+    linter((view) => runLintRules(view.state.doc), { delay: 500 }),
     lintGutter(),
   ];
 }
@@ -308,27 +373,50 @@ function createLintExtensions() {
  * @returns {import("@codemirror/state").Extension} Compartment 付き lint 拡張
  */
 export function getLintExtension() {
+  lintEnabled = getSetting("lintEnabled") === true;
   return lintCompartment.of(lintEnabled ? createLintExtensions() : []);
 }
 
 /**
- * Lint の ON/OFF を切り替える。
- * localStorage に状態を保存し、エディタの Compartment を再構成する。
+ * Lint の ON/OFF を設定し、エディタの Compartment を再構成する（状態は保存しない）。
+ * 適用中の状態と同じなら何もしない。
  *
  * @param {import("@codemirror/view").EditorView} view - エディタビュー
- * @returns {boolean} 切り替え後の lint 有効状態
+ * @param {boolean} enabled - 有効にするなら true
  */
-export function toggleLint(view) {
-  lintEnabled = !lintEnabled;
-  localStorage.setItem(STORAGE_KEY, String(lintEnabled));
+export function setLintEnabled(view, enabled) {
+  if (enabled === lintEnabled) return;
+  lintEnabled = enabled;
   view.dispatch({
     effects: lintCompartment.reconfigure(
       lintEnabled ? createLintExtensions() : []
     ),
   });
+}
+
+/**
+ * Lint の ON/OFF を切り替える。
+ * エディタの Compartment を再構成し、状態を設定に保存する。
+ *
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @returns {boolean} 切り替え後の lint 有効状態
+ */
+export function toggleLint(view) {
+  setLintEnabled(view, !lintEnabled);
+  setSetting("lintEnabled", lintEnabled);
   return lintEnabled;
 }
 
+/**
+ * 現在の設定で lint Compartment を再構成するエフェクトを返す。
+ * タブ切り替えなどで別の EditorState に差し替えた後の同期に使用する。
+ *
+ * @returns {import("@codemirror/state").StateEffect} 再構成エフェクト
+ */
+export function getLintReconfigureEffect() {
+  return lintCompartment.reconfigure(lintEnabled ? createLintExtensions() : []);
+}
+
 /**
  * Lint が有効かどうかを返す。
  *
@@ -348,3 +436,30 @@ export function openLintPanelAction(view) {
     openLintPanel(view);
   });
 }
+
+/**
+ * エディタを介さずにテキストをリントする（CLI の --lint 用）。
+ * 位置は 1 始まりの行・桁に変換し、行・桁順に並べて返す。
+ *
+ * @param {string} text - Markdown テキスト
+ * @returns {Array<{line: number, column: number, endLine: number, endColumn: number,
+ *   severity: string, message: string, rule: string}>} 診断結果配列
+ */
+export function lintText(text) {
+  const doc = Text.of(text.replace(/\r\n?/g, "\n").split("\n"));
+  return runLintRules(doc)
+    .map((d) => {
+      const start = doc.lineAt(d.from);
+      const end = doc.lineAt(d.to);
+      return {
+        line: start.number,
+        column: d.from - start.from + 1,
+        endLine: end.number,
+        endColumn: d.to - end.from + 1,
+        severity: d.severity,
+        message: d.message,
+        rule: d.rule,
+      };
+    })
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
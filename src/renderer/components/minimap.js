@@ -3,30 +3,29 @@
  *
  * @replit/codemirror-minimap を利用したミニマップ表示モジュール。
  * Compartment ベースの ON/OFF 切り替えと表示モード (blocks/characters) の
- * 切り替えをサポートし、設定は localStorage に永続化する。
+ * 切り替えをサポートし、設定は "minimapEnabled" / "minimapDisplay" に保存する。
+ * ほかのウィンドウや Preferences での変更は setMinimapEnabled() /
+ * setMinimapDisplayMode() で反映する。
  *
  * @file minimap.js
- * @version 0.1.10020
+ * @version 1.1.00102
  * @since 0.1.10020
- * @revision 1
- * @lastModified 2026-03-01 00:00:00 (JST)
+ * @revision 2
+ * @lastModified 2026-10-19 00:00:00 (JST)
  */
 
 import { showMinimap } from "@replit/codemirror-minimap";
 import { Compartment } from "@codemirror/state";
-
-/** localStorage キー */
-const STORAGE_KEY_ENABLED = "mdpad:minimapEnabled";
-const STORAGE_KEY_DISPLAY = "mdpad:minimapDisplay";
+import { getSetting, setSetting } from "./settings.js";
 
 /** Compartment（エディタ拡張の動的切り替え用） */
 const minimapCompartment = new Compartment();
 
-/** ミニマップの有効/無効状態（デフォルト: OFF） */
-let minimapEnabled = localStorage.getItem(STORAGE_KEY_ENABLED) === "true";
+/** 適用中のミニマップの有効/無効状態（getMinimapExtension() で設定から読む） */
+let minimapEnabled = false;
 
-/** 表示モード: "blocks" or "characters"（デフォルト: blocks） */
-let displayMode = localStorage.getItem(STORAGE_KEY_DISPLAY) || "blocks";
+/** 適用中の表示モード: "blocks" or "characters" */
+let displayMode = "blocks";
 
 /**
  * ミニマップ用 CodeMirror Facet 拡張を生成する。
@@ -54,45 +53,79 @@ function createMinimapExt() {
  * @returns {import("@codemirror/state").Extension} Compartment 付きミニマップ拡張
  */
 export function getMinimapExtension() {
+  minimapEnabled = getSetting("minimapEnabled") === true;
+  displayMode = getSetting("minimapDisplay") || "blocks";
   return minimapCompartment.of(minimapEnabled ? createMinimapExt() : []);
 }
 
 /**
- * ミニマップの ON/OFF を切り替える。
- * localStorage に状態を保存し、エディタの Compartment を再構成する。
+ * ミニマップの ON/OFF を設定し、エディタの Compartment を再構成する（状態は保存しない）。
  *
  * @param {import("@codemirror/view").EditorView} view - エディタビュー
- * @returns {boolean} 切り替え後のミニマップ有効状態
+ * @param {boolean} enabled - 表示するなら true
  */
-export function toggleMinimap(view) {
-  minimapEnabled = !minimapEnabled;
-  localStorage.setItem(STORAGE_KEY_ENABLED, String(minimapEnabled));
+export function setMinimapEnabled(view, enabled) {
+  if (enabled === minimapEnabled) return;
+  minimapEnabled = enabled;
   view.dispatch({
     effects: minimapCompartment.reconfigure(
       minimapEnabled ? createMinimapExt() : []
     ),
   });
-  return minimapEnabled;
 }
 
 /**
- * ミニマップの表示モードを切り替える (blocks ↔ characters)。
- * localStorage に状態を保存し、エディタの Compartment を再構成する。
+ * ミニマップの表示モードを設定する（状態は保存しない）。
  *
  * @param {import("@codemirror/view").EditorView} view - エディタビュー
- * @returns {string} 切り替え後の表示モード ("blocks" or "characters")
+ * @param {string} mode - "blocks" or "characters"
  */
-export function toggleMinimapDisplayMode(view) {
-  displayMode = displayMode === "blocks" ? "characters" : "blocks";
-  localStorage.setItem(STORAGE_KEY_DISPLAY, displayMode);
+export function setMinimapDisplayMode(view, mode) {
+  if (mode === displayMode) return;
+  displayMode = mode;
   if (minimapEnabled) {
     view.dispatch({
       effects: minimapCompartment.reconfigure(createMinimapExt()),
     });
   }
+}
+
+/**
+ * ミニマップの ON/OFF を切り替える。
+ * エディタの Compartment を再構成し、状態を設定に保存する。
+ *
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @returns {boolean} 切り替え後のミニマップ有効状態
+ */
+export function toggleMinimap(view) {
+  setMinimapEnabled(view, !minimapEnabled);
+  setSetting("minimapEnabled", minimapEnabled);
+  return minimapEnabled;
+}
+
+/**
+ * ミニマップの表示モードを切り替える (blocks ↔ characters)。
+ * エディタの Compartment を再構成し、状態を設定に保存する。
+ *
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @returns {string} 切り替え後の表示モード ("blocks" or "characters")
+ */
+export function toggleMinimapDisplayMode(view) {
+  setMinimapDisplayMode(view, displayMode === "blocks" ? "characters" : "blocks");
+  setSetting("minimapDisplay", displayMode);
   return displayMode;
 }
 
+/**
+ * 現在の設定でミニマップ Compartment を再構成するエフェクトを返す。
+ * タブ切り替えなどで別の EditorState に差し替えた後の同期に使用する。
+ *
+ * @returns {import("@codemirror/state").StateEffect} 再構成エフェクト
+ */
+export function getMinimapReconfigureEffect() {
+  return minimapCompartment.reconfigure(minimapEnabled ? createMinimapExt() : []);
+}
+
 /**
  * ミニマップが有効かどうかを返す。
  *
@@ -1,56 +1,56 @@
 /**
  * @fileoverview ペインマネージャー
  * @description
- * エディタ・プレビュー・目次(TOC)・差分の4ペインの表示/非表示と
+ * エクスプローラー・エディタ・プレビュー・目次(TOC)・差分の5ペインの表示/非表示と
  * リサイズハンドルを統合管理する。
  *
  * 【動作フロー】
- * - PANE_ORDER に定義された正規順序（editor → preview → toc → diff）に基づいて
+ * - PANE_ORDER に定義された正規順序（explorer → editor → preview → toc → diff）に基づいて
  *   表示中のペインを列挙し、隣接するペイン間にリサイズハンドルを動的に配置する。
  * - applyLayout() が DOM 再配置とフレックス値の設定を一括で行う。
- * - TOC ペインのみ固定幅（デフォルト200px）、他ペインは flex: 1 1 0 で均等分割。
- * - リサイズハンドルは最大3本（handle1〜handle3）を動的バインドで使い回す。
+ * - エクスプローラーと TOC は固定幅（FIXED_WIDTH_PANES）、他ペインは flex: 1 1 0 で均等分割。
+ * - リサイズハンドルは最大4本（handle1〜handle4）を動的バインドで使い回す。
  *
  * 【注意】
  * - setupResizeHandle() は初期化時に1回だけイベントを登録し、
  *   左右ペインの参照は handleBindings 配列で動的に解決する。
- * - TOC の表示状態は localStorage("mdpad:tocVisible") から復元される。
+ * - TOC / エクスプローラーの表示状態は設定（"tocVisible" / "explorerVisible"）から
+ *   起動時に復元される。変更の保存は index.js の onPaneChange で行う。
  *
  * @file pane-manager.js
- * @version 1.1.00064
+ * @version 1.1.00102
  * @since 0.1.10020
- * @revision 2
- * @lastModified 2026-03-02 01:00:00 (JST)
+ * @revision 4
+ * @lastModified 2026-10-19 00:00:00 (JST)
  */
 
 import { refreshLayout as refreshEditor } from "./editor-pane.js";
+import { getSetting } from "./settings.js";
 
 /**
  * ペインの正規表示順序。
  * applyLayout() はこの順序で表示中ペインを列挙し、DOM を再配置する。
  * @type {string[]}
  */
-const PANE_ORDER = ["editor", "preview", "toc", "diff"];
+const PANE_ORDER = ["explorer", "editor", "preview", "toc", "diff"];
 
 /**
- * TOC ペインのデフォルト幅 (px)。
- * localStorage に保存値がない場合に使用される。
- * @type {number}
+ * 固定幅ペインの設定。
+ * widthKey: 幅を保存する localStorage キー、defaultWidth: 保存値がない場合の幅 (px)
+ * @type {Object<string, {widthKey: string, defaultWidth: number}>}
  */
-const TOC_DEFAULT_WIDTH = 200;
-
-/**
- * localStorage キー: TOC ペインの幅
- * @type {string}
- */
-const TOC_WIDTH_KEY = "mdpad:tocWidth";
+const FIXED_WIDTH_PANES = {
+  explorer: { widthKey: "mdpad:explorerWidth", defaultWidth: 220 },
+  toc: { widthKey: "mdpad:tocWidth", defaultWidth: 200 },
+};
 
 /**
  * 各ペインの表示状態。
  * true = 表示中、false = 非表示。
- * @type {{editor: boolean, preview: boolean, toc: boolean, diff: boolean}}
+ * @type {{explorer: boolean, editor: boolean, preview: boolean, toc: boolean, diff: boolean}}
  */
 let paneState = {
+  explorer: false,
   editor: true,
   preview: false,
   toc: false,
@@ -81,6 +81,7 @@ const handleBindings = [
   { left: null, right: null },
   { left: null, right: null },
   { left: null, right: null },
+  { left: null, right: null },
 ];
 
 /**
@@ -97,14 +98,15 @@ export function onPaneChange(callback) {
  *
  * 【動作フロー】
  * - DOM 要素の参照を取得しキャッシュ
- * - 3本のリサイズハンドルにイベントリスナーを登録
- * - localStorage から TOC の表示状態を復元
+ * - 4本のリサイズハンドルにイベントリスナーを登録
+ * - 設定から TOC / エクスプローラーの表示状態を復元
  * - applyLayout() で初期レイアウトを適用
  *
  * @function initPaneManager
  */
 export function initPaneManager() {
   elements = {
+    explorer: document.getElementById("explorer-pane"),
     editor: document.getElementById("editor-pane"),
     preview: document.getElementById("preview-pane"),
     toc: document.getElementById("toc-pane"),
@@ -112,22 +114,26 @@ export function initPaneManager() {
     handle1: document.getElementById("resize-handle-1"),
     handle2: document.getElementById("resize-handle-2"),
     handle3: document.getElementById("resize-handle-3"),
+    handle4: document.getElementById("resize-handle-4"),
     container: document.getElementById("pane-container"),
   };
 
-  // 3本のリサイズハンドルにイベントリスナーを登録
+  // 4本のリサイズハンドルにイベントリスナーを登録
   // 左右ペインのバインドは applyLayout() で動的に設定される
-  const handles = [elements.handle1, elements.handle2, elements.handle3];
+  const handles = [elements.handle1, elements.handle2, elements.handle3, elements.handle4];
   handles.forEach((handle, index) => {
     if (handle) {
       setupResizeHandle(handle, index);
     }
   });
 
-  // localStorage から TOC の表示状態を復元
-  if (localStorage.getItem("mdpad:tocVisible") === "true") {
+  // 設定から TOC / エクスプローラーの表示状態を復元
+  if (getSetting("tocVisible") === true) {
     paneState.toc = true;
   }
+  if (getSetting("explorerVisible") === true) {
+    paneState.explorer = true;
+  }
 
   applyLayout();
 }
@@ -140,7 +146,7 @@ export function initPaneManager() {
  * - トグル後に applyLayout() と onPaneChangeCallback が呼ばれる
  *
  * @function togglePane
- * @param {string} name - ペイン名（"editor", "preview", "toc", "diff"）
+ * @param {string} name - ペイン名（"explorer", "editor", "preview", "toc", "diff"）
  */
 export function togglePane(name) {
   if (!paneState.hasOwnProperty(name)) return;
@@ -174,7 +180,7 @@ export function setPaneState(state) {
  * 現在のペイン状態のコピーを返す。
  *
  * @function getPaneState
- * @returns {{editor: boolean, preview: boolean, toc: boolean, diff: boolean}} ペイン状態のコピー
+ * @returns {{explorer: boolean, editor: boolean, preview: boolean, toc: boolean, diff: boolean}} ペイン状態のコピー
  */
 export function getPaneState() {
   return { ...paneState };
@@ -186,7 +192,7 @@ export function getPaneState() {
  * 【動作フロー】
  * 1. PANE_ORDER に従い、表示中のペインを列挙
  * 2. 各ペインの display（flex/none）と flex 値を設定
- *    - TOC ペイン: flex: 0 0 {savedWidth}px（固定幅）
+ *    - エクスプローラー / TOC ペイン: flex: 0 0 {savedWidth}px（固定幅）
  *    - 他ペイン: flex: 1 1 0（均等分割）
  * 3. 表示中の隣接ペイン間にリサイズハンドルを動的配置
  * 4. DOM 要素を正しい順序で再配置（appendChild）
@@ -205,14 +211,15 @@ function applyLayout() {
 
     if (paneState[name]) {
       el.style.display = "flex";
-      if (name === "toc") {
-        // TOC は固定幅（localStorage から復元、またはデフォルト200px）
-        const savedWidth = parseInt(localStorage.getItem(TOC_WIDTH_KEY), 10);
-        const tocWidth =
+      const fixed = FIXED_WIDTH_PANES[name];
+      if (fixed) {
+        // エクスプローラー / TOC は固定幅（localStorage から復元、またはデフォルト幅）
+        const savedWidth = parseInt(localStorage.getItem(fixed.widthKey), 10);
+        const width =
           savedWidth && savedWidth >= 120 && savedWidth <= 500
             ? savedWidth
-            : TOC_DEFAULT_WIDTH;
-        el.style.flex = `0 0 ${tocWidth}px`;
+            : fixed.defaultWidth;
+        el.style.flex = `0 0 ${width}px`;
       } else {
         // 他のペインは均等分割
         el.style.flex = "1 1 0";
@@ -224,7 +231,7 @@ function applyLayout() {
   }
 
   // --- 3. リサイズハンドルの動的バインド ---
-  const handleKeys = ["handle1", "handle2", "handle3"];
+  const handleKeys = ["handle1", "handle2", "handle3", "handle4"];
 
   // まず全ハンドルを非表示にリセット
   for (let i = 0; i < handleKeys.length; i++) {
@@ -281,7 +288,7 @@ function applyLayout() {
  * 【動作フロー】
  * - pointerdown で左右ペインの現在幅を記録
  * - pointermove でドラッグ量に応じて両ペインの flex 値を変更
- * - pointerup で確定し、TOC ペインの場合は localStorage に幅を保存
+ * - pointerup で確定し、固定幅ペイン（エクスプローラー / TOC）の場合は localStorage に幅を保存
  *
  * 【注意】
  * - 左右ペインの参照は handleBindings[index] から動的に取得される。
@@ -290,7 +297,7 @@ function applyLayout() {
  *
  * @function setupResizeHandle
  * @param {HTMLElement} handle - リサイズハンドル要素
- * @param {number} index - handleBindings 配列のインデックス（0, 1, 2）
+ * @param {number} index - handleBindings 配列のインデックス（0〜3）
  */
 function setupResizeHandle(handle, index) {
   handle.addEventListener("pointerdown", (e) => {
@@ -329,7 +336,7 @@ function setupResizeHandle(handle, index) {
 
     /**
      * ドラッグ終了ハンドラ。
-     * ポインターキャプチャを解放し、TOC ペインの場合は localStorage に幅を保存する。
+     * ポインターキャプチャを解放し、固定幅ペインの場合は localStorage に幅を保存する。
      *
      * @param {PointerEvent} upEvent - pointerup イベント
      */
@@ -339,13 +346,13 @@ function setupResizeHandle(handle, index) {
       handle.removeEventListener("pointermove", onMove);
       handle.removeEventListener("pointerup", onUp);
 
-      // TOC ペインの幅を localStorage に保存
-      // 左右どちらかが TOC の場合に保存する
-      if (binding.left === "toc" && leftEl) {
-        localStorage.setItem(TOC_WIDTH_KEY, String(leftEl.offsetWidth));
+      // 固定幅ペイン（エクスプローラー / TOC）の幅を localStorage に保存
+      // 左右どちらかが固定幅ペインの場合に保存する
+      if (FIXED_WIDTH_PANES[binding.left] && leftEl) {
+        localStorage.setItem(FIXED_WIDTH_PANES[binding.left].widthKey, String(leftEl.offsetWidth));
       }
-      if (binding.right === "toc" && rightEl) {
-        localStorage.setItem(TOC_WIDTH_KEY, String(rightEl.offsetWidth));
+      if (FIXED_WIDTH_PANES[binding.right] && rightEl) {
+        localStorage.setItem(FIXED_WIDTH_PANES[binding.right].widthKey, String(rightEl.offsetWidth));
       }
 
       refreshEditor();
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview PDF エクスポート設定
+ * @description
+ * PDF エクスポートのページ設定ダイアログと、目次ページの HTML 生成を提供する。
+ * PDF の生成自体はメインプロセス（pdf-export.js の printToPDF）が担当する。
+ *
+ * 【動作フロー】
+ * - showPdfExportDialog() で用紙サイズ・向き・余白・ヘッダー/フッター・目次の有無を入力
+ * - 入力値は localStorage("mdpad:pdfOptions") に保存され、次回の初期値になる
+ * - buildTocHtml() は toc-pane.js の parseHeadings() で見出しを抽出し、
+ *   プレビューと同じ見出しの ID（markdown-engine.js の getHeadingAnchors() のアンカーに
+ *   user-content- を付けたもの、無い見出しは renderForExport() が付与する h-<行番号>）
+ *   へのリンク付き目次を生成する
+ *
+ * 【注意】
+ * - ヘッダー/フッターのテンプレートは {title} {date} {page} {pages} を置換し、
+ *   "|" で 左|中央|右 に分割できる（変換はメインプロセス側）
+ *
+ * @file pdf-export.js
+ * @version 1.1.00107
+ * @since 1.1.00086
+ * @revision 4
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { parseHeadings } from "./toc-pane.js";
+import { getHeadingAnchors } from "../lib/markdown-engine.js";
+import { HEADING_ID_PREFIX } from "../lib/heading-slug.js";
+import { t } from "../../i18n/i18n-renderer.js";
+
+/**
+ * localStorage キー: 前回の PDF 設定
+ * @type {string}
+ */
+const OPTIONS_KEY = "mdpad:pdfOptions";
+
+/**
+ * 選択可能な用紙サイズ（Electron printToPDF の pageSize 名）。
+ * @type {string[]}
+ */
+const PAGE_SIZES = ["A3", "A4", "A5", "Letter", "Legal", "Tabloid"];
+
+/**
+ * PDF 設定の既定値（メインプロセスの DEFAULT_OPTIONS と同じ値）。
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+  pageSize: "A4",
+  landscape: false,
+  margins: { top: 20, right: 15, bottom: 20, left: 15 },
+  headerFooter: true,
+  headerTemplate: "{title}",
+  footerTemplate: "{date}||{page} / {pages}",
+  toc: false,
+};
+
+/**
+ * 保存済みの PDF 設定を読み込む（不正値は既定値で補完）。
+ *
+ * @function loadOptions
+ * @returns {Object} PDF 設定
+ */
+function loadOptions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OPTIONS_KEY) || "{}");
+    return {
+      ...DEFAULT_OPTIONS,
+      ...saved,
+      margins: { ...DEFAULT_OPTIONS.margins, ...(saved.margins || {}) },
+    };
+  } catch {
+    return { ...DEFAULT_OPTIONS, margins: { ...DEFAULT_OPTIONS.margins } };
+  }
+}
+
+/**
+ * HTML 特殊文字をエスケープする。
+ *
+ * @function escapeHtml
+ * @param {string} str - 対象文字列
+ * @returns {string} エスケープ済み文字列
+ */
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * 目次ページの HTML を生成する。見出しがない場合は空文字列を返す。
+ * リンク先はプレビューと同じ見出しの ID（無ければ h-<行番号>）。
+ *
+ * @function buildTocHtml
+ * @param {string} content - Markdown テキスト
+ * @returns {string} .pdf-toc 要素の HTML
+ */
+export function buildTocHtml(content) {
+  const headings = parseHeadings(content);
+  if (headings.length === 0) return "";
+
+  const anchors = new Map(getHeadingAnchors(content).map((h) => [h.line, h.anchor]));
+
+  // 最上位レベルを基準にインデント（H2 始まりの文書でも左端から並べる）
+  const minLevel = Math.min(...headings.map((h) => h.level));
+  const items = headings
+    .map((h) => {
+      const indent = (h.level - minLevel) * 1.5;
+      const anchor = anchors.get(h.line);
+      const id = anchor ? HEADING_ID_PREFIX + anchor : `h-${h.line}`;
+      return `<li style="padding-left:${indent}em"><a href="#${escapeHtml(id)}">${escapeHtml(h.text)}</a></li>`;
+    })
+    .join("\n");
+
+  return `<nav class="pdf-toc">\n<h1>${escapeHtml(t("export.tocTitle"))}</h1>\n<ul>\n${items}\n</ul>\n</nav>\n`;
+}
+
+/**
+ * PDF エクスポートの設定ダイアログを表示する。
+ *
+ * @function showPdfExportDialog
+ * @returns {Promise<Object|null>} PDF 設定（キャンセル時は null）
+ */
+export function showPdfExportDialog() {
+  return new Promise((resolve) => {
+    if (document.getElementById("pdf-export-overlay")) {
+      resolve(null);
+      return;
+    }
+
+    // Close any open popups
+    window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+    const opts = loadOptions();
+
+    const overlay = document.createElement("div");
+    overlay.id = "pdf-export-overlay";
+    overlay.style.cssText =
+      "position:fixed;top:0;left:0;right:0;bottom:0;" +
+      "background:rgba(0,0,0,0.4);z-index:100001;" +
+      "display:flex;align-items:flex-start;justify-content:center;padding-top:10vh;";
+
+    const modal = document.createElement("div");
+    modal.style.cssText =
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+      "padding:20px;width:460px;box-shadow:0 8px 24px rgba(0,0,0,0.2);" +
+      "font-size:13px;color:var(--mdpad-fg);";
+
+    const titleEl = document.createElement("div");
+    titleEl.textContent = t("export.pdfTitle");
+    titleEl.style.cssText = "font-size:16px;font-weight:700;margin-bottom:16px;";
+    modal.appendChild(titleEl);
+
+    const inputStyle =
+      "padding:4px 6px;border:1px solid var(--mdpad-border);border-radius:4px;" +
+      "font-size:13px;box-sizing:border-box;";
+
+    /** ラベル + 入力要素の行を追加する */
+    function addRow(label, control) {
+      const row = document.createElement("div");
+      row.style.cssText = "display:flex;align-items:center;gap:8px;margin-bottom:10px;";
+      const labelEl = document.createElement("label");
+      labelEl.textContent = label;
+      labelEl.style.cssText = "width:130px;flex-shrink:0;color:var(--mdpad-fg-muted);";
+      row.appendChild(labelEl);
+      row.appendChild(control);
+      modal.appendChild(row);
+      return row;
+    }
+
+    // 用紙サイズ
+    const sizeSelect = document.createElement("select");
+    sizeSelect.style.cssText = inputStyle;
+    for (const size of PAGE_SIZES) {
+      const opt = document.createElement("option");
+      opt.value = size;
+      opt.textContent = size;
+      opt.selected = size === opts.pageSize;
+      sizeSelect.appendChild(opt);
+    }
+    addRow(t("export.pageSize"), sizeSelect);
+
+    // 向き
+    const orientSelect = document.createElement("select");
+    orientSelect.style.cssText = inputStyle;
+    for (const [value, key] of [["portrait", "export.portrait"], ["landscape", "export.landscape"]]) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = t(key);
+      opt.selected = (value === "landscape") === !!opts.landscape;
+      orientSelect.appendChild(opt);
+    }
+    addRow(t("export.orientation"), orientSelect);
+
+    // 余白（mm）: 上 右 下 左
+    const marginBox = document.createElement("div");
+    marginBox.style.cssText = "display:flex;gap:4px;align-items:center;";
+    const marginInputs = {};
+    for (const side of ["top", "right", "bottom", "left"]) {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = 0;
+      input.max = 100;
+      input.value = opts.margins[side];
+      input.title = t(`export.margin_${side}`);
+      input.style.cssText = inputStyle + "width:58px;";
+      marginInputs[side] = input;
+      marginBox.appendChild(input);
+    }
+    addRow(t("export.margins"), marginBox);
+
+    // ヘッダー/フッター
+    const hfCheck = document.createElement("input");
+    hfCheck.type = "checkbox";
+    hfCheck.checked = !!opts.headerFooter;
+    addRow(t("export.headerFooter"), hfCheck);
+
+    const headerInput = document.createElement("input");
+    headerInput.type = "text";
+    headerInput.value = opts.headerTemplate;
+    headerInput.style.cssText = inputStyle + "flex:1;";
+    addRow(t("export.header"), headerInput);
+
+    const footerInput = document.createElement("input");
+    footerInput.type = "text";
+    footerInput.value = opts.footerTemplate;
+    footerInput.style.cssText = inputStyle + "flex:1;";
+    addRow(t("export.footer"), footerInput);
+
+    const hintEl = document.createElement("div");
+    hintEl.textContent = t("export.templateHint");
+    hintEl.style.cssText = "font-size:11px;color:var(--mdpad-fg-subtle);margin:-4px 0 12px 138px;line-height:1.4;";
+    modal.appendChild(hintEl);
+
+    const syncHeaderFooter = () => {
+      headerInput.disabled = !hfCheck.checked;
+      footerInput.disabled = !hfCheck.checked;
+    };
+    hfCheck.addEventListener("change", syncHeaderFooter);
+    syncHeaderFooter();
+
+    // 目次ページ
+    const tocCheck = document.createElement("input");
+    tocCheck.type = "checkbox";
+    tocCheck.checked = !!opts.toc;
+    addRow(t("export.tocPage"), tocCheck);
+
+    // ボタン行
+    const btnRow = document.createElement("div");
+    btnRow.style.cssText = "display:flex;gap:8px;justify-content:flex-end;margin-top:16px;";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.textContent = t("dialog.saveConfirmCancel");
+    cancelBtn.style.cssText =
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+    cancelBtn.onclick = () => done(null);
+
+    const exportBtn = document.createElement("button");
+    exportBtn.textContent = t("export.exportButton");
+    exportBtn.style.cssText =
+      "padding:6px 16px;border:none;border-radius:6px;" +
+      "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+    exportBtn.onclick = () => {
+      const margins = {};
+      for (const [side, input] of Object.entries(marginInputs)) {
+        const mm = parseFloat(input.value);
+        margins[side] = isNaN(mm) || mm < 0 ? DEFAULT_OPTIONS.margins[side] : Math.min(mm, 100);
+      }
+      const result = {
+        pageSize: sizeSelect.value,
+        landscape: orientSelect.value === "landscape",
+        margins,
+        headerFooter: hfCheck.checked,
+        headerTemplate: headerInput.value,
+        footerTemplate: footerInput.value,
+        toc: tocCheck.checked,
+      };
+      localStorage.setItem(OPTIONS_KEY, JSON.stringify(result));
+      done(result);
+    };
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(exportBtn);
+    modal.appendChild(btnRow);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        done(null);
+      }
+    });
+    overlay.addEventListener("mousedown", (e) => {
+      if (e.target === overlay) done(null);
+    });
+
+    exportBtn.focus();
+
+    function done(result) {
+      overlay.remove();
+      resolve(result);
+    }
+  });
+}
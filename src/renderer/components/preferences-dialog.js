@@ -0,0 +1,335 @@
+/**
+ * @fileoverview 環境設定ダイアログ
+ * @description
+ * 設定ストア（settings.js）のスキーマからセクションごとの設定一覧を組み立て、
+ * 検索・変更・既定値へのリセット・JSON ファイルへのエクスポート／インポートを行う。
+ *
+ * 【動作フロー】
+ * - showPreferencesDialog() がスキーマの型に応じた入力欄を並べる
+ *   （boolean: チェックボックス、number: 範囲付きの数値、enum: 選択肢、string: テキスト）
+ * - 入力欄の change で setSetting() に保存する。範囲外の数値はメインプロセスで
+ *   丸められ、不正な値は拒否されて元の値に戻る
+ * - 検索欄はラベルと設定キーの部分一致で行を絞り込む（該当のないセクションは隠す）
+ * - 設定の変更（ほかのウィンドウ・メニュー・インポート）は onSettingsChange() で
+ *   表示中の入力欄に反映する
+ *
+ * 【注意】
+ * - 選択肢のラベルは settings.<キー>_<値> で、未定義なら値をそのまま表示する
+ * - TOC / エクスプローラーの表示は次回起動時の状態で、開いているウィンドウには反映しない
+ *
+ * @file preferences-dialog.js
+ * @version 1.1.00102
+ * @since 1.1.00102
+ * @revision 1
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { t } from "../../i18n/i18n-renderer.js";
+import { getSettingsSchema, getSetting, setSetting, onSettingsChange } from "./settings.js";
+
+/**
+ * ボタンの共通スタイル
+ * @type {string}
+ */
+const BUTTON_STYLE =
+  "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+  "background:var(--mdpad-bg-subtle);color:var(--mdpad-fg);cursor:pointer;font-size:13px;";
+
+/**
+ * 入力欄の共通スタイル
+ * @type {string}
+ */
+const INPUT_STYLE =
+  "padding:4px 6px;border:1px solid var(--mdpad-border);border-radius:4px;font-size:13px;" +
+  "background:var(--mdpad-bg);color:var(--mdpad-fg);";
+
+/**
+ * 翻訳がなければ代わりの文字列を返す。
+ *
+ * @function translateOr
+ * @param {string} key - i18n キー
+ * @param {string} fallback - 未定義のときの文字列
+ * @returns {string}
+ */
+function translateOr(key, fallback) {
+  const text = t(key);
+  return text === key ? fallback : text;
+}
+
+/**
+ * 設定の型に応じた入力欄を作る。
+ *
+ * @function createControl
+ * @param {Object} entry - スキーマの項目
+ * @returns {HTMLElement} 入力欄（value / checked の反映は呼び出し側）
+ */
+function createControl(entry) {
+  if (entry.type === "boolean") {
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.style.cssText = "margin:0;";
+    return input;
+  }
+  if (entry.type === "enum") {
+    const select = document.createElement("select");
+    select.style.cssText = INPUT_STYLE;
+    for (const value of entry.values) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = translateOr(`settings.${entry.key}_${value}`, value);
+      select.appendChild(option);
+    }
+    return select;
+  }
+  const input = document.createElement("input");
+  if (entry.type === "number") {
+    input.type = "number";
+    input.min = String(entry.min);
+    input.max = String(entry.max);
+    input.style.cssText = INPUT_STYLE + "width:90px;";
+  } else {
+    input.type = "text";
+    input.spellcheck = false;
+    input.style.cssText = INPUT_STYLE + "width:220px;font-family:monospace;";
+  }
+  return input;
+}
+
+/**
+ * 入力欄から設定値を読み取る。
+ *
+ * @function readControl
+ * @param {Object} entry - スキーマの項目
+ * @param {HTMLElement} control - 入力欄
+ * @returns {*} 入力値（数値欄が空なら NaN でメインプロセスが拒否する）
+ */
+function readControl(entry, control) {
+  if (entry.type === "boolean") return control.checked;
+  if (entry.type === "number") return control.value.trim() === "" ? NaN : Number(control.value);
+  return control.value;
+}
+
+/**
+ * 環境設定ダイアログを表示する。
+ *
+ * @function showPreferencesDialog
+ */
+export function showPreferencesDialog() {
+  if (document.getElementById("preferences-overlay")) return;
+
+  // Close any open popups
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "preferences-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.4);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:8vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:20px;width:600px;max-height:80vh;display:flex;flex-direction:column;" +
+    "box-shadow:0 8px 24px rgba(0,0,0,0.2);color:var(--mdpad-fg);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("settings.title");
+  titleEl.style.cssText = "font-size:16px;font-weight:700;margin-bottom:12px;";
+  modal.appendChild(titleEl);
+
+  const searchInput = document.createElement("input");
+  searchInput.type = "search";
+  searchInput.className = "preferences-search";
+  searchInput.placeholder = t("settings.searchPlaceholder");
+  searchInput.style.cssText = INPUT_STYLE + "width:100%;box-sizing:border-box;margin-bottom:12px;";
+  modal.appendChild(searchInput);
+
+  const listEl = document.createElement("div");
+  listEl.style.cssText = "overflow-y:auto;flex:1;min-height:0;padding-right:4px;";
+  modal.appendChild(listEl);
+
+  const emptyEl = document.createElement("div");
+  emptyEl.textContent = t("settings.noMatch");
+  emptyEl.style.cssText = "display:none;padding:16px 0;text-align:center;color:var(--mdpad-fg-muted);font-size:13px;";
+  listEl.appendChild(emptyEl);
+
+  /** 行ごとの参照: key → { entry, row, control, resetBtn, text } */
+  const rows = new Map();
+  /** セクション要素: section → { el, keys } */
+  const sections = new Map();
+
+  for (const entry of getSettingsSchema()) {
+    let section = sections.get(entry.section);
+    if (!section) {
+      const el = document.createElement("div");
+      el.style.cssText = "margin-bottom:12px;";
+      const heading = document.createElement("div");
+      heading.textContent = translateOr(`settings.section_${entry.section}`, entry.section);
+      heading.style.cssText =
+        "font-size:12px;font-weight:700;text-transform:uppercase;color:var(--mdpad-fg-muted);" +
+        "border-bottom:1px solid var(--mdpad-border-muted);padding-bottom:4px;margin-bottom:4px;";
+      el.appendChild(heading);
+      listEl.appendChild(el);
+      section = { el, keys: [] };
+      sections.set(entry.section, section);
+    }
+    section.keys.push(entry.key);
+
+    const label = translateOr(`settings.${entry.key}`, entry.key);
+    const row = document.createElement("div");
+    row.dataset.settingKey = entry.key;
+    row.style.cssText = "display:flex;align-items:center;gap:8px;padding:5px 0;font-size:13px;";
+
+    const labelEl = document.createElement("label");
+    labelEl.style.cssText = "flex:1;min-width:0;";
+    const nameEl = document.createElement("div");
+    nameEl.textContent = label;
+    const keyEl = document.createElement("div");
+    keyEl.textContent = entry.key;
+    keyEl.style.cssText = "font-size:11px;color:var(--mdpad-fg-subtle);font-family:monospace;";
+    labelEl.appendChild(nameEl);
+    labelEl.appendChild(keyEl);
+
+    const control = createControl(entry);
+    control.id = `preferences-${entry.key}`;
+    labelEl.htmlFor = control.id;
+    control.addEventListener("change", async () => {
+      await setSetting(entry.key, readControl(entry, control));
+      // Show the stored value (clamped, or the old one when rejected)
+      updateRow(entry.key);
+    });
+
+    const resetBtn = document.createElement("button");
+    resetBtn.textContent = "↺";
+    resetBtn.title = t("settings.reset");
+    resetBtn.style.cssText =
+      "border:none;background:none;cursor:pointer;font-size:14px;color:var(--mdpad-fg-muted);" +
+      "padding:2px 4px;width:24px;";
+    resetBtn.onclick = async () => {
+      await setSetting(entry.key, entry.default);
+      updateRow(entry.key);
+    };
+
+    row.appendChild(labelEl);
+    row.appendChild(control);
+    row.appendChild(resetBtn);
+    section.el.appendChild(row);
+    rows.set(entry.key, { entry, row, control, resetBtn, text: `${label} ${entry.key}`.toLowerCase() });
+    updateRow(entry.key);
+  }
+
+  /** 入力欄とリセットボタンを現在の値に合わせる */
+  function updateRow(key) {
+    const item = rows.get(key);
+    if (!item) return;
+    const value = getSetting(key);
+    if (item.entry.type === "boolean") {
+      item.control.checked = value === true;
+    } else if (document.activeElement !== item.control || item.entry.type === "enum") {
+      item.control.value = String(value);
+    }
+    item.resetBtn.style.visibility = value === item.entry.default ? "hidden" : "visible";
+  }
+
+  /** 検索語で行とセクションを絞り込む */
+  function applyFilter() {
+    const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    let anyVisible = false;
+    for (const section of sections.values()) {
+      let sectionVisible = false;
+      for (const key of section.keys) {
+        const item = rows.get(key);
+        const match = terms.every((term) => item.text.includes(term));
+        item.row.style.display = match ? "flex" : "none";
+        if (match) sectionVisible = true;
+      }
+      section.el.style.display = sectionVisible ? "" : "none";
+      if (sectionVisible) anyVisible = true;
+    }
+    emptyEl.style.display = anyVisible ? "none" : "block";
+  }
+  searchInput.addEventListener("input", applyFilter);
+
+  const statusEl = document.createElement("div");
+  statusEl.className = "preferences-status";
+  statusEl.style.cssText = "min-height:18px;margin-top:8px;font-size:12px;color:var(--mdpad-fg-muted);";
+  modal.appendChild(statusEl);
+
+  /** ダイアログ下部のメッセージを表示する */
+  function showStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.style.color = isError ? "var(--mdpad-danger-fg)" : "var(--mdpad-fg-muted)";
+  }
+
+  const btnRow = document.createElement("div");
+  btnRow.style.cssText = "display:flex;gap:8px;margin-top:8px;";
+
+  const importBtn = document.createElement("button");
+  importBtn.textContent = t("settings.import");
+  importBtn.style.cssText = BUTTON_STYLE;
+  importBtn.onclick = async () => {
+    try {
+      const result = await window.mdpad.importSettings();
+      if (!result) return;
+      let message = t("settings.imported").replace("{path}", result.path);
+      if (result.rejected.length > 0) {
+        message += " " + t("settings.importRejected").replace("{keys}", result.rejected.join(", "));
+      }
+      showStatus(message, result.rejected.length > 0);
+    } catch (err) {
+      showStatus(t("settings.importFailed").replace("{message}", err.message), true);
+    }
+  };
+
+  const exportBtn = document.createElement("button");
+  exportBtn.textContent = t("settings.export");
+  exportBtn.style.cssText = BUTTON_STYLE;
+  exportBtn.onclick = async () => {
+    try {
+      const result = await window.mdpad.exportSettings();
+      if (result) showStatus(t("settings.exported").replace("{path}", result.path));
+    } catch (err) {
+      showStatus(t("settings.exportFailed").replace("{message}", err.message), true);
+    }
+  };
+
+  const spacer = document.createElement("div");
+  spacer.style.cssText = "flex:1;";
+
+  const closeBtn = document.createElement("button");
+  closeBtn.className = "preferences-close";
+  closeBtn.textContent = t("settings.close");
+  closeBtn.style.cssText = BUTTON_STYLE;
+  closeBtn.onclick = () => close();
+
+  btnRow.appendChild(importBtn);
+  btnRow.appendChild(exportBtn);
+  btnRow.appendChild(spacer);
+  btnRow.appendChild(closeBtn);
+  modal.appendChild(btnRow);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  searchInput.focus();
+
+  // Follow changes made elsewhere while the dialog is open
+  const unsubscribe = onSettingsChange((changed) => {
+    for (const key of Object.keys(changed)) updateRow(key);
+  });
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  function close() {
+    unsubscribe();
+    overlay.remove();
+  }
+}
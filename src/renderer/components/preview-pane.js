@@ -1,8 +1,16 @@
 import { renderMarkdown } from "../lib/markdown-engine.js";
+import { headingIdFromFragment } from "../lib/heading-slug.js";
 import { renderMarkdownDiff } from "../lib/markdown-diff.js";
 import DOMPurify from "dompurify";
 import mermaid from "mermaid";
 import { t, onLocaleChange } from "../../i18n/i18n-renderer.js";
+import {
+  HEAD_REVISION,
+  revisionLabel,
+  revisionTitle,
+  loadRevisionContent,
+  showRevisionPicker,
+} from "./git-revision-picker.js";
 
 let previewContainer = null;
 let headerEl = null;
@@ -10,6 +18,7 @@ let contentEl = null;
 let renderTimer = null;
 let mermaidCache = new Map();
 let mermaidInitialized = false;
+let mermaidTheme = "default"; // follows the preview theme (preview-theme.js)
 
 // Preview mode: "preview" (normal) or "richDiff" (GitHub-style rendered diff)
 let previewMode = "preview";
@@ -18,26 +27,51 @@ let originalSource = "";
 let diffFileContent = null;
 let diffFilePath = null;
 let diffSource = "history"; // "history", "file", or "git"
-let gitHeadContent = null; // cached HEAD content for git diff
+let gitBase = HEAD_REVISION; // git revision compared from
+let gitTarget = null; // git revision compared to; null = editor buffer
+let gitRevisionPath = null; // file the revisions were picked for
+let gitBaseContent = null; // cached content of gitBase
+let gitTargetContent = null; // cached content of gitTarget
 let gitAvailable = false; // whether the current file is in a tracked git repo
 
 // Base directory for resolving relative paths in preview (set by the editor)
 let baseDir = null;
 
+// Whether the front matter metadata table is expanded
+let frontMatterOpen = false;
+
 export function initPreview(container) {
   previewContainer = container;
   buildPreviewUI();
 
   // Initialize mermaid
+  initMermaid();
+
+  // Re-render header on locale change
+  onLocaleChange(() => buildPreviewUI());
+}
+
+function initMermaid() {
   mermaid.initialize({
     startOnLoad: false,
-    theme: "default",
+    theme: mermaidTheme,
     securityLevel: "loose",
   });
   mermaidInitialized = true;
+}
 
-  // Re-render header on locale change
-  onLocaleChange(() => buildPreviewUI());
+/**
+ * Switch the Mermaid theme ("default", "dark", "neutral", ...) and re-render.
+ * Cached diagrams were drawn with the old theme, so the cache is dropped.
+ * @param {string} theme
+ */
+export function setMermaidTheme(theme) {
+  if (theme === mermaidTheme) return;
+  mermaidTheme = theme;
+  mermaidCache.clear();
+  if (!mermaidInitialized) return;
+  initMermaid();
+  renderCurrent();
 }
 
 function buildPreviewUI() {
@@ -61,6 +95,11 @@ function buildPreviewUI() {
       </select>
       <button class="preview-diff-open-file" style="${diffSource === "file" ? "display:inline-block" : "display:none"}">${t("previewPane.openFile")}</button>
       <span class="preview-diff-file-name" style="${diffFilePath && diffSource === "file" ? "display:inline" : "display:none"}">${diffFilePath ? diffFilePath.split(/[\\/]/).pop() : ""}</span>
+      <span class="preview-diff-git-revisions" style="${diffSource === "git" ? "display:inline-flex" : "display:none"}">
+        <button class="preview-diff-git-base"></button>
+        <span class="preview-diff-git-arrow">\u2192</span>
+        <button class="preview-diff-git-target"></button>
+      </span>
     </div>
   `;
   previewContainer.appendChild(headerEl);
@@ -101,6 +140,10 @@ function buildPreviewUI() {
     }
   });
 
+  headerEl.querySelector(".preview-diff-git-base").addEventListener("click", () => pickGitRevision("base"));
+  headerEl.querySelector(".preview-diff-git-target").addEventListener("click", () => pickGitRevision("target"));
+  updateGitRevisionButtons();
+
   // Create content wrapper
   contentEl = document.createElement("div");
   contentEl.className = "preview-content";
@@ -113,9 +156,59 @@ function buildPreviewUI() {
   renderCurrent();
 }
 
+function updateGitRevisionButtons() {
+  const baseBtn = headerEl.querySelector(".preview-diff-git-base");
+  const targetBtn = headerEl.querySelector(".preview-diff-git-target");
+  baseBtn.textContent = revisionLabel(gitBase);
+  baseBtn.title = t("gitRevision.pickBase") + ": " + revisionTitle(gitBase);
+  targetBtn.textContent = revisionLabel(gitTarget);
+  targetBtn.title = t("gitRevision.pickTarget") + ": " + revisionTitle(gitTarget);
+}
+
+async function pickGitRevision(side) {
+  const currentPath = getCurrentFilePath();
+  if (!currentPath) return;
+  const result = await showRevisionPicker({
+    filePath: currentPath,
+    title: t(side === "base" ? "gitRevision.pickBase" : "gitRevision.pickTarget"),
+    allowBuffer: side === "target",
+    selected: side === "base" ? gitBase : gitTarget,
+  });
+  if (!result) return;
+  if (currentPath !== gitRevisionPath) resetGitRevisions(currentPath);
+  // The editor buffer is only offered as the target
+  if (side === "base") {
+    gitBase = result.revision || HEAD_REVISION;
+    gitBaseContent = null;
+  } else {
+    gitTarget = result.revision;
+    gitTargetContent = null;
+  }
+  updateGitRevisionButtons();
+  renderCurrent();
+}
+
+function getCurrentFilePath() {
+  return typeof window.__mdpadGetCurrentFilePath === "function"
+    ? window.__mdpadGetCurrentFilePath()
+    : null;
+}
+
+// Revisions picked for another file do not apply (paths differ)
+function resetGitRevisions(filePath) {
+  gitBase = HEAD_REVISION;
+  gitTarget = null;
+  gitBaseContent = null;
+  gitTargetContent = null;
+  gitRevisionPath = filePath;
+  if (headerEl) updateGitRevisionButtons();
+}
+
 function updateDiffFileButtonVisibility() {
   const btn = headerEl.querySelector(".preview-diff-open-file");
   const name = headerEl.querySelector(".preview-diff-file-name");
+  headerEl.querySelector(".preview-diff-git-revisions").style.display =
+    diffSource === "git" ? "inline-flex" : "none";
   if (diffSource === "file") {
     btn.style.display = "inline-block";
     if (diffFilePath) name.style.display = "inline";
@@ -179,7 +272,14 @@ async function doRender(markdownSource) {
   if (!contentEl) return;
   const body = contentEl.querySelector(".markdown-body");
   const rawHtml = renderMarkdown(markdownSource);
+
+  // Keep the front matter table expanded/collapsed across re-renders
+  const oldFrontMatter = body.querySelector("details.front-matter:not(.front-matter-invalid)");
+  if (oldFrontMatter) frontMatterOpen = oldFrontMatter.open;
+
   body.innerHTML = DOMPurify.sanitize(rawHtml, SANITIZE_OPTS);
+  const frontMatter = body.querySelector("details.front-matter:not(.front-matter-invalid)");
+  if (frontMatter) frontMatter.open = frontMatterOpen;
   resolveRelativePaths(body);
   await renderMermaidBlocks(body);
 }
@@ -189,30 +289,46 @@ async function doRenderRichDiff() {
   const body = contentEl.querySelector(".markdown-body");
 
   let oldText;
+  let newText = currentSource;
   if (diffSource === "history") {
     oldText = originalSource;
   } else if (diffSource === "git") {
-    if (gitHeadContent === null) {
+    const currentPath = getCurrentFilePath();
+    if (!currentPath) {
+      body.innerHTML = `<div class="md-diff-empty">${t("previewPane.gitNoFile")}</div>`;
+      return;
+    }
+    if (currentPath !== gitRevisionPath) resetGitRevisions(currentPath);
+
+    const base = gitBase;
+    const target = gitTarget;
+    if (gitBaseContent === null || (target && gitTargetContent === null)) {
       body.innerHTML = `<div class="md-diff-empty">${t("previewPane.loadingGit")}</div>`;
       try {
-        const currentPath = typeof window.__mdpadGetCurrentFilePath === "function"
-          ? window.__mdpadGetCurrentFilePath()
-          : null;
-        if (!currentPath) {
-          body.innerHTML = `<div class="md-diff-empty">${t("previewPane.gitNoFile")}</div>`;
-          return;
-        }
-        gitHeadContent = await window.mdpad.getGitFileContent(currentPath);
-        if (gitHeadContent === null) {
-          body.innerHTML = `<div class="md-diff-empty">${t("previewPane.gitNoContent")}</div>`;
+        const baseContent = gitBaseContent !== null
+          ? gitBaseContent
+          : await loadRevisionContent(currentPath, base);
+        const targetContent = !target || gitTargetContent !== null
+          ? gitTargetContent
+          : await loadRevisionContent(currentPath, target);
+        // Another revision was picked while loading
+        if (base !== gitBase || target !== gitTarget) return;
+        if (baseContent === null || (target && targetContent === null)) {
+          const missing = baseContent === null ? base : target;
+          body.innerHTML = `<div class="md-diff-empty"></div>`;
+          body.firstChild.textContent =
+            t("previewPane.gitNoContent").replace("{rev}", revisionLabel(missing));
           return;
         }
+        gitBaseContent = baseContent;
+        gitTargetContent = targetContent;
       } catch {
         body.innerHTML = `<div class="md-diff-empty">${t("previewPane.gitError")}</div>`;
         return;
       }
     }
-    oldText = gitHeadContent;
+    oldText = gitBaseContent;
+    if (target) newText = gitTargetContent;
   } else {
     if (!diffFileContent) {
       body.innerHTML = `<div class="md-diff-empty">${t("previewPane.selectFile")}</div>`;
@@ -221,22 +337,85 @@ async function doRenderRichDiff() {
     oldText = diffFileContent;
   }
 
-  const diffHtml = renderMarkdownDiff(oldText, currentSource);
+  const diffHtml = renderMarkdownDiff(oldText, newText);
   body.innerHTML = DOMPurify.sanitize(diffHtml, SANITIZE_OPTS);
   resolveRelativePaths(body);
   await renderMermaidBlocks(body);
 }
 
+/**
+ * Render Markdown to standalone HTML for export (HTML/PDF).
+ * Same pipeline as the preview: sanitize, drop the front matter table,
+ * resolve relative paths against the file's directory, and replace Mermaid
+ * blocks with rendered SVG.
+ * Headings without an id get "h-<line>" ones for table-of-contents links, and
+ * "#anchor" links point at the prefixed heading ids ("#user-content-anchor").
+ * @param {string} markdownSource
+ * @param {string|null} filePath - Absolute path of the document (for relative assets)
+ * @returns {Promise<string>} Inner HTML of the .markdown-body element
+ */
+export async function renderForExport(markdownSource, filePath) {
+  const body = document.createElement("div");
+  body.className = "markdown-body";
+  body.innerHTML = DOMPurify.sanitize(renderMarkdown(markdownSource), SANITIZE_OPTS);
+
+  // Front matter is metadata, not part of the exported document
+  for (const el of body.querySelectorAll(".front-matter")) el.remove();
+
+  // The exported file has no click handler to add the heading id prefix
+  for (const link of body.querySelectorAll('a[href^="#"]')) {
+    const id = headingIdFromFragment(link.getAttribute("href").slice(1));
+    if (body.querySelector(`[id="${CSS.escape(id)}"]`)) link.setAttribute("href", "#" + id);
+  }
+
+  let dir = null;
+  if (filePath) {
+    const lastSep = Math.max(filePath.lastIndexOf("/"), filePath.lastIndexOf("\\"));
+    dir = lastSep >= 0 ? filePath.substring(0, lastSep) : null;
+  }
+  resolveRelativePaths(body, dir);
+
+  // Headings without an anchor get one from the 1-based source line ("h-12"),
+  // which buildTocHtml() in pdf-export.js links to as well
+  for (const h of body.querySelectorAll("h1, h2, h3, h4, h5, h6")) {
+    const line = parseInt(h.getAttribute("data-source-line"), 10);
+    if (!isNaN(line) && !h.id) h.id = `h-${line + 1}`;
+  }
+
+  await renderMermaidBlocks(body);
+  return body.innerHTML;
+}
+
+/**
+ * Put rendered HTML (from renderMarkdown() or renderMarkdownDiff()) into a
+ * container outside the preview pane, e.g. the git history browser.
+ * Same pipeline as the preview: sanitize, resolve relative paths against the
+ * file's directory, and render Mermaid blocks.
+ * @param {HTMLElement} body - Element with the "markdown-body" class
+ * @param {string} rawHtml
+ * @param {string|null} filePath - Absolute path of the document (for relative assets)
+ */
+export async function renderHtmlInto(body, rawHtml, filePath) {
+  body.innerHTML = DOMPurify.sanitize(rawHtml, SANITIZE_OPTS);
+  let dir = null;
+  if (filePath) {
+    const lastSep = Math.max(filePath.lastIndexOf("/"), filePath.lastIndexOf("\\"));
+    dir = lastSep >= 0 ? filePath.substring(0, lastSep) : null;
+  }
+  resolveRelativePaths(body, dir);
+  await renderMermaidBlocks(body);
+}
+
 /**
  * Resolve relative paths in src/href attributes of media elements.
  * Converts relative paths to file:// URLs based on the edited file's directory.
  * Leaves absolute paths, http/https, data: URIs, and # anchors unchanged.
  */
-function resolveRelativePaths(container) {
-  if (!baseDir) return;
+function resolveRelativePaths(container, dir = baseDir) {
+  if (!dir) return;
 
-  // Normalize baseDir to forward slashes for file:// URL
-  const baseDirUrl = baseDir.replace(/\\/g, "/");
+  // Normalize the directory to forward slashes for file:// URL
+  const baseDirUrl = dir.replace(/\\/g, "/");
 
   // Elements with src: img, video, audio, source, embed
   const srcElements = container.querySelectorAll("img[src], video[src], audio[src], source[src], embed[src]");
@@ -326,8 +505,12 @@ export function setGitAvailable(available) {
   }
 }
 
+/**
+ * Clear the cached git revision contents (e.g. on file reload or git change).
+ */
 export function clearGitHeadCache() {
-  gitHeadContent = null;
+  gitBaseContent = null;
+  gitTargetContent = null;
 }
 
 export function getPreviewElement() {
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview プレビューテーマ
+ * @description
+ * プレビューの見た目（github-markdown-css の配色・highlight.js のテーマ・
+ * Mermaid のテーマ）をテーマ単位で切り替え、ユーザー CSS を読み込む。
+ *
+ * 【動作フロー】
+ * - initPreviewTheme() がメインプロセスの preview-theme.js から設定
+ *   （テーマ・ユーザー CSS の内容）を取得して適用する
+ * - 適用: index.html の #markdown-theme-css / #hljs-theme-css の href を差し替え、
+ *   <html data-preview-theme> を設定し（styles/preview-themes.css の追加スタイル用）、
+ *   Mermaid を対応するテーマで初期化し直す
+ * - 「アプリのテーマに合わせる」（auto）は prefers-color-scheme でライト／ダークを選び、
+ *   変わったら適用し直す（prefers-color-scheme は表示メニュー > テーマの設定に従う）
+ * - 設定の変更（表示メニュー > プレビューテーマ）やユーザー CSS ファイルの更新は
+ *   メインプロセスから previewTheme:changed で全ウィンドウに届く
+ * - HTML / PDF エクスポートには getResolvedPreviewTheme() のテーマを渡す
+ * - ヘッドレス（コマンドライン）ではメインプロセスが解決したテーマを
+ *   setHeadlessPreviewTheme() で適用する（IPC で設定を取得しない）
+ *
+ * 【注意】
+ * - テーマはプレビュー（.markdown-body）だけに適用する。アプリの画面は
+ *   styles/theme.css の配色（表示メニュー > テーマ）に従う
+ * - ユーザー CSS はアプリ全体に読み込まれるため、セレクタは .markdown-body から書く
+ *
+ * @file preview-theme.js
+ * @version 1.1.00107
+ * @since 1.1.00100
+ * @revision 3
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { setMermaidTheme } from "./preview-pane.js";
+
+/**
+ * テーマごとのスタイルシート（dist/renderer からの相対パス）と Mermaid のテーマ。
+ * エクスポート用の同じ表がメインプロセスの html-export.js にある。
+ * @type {Object<string, { markdownCss: string, hljsCss: string, mermaid: string }>}
+ */
+const THEMES = {
+  "github-light": {
+    markdownCss: "github-markdown-light.css",
+    hljsCss: "hljs/github.min.css",
+    mermaid: "default",
+  },
+  "github-dark": {
+    markdownCss: "github-markdown-dark.css",
+    hljsCss: "hljs/github-dark.min.css",
+    mermaid: "dark",
+  },
+  "high-contrast": {
+    markdownCss: "github-markdown-dark-high-contrast.css",
+    hljsCss: "hljs/a11y-dark.min.css",
+    mermaid: "dark",
+  },
+  "print": {
+    markdownCss: "github-markdown-light.css",
+    hljsCss: "hljs/github.min.css",
+    mermaid: "neutral",
+  },
+};
+
+/**
+ * index.html から dist/renderer への相対パス
+ * @type {string}
+ */
+const ASSET_BASE = "../../dist/renderer/";
+
+/**
+ * アプリのダークモード（nativeTheme.themeSource に従う）
+ * @type {MediaQueryList}
+ */
+const darkQuery = window.matchMedia("(prefers-color-scheme: dark)");
+
+/**
+ * 設定のテーマ（"auto" を含む）
+ * @type {string}
+ */
+let selectedTheme = "auto";
+
+/**
+ * 適用中のテーマ（"auto" を解決したもの）
+ * @type {string}
+ */
+let appliedTheme = null;
+
+/**
+ * 設定のテーマを実際のテーマに解決する。
+ *
+ * @function resolveTheme
+ * @param {string} theme - 設定のテーマ
+ * @returns {string} THEMES のキー
+ */
+function resolveTheme(theme) {
+  if (theme === "auto") return darkQuery.matches ? "github-dark" : "github-light";
+  return Object.hasOwn(THEMES, theme) ? theme : "github-light";
+}
+
+/**
+ * 表示中のテーマを返す（エクスポート用）。
+ *
+ * @function getResolvedPreviewTheme
+ * @returns {string} "github-light" / "github-dark" / "high-contrast" / "print"
+ */
+export function getResolvedPreviewTheme() {
+  return resolveTheme(selectedTheme);
+}
+
+/**
+ * テーマのスタイルシートと Mermaid のテーマを適用する。
+ *
+ * @function applyTheme
+ */
+function applyTheme() {
+  const theme = resolveTheme(selectedTheme);
+  if (theme === appliedTheme) return;
+  appliedTheme = theme;
+
+  const { markdownCss, hljsCss, mermaid } = THEMES[theme];
+  const markdownLink = document.getElementById("markdown-theme-css");
+  const hljsLink = document.getElementById("hljs-theme-css");
+  if (markdownLink) markdownLink.href = ASSET_BASE + markdownCss;
+  if (hljsLink) hljsLink.href = ASSET_BASE + hljsCss;
+  document.documentElement.dataset.previewTheme = theme;
+  setMermaidTheme(mermaid);
+}
+
+/**
+ * ユーザー CSS を差し替える（ほかのスタイルより後に読み込む）。
+ *
+ * @function applyUserCss
+ * @param {string} css - CSS の内容（空なら削除）
+ */
+function applyUserCss(css) {
+  let styleEl = document.getElementById("preview-user-css");
+  if (!css) {
+    if (styleEl) styleEl.remove();
+    return;
+  }
+  if (!styleEl) {
+    styleEl = document.createElement("style");
+    styleEl.id = "preview-user-css";
+    document.head.appendChild(styleEl);
+  }
+  if (styleEl.textContent !== css) styleEl.textContent = css;
+}
+
+/**
+ * メインプロセスから受け取った設定を適用する。
+ *
+ * @function applyState
+ * @param {{ theme: string, userCssPath: string|null, userCss: string }} state
+ */
+function applyState(state) {
+  if (!state) return;
+  selectedTheme = state.theme;
+  applyTheme();
+  applyUserCss(state.userCss);
+}
+
+/**
+ * プレビューテーマを初期化する。
+ *
+ * @async
+ * @function initPreviewTheme
+ * @returns {Promise<void>} 最初の設定を適用したら解決する
+ */
+export async function initPreviewTheme() {
+  window.mdpad.onPreviewThemeChanged(applyState);
+  darkQuery.addEventListener("change", () => {
+    if (selectedTheme === "auto") applyTheme();
+  });
+  applyState(await window.mdpad.getPreviewTheme());
+}
+
+/**
+ * ヘッドレス（コマンドライン）用にテーマを適用する。
+ * プレビューテーマの IPC はヘッドレスでは使えないため、メインプロセスが
+ * 解決したテーマをクエリで受け取る。
+ *
+ * @function setHeadlessPreviewTheme
+ * @param {string|null} theme - 解決済みのテーマ（不明な値は github-light）
+ */
+export function setHeadlessPreviewTheme(theme) {
+  selectedTheme = theme || "auto";
+  applyTheme();
+}
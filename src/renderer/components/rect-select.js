@@ -6,6 +6,9 @@
  * - Cut: copies then removes selected chars (preserves newlines)
  * - Paste: inserts clipboard lines at cursor column on successive lines,
  *   padding short lines with spaces as needed
+ *
+ * The helpers are also exported for the Emacs kill ring (editing-mode.js),
+ * so killed rectangles yank back as rectangles and Ctrl+V pastes them too.
  */
 
 import { EditorView } from "@codemirror/view";
@@ -33,7 +36,7 @@ const rectClipboardField = StateField.define({
  * Detect if the current selection is "rectangular" (multi-cursor from Alt+drag).
  * A selection is rectangular if there are >= 2 ranges on consecutive lines.
  */
-function isRectangularSelection(state) {
+export function isRectangularSelection(state) {
   const sel = state.selection;
   if (sel.ranges.length < 2) return false;
 
@@ -50,7 +53,7 @@ function isRectangularSelection(state) {
  * Extract rectangular text block from current multi-cursor selection.
  * Returns array of strings, one per selected line.
  */
-function extractRectText(state) {
+export function extractRectText(state) {
   const ranges = [...state.selection.ranges];
   ranges.sort((a, b) => a.from - b.from);
   return ranges.map((r) => state.sliceDoc(r.from, r.to));
@@ -105,6 +108,16 @@ function rectCut(view) {
   return true;
 }
 
+/**
+ * Record whether the clipboard now holds a rectangle (lines) or plain text (null),
+ * for copies made outside the copy/cut events (Emacs kills).
+ */
+export function setRectClipboardLines(view, lines) {
+  view.dispatch({
+    effects: setRectClipboard.of(lines ? { isRect: true, lines } : { isRect: false, lines: [] }),
+  });
+}
+
 /**
  * Custom paste handler for rectangular clipboard.
  * Pastes each clipboard line at the cursor column on successive editor lines.
@@ -112,10 +125,17 @@ function rectCut(view) {
 function rectPaste(view) {
   const rectState = view.state.field(rectClipboardField);
   if (!rectState.isRect || rectState.lines.length === 0) return false;
+  return pasteRectLines(view, rectState.lines);
+}
 
+/**
+ * Paste lines as a rectangle: replaces a rectangular selection range-by-range,
+ * or inserts at the cursor column on successive lines.
+ * @returns {boolean} false when the selection has several non-rectangular ranges
+ */
+export function pasteRectLines(view, clipLines) {
   const state = view.state;
   const sel = state.selection;
-  const clipLines = rectState.lines;
 
   // If there's an active rectangular selection with matching line count, replace range-by-range
   if (isRectangularSelection(state) && sel.ranges.length === clipLines.length) {
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview 設定ストアのクライアント
+ * @description
+ * メインプロセスの settings.js（スキーマで検証される設定ストア）の値を
+ * レンダラー側にキャッシュし、読み書きと変更通知を提供する。
+ *
+ * 【動作フロー】
+ * - initSettings() がスキーマと現在の値を取得する（エディタ作成より前に await する）
+ * - 以前のバージョンが localStorage に保存していた設定は初回だけメインプロセスへ移し、
+ *   localStorage から削除する
+ * - setSetting() はキャッシュを即座に更新してからメインプロセスに保存する
+ *   （不正な値はメインプロセスで拒否され、キャッシュは保存結果の値に戻る）
+ * - どのウィンドウで変更しても settings:changed が全ウィンドウに届き、
+ *   キャッシュを更新して onSettingsChange() のコールバックを呼ぶ
+ *
+ * 【注意】
+ * - getSetting() は initSettings() の完了後に呼ぶこと（モジュール読み込み時に読まない）
+ *
+ * @file settings.js
+ * @version 1.1.00102
+ * @since 1.1.00102
+ * @revision 1
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+/**
+ * 以前のバージョンの localStorage キー → 設定キー
+ * @type {Object<string, string>}
+ */
+const LEGACY_STORAGE_KEYS = {
+  "mdpad:formatBarMode": "formatBarMode",
+  "mdpad:lintEnabled": "lintEnabled",
+  "mdpad:minimapEnabled": "minimapEnabled",
+  "mdpad:minimapDisplay": "minimapDisplay",
+  "mdpad:tocVisible": "tocVisible",
+  "mdpad:explorerVisible": "explorerVisible",
+  "mdpad:blameEnabled": "blameEnabled",
+  "mdpad:gitPushAfterCommit": "gitPushAfterCommit",
+};
+
+/**
+ * 設定のスキーマ（メインプロセスの SETTINGS_SCHEMA）
+ * @type {Array<{key: string, section: string, type: string, default: *}>}
+ */
+let schema = [];
+
+/**
+ * 現在の値（キー → 値）
+ * @type {Object<string, *>}
+ */
+let values = {};
+
+/**
+ * 変更時のコールバック
+ * @type {Array<function(Object<string, *>): void>}
+ */
+const changeCallbacks = [];
+
+/**
+ * 設定を読み込み、以前のバージョンの localStorage の値を移行する。
+ *
+ * @async
+ * @function initSettings
+ * @returns {Promise<void>}
+ */
+export async function initSettings() {
+  window.mdpad.onSettingsChanged(({ changed, settings }) => {
+    values = settings;
+    for (const callback of changeCallbacks.slice()) callback(changed);
+  });
+
+  const result = await window.mdpad.getSettings();
+  schema = result.schema;
+  values = result.settings;
+
+  const legacy = {};
+  for (const [storageKey, key] of Object.entries(LEGACY_STORAGE_KEYS)) {
+    const raw = localStorage.getItem(storageKey);
+    if (raw !== null) legacy[key] = raw;
+  }
+  if (Object.keys(legacy).length > 0) {
+    const migrated = await window.mdpad.migrateLocalSettings(legacy);
+    values = migrated.settings;
+    for (const storageKey of Object.keys(LEGACY_STORAGE_KEYS)) {
+      localStorage.removeItem(storageKey);
+    }
+  }
+}
+
+/**
+ * 設定のスキーマを返す。
+ *
+ * @function getSettingsSchema
+ * @returns {Array<Object>} スキーマの配列（Preferences ダイアログの並び順）
+ */
+export function getSettingsSchema() {
+  return schema;
+}
+
+/**
+ * 設定値を返す。
+ *
+ * @function getSetting
+ * @param {string} key - 設定キー
+ * @returns {*} 現在の値
+ */
+export function getSetting(key) {
+  return values[key];
+}
+
+/**
+ * すべての設定値を返す。
+ *
+ * @function getAllSettings
+ * @returns {Object<string, *>} キー → 値
+ */
+export function getAllSettings() {
+  return { ...values };
+}
+
+/**
+ * 設定値を保存する。
+ *
+ * @async
+ * @function setSetting
+ * @param {string} key - 設定キー
+ * @param {*} value - 新しい値
+ * @returns {Promise<{settings: Object, changed: Object, rejected: string[]}>} 保存結果
+ */
+export async function setSetting(key, value) {
+  values = { ...values, [key]: value };
+  const result = await window.mdpad.setSettings({ [key]: value });
+  values = result.settings;
+  return result;
+}
+
+/**
+ * 設定が変更されたときのコールバックを登録する（ほかのウィンドウでの変更も含む）。
+ *
+ * @function onSettingsChange
+ * @param {function(Object<string, *>): void} callback - 変更されたキー → 新しい値
+ * @returns {function(): void} 登録を解除する関数
+ */
+export function onSettingsChange(callback) {
+  changeCallbacks.push(callback);
+  return () => {
+    const index = changeCallbacks.indexOf(callback);
+    if (index >= 0) changeCallbacks.splice(index, 1);
+  };
+}
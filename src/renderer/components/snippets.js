@@ -0,0 +1,386 @@
+/**
+ * @fileoverview スニペットとテンプレートの展開
+ * @description
+ * ユーザー定義のスニペット（userData/mdpad-snippets.json、VS Code 形式）を
+ * プレフィクス + Tab または補完ポップアップから挿入する。
+ * タブストップと変数の書式はドキュメントテンプレート（新規作成）でも使う。
+ *
+ * 【動作フロー】
+ * - initSnippets() がメインプロセスからスニペットを読み込み、ファイルの変更に追従する
+ * - Tab: カーソル直前の単語がスニペットのプレフィクスと一致すれば展開する
+ *   （一致しなければほかの Tab 処理＝表のセル移動・インデントに渡す）
+ * - 補完: 入力中の単語で始まるプレフィクスを候補に出す（Ctrl+Space で全件）。
+ *   設定 "snippetSuggestions" が false なら Ctrl+Space のときだけ出す
+ * - insertSnippet() が変数を値に置き換え、タブストップを CodeMirror の
+ *   snippet() のフィールドにして挿入する。Tab / Shift+Tab でフィールドを移動する
+ *
+ * 【書式】
+ * - タブストップ: $1, ${1}, ${1:既定値}。$0 は最後のカーソル位置
+ *   （無ければ末尾）。同じ番号は同時に編集される
+ * - 変数: $NAME, ${NAME}, ${NAME:値が空のときの既定値}
+ *   DATE (YYYY-MM-DD), TIME (HH:MM), YEAR, MONTH, DAY, HOUR, MINUTE, SECOND,
+ *   FILENAME, FILENAME_BASE, DIRECTORY, SELECTION, CLIPBOARD,
+ *   GIT_USER_NAME, GIT_USER_EMAIL。VS Code の TM_FILENAME / CURRENT_YEAR なども使える
+ * - \$ \{ \} \\ で文字そのものを書く。未知の変数名はそのまま残す
+ *
+ * 【注意】
+ * - git のユーザー名・クリップボードは使われているときだけ取得する（非同期）。
+ *   取得中にドキュメントが変わったら挿入しない
+ * - 表の中の Tab は table-editor.js（Prec.highest）が先に処理する
+ * - Vim のノーマル / ビジュアルモードでは Tab で展開しない
+ *
+ * @file snippets.js
+ * @version 1.1.00106
+ * @since 1.1.00106
+ * @revision 1
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { EditorState, Prec } from "@codemirror/state";
+import { keymap } from "@codemirror/view";
+import { snippet } from "@codemirror/autocomplete";
+import { t } from "../../i18n/i18n-renderer.js";
+import { getSetting } from "./settings.js";
+import { getVimMode } from "./editing-mode.js";
+
+/**
+ * VS Code の変数名 → このモジュールの変数名
+ * @type {Object<string, string>}
+ */
+const VARIABLE_ALIASES = {
+  TM_FILENAME: "FILENAME",
+  TM_FILENAME_BASE: "FILENAME_BASE",
+  TM_DIRECTORY: "DIRECTORY",
+  TM_SELECTED_TEXT: "SELECTION",
+  CURRENT_YEAR: "YEAR",
+  CURRENT_MONTH: "MONTH",
+  CURRENT_DATE: "DAY",
+  CURRENT_HOUR: "HOUR",
+  CURRENT_MINUTE: "MINUTE",
+  CURRENT_SECOND: "SECOND",
+};
+
+/**
+ * スニペット本文のトークン
+ * （エスケープ / $1 / ${1:既定値} / $NAME / ${NAME:既定値} / 単独の波括弧）
+ * @type {RegExp}
+ */
+const TOKEN_RE =
+  /\\([$\\{}])|\$(\d+)|\$\{(\d+)(?::([^{}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)|\$\{([A-Za-z_][A-Za-z0-9_]*)(?::([^{}]*))?\}|([{}])/g;
+
+/** 変数名だけを拾う正規表現（取得が必要な変数の判定用） */
+const VARIABLE_NAME_RE = /\$\{?([A-Za-z_][A-Za-z0-9_]*)/g;
+
+/** $0 の位置の一時マーカー */
+const FINAL_MARKER = "\u0000";
+
+/**
+ * 読み込んだスニペット
+ * @type {Array<{name: string, prefix: string, body: string, description: string}>}
+ */
+let snippets = [];
+
+/** 最後に表示した読み込みエラー（同じエラーを何度も出さない） */
+let lastError = null;
+
+/** 現在のファイルパスを返す関数（index.js が登録） */
+let filePathProvider = () => null;
+
+/**
+ * スニペットを読み込み、スニペットファイルの変更に追従する。
+ *
+ * @async
+ * @function initSnippets
+ */
+export async function initSnippets() {
+  applySnippets(await window.mdpad.getSnippets(), false);
+  window.mdpad.onSnippetsChanged((payload) => applySnippets(payload, true));
+}
+
+/**
+ * メインプロセスから受け取ったスニペットを反映する。
+ *
+ * @param {{snippets: Array, error: (string|null)}} payload
+ * @param {boolean} notify - 読み込みエラーをダイアログで知らせるか
+ */
+function applySnippets(payload, notify) {
+  snippets = (payload && payload.snippets) || [];
+  const error = (payload && payload.error) || null;
+  if (error && notify && error !== lastError) showSnippetsErrorDialog(error);
+  lastError = error;
+}
+
+/**
+ * 読み込んだスニペットを返す。
+ *
+ * @function getSnippets
+ * @returns {Array<{name: string, prefix: string, body: string, description: string}>}
+ */
+export function getSnippets() {
+  return snippets;
+}
+
+/**
+ * FILENAME などの変数に使うファイルパスの取得元を登録する。
+ *
+ * @function setSnippetFilePathProvider
+ * @param {function(): (string|null)} provider
+ */
+export function setSnippetFilePathProvider(provider) {
+  filePathProvider = provider;
+}
+
+/**
+ * 2 桁に揃える。
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * 本文で使われている変数の値を集める。
+ *
+ * @async
+ * @param {string} body - スニペット本文
+ * @param {{filePath: (string|null), selection: string}} context
+ * @returns {Promise<Object<string, string>>} 変数名 → 値
+ */
+async function resolveVariables(body, { filePath, selection }) {
+  const used = new Set();
+  for (const m of body.matchAll(VARIABLE_NAME_RE)) used.add(VARIABLE_ALIASES[m[1]] || m[1]);
+
+  const now = new Date();
+  const fileName = filePath ? filePath.split(/[\\/]/).pop() : "";
+  const values = {
+    YEAR: String(now.getFullYear()),
+    MONTH: pad2(now.getMonth() + 1),
+    DAY: pad2(now.getDate()),
+    HOUR: pad2(now.getHours()),
+    MINUTE: pad2(now.getMinutes()),
+    SECOND: pad2(now.getSeconds()),
+    FILENAME: fileName,
+    FILENAME_BASE: fileName.replace(/\.[^.]*$/, ""),
+    DIRECTORY: filePath ? filePath.slice(0, filePath.length - fileName.length).replace(/[\\/]$/, "") : "",
+    SELECTION: selection,
+  };
+  values.DATE = `${values.YEAR}-${values.MONTH}-${values.DAY}`;
+  values.TIME = `${values.HOUR}:${values.MINUTE}`;
+
+  if (used.has("GIT_USER_NAME") || used.has("GIT_USER_EMAIL")) {
+    const user = (await window.mdpad.getGitUser(filePath).catch(() => null)) || {};
+    values.GIT_USER_NAME = user.name || "";
+    values.GIT_USER_EMAIL = user.email || "";
+  }
+  if (used.has("CLIPBOARD")) {
+    values.CLIPBOARD = await navigator.clipboard.readText().catch(() => "");
+  }
+  return values;
+}
+
+/**
+ * スニペット本文を CodeMirror の snippet() のテンプレートに変換する。
+ * 変数は値に置き換え、文字としての波括弧はエスケープする。
+ *
+ * @function toCodeMirrorTemplate
+ * @param {string} body - スニペット本文
+ * @param {Object<string, string>} values - 変数名 → 値
+ * @returns {string}
+ */
+export function toCodeMirrorTemplate(body, values) {
+  const escapeText = (text) => text.replace(/\u0000/g, "").replace(/[{}]/g, "\\$&");
+  const variable = (name) => values[VARIABLE_ALIASES[name] || name];
+  // Field defaults cannot hold braces; variables in them are expanded
+  const fieldText = (text) =>
+    (text || "")
+      .replace(/\$([A-Za-z_][A-Za-z0-9_]*)/g, (m, name) => (variable(name) ?? m))
+      .replace(/[{}\u0000]/g, "");
+
+  let maxField = 0;
+  let hasFinal = false;
+  const template = body.replace(
+    TOKEN_RE,
+    (m, escaped, stop, field, fieldDefault, name, braceName, nameDefault, brace) => {
+      if (escaped) return escapeText(escaped);
+      if (brace) return escapeText(brace);
+      const number = stop ?? field;
+      if (number !== undefined) {
+        const n = Number(number);
+        if (n === 0) {
+          hasFinal = true;
+          return FINAL_MARKER;
+        }
+        maxField = Math.max(maxField, n);
+        return `\${${n}:${fieldText(fieldDefault)}}`;
+      }
+      const value = variable(name || braceName);
+      if (value === undefined) return escapeText(m);
+      return escapeText(value || fieldText(nameDefault));
+    }
+  );
+
+  // $0 becomes the last field; without it the end of the snippet is
+  if (maxField === 0) return template.replace(FINAL_MARKER, "${0:}").replace(/\u0000/g, "");
+  const finalField = `\${${maxField + 1}:}`;
+  if (!hasFinal) return template + finalField;
+  return template.replace(FINAL_MARKER, finalField).replace(/\u0000/g, "");
+}
+
+/**
+ * スニペット本文を from〜to に挿入する（変数を展開し、タブストップをフィールドにする）。
+ *
+ * @async
+ * @function insertSnippet
+ * @param {EditorView} view - CodeMirror EditorView
+ * @param {string} body - スニペット本文
+ * @param {number} from - 置き換える範囲の先頭
+ * @param {number} to - 置き換える範囲の末尾
+ * @param {Object|null} [completion=null] - 補完から挿入するときの Completion
+ * @returns {Promise<boolean>} 挿入したら true（変数の取得中に文書が変わったら false）
+ */
+export async function insertSnippet(view, body, from, to, completion = null) {
+  const { state } = view;
+  const docBefore = state.doc;
+  const { main } = state.selection;
+  const values = await resolveVariables(body, {
+    filePath: filePathProvider(),
+    selection: state.sliceDoc(main.from, main.to),
+  });
+  if (view.state.doc !== docBefore) return false;
+  snippet(toCodeMirrorTemplate(body, values))(view, completion, from, to);
+  return true;
+}
+
+/**
+ * 行のカーソルより前の文字列の末尾にあるプレフィクスのスニペットを探す。
+ * プレフィクスの直前が文字・数字なら単語の途中なので一致としない。
+ *
+ * @param {string} before - カーソルより前の行テキスト
+ * @returns {Object|null} 一致したスニペット（複数なら最長のプレフィクス）
+ */
+function findSnippetBefore(before) {
+  let best = null;
+  for (const item of snippets) {
+    if (!before.endsWith(item.prefix)) continue;
+    const charBefore = before[before.length - item.prefix.length - 1];
+    if (charBefore && /[\p{L}\p{N}_]/u.test(charBefore)) continue;
+    if (!best || item.prefix.length > best.prefix.length) best = item;
+  }
+  return best;
+}
+
+/**
+ * Tab: カーソル直前のプレフィクスをスニペットに展開する。
+ *
+ * @param {EditorView} view
+ * @returns {boolean} 展開したら true
+ */
+function expandSnippetAtCursor(view) {
+  const { state } = view;
+  const { main } = state.selection;
+  if (state.selection.ranges.length > 1 || !main.empty) return false;
+  const vimMode = getVimMode();
+  if (vimMode && vimMode !== "insert") return false;
+  const line = state.doc.lineAt(main.head);
+  const found = findSnippetBefore(line.text.slice(0, main.head - line.from));
+  if (!found) return false;
+  insertSnippet(view, found.body, main.head - found.prefix.length, main.head);
+  return true;
+}
+
+/**
+ * 補完ソース: 入力中の単語で始まるプレフィクスのスニペット。
+ *
+ * @param {CompletionContext} context
+ * @returns {CompletionResult|null}
+ */
+function snippetCompletionSource(context) {
+  const word = context.matchBefore(/[\w-]+/);
+  if (!context.explicit) {
+    if (!word || word.text.length < 2 || !getSetting("snippetSuggestions")) return null;
+  }
+  const typed = word ? word.text.toLowerCase() : "";
+  const options = snippets
+    .filter((item) => item.prefix.toLowerCase().startsWith(typed))
+    .map((item) => ({
+      label: item.prefix,
+      detail: item.name,
+      info: item.description || undefined,
+      type: "snippet",
+      boost: -1,
+      apply: (view, completion, from, to) => {
+        insertSnippet(view, item.body, from, to, completion);
+      },
+    }));
+  if (options.length === 0) return null;
+  return { from: word ? word.from : context.pos, options, filter: false };
+}
+
+/**
+ * スニペットの Tab 展開と補完ソースの拡張。
+ *
+ * @function getSnippetExtension
+ * @returns {Extension}
+ */
+export function getSnippetExtension() {
+  return [
+    Prec.high(keymap.of([{ key: "Tab", run: expandSnippetAtCursor }])),
+    EditorState.languageData.of(() => [{ autocomplete: snippetCompletionSource }]),
+  ];
+}
+
+/**
+ * スニペットファイルを読めなかったことを知らせるダイアログ。
+ *
+ * @param {string} message - JSON の解析エラーなど
+ */
+function showSnippetsErrorDialog(message) {
+  document.getElementById("snippets-error-overlay")?.remove();
+
+  const overlay = document.createElement("div");
+  overlay.id = "snippets-error-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.3);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:15vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:16px 20px;width:480px;box-shadow:0 8px 24px rgba(0,0,0,0.15);color:var(--mdpad-fg);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("snippets.errorTitle");
+  titleEl.style.cssText = "font-size:15px;font-weight:700;color:var(--mdpad-danger-fg);margin-bottom:8px;";
+  modal.appendChild(titleEl);
+
+  const messageEl = document.createElement("div");
+  messageEl.className = "snippets-error-message";
+  messageEl.textContent = t("snippets.errorMessage").replace("{message}", message);
+  messageEl.style.cssText = "font-size:13px;margin-bottom:12px;white-space:pre-wrap;word-break:break-word;";
+  modal.appendChild(messageEl);
+
+  const okBtn = document.createElement("button");
+  okBtn.textContent = "OK";
+  okBtn.style.cssText =
+    "display:block;margin-left:auto;padding:6px 20px;border:1px solid var(--mdpad-border);" +
+    "border-radius:6px;background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+  okBtn.onclick = () => overlay.remove();
+  modal.appendChild(okBtn);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  okBtn.focus();
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" || e.key === "Enter") {
+      e.preventDefault();
+      overlay.remove();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) overlay.remove();
+  });
+}
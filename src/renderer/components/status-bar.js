@@ -1,11 +1,14 @@
 import { getCursorInfo, isOverwriteMode } from "./editor-pane.js";
 import { t, onLocaleChange } from "../../i18n/i18n-renderer.js";
+import { formatEncoding } from "../lib/encodings.js";
 
 let statusBarEl = null;
 let updateTimer = null;
 let countdownTimer = null; // 1-second timer for backup countdown
 let gitInfo = null; // { repoName, branch, commitHash, commitCount } or null
 let eolDisplay = "CRLF"; // Current EOL display value
+let encodingDisplay = formatEncoding("utf-8"); // Current encoding display value
+let vimModeDisplay = null; // Vim mode ("normal", "visual line", ...) or null outside Vim
 
 export function initStatusBar() {
   statusBarEl = document.getElementById("status-bar");
@@ -24,12 +27,13 @@ function renderStatusBar() {
     <span id="sb-cursor" style="cursor:pointer" title="${t("goToLine.title")}">${t("statusBar.ln")} 1, ${t("statusBar.col")} 1</span>
     <span id="sb-selection"></span>
     <span id="sb-lines">0 ${t("statusBar.lines")}</span>
-    <span id="sb-ins" style="display:none;color:#cf222e;font-weight:600">&lt;INS&gt;</span>
+    <span id="sb-ins" style="display:none;color:var(--mdpad-danger-fg);font-weight:600">&lt;INS&gt;</span>
+    <span id="sb-vim" style="display:none;font-weight:600" title="${t("statusBar.vimMode")}"></span>
     <span class="spacer"></span>
-    <span id="sb-git" class="sb-git-info" style="display:none"></span>
+    <span id="sb-git" class="sb-git-info" style="display:none;cursor:pointer" title="${t("gitPanel.title")}"></span>
     <span id="sb-backup" style="width:150px;text-align:center;flex-shrink:0">${t("statusBar.backupOff")}</span>
     <span id="sb-zoom" style="width:55px;text-align:center;flex-shrink:0">100%</span>
-    <span id="sb-encoding" style="width:50px;text-align:center;flex-shrink:0">${t("statusBar.encoding")}</span>
+    <span id="sb-encoding" style="width:80px;text-align:center;flex-shrink:0;cursor:pointer" title="${t("encoding.title")}">${encodingDisplay}</span>
     <span id="sb-eol" style="width:50px;text-align:center;flex-shrink:0;cursor:pointer" title="${t("eol.title")}">${eolDisplay}</span>
     <span id="sb-filetype" style="width:75px;text-align:center;flex-shrink:0">${t("statusBar.filetype")}</span>
   `;
@@ -44,8 +48,19 @@ function renderStatusBar() {
     window.dispatchEvent(new CustomEvent("mdpad:showEolMenu", { detail: { target: e.currentTarget } }));
   });
 
+  // Click on encoding indicator shows the reopen/save with encoding popup
+  statusBarEl.querySelector("#sb-encoding").addEventListener("click", (e) => {
+    window.dispatchEvent(new CustomEvent("mdpad:showEncodingMenu", { detail: { target: e.currentTarget } }));
+  });
+
+  // Click on git info opens the Git panel
+  statusBarEl.querySelector("#sb-git").addEventListener("click", () => {
+    window.dispatchEvent(new CustomEvent("mdpad:showGitPanel"));
+  });
+
   // Update git display if info already available
   updateGitStatusDisplay();
+  updateVimModeDisplay();
 
   // Restart countdown
   countdownTimer = setInterval(updateBackupCountdown, 1000);
@@ -135,6 +150,23 @@ export function setGitInfo(info) {
   updateGitStatusDisplay();
 }
 
+function updateVimModeDisplay() {
+  if (!statusBarEl) return;
+  const vimEl = statusBarEl.querySelector("#sb-vim");
+  if (!vimEl) return;
+  vimEl.style.display = vimModeDisplay ? "" : "none";
+  vimEl.textContent = vimModeDisplay ? `-- ${vimModeDisplay.toUpperCase()} --` : "";
+  vimEl.style.color = vimModeDisplay && vimModeDisplay !== "normal" ? "var(--mdpad-accent-fg)" : "";
+}
+
+/**
+ * Show the Vim mode (NORMAL / INSERT / VISUAL ...), or hide it with null.
+ */
+export function setVimModeDisplay(mode) {
+  vimModeDisplay = mode;
+  updateVimModeDisplay();
+}
+
 export function setEolDisplay(eolType) {
   eolDisplay = eolType || "LF";
   if (!statusBarEl) return;
@@ -144,6 +176,15 @@ export function setEolDisplay(eolType) {
   }
 }
 
+export function setEncodingDisplay(encoding, bom) {
+  encodingDisplay = formatEncoding(encoding, bom);
+  if (!statusBarEl) return;
+  const encodingEl = statusBarEl.querySelector("#sb-encoding");
+  if (encodingEl) {
+    encodingEl.textContent = encodingDisplay;
+  }
+}
+
 export function updateStatusBar() {
   if (!statusBarEl) return;
   if (updateTimer) cancelAnimationFrame(updateTimer);
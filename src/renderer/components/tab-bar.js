@@ -0,0 +1,125 @@
+/**
+ * @fileoverview タブバー
+ * @description
+ * 1 ウィンドウ内で複数ドキュメントを切り替えるタブストリップを管理する。
+ * #pane-container の上に配置され、タブの状態（ドキュメント本体）は
+ * index.js が保持する。本モジュールは描画とユーザー操作の通知のみを担当する。
+ *
+ * 【動作フロー】
+ * - initTabBar() でコールバック（選択・閉じる・新規）を登録
+ * - renderTabs() でタブ一覧を全置換描画（index.js が状態変化のたびに呼ぶ）
+ * - クリック → onSelect、× ボタン / 中クリック → onClose、+ ボタン / 空き領域ダブルクリック → onNew
+ * - ロケール変更時は最後に描画したタブ一覧で再描画
+ *
+ * @file tab-bar.js
+ * @version 1.1.00084
+ * @since 1.1.00084
+ * @revision 1
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { t, onLocaleChange } from "../../i18n/i18n-renderer.js";
+
+/** タブバーのルート要素 */
+let tabBarEl = null;
+
+/** タブ一覧のスクロールコンテナ */
+let listEl = null;
+
+/** 操作コールバック */
+let callbacks = { onSelect: null, onClose: null, onNew: null };
+
+/** 最後に描画したタブ一覧（ロケール変更時の再描画用） */
+let lastTabs = [];
+let lastActiveId = null;
+
+/**
+ * タブバーを初期化する。
+ *
+ * @function initTabBar
+ * @param {{onSelect: Function, onClose: Function, onNew: Function}} handlers - 操作コールバック
+ */
+export function initTabBar(handlers) {
+  callbacks = { ...callbacks, ...handlers };
+  tabBarEl = document.getElementById("tab-bar");
+  if (!tabBarEl) return;
+
+  listEl = document.createElement("div");
+  listEl.className = "tab-bar-list";
+  tabBarEl.appendChild(listEl);
+
+  const newBtn = document.createElement("button");
+  newBtn.className = "tab-bar-new";
+  newBtn.textContent = "+";
+  newBtn.addEventListener("click", () => callbacks.onNew && callbacks.onNew());
+  tabBarEl.appendChild(newBtn);
+
+  // 縦ホイールで横スクロール（タブが多い場合）
+  listEl.addEventListener("wheel", (e) => {
+    if (e.deltaY === 0) return;
+    e.preventDefault();
+    listEl.scrollLeft += e.deltaY;
+  }, { passive: false });
+
+  // 空き領域のダブルクリックで新規タブ
+  listEl.addEventListener("dblclick", (e) => {
+    if (e.target === listEl && callbacks.onNew) callbacks.onNew();
+  });
+
+  onLocaleChange(() => renderTabs(lastTabs, lastActiveId));
+}
+
+/**
+ * タブ一覧を描画する。
+ *
+ * @function renderTabs
+ * @param {Array<{id: number, filePath: string|null, isDirty: boolean}>} tabs - タブ一覧
+ * @param {number} activeId - アクティブタブの ID
+ */
+export function renderTabs(tabs, activeId) {
+  lastTabs = tabs;
+  lastActiveId = activeId;
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  tabBarEl.querySelector(".tab-bar-new").title = t("tabs.newTab");
+
+  for (const tab of tabs) {
+    const tabEl = document.createElement("div");
+    tabEl.className = "tab-bar-tab" + (tab.id === activeId ? " active" : "") + (tab.isDirty ? " dirty" : "");
+    tabEl.dataset.tabId = String(tab.id);
+    tabEl.title = tab.filePath || t("app.untitled");
+
+    const nameEl = document.createElement("span");
+    nameEl.className = "tab-bar-name";
+    nameEl.textContent = tab.filePath ? tab.filePath.split(/[\\/]/).pop() : t("app.untitled");
+    tabEl.appendChild(nameEl);
+
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "tab-bar-close";
+    closeBtn.textContent = "×";
+    closeBtn.title = t("tabs.close");
+    closeBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (callbacks.onClose) callbacks.onClose(tab.id);
+    });
+    tabEl.appendChild(closeBtn);
+
+    tabEl.addEventListener("click", () => {
+      if (callbacks.onSelect) callbacks.onSelect(tab.id);
+    });
+    // 中クリックで閉じる
+    tabEl.addEventListener("auxclick", (e) => {
+      if (e.button === 1 && callbacks.onClose) {
+        e.preventDefault();
+        callbacks.onClose(tab.id);
+      }
+    });
+
+    listEl.appendChild(tabEl);
+  }
+
+  // アクティブタブを表示範囲内へ
+  const activeEl = listEl.querySelector(".tab-bar-tab.active");
+  if (activeEl) activeEl.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
@@ -0,0 +1,588 @@
+/**
+ * @fileoverview GFM テーブル編集
+ * @description
+ * エディタ上の Markdown テーブル（GFM）を表計算ソフトのように編集するための
+ * キーバインド・コマンド・貼り付け変換を提供する。
+ *
+ * 【動作フロー】
+ * - カーソル位置のテーブルは構文木の Table ノードから求め、lib/markdown-table.js で
+ *   セルに分解 → 編集 → 列幅をそろえて書き戻す（全角文字は2桁として扱う）
+ * - Tab / Shift+Tab で次・前のセルへ移動（最後のセルで Tab を押すと行を追加）
+ * - Enter で下に空行を追加し、空の最終行で Enter を押すとテーブルを抜ける
+ * - Alt+↑/↓ で行、Alt+←/→ で列を移動（既定のキーバインド。keybindings.js が
+ *   "table:<id>" のショートカットをエディタのキーマップに登録し、テーブル外では素通しする）
+ * - 行・列の挿入／削除／移動、列の配置（:---:）、列での並べ替えは TABLE_COMMANDS
+ *   に登録し、編集メニューの「表」とコンテキストメニューから実行する
+ * - テーブル内で文字を編集してカーソルがテーブル外へ出たとき、列幅を自動でそろえる
+ * - TSV（表計算ソフトからのコピー）と text/csv 形式の貼り付けはテーブルに変換する
+ *   （直後の元に戻すで貼り付けたままのテキストに戻る。Ctrl+Shift+V は変換しない）
+ * - カンマ区切りのテキストは「表として貼り付け」（TABLE_COMMANDS の pasteAsTable）で変換する
+ *
+ * 【注意】
+ * - 引用（>）内のテーブルは対象外
+ * - コードブロック内・テーブル内への貼り付けは変換しない
+ *
+ * @file table-editor.js
+ * @version 1.1.00107
+ * @since 1.1.00098
+ * @revision 3
+ * @lastModified 2026-10-19 00:00:00 (JST)
+ */
+
+import { EditorView, ViewPlugin, keymap } from "@codemirror/view";
+import { Prec, Annotation, Transaction } from "@codemirror/state";
+import { syntaxTree, ensureSyntaxTree } from "@codemirror/language";
+import { completionStatus } from "@codemirror/autocomplete";
+import { isolateHistory } from "@codemirror/commands";
+import {
+  parseTable,
+  formatTable,
+  cloneTable,
+  sortRows,
+  parseDelimited,
+  tableFromGrid,
+} from "../lib/markdown-table.js";
+
+/**
+ * テーブル整形による変更の印（自動整形の再トリガー防止）
+ * @type {import("@codemirror/state").AnnotationType<boolean>}
+ */
+const tableFormatted = Annotation.define();
+
+/** コードとして扱う構文ノード（貼り付け変換の対象外） */
+const CODE_NODES = new Set(["FencedCode", "CodeBlock", "InlineCode", "HTMLBlock", "CommentBlock"]);
+
+/** 直前のキー操作が Ctrl+Shift+V（書式なし貼り付け）だったか */
+let plainPasteRequested = false;
+
+// ─── テーブルの検出 ──────────────────────────────────────────────────
+
+/**
+ * 位置を含むテーブルを求める。
+ *
+ * @function findTable
+ * @param {import("@codemirror/state").EditorState} state - エディタの状態
+ * @param {number} pos - ドキュメント上の位置
+ * @returns {{fromLine: number, toLine: number, table: Object, row: number, col: number}|null}
+ *   fromLine/toLine はテーブルの先頭・末尾の行番号、row/col は位置のセル（row 0 はヘッダー）
+ */
+export function findTable(state, pos) {
+  const tree = ensureSyntaxTree(state, state.doc.lineAt(pos).to, 50) || syntaxTree(state);
+  const line = state.doc.lineAt(pos);
+  let tableNode = null;
+  tree.iterate({
+    from: line.from,
+    to: line.to,
+    enter: (node) => {
+      if (tableNode) return false;
+      if (node.name === "Table") {
+        tableNode = node.node;
+        return false;
+      }
+      return undefined;
+    },
+  });
+  if (!tableNode) return null;
+  for (let parent = tableNode.parent; parent; parent = parent.parent) {
+    if (parent.name === "Blockquote") return null;
+  }
+
+  const fromLine = state.doc.lineAt(tableNode.from).number;
+  const toLine = state.doc.lineAt(tableNode.to).number;
+  if (line.number < fromLine || line.number > toLine) return null;
+  const lines = [];
+  for (let n = fromLine; n <= toLine; n++) lines.push(state.doc.line(n).text);
+  const table = parseTable(lines);
+  if (!table) return null;
+
+  // 行: 区切り行はヘッダーとして扱う
+  const lineIndex = line.number - fromLine;
+  const row = lineIndex <= 1 ? 0 : lineIndex - 1;
+
+  // 列: カーソルより前のエスケープされていないパイプを数える
+  const before = line.text.slice(0, pos - line.from);
+  let pipes = 0;
+  for (let i = 0; i < before.length; i++) {
+    if (before[i] === "\\") i++;
+    else if (before[i] === "|") pipes++;
+  }
+  if (line.text.trimStart().startsWith("|")) pipes--;
+  const col = Math.max(0, Math.min(pipes, table.header.length - 1));
+
+  return { fromLine, toLine, table, row, col };
+}
+
+/**
+ * カーソルがテーブル内にあるか（コンテキストメニューの表示判定用）。
+ *
+ * @function isInTable
+ * @param {import("@codemirror/state").EditorState} state - エディタの状態
+ * @returns {boolean}
+ */
+export function isInTable(state) {
+  return findTable(state, state.selection.main.head) !== null;
+}
+
+/**
+ * 位置がコードブロック・インラインコード内か。
+ *
+ * @function isInCode
+ * @param {import("@codemirror/state").EditorState} state - エディタの状態
+ * @param {number} pos - ドキュメント上の位置
+ * @returns {boolean}
+ */
+function isInCode(state, pos) {
+  for (let node = syntaxTree(state).resolveInner(pos, -1); node; node = node.parent) {
+    if (CODE_NODES.has(node.name)) return true;
+  }
+  return false;
+}
+
+// ─── 書き戻し ────────────────────────────────────────────────────────
+
+/**
+ * 編集したテーブルを整形して書き戻し、指定したセルへカーソルを移動する。
+ *
+ * @function applyTable
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {Object} found - findTable() の結果
+ * @param {Object} table - 書き戻すテーブル
+ * @param {{row: number, col: number, select?: boolean}} target - 移動先のセル（select でセル内容を選択）
+ * @returns {boolean} 常に true（キーバインドの処理済み）
+ */
+function applyTable(view, found, table, { row, col, select = false }) {
+  const { lines, cells } = formatTable(table);
+  const doc = view.state.doc;
+  const from = doc.line(found.fromLine).from;
+  const to = doc.line(found.toLine).to;
+
+  const r = Math.max(0, Math.min(row, cells.length - 1));
+  const cell = cells[r][Math.max(0, Math.min(col, cells[r].length - 1))];
+  let offset = 0;
+  for (let i = 0; i < cell.line; i++) offset += lines[i].length + 1;
+  const anchor = from + offset + cell.start;
+  const head = from + offset + cell.end;
+
+  const insert = lines.join("\n");
+  view.dispatch({
+    changes: insert === doc.sliceString(from, to) ? [] : { from, to, insert },
+    selection: select ? { anchor, head } : { anchor: head },
+    scrollIntoView: true,
+    annotations: [tableFormatted.of(true), Transaction.userEvent.of("input.table")],
+  });
+  return true;
+}
+
+/**
+ * カーソル位置のテーブルに編集関数を適用するコマンドを作る。
+ *
+ * @function tableCommand
+ * @param {function(Object, Object): ({table: Object, row: number, col: number, select?: boolean}|null)} edit
+ *   （テーブルのコピー, findTable() の結果）→ 書き戻す内容。null なら何もしない
+ * @returns {function(import("@codemirror/view").EditorView): boolean} CodeMirror コマンド
+ */
+function tableCommand(edit) {
+  return (view) => {
+    const found = findTable(view.state, view.state.selection.main.head);
+    if (!found) return false;
+    const result = edit(cloneTable(found.table), found);
+    if (!result) return true; // テーブル内だが対象外（ヘッダーの削除など）
+    return applyTable(view, found, result.table, result);
+  };
+}
+
+/** 空のセルだけの行 */
+const emptyRow = (table) => table.header.map(() => "");
+
+// ─── コマンド ────────────────────────────────────────────────────────
+
+/** テーブルを整形する（カーソルは同じセルに残す） */
+export const formatTableCommand = tableCommand((table, { row, col }) => ({ table, row, col }));
+
+/** 次のセルへ移動。最後のセルでは行を追加する */
+export const nextCell = tableCommand((table, { row, col }) => {
+  const columns = table.header.length;
+  if (col < columns - 1) return { table, row, col: col + 1, select: true };
+  if (row === table.rows.length) table.rows.push(emptyRow(table));
+  return { table, row: row + 1, col: 0, select: true };
+});
+
+/** 前のセルへ移動 */
+export const prevCell = tableCommand((table, { row, col }) => {
+  if (col > 0) return { table, row, col: col - 1, select: true };
+  if (row === 0) return { table, row, col, select: true };
+  return { table, row: row - 1, col: table.header.length - 1, select: true };
+});
+
+/**
+ * Enter: 下に空行を追加する。空の最終行ではその行を消してテーブルを抜ける。
+ *
+ * @function enterInTable
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @returns {boolean}
+ */
+function enterInTable(view) {
+  const { state } = view;
+  if (!state.selection.main.empty || completionStatus(state) === "active") return false;
+  const found = findTable(state, state.selection.main.head);
+  if (!found) return false;
+
+  const { row } = found;
+  const isLastRow = row === found.table.rows.length && row > 0;
+  if (isLastRow && found.table.rows[row - 1].every((cell) => cell === "")) {
+    const line = state.doc.line(found.toLine);
+    const prev = state.doc.line(found.toLine - 1);
+    view.dispatch({
+      changes: { from: prev.to, to: line.to, insert: "\n" },
+      selection: { anchor: prev.to + 1 },
+      scrollIntoView: true,
+      userEvent: "input",
+    });
+    return true;
+  }
+
+  const table = cloneTable(found.table);
+  table.rows.splice(row, 0, emptyRow(table));
+  return applyTable(view, found, table, { row: row + 1, col: 0 });
+}
+
+/** 上に行を挿入（ヘッダーでは本文の先頭に挿入） */
+export const insertRowAbove = tableCommand((table, { row, col }) => {
+  const index = Math.max(0, row - 1);
+  table.rows.splice(index, 0, emptyRow(table));
+  return { table, row: index + 1, col };
+});
+
+/** 下に行を挿入 */
+export const insertRowBelow = tableCommand((table, { row, col }) => {
+  table.rows.splice(row, 0, emptyRow(table));
+  return { table, row: row + 1, col };
+});
+
+/** 行を削除（ヘッダーは削除しない） */
+export const deleteRow = tableCommand((table, { row, col }) => {
+  if (row === 0) return null;
+  table.rows.splice(row - 1, 1);
+  return { table, row: Math.min(row, table.rows.length), col };
+});
+
+/** 行を上へ移動（本文の行のみ） */
+export const moveRowUp = tableCommand((table, { row, col }) => {
+  if (row <= 1) return null;
+  [table.rows[row - 2], table.rows[row - 1]] = [table.rows[row - 1], table.rows[row - 2]];
+  return { table, row: row - 1, col };
+});
+
+/** 行を下へ移動（本文の行のみ） */
+export const moveRowDown = tableCommand((table, { row, col }) => {
+  if (row === 0 || row >= table.rows.length) return null;
+  [table.rows[row - 1], table.rows[row]] = [table.rows[row], table.rows[row - 1]];
+  return { table, row: row + 1, col };
+});
+
+/**
+ * 全行の列を並べ替える関数を適用する。
+ *
+ * @function mapColumns
+ * @param {Object} table - 編集するテーブル（直接変更する）
+ * @param {function(Array): void} fn - 1行分の配列を変更する関数（配置の配列にも適用）
+ * @returns {Object} table
+ */
+function mapColumns(table, fn) {
+  for (const cells of [table.header, table.aligns, ...table.rows]) fn(cells);
+  return table;
+}
+
+/** 左に列を挿入 */
+export const insertColumnLeft = tableCommand((table, { row, col }) => ({
+  table: mapColumns(table, (cells) => cells.splice(col, 0, cells === table.aligns ? null : "")),
+  row,
+  col,
+}));
+
+/** 右に列を挿入 */
+export const insertColumnRight = tableCommand((table, { row, col }) => ({
+  table: mapColumns(table, (cells) => cells.splice(col + 1, 0, cells === table.aligns ? null : "")),
+  row,
+  col: col + 1,
+}));
+
+/** 列を削除（最後の1列は削除しない） */
+export const deleteColumn = tableCommand((table, { row, col }) => {
+  if (table.header.length <= 1) return null;
+  mapColumns(table, (cells) => cells.splice(col, 1));
+  return { table, row, col: Math.min(col, table.header.length - 1) };
+});
+
+/** 列を左へ移動 */
+export const moveColumnLeft = tableCommand((table, { row, col }) => {
+  if (col === 0) return null;
+  mapColumns(table, (cells) => cells.splice(col - 1, 0, ...cells.splice(col, 1)));
+  return { table, row, col: col - 1 };
+});
+
+/** 列を右へ移動 */
+export const moveColumnRight = tableCommand((table, { row, col }) => {
+  if (col >= table.header.length - 1) return null;
+  mapColumns(table, (cells) => cells.splice(col + 1, 0, ...cells.splice(col, 1)));
+  return { table, row, col: col + 1 };
+});
+
+/**
+ * 列の配置を設定するコマンドを作る。
+ *
+ * @function alignColumn
+ * @param {null|"left"|"center"|"right"} align - 配置（null で指定なし）
+ * @returns {function(import("@codemirror/view").EditorView): boolean}
+ */
+function alignColumn(align) {
+  return tableCommand((table, { row, col }) => {
+    table.aligns[col] = align;
+    return { table, row, col };
+  });
+}
+
+/**
+ * カーソルの列で本文の行を並べ替えるコマンドを作る。
+ *
+ * @function sortByColumn
+ * @param {boolean} descending - 降順
+ * @returns {function(import("@codemirror/view").EditorView): boolean}
+ */
+function sortByColumn(descending) {
+  return tableCommand((table, { row, col }) => ({ table: sortRows(table, col, descending), row, col }));
+}
+
+/**
+ * テーブルコマンドの一覧（編集メニュー・コンテキストメニュー共通）。
+ * "-" は区切り線。ショートカットはキーバインド（"table:<id>"）で割り当てる。
+ * @type {Array<{id: string, fn: Function, i18nKey: string, shortcut?: string}|string>}
+ */
+export const TABLE_COMMANDS = [
+  { id: "pasteAsTable", fn: pasteClipboardAsTable, i18nKey: "table.pasteAsTable" },
+  "-",
+  { id: "format", fn: formatTableCommand, i18nKey: "table.format" },
+  "-",
+  { id: "insertRowAbove", fn: insertRowAbove, i18nKey: "table.insertRowAbove" },
+  { id: "insertRowBelow", fn: insertRowBelow, i18nKey: "table.insertRowBelow" },
+  { id: "deleteRow", fn: deleteRow, i18nKey: "table.deleteRow" },
+  { id: "moveRowUp", fn: moveRowUp, i18nKey: "table.moveRowUp" },
+  { id: "moveRowDown", fn: moveRowDown, i18nKey: "table.moveRowDown" },
+  "-",
+  { id: "insertColumnLeft", fn: insertColumnLeft, i18nKey: "table.insertColumnLeft" },
+  { id: "insertColumnRight", fn: insertColumnRight, i18nKey: "table.insertColumnRight" },
+  { id: "deleteColumn", fn: deleteColumn, i18nKey: "table.deleteColumn" },
+  { id: "moveColumnLeft", fn: moveColumnLeft, i18nKey: "table.moveColumnLeft" },
+  { id: "moveColumnRight", fn: moveColumnRight, i18nKey: "table.moveColumnRight" },
+  "-",
+  { id: "alignLeft", fn: alignColumn("left"), i18nKey: "table.alignLeft" },
+  { id: "alignCenter", fn: alignColumn("center"), i18nKey: "table.alignCenter" },
+  { id: "alignRight", fn: alignColumn("right"), i18nKey: "table.alignRight" },
+  { id: "alignNone", fn: alignColumn(null), i18nKey: "table.alignNone" },
+  "-",
+  { id: "sortAscending", fn: sortByColumn(false), i18nKey: "table.sortAscending" },
+  { id: "sortDescending", fn: sortByColumn(true), i18nKey: "table.sortDescending" },
+];
+
+/**
+ * ID でテーブルコマンドを実行する（メニューから）。
+ *
+ * @function runTableCommand
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {string} id - TABLE_COMMANDS の id
+ * @returns {boolean} 実行したか（テーブル外では false）
+ */
+export function runTableCommand(view, id) {
+  const cmd = TABLE_COMMANDS.find((c) => c !== "-" && c.id === id);
+  return cmd ? cmd.fn(view) : false;
+}
+
+// ─── 自動整形 ────────────────────────────────────────────────────────
+
+/**
+ * テーブル内で編集したあと、カーソルがテーブル外へ出たら整形する。
+ * update() 中は dispatch できないため setTimeout で後から実行する。
+ */
+const autoFormatPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.view = view;
+      this.pending = null; // 編集したテーブル内の位置
+    }
+
+    update(update) {
+      if (update.transactions.some((tr) => tr.annotation(tableFormatted))) {
+        this.pending = null;
+        return;
+      }
+      const { state } = update;
+      const head = state.selection.main.head;
+      if (update.docChanged) {
+        if (this.pending !== null) this.pending = update.changes.mapPos(this.pending);
+        const edited = update.transactions.some((tr) => tr.isUserEvent("input") || tr.isUserEvent("delete"));
+        if (edited && findTable(state, head)) {
+          this.pending = head;
+          return;
+        }
+      }
+      if (this.pending === null || !(update.selectionSet || update.docChanged)) return;
+
+      const found = findTable(state, this.pending);
+      if (!found) {
+        this.pending = null;
+        return;
+      }
+      const headLine = state.doc.lineAt(head).number;
+      if (headLine >= found.fromLine && headLine <= found.toLine) return;
+
+      const pos = this.pending;
+      this.pending = null;
+      setTimeout(() => formatTableAt(this.view, pos), 0);
+    }
+  }
+);
+
+/**
+ * 位置を含むテーブルを整形する（選択範囲は変更に合わせて移動するだけ）。
+ *
+ * @function formatTableAt
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {number} pos - テーブル内の位置
+ * @returns {void}
+ */
+function formatTableAt(view, pos) {
+  if (pos > view.state.doc.length) return;
+  const found = findTable(view.state, pos);
+  if (!found) return;
+  const doc = view.state.doc;
+  const from = doc.line(found.fromLine).from;
+  const to = doc.line(found.toLine).to;
+  const insert = formatTable(found.table).lines.join("\n");
+  if (insert === doc.sliceString(from, to)) return;
+  view.dispatch({
+    changes: { from, to, insert },
+    annotations: [tableFormatted.of(true), Transaction.userEvent.of("input.table")],
+  });
+}
+
+// ─── CSV / TSV の貼り付け ────────────────────────────────────────────
+
+/**
+ * 貼り付けをテーブルに変換する。
+ * 自動で変換するのは表計算ソフトがクリップボードに置く TSV と、text/csv 形式の
+ * データだけ（カンマを含むだけの文章を誤って変換しないため）。
+ * カンマ区切りのテキストは「表として貼り付け」コマンドで変換する。
+ *
+ * @function pasteAsTable
+ * @param {ClipboardEvent} event - paste イベント
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @returns {boolean} 変換したか
+ */
+function pasteAsTable(event, view) {
+  const plain = plainPasteRequested;
+  plainPasteRequested = false;
+  if (plain || !event.clipboardData || !canPasteTable(view.state)) return false;
+  const csv = event.clipboardData.getData("text/csv").replace(/\r\n?/g, "\n");
+  const text = event.clipboardData.getData("text/plain").replace(/\r\n?/g, "\n") || csv;
+  const grid = csv ? parseDelimited(csv, [","]) : text ? parseDelimited(text, ["\t"]) : null;
+  if (!grid) return false;
+  event.preventDefault();
+  insertTable(view, text, grid);
+  return true;
+}
+
+/**
+ * クリップボードの CSV / TSV をテーブルとして貼り付ける（「表として貼り付け」）。
+ * クリップボードは非同期に読むため、貼り付けられる位置なら true を返してから挿入する。
+ *
+ * @function pasteClipboardAsTable
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @returns {boolean} 実行したか（テーブル内・コード内では false）
+ */
+function pasteClipboardAsTable(view) {
+  if (!canPasteTable(view.state)) return false;
+  navigator.clipboard.readText().then((clipboard) => {
+    const text = clipboard.replace(/\r\n?/g, "\n");
+    const grid = text ? parseDelimited(text) : null;
+    if (grid && canPasteTable(view.state)) insertTable(view, text, grid);
+  }).catch(() => {});
+  return true;
+}
+
+/**
+ * カーソル位置にテーブルを貼り付けられるか（複数選択・テーブル内・コード内は不可）。
+ *
+ * @function canPasteTable
+ * @param {import("@codemirror/state").EditorState} state - エディタの状態
+ * @returns {boolean}
+ */
+function canPasteTable(state) {
+  const from = state.selection.main.from;
+  return state.selection.ranges.length === 1 && !findTable(state, from) && !isInCode(state, from);
+}
+
+/**
+ * 貼り付けたままのテキストを挿入したあと、別の履歴としてテーブルに変換する。
+ * 元に戻す1回で変換前のテキストに戻る。
+ *
+ * @function insertTable
+ * @param {import("@codemirror/view").EditorView} view - エディタビュー
+ * @param {string} text - 貼り付けるテキスト（改行は \n）
+ * @param {string[][]} grid - text を分解したセル
+ * @returns {void}
+ */
+function insertTable(view, text, grid) {
+  const range = view.state.selection.main;
+  const from = range.from;
+  view.dispatch({
+    changes: { from, to: range.to, insert: text },
+    selection: { anchor: from + text.length },
+    userEvent: "input.paste",
+  });
+
+  // テーブルは独立した行に置く（貼り付けた末尾の改行は残す）
+  const doc = view.state.doc;
+  const to = from + text.replace(/\n+$/, "").length;
+  const startLine = doc.lineAt(from);
+  const endLine = doc.lineAt(to);
+  const prefix = doc.sliceString(startLine.from, from).trim() ? "\n" : "";
+  const suffix = doc.sliceString(to, endLine.to).trim() ? "\n" : "";
+  const indent = prefix ? "" : doc.sliceString(startLine.from, from);
+  const lines = formatTable(tableFromGrid(grid, indent)).lines;
+  lines[0] = lines[0].slice(indent.length); // 先頭行のインデントは既にある
+  const insert = prefix + lines.join("\n") + suffix;
+  view.dispatch({
+    changes: { from, to, insert },
+    selection: { anchor: from + insert.length - suffix.length },
+    scrollIntoView: true,
+    annotations: [isolateHistory.of("before"), tableFormatted.of(true), Transaction.userEvent.of("input.paste")],
+  });
+}
+
+// ─── 拡張機能 ────────────────────────────────────────────────────────
+
+/**
+ * テーブル編集の拡張機能を返す。
+ * Enter は Markdown のリスト継続（lang-markdown の Prec.high キーマップ）より
+ * 優先させるため Prec.highest で登録する。テーブル外ではどのキーも素通しする。
+ *
+ * @function getTableExtension
+ * @returns {import("@codemirror/state").Extension}
+ */
+export function getTableExtension() {
+  return [
+    Prec.highest(keymap.of([
+      { key: "Tab", run: nextCell, shift: prevCell },
+      { key: "Enter", run: enterInTable },
+    ])),
+    autoFormatPlugin,
+    EditorView.domEventHandlers({
+      keydown(event) {
+        plainPasteRequested = (event.ctrlKey || event.metaKey) && event.shiftKey &&
+          event.key.toLowerCase() === "v";
+        return false;
+      },
+      paste: pasteAsTable,
+    }),
+  ];
+}
@@ -7,7 +7,7 @@
  *
  * 【動作フロー】
  * - エディタ内容変更時に見出しを再パース（300ms debounce）
- * - コードブロック内の `#` は見出しとして認識しない
+ * - コードブロック内・フロントマター内の `#` は見出しとして認識しない
  * - 見出しレベル (H1-H6) に応じたインデント付きリストを生成
  * - 各項目クリックで goToLine() を呼び出し
  * - カーソル位置に応じて「現在のセクション」をハイライト（cursor-active）
@@ -20,16 +20,17 @@
  * - リサイズは pane-manager.js の共通リサイズハンドルが担当
  *
  * @file toc-pane.js
- * @version 1.1.00064
+ * @version 1.1.00088
  * @since 0.1.10020
- * @revision 2
- * @lastModified 2026-03-02 01:00:00 (JST)
+ * @revision 4
+ * @lastModified 2026-10-19 00:00:00 (JST)
  */
 
 import { goToLine, getEditor } from "./editor-pane.js";
 import { togglePane } from "./pane-manager.js";
 import { updateButtonStates } from "./toolbar.js";
 import { t, onLocaleChange } from "../../i18n/i18n-renderer.js";
+import { extractFrontMatter } from "../lib/front-matter.js";
 
 /** DOM 要素の参照 */
 let tocPaneEl = null;
@@ -51,18 +52,22 @@ let lastBottomLine = -1;
 
 /**
  * Markdown テキストから見出しを抽出する。
- * コードブロック（``` ~ ```）内の行は除外する。
+ * コードブロック（``` ~ ```）内の行と、先頭のフロントマター（YAML のコメント行など）は除外する。
+ * PDF エクスポートの目次ページ生成（pdf-export.js）からも使用される。
  *
  * @function parseHeadings
  * @param {string} content - Markdown テキスト
  * @returns {Array<{level: number, text: string, line: number}>} 見出し配列
  */
-function parseHeadings(content) {
+export function parseHeadings(content) {
   const lines = content.split("\n");
   const headings = [];
   let inCodeBlock = false;
 
-  for (let i = 0; i < lines.length; i++) {
+  const frontMatter = extractFrontMatter(content);
+  const firstLine = frontMatter ? frontMatter.endLine + 1 : 0;
+
+  for (let i = firstLine; i < lines.length; i++) {
     const line = lines[i];
 
     // コードブロックの開始/終了を追跡
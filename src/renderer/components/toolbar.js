@@ -1,7 +1,7 @@
 /**
  * @fileoverview ツールバー
  * @description
- * ペイン切替ボタン（編集・プレビュー・目次・差分）と
+ * ペイン切替ボタン（エクスプローラー・編集・プレビュー・目次・差分）と
  * プリセットレイアウトボタン（編集+プレビュー・全表示）を管理する。
  *
  * 【動作フロー】
@@ -11,13 +11,13 @@
  * - ロケール変更時に renderToolbar() を再実行して翻訳を反映
  *
  * 【ボタン配置】
- * [編集] [プレビュー] [目次] [差分] | [編集+プレビュー] [全表示]
+ * [エクスプローラー] | [編集] [プレビュー] [目次] [差分] | [編集+プレビュー] [全表示]
  *
  * @file toolbar.js
- * @version 1.1.00064
+ * @version 1.1.00085
  * @since 0.1.10020
- * @revision 2
- * @lastModified 2026-03-02 01:00:00 (JST)
+ * @revision 3
+ * @lastModified 2026-10-19 00:00:00 (JST)
  */
 
 import { getPaneState, togglePane, setPaneState } from "./pane-manager.js";
@@ -32,7 +32,7 @@ let buttonsContainer = null;
 /**
  * 個別ペイントグルボタンの参照。
  * updateButtonStates() で active クラスの設定に使用する。
- * @type {{editor: HTMLElement|null, preview: HTMLElement|null, toc: HTMLElement|null, diff: HTMLElement|null}}
+ * @type {{explorer: HTMLElement|null, editor: HTMLElement|null, preview: HTMLElement|null, toc: HTMLElement|null, diff: HTMLElement|null}}
  */
 let buttons = {};
 
@@ -71,6 +71,7 @@ export function initToolbar() {
  * ロケール変更時にも呼ばれるため、innerHTML で全置換する。
  *
  * 【ボタン構成】
+ * - エクスプローラー + セパレータ
  * - 個別トグル: 編集, プレビュー, 目次, 差分
  * - セパレータ
  * - プリセット: 編集+プレビュー, 全表示（4ペイン全表示）
@@ -79,6 +80,8 @@ export function initToolbar() {
  */
 function renderToolbar() {
   buttonsContainer.innerHTML = `
+    <button id="btn-explorer" title="${t("toolbar.tipExplorer")}">${t("toolbar.explorer")}</button>
+    <div class="separator"></div>
     <button id="btn-editor" title="${t("toolbar.tipEditor")}">${t("toolbar.edit")}</button>
     <button id="btn-preview" title="${t("toolbar.tipPreview")}">${t("toolbar.preview")}</button>
     <button id="btn-toc" title="${t("toolbar.tipToc")}">${t("toolbar.toc")}</button>
@@ -90,6 +93,7 @@ function renderToolbar() {
 
   // 個別トグルボタンの参照を保持
   buttons = {
+    explorer: buttonsContainer.querySelector("#btn-explorer"),
     editor: buttonsContainer.querySelector("#btn-editor"),
     preview: buttonsContainer.querySelector("#btn-preview"),
     toc: buttonsContainer.querySelector("#btn-toc"),
@@ -97,6 +101,10 @@ function renderToolbar() {
   };
 
   // 個別ペイントグルボタンのクリックハンドラ
+  buttons.explorer.addEventListener("click", () => {
+    togglePane("explorer");
+    updateButtonStates();
+  });
   buttons.editor.addEventListener("click", () => {
     togglePane("editor");
     updateButtonStates();
@@ -3,6 +3,9 @@ import {
   getContent,
   setContent,
   clearHistory,
+  createDocumentState,
+  getEditorState,
+  setEditorState,
   toggleWordWrap,
   toggleCloseBrackets,
   openSearch,
@@ -10,9 +13,11 @@ import {
   getEditor,
   goToLine,
   getCursorInfo,
+  setChangeBaselineProvider,
+  refreshChangeGutter,
 } from "./components/editor-pane.js";
-import { initPreview, updatePreview, updatePreviewImmediate, setOriginalContent, setPreviewBaseDir, setGitAvailable, clearGitHeadCache, setPreviewMode, setDiffSource } from "./components/preview-pane.js";
-import { initDiff, updateDiff, setDiffGitAvailable, clearDiffGitHeadCache } from "./components/diff-pane.js";
+import { initPreview, updatePreview, updatePreviewImmediate, setOriginalContent, setPreviewBaseDir, setGitAvailable, clearGitHeadCache, setPreviewMode, setDiffSource, renderForExport } from "./components/preview-pane.js";
+import { initDiff, updateDiff, setDiffGitAvailable, clearDiffGitHeadCache, startMerge, cancelMerge, getDiffBaseline, showGitRevisions } from "./components/diff-pane.js";
 import {
   initPaneManager,
   togglePane,
@@ -21,16 +26,39 @@ import {
   onPaneChange,
 } from "./components/pane-manager.js";
 import { initToolbar, updateButtonStates } from "./components/toolbar.js";
-import { initStatusBar, updateStatusBar, setGitInfo, setEolDisplay } from "./components/status-bar.js";
+import { initStatusBar, updateStatusBar, setGitInfo, setEolDisplay, setEncodingDisplay, setVimModeDisplay } from "./components/status-bar.js";
 import { initGlobalSearch, triggerGlobalSearchUpdate, isDndInsertMode } from "./components/global-search.js";
 import { syncEditorToPreview } from "./lib/scroll-sync.js";
 import { initI18n, t, setLocale, onLocaleChange } from "../i18n/i18n-renderer.js";
 import { initFormatContextMenu } from "./components/format-context-menu.js";
-import { initFormatToolbar, setFormatBarMode, getFormatBarMode } from "./components/format-toolbar.js";
+import { initFormatToolbar, setFormatBarMode, applyFormatBarMode } from "./components/format-toolbar.js";
 import { getFormatCommand, isFormatActive } from "./components/format-commands.js";
 import { initEmojiPicker } from "./components/emoji-picker.js";
 import { initTocPane, updateToc, updateTocHighlight, updateTocViewport } from "./components/toc-pane.js";
+import { initTabBar, renderTabs } from "./components/tab-bar.js";
+import { initExplorerPane, openFolderDialog, setExplorerActiveFile } from "./components/explorer-pane.js";
+import { showPdfExportDialog, buildTocHtml } from "./components/pdf-export.js";
+import { lintText } from "./components/markdown-linter.js";
+import { showRevisionPicker, INDEX_REVISION } from "./components/git-revision-picker.js";
+import { showGitPanel } from "./components/git-panel.js";
+import { showGitHistory } from "./components/git-history.js";
+import { showLocalHistory } from "./components/local-history.js";
+import { toggleBlame, isBlameEnabled, setBlameEnabled, setBlame, setBlameCommitHandler } from "./components/git-blame.js";
+import { runTableCommand } from "./components/table-editor.js";
+import { initImagePaste, insertImageFiles, isImageFile, showImageSettings } from "./components/image-paste.js";
+import { initPreviewTheme, getResolvedPreviewTheme, setHeadlessPreviewTheme } from "./components/preview-theme.js";
+import { initSettings, getSetting, setSetting, onSettingsChange } from "./components/settings.js";
+import { showPreferencesDialog } from "./components/preferences-dialog.js";
+import { initKeybindings, setCommandRunner, onKeybindingsChange, getUserKeymapReconfigureEffect } from "./components/keybindings.js";
+import { showKeymapEditor } from "./components/keymap-editor.js";
+import { showCommandPalette } from "./components/command-palette.js";
+import { setEditingMode, onVimModeChange, setEditingCommandHandler } from "./components/editing-mode.js";
+import { initSnippets, insertSnippet, setSnippetFilePathProvider } from "./components/snippets.js";
+import { setCompletionFilePathProvider } from "./components/markdown-completion.js";
 import { renderMarkdown } from "./lib/markdown-engine.js";
+import { headingIdFromFragment } from "./lib/heading-slug.js";
+import { extractFrontMatter, getFrontMatterTitle, updateFrontMatter, formatFrontMatterValue } from "./lib/front-matter.js";
+import { DEFAULT_ENCODING, SAVE_ENCODINGS, REOPEN_ENCODINGS, formatEncoding } from "./lib/encodings.js";
 
 // Application state
 let currentFilePath = null;
@@ -38,6 +66,15 @@ let originalContent = "";
 let isDirty = false;
 let suppressDirty = false; // Suppress isDirty changes during programmatic setContent
 let currentEol = navigator.platform.startsWith("Win") ? "CRLF" : "LF"; // Current line ending type
+let currentEncoding = DEFAULT_ENCODING; // File encoding, kept on save
+let currentBom = false; // Whether the file has a BOM
+
+// Document tabs. The active tab's document lives in the globals above and in
+// the editor; inactive tabs keep a stashed copy including their EditorState.
+let tabs = [];
+let activeTabId = 0;
+let nextTabId = 1;
+let lastTabBarKey = "";
 
 // Session auto-save interval (ms) — lightweight, always on
 const SESSION_SAVE_INTERVAL = 5000;
@@ -55,8 +92,31 @@ let autoReloadEnabled = true;
 // apply-pane-config IPC が dropOpenFile: より先に到着した場合に保留する
 let _pendingPaneConfig = null;
 
+/**
+ * Headless mode for the command line (--export / --lint, see src/main/cli.js).
+ * Only the rendering and lint pipelines are set up; the main process drives
+ * them through window.__mdpadHeadless via executeJavaScript.
+ */
+function initHeadless(params) {
+  initI18n(params.get("lang"));
+  initPreview(document.getElementById("preview-pane"));
+  // Resolved by the CLI (no preview-theme IPC in headless mode); used by Mermaid
+  setHeadlessPreviewTheme(params.get("previewTheme"));
+  window.__mdpadHeadless = {
+    renderForExport: (content, filePath) => renderForExport(content, filePath),
+    buildTocHtml: (content) => buildTocHtml(content),
+    lint: (content) => lintText(content),
+  };
+}
+
 // Initialize components
 async function init() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("headless") === "1") {
+    initHeadless(params);
+    return;
+  }
+
   // === IPC リスナーを最初に登録（did-finish-load との競合を防止） ===
   // main.js の did-finish-load コールバックが、init() 内の await 中に
   // IPC メッセージを送信する可能性がある。リスナーが未登録だとメッセージが
@@ -83,6 +143,30 @@ async function init() {
   // Re-update title when locale changes
   onLocaleChange(() => updateTitle());
 
+  // Settings must be loaded before the editor and panes read them
+  await initSettings();
+  onSettingsChange((changed) => applySettingsChange(changed));
+
+  // Keybindings: editor-only commands that are not format/table commands
+  // run through handleMenuAction like menu clicks
+  await initKeybindings();
+  setCommandRunner((id) => handleMenuAction(id));
+  onKeybindingsChange(() => {
+    const editor = getEditor();
+    if (editor) editor.dispatch({ effects: getUserKeymapReconfigureEffect() });
+  });
+
+  // Vim / Emacs editing modes: ex commands (:w, :q, :e) and Emacs keys
+  // (C-x C-s, C-x k, ...) use the same save/close/open flows as the menu
+  setEditingCommandHandler((command, arg) => runEditingCommand(command, arg));
+  onVimModeChange((mode) => setVimModeDisplay(mode));
+
+  // Snippets (prefix + Tab, completion) and Markdown completion; FILENAME etc.
+  // and relative link paths refer to the active tab
+  await initSnippets();
+  setSnippetFilePathProvider(() => currentFilePath);
+  setCompletionFilePathProvider(() => currentFilePath);
+
   // Init toolbar
   initToolbar();
 
@@ -90,33 +174,51 @@ async function init() {
   const editorContainer = document.getElementById("editor-pane");
   createEditor(editorContainer, onEditorChange);
 
+  // Init tab bar — the initial empty document becomes the first tab
+  const firstTab = createTabRecord({});
+  firstTab.editorState = null; // Active tab's state lives in the editor
+  tabs.push(firstTab);
+  activeTabId = firstTab.id;
+  initTabBar({
+    onSelect: (id) => activateTab(id),
+    onClose: (id) => closeTab(id),
+    onNew: () => newTab(),
+  });
+  renderTabBar();
+
   // Init format context menu (right-click)
   initFormatContextMenu();
 
   // Init format toolbar (topbar/sidebar/hidden)
   initFormatToolbar();
 
-  // メインプロセスのメニュー状態を同期（localStorage の書式バーモードを反映）
-  // レンダラー起動時に localStorage から読み込んだモードをメインプロセスに通知し、
-  // メニューのラジオボタン checked 状態を正しく設定する
-  if (window.mdpad.setFormatBarModeMain) {
-    window.mdpad.setFormatBarModeMain(getFormatBarMode());
-  }
-
   // Init emoji picker (registers callback with toolbar)
   initEmojiPicker();
 
   // Init TOC (Table of Contents) pane
   initTocPane();
 
+  // Init Explorer pane (restores the last opened folder)
+  initExplorerPane({
+    onOpenFile: (filePath) => loadFileByPath(filePath),
+    onEntryMoved: (oldPath, newPath) => retargetTabs(oldPath, newPath),
+  });
+
   // Init preview
   const previewContainer = document.getElementById("preview-pane");
   initPreview(previewContainer);
 
+  // Preview theme and user CSS (not awaited: the preview renders meanwhile)
+  initPreviewTheme();
+
   // Init diff
   const diffContainer = document.getElementById("diff-pane");
   initDiff(diffContainer);
 
+  // Editor change gutter follows the diff pane's baseline
+  setChangeBaselineProvider(() => getDiffBaseline(originalContent));
+  setBlameCommitHandler(showBlameCommit);
+
   // Init pane manager
   initPaneManager();
 
@@ -128,11 +230,12 @@ async function init() {
     if (state.diff) {
       updateDiff(getContent(), originalContent);
     }
-    // TOC 表示状態を localStorage に保存し、表示時は内容を即座に更新
-    localStorage.setItem("mdpad:tocVisible", String(state.toc));
+    // TOC 表示状態を設定に保存し、表示時は内容を即座に更新
+    if (state.toc !== getSetting("tocVisible")) setSetting("tocVisible", state.toc);
     if (state.toc) {
       updateToc(getContent());
     }
+    if (state.explorer !== getSetting("explorerVisible")) setSetting("explorerVisible", state.explorer);
     updateButtonStates();
   });
 
@@ -192,21 +295,53 @@ async function init() {
   // Status bar click → Go to Line
   window.addEventListener("mdpad:goToLine", () => showGoToLineDialog());
 
+  // Status bar click → Git panel; hunk staged in the diff pane
+  window.addEventListener("mdpad:showGitPanel", () => openGitPanel());
+  window.addEventListener("mdpad:gitChanged", () => onGitChanged());
+
   // Status bar click → EOL selection menu
   window.addEventListener("mdpad:showEolMenu", (e) => showEolMenu(e.detail.target));
 
-  // Close EOL popup when a modal dialog opens
+  // Status bar click → reopen/save with encoding menu
+  window.addEventListener("mdpad:showEncodingMenu", (e) => showEncodingMenu(e.detail.target));
+
+  // Close EOL/encoding popups when a modal dialog opens
   window.addEventListener("mdpad:closePopups", () => {
     const eolPopup = document.getElementById("eol-popup");
     if (eolPopup) eolPopup.remove();
+    const encodingPopup = document.getElementById("encoding-popup");
+    if (encodingPopup) encodingPopup.remove();
   });
 
-  // Expose close-state getter for main process (via executeJavaScript)
-  window.__mdpadGetCloseState = () => ({
-    isDirty,
-    hasFilePath: !!currentFilePath,
-    filePath: currentFilePath,
-  });
+  // Expose close-state getter for main process (via executeJavaScript).
+  // With several dirty tabs, the first one is activated so the close dialog
+  // and the save that follows refer to the visible document.
+  window.__mdpadGetCloseState = () => {
+    const dirtyTabs = tabs.filter((tab) => (tab.id === activeTabId ? isDirty : tab.isDirty));
+    if (!isDirty && dirtyTabs.length > 0) activateTab(dirtyTabs[0].id);
+    return {
+      isDirty,
+      hasFilePath: !!currentFilePath,
+      filePath: currentFilePath,
+      dirtyCount: dirtyTabs.length,
+    };
+  };
+
+  // Close flow saved the active tab from the main process: mark it clean
+  window.__mdpadMarkTabSaved = (filePath) => {
+    currentFilePath = filePath;
+    originalContent = getContent();
+    setOriginalContent(originalContent);
+    isDirty = false;
+    updateTitle();
+    refreshChangeGutter();
+    window.mdpad.clearAutosaveBackup(activeTabId);
+    return true;
+  };
+
+  // Dirty tabs for "Resume Save" on close (one backup per tab)
+  window.__mdpadGetResumeData = () =>
+    tabs.map(getTabSnapshot).filter((snap) => snap.isDirty);
 
   // Expose content getter for main process save-on-close
   window.__mdpadGetContent = () => getContent();
@@ -214,6 +349,9 @@ async function init() {
   // Expose currentEol getter for main process save-on-close
   window.__mdpadGetCurrentEol = () => currentEol;
 
+  // Expose encoding getter for main process save-on-close
+  window.__mdpadGetCurrentEncoding = () => ({ encoding: currentEncoding, bom: currentBom });
+
   // Expose currentFilePath getter for preview-pane git diff
   window.__mdpadGetCurrentFilePath = () => currentFilePath;
 
@@ -268,6 +406,18 @@ async function init() {
     if (state.preview) updatePreviewImmediate(getContent());
   };
 
+  // Expose export rendering and the export error dialog for smoke tests
+  // (the save dialog of File > Export is native)
+  window.__mdpadRenderForExport = () => renderForExport(getContent(), currentFilePath);
+  window.__mdpadShowExportError = (filePath, message) => showExportErrorDialog(filePath, message);
+
+  // Expose three-way merge for smoke tests (buffer = ours, no file needed)
+  window.__mdpadStartMerge = (base, theirs) => openMergeView(base, theirs);
+
+  // Expose the git revision picker for smoke tests
+  window.__mdpadShowRevisionPicker = (filePath, allowBuffer) =>
+    showRevisionPicker({ filePath, title: t("gitRevision.pickTarget"), allowBuffer });
+
   // Expose format active state checker for smoke tests
   window.__mdpadIsFormatActive = (formatId) => {
     const view = getEditor();
@@ -277,20 +427,31 @@ async function init() {
 
   // Session auto-save for crash recovery (lightweight, always on)
   setInterval(() => {
-    if (isDirty) {
+    if (hasDirtyTabs()) {
       saveSessionState();
     }
   }, SESSION_SAVE_INTERVAL);
 
   // Initialize autosave (backup) settings — timer starts on first edit, not at init
-  autosaveMinutes = await window.mdpad.getAutosaveMinutes();
+  autosaveMinutes = getSetting("autosaveMinutes");
 
   // Initialize file watch settings
-  fileWatchEnabled = await window.mdpad.getFileWatchEnabled();
-  autoReloadEnabled = await window.mdpad.getAutoReloadEnabled();
+  fileWatchEnabled = getSetting("fileWatchEnabled");
+  autoReloadEnabled = getSetting("autoReloadEnabled");
 
   // File watching: handle external file changes
-  window.mdpad.onFileChanged(() => {
+  window.mdpad.onFileChanged(async (tabId) => {
+    const tab = tabs.find((item) => item.id === tabId);
+    if (tabId && !tab) return; // Tab was closed meanwhile
+    if (tab && tab.id !== activeTabId) {
+      if (!tab.isDirty && autoReloadEnabled) {
+        // Background tab, clean → refresh its snapshot silently
+        await reloadInactiveTab(tab);
+        return;
+      }
+      // Otherwise bring the tab to front before asking
+      activateTab(tab.id);
+    }
     if (!isDirty) {
       if (autoReloadEnabled) {
         // Not dirty + auto-reload ON → silent reload
@@ -320,6 +481,12 @@ async function init() {
   // Set up drag-and-drop
   initDragAndDrop();
 
+  // Pasted / dropped images are saved next to the document
+  initImagePaste({
+    getFilePath: () => currentFilePath,
+    saveAs: () => saveFileAs(),
+  });
+
   // Intercept ALL link clicks — the app's HTML must never be replaced.
   // http/https → open in external browser
   // #anchor within preview/diff → scroll within pane (safe, no navigation)
@@ -337,9 +504,10 @@ async function init() {
       if (previewPane) {
         e.preventDefault();
         e.stopPropagation();
-        // Find the target element by id within the pane
-        const targetId = CSS.escape(href.slice(1));
-        const target = previewPane.querySelector(`[id="${targetId}"]`);
+        // Find the target element by id within the pane: a heading (ids are
+        // prefixed, see heading-slug.js) or any other element such as a footnote
+        const byId = (id) => previewPane.querySelector(`[id="${CSS.escape(id)}"]`);
+        const target = byId(headingIdFromFragment(href.slice(1))) || byId(href.slice(1));
         if (target) {
           target.scrollIntoView({ behavior: "smooth", block: "start" });
         }
@@ -409,16 +577,111 @@ function updateTitle() {
     ? currentFilePath.split(/[\\/]/).pop()
     : t("app.untitled");
   const dirtyMark = isDirty ? "* " : "";
-  window.mdpad.setTitle(`${dirtyMark}${fileName} - mdpad`);
+  // A front matter title is shown ahead of the file name
+  const docTitle = getFrontMatterTitle(getContent());
+  const label = docTitle ? `${docTitle} (${fileName})` : fileName;
+  window.mdpad.setTitle(`${dirtyMark}${label} - mdpad`);
+  renderTabBar();
+  setExplorerActiveFile(currentFilePath);
+}
+
+/**
+ * Apply settings changed in this or another window (menu, Preferences,
+ * import). Settings read only at startup (pane visibility) are skipped.
+ */
+async function applySettingsChange(changed) {
+  if ("autosaveMinutes" in changed) {
+    autosaveMinutes = changed.autosaveMinutes;
+    // If any tab is dirty, start/restart the timer; otherwise stop it
+    if (hasDirtyTabs() && autosaveMinutes > 0) {
+      startAutosaveTimer();
+    } else {
+      stopAutosaveTimer();
+    }
+  }
+  if ("fileWatchEnabled" in changed) {
+    fileWatchEnabled = changed.fileWatchEnabled;
+    if (!fileWatchEnabled) {
+      stopFileWatch();
+    } else {
+      for (const tab of tabs) {
+        const filePath = tab.id === activeTabId ? currentFilePath : tab.filePath;
+        if (filePath) startFileWatch(filePath, tab.id);
+      }
+    }
+  }
+  if ("autoReloadEnabled" in changed) {
+    autoReloadEnabled = changed.autoReloadEnabled;
+  }
+  if ("formatBarMode" in changed) {
+    applyFormatBarMode(changed.formatBarMode);
+  }
+  // TOC / explorer visibility (Preferences, or toggled in another window)
+  for (const [key, pane] of [["tocVisible", "toc"], ["explorerVisible", "explorer"]]) {
+    if (key in changed && changed[key] !== getPaneState()[pane]) togglePane(pane);
+  }
+
+  const editor = getEditor();
+  if (!editor) return;
+  if ("editingMode" in changed) {
+    setEditingMode(editor, changed.editingMode);
+  }
+  if ("lintEnabled" in changed) {
+    const { setLintEnabled } = await import("./components/markdown-linter.js");
+    setLintEnabled(editor, changed.lintEnabled);
+  }
+  if ("minimapEnabled" in changed || "minimapDisplay" in changed) {
+    const { setMinimapEnabled, setMinimapDisplayMode } = await import("./components/minimap.js");
+    setMinimapDisplayMode(editor, getSetting("minimapDisplay"));
+    setMinimapEnabled(editor, getSetting("minimapEnabled"));
+  }
+  if ("blameEnabled" in changed && setBlameEnabled(editor, changed.blameEnabled)) {
+    refreshBlame();
+  }
+}
+
+/**
+ * Run a save/close/open request from the Vim or Emacs editing mode.
+ * @param {string} command - "save" | "saveAs" | "close" | "saveAndClose" | "open" | "reload"
+ * @param {string} arg - For "open": a path, relative to the current file's folder (empty shows the dialog)
+ */
+async function runEditingCommand(command, arg) {
+  switch (command) {
+    case "save":
+      await saveFile();
+      break;
+    case "saveAs":
+      await saveFileAs();
+      break;
+    case "close":
+      await closeTab(activeTabId);
+      break;
+    case "saveAndClose":
+      if (await saveFile()) await closeTab(activeTabId);
+      break;
+    case "open":
+      if (!arg) {
+        await openFile();
+      } else if (/^([a-zA-Z]:)?[\\/]/.test(arg) || !currentFilePath) {
+        await openFileInCurrentWindow(arg);
+      } else {
+        const lastSep = Math.max(currentFilePath.lastIndexOf("/"), currentFilePath.lastIndexOf("\\"));
+        const sep = currentFilePath[lastSep];
+        await openFileInCurrentWindow(currentFilePath.slice(0, lastSep + 1) + arg.replace(/[\\/]/g, sep));
+      }
+      break;
+    case "reload":
+      await handleReload();
+      break;
+  }
 }
 
 async function handleMenuAction(action) {
   // Handle locale change from menu
   if (action.startsWith("changeLocale:")) {
     const newLocale = action.split(":")[1];
+    // Sent by the main process after the "locale" setting changed (already saved)
     setLocale(newLocale);
-    // Also persist on main process side (already done via menu click)
-    await window.mdpad.setLocale(newLocale);
     return;
   }
 
@@ -441,24 +704,21 @@ async function handleMenuAction(action) {
     return;
   }
 
-  // Handle file watch toggle from menu
+  // New document from a template picked in the command palette
+  if (action.startsWith("newFromTemplate:")) {
+    await newFromTemplate(action.substring("newFromTemplate:".length));
+    return;
+  }
+
+  // Handle file watch toggle from menu (applied in applySettingsChange)
   if (action.startsWith("setFileWatch:")) {
-    const enabled = action.split(":")[1] === "1";
-    fileWatchEnabled = enabled;
-    await window.mdpad.setFileWatchEnabled(enabled);
-    if (!enabled) {
-      stopFileWatch();
-    } else if (currentFilePath) {
-      startFileWatch(currentFilePath);
-    }
+    await window.mdpad.setFileWatchEnabled(action.split(":")[1] === "1");
     return;
   }
 
-  // Handle auto-reload toggle from menu
+  // Handle auto-reload toggle from menu (applied in applySettingsChange)
   if (action.startsWith("setAutoReload:")) {
-    const enabled = action.split(":")[1] === "1";
-    autoReloadEnabled = enabled;
-    await window.mdpad.setAutoReloadEnabled(enabled);
+    await window.mdpad.setAutoReloadEnabled(action.split(":")[1] === "1");
     return;
   }
 
@@ -469,27 +729,57 @@ async function handleMenuAction(action) {
     return;
   }
 
-  // Handle autosave interval change from menu
-  if (action.startsWith("setAutosave:")) {
-    const minutes = parseInt(action.split(":")[1], 10);
-    autosaveMinutes = minutes;
-    await window.mdpad.setAutosaveMinutes(minutes);
-    // If currently dirty, start/restart the timer; otherwise stop it
-    if (isDirty && minutes > 0) {
-      startAutosaveTimer();
-    } else {
-      stopAutosaveTimer();
+  // Handle table commands from Edit > Table
+  if (action.startsWith("table:")) {
+    const editor = getEditor();
+    if (editor) {
+      runTableCommand(editor, action.slice("table:".length));
+      editor.focus();
     }
     return;
   }
 
+  // Handle format commands by id ("format:bold", see keybindings.js)
+  if (action.startsWith("format:")) {
+    const editor = getEditor();
+    const cmd = getFormatCommand(action.slice("format:".length));
+    if (editor && cmd && cmd.fn) {
+      cmd.fn(editor);
+      editor.focus();
+    }
+    return;
+  }
+
+  // Handle autosave interval change from menu (applied in applySettingsChange)
+  if (action.startsWith("setAutosave:")) {
+    await window.mdpad.setAutosaveMinutes(parseInt(action.split(":")[1], 10));
+    return;
+  }
+
   switch (action) {
     case "new":
       await newFile();
       break;
+    case "newTab":
+      newTab();
+      break;
+    case "closeTab":
+      await closeTab(activeTabId);
+      break;
+    case "nextTab":
+      cycleTab(1);
+      break;
+    case "prevTab":
+      cycleTab(-1);
+      break;
     case "open":
       await openFile();
       break;
+    case "openFolder":
+      if (await openFolderDialog()) {
+        setPaneState({ explorer: true });
+      }
+      break;
     case "reload":
       await handleReload();
       break;
@@ -499,6 +789,12 @@ async function handleMenuAction(action) {
     case "saveAs":
       await saveFileAs();
       break;
+    case "exportHtml":
+      await exportHtml();
+      break;
+    case "exportPdf":
+      await exportPdf();
+      break;
     case "find":
       openSearch();
       break;
@@ -514,6 +810,10 @@ async function handleMenuAction(action) {
     case "toggleDiff":
       togglePane("diff");
       break;
+    case "toggleExplorer":
+      togglePane("explorer");
+      updateButtonStates();
+      break;
     case "toggleWordWrap":
       toggleWordWrap();
       break;
@@ -549,6 +849,18 @@ async function handleMenuAction(action) {
         }
       }
       break;
+    case "gitPanel":
+      openGitPanel();
+      break;
+    case "gitHistory":
+      openGitHistory();
+      break;
+    case "toggleBlame":
+      {
+        const editor = getEditor();
+        if (editor && toggleBlame(editor)) refreshBlame();
+      }
+      break;
     case "toggleLintPanel":
       {
         const editor = getEditor();
@@ -587,9 +899,48 @@ async function handleMenuAction(action) {
     case "restoreBackup":
       showRestoreFromBackupMenu();
       break;
+    case "imageSettings":
+      showImageSettings();
+      break;
+    case "localHistory":
+      if (currentFilePath) showLocalHistory({ filePath: currentFilePath });
+      break;
     case "properties":
       showPropertiesDialog();
       break;
+    case "preferences":
+      showPreferencesDialog();
+      break;
+    case "keybindings":
+      showKeymapEditor();
+      break;
+    case "commandPalette":
+      showCommandPalette();
+      break;
+    case "goToHeading":
+      showCommandPalette("headings");
+      break;
+    case "openRecentPicker":
+      showCommandPalette("recent");
+      break;
+    case "newFromTemplate":
+      showCommandPalette("templates");
+      break;
+    case "editSnippets":
+      await loadFileByPath(await window.mdpad.ensureSnippetsFile());
+      break;
+    case "openTemplatesFolder":
+      await window.mdpad.openTemplatesFolder();
+      break;
+    // Carried out by the main process (menu roles there); reached from the palette
+    case "exit":
+    case "zoomIn":
+    case "zoomOut":
+    case "resetZoom":
+    case "toggleDevTools":
+      await window.mdpad.runMainCommand(action);
+      if (action !== "exit" && action !== "toggleDevTools") updateStatusBar();
+      break;
     case "about":
       showAboutDialog();
       break;
@@ -620,12 +971,12 @@ function showGoToLineDialog() {
   // Create dialog box
   const dialog = document.createElement("div");
   dialog.style.cssText =
-    "background:#ffffff;border:1px solid #d0d7de;border-radius:8px;" +
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
     "padding:16px;width:300px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
 
   const titleEl = document.createElement("div");
   titleEl.textContent = t("goToLine.title");
-  titleEl.style.cssText = "font-size:14px;font-weight:600;margin-bottom:8px;color:#24292f;";
+  titleEl.style.cssText = "font-size:14px;font-weight:600;margin-bottom:8px;color:var(--mdpad-fg);";
 
   const input = document.createElement("input");
   input.type = "number";
@@ -633,11 +984,11 @@ function showGoToLineDialog() {
   input.max = totalLines;
   input.placeholder = `${t("goToLine.placeholder")} (1-${totalLines})`;
   input.style.cssText =
-    "width:100%;padding:6px 8px;border:1px solid #d0d7de;" +
+    "width:100%;padding:6px 8px;border:1px solid var(--mdpad-border);" +
     "border-radius:4px;font-size:14px;outline:none;box-sizing:border-box;";
 
   const errorEl = document.createElement("div");
-  errorEl.style.cssText = "font-size:12px;color:#cf222e;margin-top:4px;min-height:18px;";
+  errorEl.style.cssText = "font-size:12px;color:var(--mdpad-danger-fg);margin-top:4px;min-height:18px;";
 
   dialog.appendChild(titleEl);
   dialog.appendChild(input);
@@ -695,12 +1046,12 @@ async function showCheckForUpdatesDialog() {
 
   const dialog = document.createElement("div");
   dialog.style.cssText =
-    "background:#ffffff;border:1px solid #d0d7de;border-radius:12px;" +
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:12px;" +
     "padding:28px 32px;width:520px;max-width:90vw;box-shadow:0 12px 40px rgba(0,0,0,0.18);text-align:center;";
 
   // Spinner / checking message
   const statusEl = document.createElement("div");
-  statusEl.style.cssText = "font-size:14px;color:#57606a;margin-bottom:16px;";
+  statusEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:16px;";
   statusEl.textContent = t("update.checking");
   dialog.appendChild(statusEl);
 
@@ -746,12 +1097,12 @@ async function showCheckForUpdatesDialog() {
 
     const titleEl = document.createElement("div");
     titleEl.textContent = t("update.error");
-    titleEl.style.cssText = "font-size:16px;font-weight:600;color:#24292f;margin-bottom:8px;";
+    titleEl.style.cssText = "font-size:16px;font-weight:600;color:var(--mdpad-fg);margin-bottom:8px;";
     dialog.appendChild(titleEl);
 
     const detailEl = document.createElement("div");
     detailEl.textContent = t("update.errorDetail");
-    detailEl.style.cssText = "font-size:13px;color:#57606a;margin-bottom:16px;";
+    detailEl.style.cssText = "font-size:13px;color:var(--mdpad-fg-muted);margin-bottom:16px;";
     dialog.appendChild(detailEl);
   } else if (result.isUpdateAvailable) {
     // Update available
@@ -762,21 +1113,21 @@ async function showCheckForUpdatesDialog() {
 
     const titleEl = document.createElement("div");
     titleEl.textContent = t("update.available");
-    titleEl.style.cssText = "font-size:16px;font-weight:600;color:#24292f;margin-bottom:12px;";
+    titleEl.style.cssText = "font-size:16px;font-weight:600;color:var(--mdpad-fg);margin-bottom:12px;";
     dialog.appendChild(titleEl);
 
     const infoEl = document.createElement("div");
-    infoEl.style.cssText = "font-size:13px;color:#57606a;margin-bottom:12px;text-align:left;line-height:1.6;";
+    infoEl.style.cssText = "font-size:13px;color:var(--mdpad-fg-muted);margin-bottom:12px;text-align:left;line-height:1.6;";
     infoEl.innerHTML =
-      `<div>${t("update.currentVersion")} <code style="background:#f6f8fa;padding:2px 6px;border-radius:3px;font-size:12px;">${result.currentVersion}</code></div>` +
-      `<div>${t("update.latestVersion")} <code style="background:#f6f8fa;padding:2px 6px;border-radius:3px;font-size:12px;color:#1a7f37;font-weight:600;">${result.latestVersion}</code></div>`;
+      `<div>${t("update.currentVersion")} <code style="background:var(--mdpad-bg-subtle);padding:2px 6px;border-radius:3px;font-size:12px;">${result.currentVersion}</code></div>` +
+      `<div>${t("update.latestVersion")} <code style="background:var(--mdpad-bg-subtle);padding:2px 6px;border-radius:3px;font-size:12px;color:var(--mdpad-success-fg);font-weight:600;">${result.latestVersion}</code></div>`;
     dialog.appendChild(infoEl);
 
     // Release notes (if any) — Markdown で描画する
     if (result.releaseNotes) {
       const notesLabel = document.createElement("div");
       notesLabel.textContent = t("update.releaseNotes");
-      notesLabel.style.cssText = "font-size:12px;color:#57606a;text-align:left;margin-bottom:4px;";
+      notesLabel.style.cssText = "font-size:12px;color:var(--mdpad-fg-muted);text-align:left;margin-bottom:4px;";
       dialog.appendChild(notesLabel);
 
       const notesEl = document.createElement("div");
@@ -784,8 +1135,8 @@ async function showCheckForUpdatesDialog() {
       notesEl.innerHTML = renderMarkdown(result.releaseNotes);
       notesEl.classList.add("markdown-body");
       notesEl.style.cssText =
-        "font-size:13px;color:#24292f;text-align:left;margin-bottom:16px;" +
-        "background:#f6f8fa;border:1px solid #d0d7de;border-radius:6px;padding:12px 16px;" +
+        "font-size:13px;color:var(--mdpad-fg);text-align:left;margin-bottom:16px;" +
+        "background:var(--mdpad-bg-subtle);border:1px solid var(--mdpad-border);border-radius:6px;padding:12px 16px;" +
         "max-height:300px;overflow-y:auto;line-height:1.5;" +
         "word-wrap:break-word;overflow-wrap:break-word;";
 
@@ -794,12 +1145,12 @@ async function showCheckForUpdatesDialog() {
       scopedStyle.textContent = [
         "#update-overlay .markdown-body img { max-width: 100%; height: auto; }",
         "#update-overlay .markdown-body pre { overflow-x: auto; max-width: 100%; }",
-        "#update-overlay .markdown-body h1 { font-size: 1.3em; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }",
-        "#update-overlay .markdown-body h2 { font-size: 1.15em; border-bottom: 1px solid #d0d7de; padding-bottom: 3px; }",
+        "#update-overlay .markdown-body h1 { font-size: 1.3em; border-bottom: 1px solid var(--mdpad-border); padding-bottom: 4px; }",
+        "#update-overlay .markdown-body h2 { font-size: 1.15em; border-bottom: 1px solid var(--mdpad-border); padding-bottom: 3px; }",
         "#update-overlay .markdown-body h3 { font-size: 1.05em; }",
         "#update-overlay .markdown-body p { margin: 6px 0; }",
         "#update-overlay .markdown-body ul, #update-overlay .markdown-body ol { padding-left: 20px; margin: 6px 0; }",
-        "#update-overlay .markdown-body code { font-size: 12px; background: #eaeef2; padding: 1px 4px; border-radius: 3px; }",
+        "#update-overlay .markdown-body code { font-size: 12px; background: var(--mdpad-bg-muted); padding: 1px 4px; border-radius: 3px; }",
         "#update-overlay .markdown-body pre code { background: none; padding: 0; }",
       ].join("\n");
       notesEl.prepend(scopedStyle);
@@ -812,10 +1163,8 @@ async function showCheckForUpdatesDialog() {
     dlBtn.textContent = t("update.download");
     dlBtn.style.cssText =
       "padding:8px 24px;border:none;border-radius:6px;" +
-      "background:#1a7f37;color:#fff;cursor:pointer;font-size:14px;font-weight:600;" +
-      "margin-right:8px;transition:background 0.15s;";
-    dlBtn.onmouseover = () => { dlBtn.style.background = "#16653a"; };
-    dlBtn.onmouseout = () => { dlBtn.style.background = "#1a7f37"; };
+      "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:14px;font-weight:600;" +
+      "margin-right:8px;";
     dlBtn.onclick = () => {
       window.mdpad.openExternal(result.downloadUrl);
       close();
@@ -825,20 +1174,20 @@ async function showCheckForUpdatesDialog() {
     // Up to date
     const iconEl = document.createElement("div");
     iconEl.textContent = "✔";
-    iconEl.style.cssText = "font-size:36px;margin-bottom:8px;color:#1a7f37;";
+    iconEl.style.cssText = "font-size:36px;margin-bottom:8px;color:var(--mdpad-success-fg);";
     dialog.insertBefore(iconEl, dialog.firstChild);
 
     const titleEl = document.createElement("div");
     // i18n テンプレート内の {appName} をアプリ名で置換
     titleEl.textContent = t("update.upToDate").replace("{appName}", "mdpad");
-    titleEl.style.cssText = "font-size:16px;font-weight:600;color:#24292f;margin-bottom:8px;";
+    titleEl.style.cssText = "font-size:16px;font-weight:600;color:var(--mdpad-fg);margin-bottom:8px;";
     dialog.appendChild(titleEl);
 
     const verEl = document.createElement("div");
     // バージョン表示にアプリ名を先頭に追加
     verEl.textContent = `mdpad ${result.currentVersion}`;
     verEl.style.cssText =
-      "font-size:13px;color:#8b949e;margin-bottom:16px;" +
+      "font-size:13px;color:var(--mdpad-fg-subtle);margin-bottom:16px;" +
       "font-family:'SF Mono',Consolas,'Liberation Mono',Menlo,monospace;";
     dialog.appendChild(verEl);
   }
@@ -847,11 +1196,11 @@ async function showCheckForUpdatesDialog() {
   const closeBtn = document.createElement("button");
   closeBtn.textContent = t("update.close");
   closeBtn.style.cssText =
-    "padding:6px 24px;border:1px solid #d0d7de;border-radius:6px;" +
-    "background:#f6f8fa;cursor:pointer;font-size:13px;color:#24292f;" +
+    "padding:6px 24px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;color:var(--mdpad-fg);" +
     "transition:background 0.15s;";
-  closeBtn.onmouseover = () => { closeBtn.style.background = "#e8ebef"; };
-  closeBtn.onmouseout = () => { closeBtn.style.background = "#f6f8fa"; };
+  closeBtn.onmouseover = () => { closeBtn.style.background = "var(--mdpad-bg-hover)"; };
+  closeBtn.onmouseout = () => { closeBtn.style.background = "var(--mdpad-bg-subtle)"; };
   closeBtn.onclick = close;
   dialog.appendChild(closeBtn);
 
@@ -881,7 +1230,7 @@ async function showAboutDialog() {
 
   const dialog = document.createElement("div");
   dialog.style.cssText =
-    "background:#ffffff;border:1px solid #d0d7de;border-radius:12px;" +
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:12px;" +
     "padding:28px 32px;width:360px;box-shadow:0 12px 40px rgba(0,0,0,0.18);text-align:center;";
 
   // App icon
@@ -898,7 +1247,7 @@ async function showAboutDialog() {
   const nameEl = document.createElement("div");
   nameEl.textContent = "mdpad";
   nameEl.style.cssText =
-    "font-size:22px;font-weight:700;color:#24292f;margin-bottom:2px;" +
+    "font-size:22px;font-weight:700;color:var(--mdpad-fg);margin-bottom:2px;" +
     "letter-spacing:0.5px;";
   dialog.appendChild(nameEl);
 
@@ -906,36 +1255,36 @@ async function showAboutDialog() {
   const verEl = document.createElement("div");
   verEl.textContent = versionStr;
   verEl.style.cssText =
-    "font-size:13px;color:#8b949e;margin-bottom:10px;" +
+    "font-size:13px;color:var(--mdpad-fg-subtle);margin-bottom:10px;" +
     "font-family:'SF Mono',Consolas,'Liberation Mono',Menlo,monospace;";
   dialog.appendChild(verEl);
 
   // Description
   const descEl = document.createElement("div");
   descEl.textContent = t("app.description");
-  descEl.style.cssText = "font-size:14px;color:#57606a;margin-bottom:10px;line-height:1.4;";
+  descEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:10px;line-height:1.4;";
   dialog.appendChild(descEl);
 
   // Copyright
   const copyrightEl = document.createElement("div");
   copyrightEl.textContent = `(C) pumpCurry, 5r4ce2 ${new Date().getFullYear()}`;
-  copyrightEl.style.cssText = "font-size:12px;color:#8b949e;margin-bottom:14px;";
+  copyrightEl.style.cssText = "font-size:12px;color:var(--mdpad-fg-subtle);margin-bottom:14px;";
   dialog.appendChild(copyrightEl);
 
   // Links section
   const linksEl = document.createElement("div");
   linksEl.style.cssText =
-    "border-top:1px solid #d8dee4;padding-top:12px;margin-bottom:16px;" +
+    "border-top:1px solid var(--mdpad-border-muted);padding-top:12px;margin-bottom:16px;" +
     "display:flex;flex-direction:column;gap:6px;";
 
   const supportLink = document.createElement("div");
-  supportLink.style.cssText = "font-size:12px;color:#57606a;display:flex;align-items:center;justify-content:center;gap:6px;";
+  supportLink.style.cssText = "font-size:12px;color:var(--mdpad-fg-muted);display:flex;align-items:center;justify-content:center;gap:6px;";
   const supportLabel = document.createElement("span");
   supportLabel.textContent = t("app.support") + ":";
   const supportA = document.createElement("a");
   supportA.textContent = "github.com/pumpCurry/mdpad";
   supportA.href = "#";
-  supportA.style.cssText = "color:#0969da;text-decoration:none;cursor:pointer;";
+  supportA.style.cssText = "color:var(--mdpad-accent-fg);text-decoration:none;cursor:pointer;";
   supportA.onclick = (e) => { e.preventDefault(); window.mdpad.openExternal("https://github.com/pumpCurry/mdpad"); };
   supportA.onmouseover = () => { supportA.style.textDecoration = "underline"; };
   supportA.onmouseout = () => { supportA.style.textDecoration = "none"; };
@@ -944,13 +1293,13 @@ async function showAboutDialog() {
   linksEl.appendChild(supportLink);
 
   const devLink = document.createElement("div");
-  devLink.style.cssText = "font-size:12px;color:#57606a;display:flex;align-items:center;justify-content:center;gap:6px;";
+  devLink.style.cssText = "font-size:12px;color:var(--mdpad-fg-muted);display:flex;align-items:center;justify-content:center;gap:6px;";
   const devLabel = document.createElement("span");
   devLabel.textContent = t("app.devSite") + ":";
   const devA = document.createElement("a");
   devA.textContent = "542.jp";
   devA.href = "#";
-  devA.style.cssText = "color:#0969da;text-decoration:none;cursor:pointer;";
+  devA.style.cssText = "color:var(--mdpad-accent-fg);text-decoration:none;cursor:pointer;";
   devA.onclick = (e) => { e.preventDefault(); window.mdpad.openExternal("https://542.jp/"); };
   devA.onmouseover = () => { devA.style.textDecoration = "underline"; };
   devA.onmouseout = () => { devA.style.textDecoration = "none"; };
@@ -964,11 +1313,11 @@ async function showAboutDialog() {
   const closeBtn = document.createElement("button");
   closeBtn.textContent = "OK";
   closeBtn.style.cssText =
-    "padding:6px 32px;border:1px solid #d0d7de;border-radius:6px;" +
-    "background:#f6f8fa;cursor:pointer;font-size:13px;color:#24292f;" +
+    "padding:6px 32px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;color:var(--mdpad-fg);" +
     "transition:background 0.15s;";
-  closeBtn.onmouseover = () => { closeBtn.style.background = "#e8ebef"; };
-  closeBtn.onmouseout = () => { closeBtn.style.background = "#f6f8fa"; };
+  closeBtn.onmouseover = () => { closeBtn.style.background = "var(--mdpad-bg-hover)"; };
+  closeBtn.onmouseout = () => { closeBtn.style.background = "var(--mdpad-bg-subtle)"; };
   closeBtn.onclick = () => { overlay.remove(); focus(); };
   dialog.appendChild(closeBtn);
 
@@ -990,6 +1339,218 @@ async function showAboutDialog() {
   });
 }
 
+// --- Export ---
+
+/** Title for exported documents: the front matter title, else the file name without extension. */
+function getExportTitle() {
+  const docTitle = getFrontMatterTitle(getContent());
+  if (docTitle) return docTitle;
+  if (!currentFilePath) return t("app.untitled");
+  return currentFilePath.split(/[\\/]/).pop().replace(/\.[^.]+$/, "");
+}
+
+/**
+ * Export the current document as a self-contained HTML file.
+ * Rendering happens here (same pipeline as the preview); the main process
+ * embeds styles and local images and writes the file.
+ */
+async function exportHtml() {
+  let result;
+  try {
+    const bodyHtml = await renderForExport(getContent(), currentFilePath);
+    result = await window.mdpad.exportHtml({
+      bodyHtml,
+      title: getExportTitle(),
+      filePath: currentFilePath,
+      theme: getResolvedPreviewTheme(),
+    });
+  } catch (err) {
+    result = { path: null, error: err.message };
+  }
+  if (!result) return;
+  if (result.error) showExportErrorDialog(result.path, result.error);
+  else showExportDoneDialog(result.path);
+}
+
+/**
+ * Export the current document as PDF. Page setup comes from the dialog;
+ * an optional table of contents page is prepended to the rendered body.
+ */
+async function exportPdf() {
+  const options = await showPdfExportDialog();
+  if (!options) {
+    focus();
+    return;
+  }
+  const content = getContent();
+  let result;
+  try {
+    let bodyHtml = await renderForExport(content, currentFilePath);
+    if (options.toc) bodyHtml = buildTocHtml(content) + bodyHtml;
+    result = await window.mdpad.exportPdf({
+      bodyHtml,
+      title: getExportTitle(),
+      filePath: currentFilePath,
+      options,
+      theme: getResolvedPreviewTheme(),
+    });
+  } catch (err) {
+    result = { path: null, error: err.message };
+  }
+  if (!result) focus();
+  else if (result.error) showExportErrorDialog(result.path, result.error);
+  else showExportDoneDialog(result.path);
+}
+
+/**
+ * Notify that an export finished, with a shortcut to reveal the file.
+ */
+function showExportDoneDialog(filePath) {
+  if (document.getElementById("export-done-overlay")) return;
+
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "export-done-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.3);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:20vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:16px 20px;width:420px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("export.doneTitle");
+  titleEl.style.cssText = "font-size:14px;font-weight:600;margin-bottom:8px;color:var(--mdpad-fg);";
+  modal.appendChild(titleEl);
+
+  const pathEl = document.createElement("div");
+  pathEl.textContent = filePath;
+  pathEl.style.cssText =
+    "font-size:12px;color:var(--mdpad-fg-muted);margin-bottom:16px;word-break:break-all;" +
+    "font-family:monospace;";
+  modal.appendChild(pathEl);
+
+  const btnRow = document.createElement("div");
+  btnRow.style.cssText = "display:flex;gap:8px;justify-content:flex-end;";
+
+  const folderBtn = document.createElement("button");
+  folderBtn.textContent = t("export.showInFolder");
+  folderBtn.style.cssText =
+    "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+  folderBtn.onclick = () => {
+    window.mdpad.showItemInFolder(filePath);
+    close();
+  };
+
+  const okBtn = document.createElement("button");
+  okBtn.textContent = "OK";
+  okBtn.style.cssText =
+    "padding:6px 16px;border:none;border-radius:6px;" +
+    "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+  okBtn.onclick = () => close();
+
+  btnRow.appendChild(folderBtn);
+  btnRow.appendChild(okBtn);
+  modal.appendChild(btnRow);
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" || e.key === "Enter") {
+      e.preventDefault();
+      close();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  okBtn.focus();
+
+  function close() {
+    overlay.remove();
+    focus();
+  }
+}
+
+/**
+ * Report a failed export (rendering, printing or writing the file).
+ */
+function showExportErrorDialog(filePath, message) {
+  if (document.getElementById("export-error-overlay")) return;
+
+  window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+  const overlay = document.createElement("div");
+  overlay.id = "export-error-overlay";
+  overlay.style.cssText =
+    "position:fixed;top:0;left:0;right:0;bottom:0;" +
+    "background:rgba(0,0,0,0.3);z-index:100001;" +
+    "display:flex;align-items:flex-start;justify-content:center;padding-top:20vh;";
+
+  const modal = document.createElement("div");
+  modal.style.cssText =
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+    "padding:16px 20px;width:420px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
+
+  const titleEl = document.createElement("div");
+  titleEl.textContent = t("export.errorTitle");
+  titleEl.style.cssText = "font-size:14px;font-weight:600;margin-bottom:8px;color:var(--mdpad-danger-fg);";
+  modal.appendChild(titleEl);
+
+  if (filePath) {
+    const pathEl = document.createElement("div");
+    pathEl.textContent = filePath;
+    pathEl.style.cssText =
+      "font-size:12px;color:var(--mdpad-fg-muted);margin-bottom:8px;word-break:break-all;" +
+      "font-family:monospace;";
+    modal.appendChild(pathEl);
+  }
+
+  const messageEl = document.createElement("pre");
+  messageEl.className = "export-error-message";
+  messageEl.textContent = message;
+  messageEl.style.cssText =
+    "margin:0 0 16px;padding:8px 10px;max-height:30vh;overflow:auto;" +
+    "background:var(--mdpad-bg-subtle);border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "font-family:'Cascadia Code','Consolas','Courier New',monospace;font-size:12px;" +
+    "white-space:pre-wrap;word-break:break-all;user-select:text;";
+  modal.appendChild(messageEl);
+
+  const okBtn = document.createElement("button");
+  okBtn.textContent = "OK";
+  okBtn.style.cssText =
+    "display:block;margin-left:auto;padding:6px 20px;border:1px solid var(--mdpad-border);" +
+    "border-radius:6px;background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+  okBtn.onclick = () => close();
+  modal.appendChild(okBtn);
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  overlay.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" || e.key === "Enter") {
+      e.preventDefault();
+      close();
+    }
+  });
+  overlay.addEventListener("mousedown", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  okBtn.focus();
+
+  function close() {
+    overlay.remove();
+    focus();
+  }
+}
+
 /**
  * Show HTML confirmation dialog before discarding unsaved changes.
  * Replaces native dialog.showMessageBox().
@@ -1015,7 +1576,7 @@ function showConfirmSaveDialog() {
 
     const modal = document.createElement("div");
     modal.style.cssText =
-      "background:#ffffff;border:1px solid #d0d7de;border-radius:8px;" +
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
       "padding:20px;width:420px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
 
     // Title row with × button
@@ -1024,13 +1585,13 @@ function showConfirmSaveDialog() {
 
     const titleEl = document.createElement("div");
     titleEl.textContent = t("dialog.saveConfirmMessage");
-    titleEl.style.cssText = "font-size:16px;font-weight:700;color:#24292f;";
+    titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);";
     titleRow.appendChild(titleEl);
 
     const closeXBtn = document.createElement("button");
     closeXBtn.textContent = "×";
     closeXBtn.style.cssText =
-      "border:none;background:transparent;font-size:20px;color:#57606a;" +
+      "border:none;background:transparent;font-size:20px;color:var(--mdpad-fg-muted);" +
       "cursor:pointer;padding:0 4px;line-height:1;";
     closeXBtn.onclick = () => done("cancel");
     titleRow.appendChild(closeXBtn);
@@ -1039,7 +1600,7 @@ function showConfirmSaveDialog() {
     // Detail message
     const msgEl = document.createElement("div");
     msgEl.textContent = t("dialog.saveConfirmDetail");
-    msgEl.style.cssText = "font-size:14px;color:#57606a;margin-bottom:16px;line-height:1.5;";
+    msgEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:16px;line-height:1.5;";
     modal.appendChild(msgEl);
 
     // Buttons row: [Don't Save] ...space... [Cancel] [Save]
@@ -1049,8 +1610,8 @@ function showConfirmSaveDialog() {
     const dontSaveBtn = document.createElement("button");
     dontSaveBtn.textContent = t("dialog.saveConfirmDontSave");
     dontSaveBtn.style.cssText =
-      "padding:6px 16px;border:1px solid #cf222e;border-radius:6px;" +
-      "background:#fff;color:#cf222e;cursor:pointer;font-size:13px;" +
+      "padding:6px 16px;border:1px solid var(--mdpad-danger-fg);border-radius:6px;" +
+      "background:var(--mdpad-bg);color:var(--mdpad-danger-fg);cursor:pointer;font-size:13px;" +
       "margin-right:auto;";
     dontSaveBtn.tabIndex = 3;
     dontSaveBtn.onclick = () => done("dontSave");
@@ -1058,8 +1619,8 @@ function showConfirmSaveDialog() {
     const cancelBtn = document.createElement("button");
     cancelBtn.textContent = t("dialog.saveConfirmCancel");
     cancelBtn.style.cssText =
-      "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-      "background:#f6f8fa;cursor:pointer;font-size:13px;";
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
     cancelBtn.tabIndex = 2;
     cancelBtn.onclick = () => done("cancel");
 
@@ -1067,7 +1628,7 @@ function showConfirmSaveDialog() {
     saveBtn.textContent = t("dialog.saveConfirmTitle");
     saveBtn.style.cssText =
       "padding:6px 16px;border:none;border-radius:6px;" +
-      "background:#2da44e;color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+      "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
     saveBtn.tabIndex = 1;
     saveBtn.onclick = () => done("save");
 
@@ -1112,6 +1673,7 @@ async function refreshGitInfo() {
     setDiffGitAvailable(false);
     clearGitHeadCache();
     clearDiffGitHeadCache();
+    setBlame(getEditor(), null);
     return;
   }
   try {
@@ -1122,6 +1684,7 @@ async function refreshGitInfo() {
     setDiffGitAvailable(tracked);
     clearGitHeadCache();
     clearDiffGitHeadCache();
+    refreshBlame();
   } catch {
     setGitInfo(null);
     setGitAvailable(false);
@@ -1129,6 +1692,95 @@ async function refreshGitInfo() {
   }
 }
 
+/**
+ * Reload git blame for the current file (when the blame gutter is on).
+ * Blame is taken from the file on disk and mapped onto the buffer.
+ */
+async function refreshBlame() {
+  if (!isBlameEnabled()) return;
+  const filePath = currentFilePath;
+  if (!filePath) {
+    setBlame(getEditor(), null);
+    return;
+  }
+  let blame = null;
+  try {
+    blame = await window.mdpad.getGitBlame(filePath, currentEncoding);
+  } catch {
+    blame = null;
+  }
+  // Another tab became active while blaming
+  if (filePath !== currentFilePath) return;
+  setBlame(getEditor(), blame);
+}
+
+/**
+ * Open the Git panel (status, stage, commit, push) for the current file.
+ */
+function openGitPanel() {
+  if (!currentFilePath) return;
+  showGitPanel({
+    filePath: currentFilePath,
+    isDirty,
+    onChanged: onGitChanged,
+    // Stage selected hunks: index vs. buffer in the diff pane
+    onStageHunks: () => openGitDiff(INDEX_REVISION, null),
+  });
+}
+
+/**
+ * Open the file history browser for the current file.
+ * Restoring a revision replaces the buffer as one undoable change.
+ */
+function openGitHistory() {
+  if (!currentFilePath) return;
+  showGitHistory({
+    filePath: currentFilePath,
+    onRestore: (content) => {
+      setContent(content);
+      focus();
+    },
+    onShowDiff: openGitDiff,
+  });
+}
+
+/**
+ * Show two git revisions in the diff pane (target null = editor buffer).
+ */
+function openGitDiff(base, target) {
+  showGitRevisions(base, target);
+  if (!getPaneState().diff) togglePane("diff");
+  updateButtonStates();
+}
+
+/**
+ * The index or HEAD moved (stage, commit): refresh git-dependent UI.
+ */
+async function onGitChanged() {
+  if (!currentFilePath) return;
+  await window.mdpad.invalidateGitCache(currentFilePath);
+  refreshGitInfo();
+}
+
+/**
+ * Open the diff pane on the change a commit made to the current file
+ * (blame gutter click): the commit's parent version vs. the commit.
+ */
+function showBlameCommit(commit) {
+  const short = commit.hash.slice(0, 7);
+  const target = { rev: commit.hash, path: commit.path, label: short, title: `${short} ${commit.summary}` };
+  const base = commit.previous
+    ? {
+        rev: commit.previous.hash,
+        path: commit.previous.path,
+        label: commit.previous.hash.slice(0, 7),
+        title: commit.previous.hash.slice(0, 7),
+      }
+    // The commit added the file: compare against an empty parent
+    : { rev: `${commit.hash}^`, path: null, label: `${short}^`, title: `${short}^`, empty: true };
+  openGitDiff(base, target);
+}
+
 async function newFile() {
   if (isDirty) {
     const result = await showConfirmSaveDialog();
@@ -1145,14 +1797,15 @@ async function newFile() {
   isDirty = false;
   currentEol = navigator.platform.startsWith("Win") ? "CRLF" : "LF";
   setEolDisplay(currentEol);
+  currentEncoding = DEFAULT_ENCODING;
+  currentBom = false;
+  setEncodingDisplay(currentEncoding, currentBom);
   setContentClean("");
   setOriginalContent("");
   setPreviewBaseDir(null);
-  stopAutosaveTimer();
-  stopFileWatch();
+  stopFileWatch(activeTabId);
   updateTitle();
-  await window.mdpad.clearSession();
-  await window.mdpad.clearAutosaveBackup();
+  await afterActiveTabClean();
 
   const state = getPaneState();
   if (state.preview) updatePreviewImmediate("");
@@ -1161,39 +1814,10 @@ async function newFile() {
 }
 
 async function openFile() {
-  if (isDirty) {
-    const result = await showConfirmSaveDialog();
-    if (result === "save") {
-      const saved = await saveFile();
-      if (!saved) return;
-    } else if (result === "cancel") {
-      return;
-    }
-  }
-
   const result = await window.mdpad.openFile();
   if (!result) return;
 
-  currentFilePath = result.path;
-  originalContent = result.content;
-  isDirty = false;
-  // Update EOL from detected value; Mixed falls back to OS default
-  const defaultEol = navigator.platform.startsWith("Win") ? "CRLF" : "LF";
-  currentEol = (result.eol && result.eol !== "Mixed") ? result.eol : defaultEol;
-  setEolDisplay(currentEol);
-  setContentClean(result.content);
-  setOriginalContent(result.content);
-  setPreviewBaseDir(result.path);
-  stopAutosaveTimer();
-  startFileWatch(result.path);
-  updateTitle();
-  await window.mdpad.clearSession();
-  await window.mdpad.clearAutosaveBackup();
-
-  const state = getPaneState();
-  if (state.preview) updatePreviewImmediate(result.content);
-  if (state.diff) updateDiff(result.content, originalContent);
-  refreshGitInfo();
+  await showOpenedFile(result);
 }
 
 async function saveFile() {
@@ -1202,16 +1826,17 @@ async function saveFile() {
   }
   const content = getContent();
   const contentToWrite = applyEol(content, currentEol);
+  if (!(await ensureEncodable(contentToWrite))) return false;
   // Self-write protection: ignore file watcher events during save
-  await window.mdpad.setFileIgnoring(true);
-  await window.mdpad.saveFile(currentFilePath, contentToWrite);
-  setTimeout(() => window.mdpad.setFileIgnoring(false), 1000);
+  const tabId = activeTabId;
+  await window.mdpad.setFileIgnoring(true, tabId);
+  await window.mdpad.saveFile(currentFilePath, contentToWrite, currentEncoding, currentBom);
+  setTimeout(() => window.mdpad.setFileIgnoring(false, tabId), 1000);
   originalContent = content;
   setOriginalContent(content);
   isDirty = false;
   updateTitle();
-  await window.mdpad.clearSession();
-  await window.mdpad.clearAutosaveBackup();
+  await afterActiveTabClean();
   await window.mdpad.invalidateGitCache(currentFilePath);
   refreshGitInfo();
   return true;
@@ -1220,19 +1845,20 @@ async function saveFile() {
 async function saveFileAs() {
   const content = getContent();
   const contentToWrite = applyEol(content, currentEol);
-  const result = await window.mdpad.saveFileAs(contentToWrite, currentFilePath);
+  if (!(await ensureEncodable(contentToWrite))) return false;
+  const result = await window.mdpad.saveFileAs(contentToWrite, currentFilePath, currentEncoding, currentBom);
   if (!result) return false;
   // Self-write protection: ignore file watcher events during save
-  await window.mdpad.setFileIgnoring(true);
-  setTimeout(() => window.mdpad.setFileIgnoring(false), 1000);
+  const tabId = activeTabId;
+  await window.mdpad.setFileIgnoring(true, tabId);
+  setTimeout(() => window.mdpad.setFileIgnoring(false, tabId), 1000);
   currentFilePath = result.path;
   originalContent = content;
   setOriginalContent(content);
   setPreviewBaseDir(result.path);
   isDirty = false;
   updateTitle();
-  await window.mdpad.clearSession();
-  await window.mdpad.clearAutosaveBackup();
+  await afterActiveTabClean();
   await window.mdpad.invalidateGitCache(currentFilePath);
   refreshGitInfo();
   // Start watching the new file path
@@ -1246,27 +1872,290 @@ async function loadFileByPath(filePath) {
   const result = await window.mdpad.openFileByPath(filePath);
   if (!result) return;
 
-  currentFilePath = result.path;
-  originalContent = result.content;
-  isDirty = false;
+  await showOpenedFile(result);
+}
+
+/**
+ * Show a file read from disk: activate its tab when it is already open,
+ * otherwise open it in a new tab (reusing an untouched empty tab).
+ */
+async function showOpenedFile(result) {
+  const existing = findTabByPath(result.path);
+  if (existing) {
+    activateTab(existing.id);
+    return;
+  }
+
+  // Update EOL from detected value; Mixed falls back to OS default
   const defaultEol = navigator.platform.startsWith("Win") ? "CRLF" : "LF";
-  currentEol = (result.eol && result.eol !== "Mixed") ? result.eol : defaultEol;
+  const tab = openDocumentInTab({
+    filePath: result.path,
+    content: result.content,
+    originalContent: result.content,
+    isDirty: false,
+    eol: (result.eol && result.eol !== "Mixed") ? result.eol : defaultEol,
+    encoding: result.encoding,
+    bom: result.bom,
+  });
+  startFileWatch(result.path, tab.id);
+  await afterActiveTabClean();
+}
+
+// --- Tabs ---
+
+function createTabRecord({
+  filePath = null, content = "", originalContent = "", isDirty = false, eol = null, encoding = null, bom = false,
+}) {
+  return {
+    id: nextTabId++,
+    filePath,
+    originalContent,
+    isDirty,
+    eol: eol || (navigator.platform.startsWith("Win") ? "CRLF" : "LF"),
+    encoding: encoding || DEFAULT_ENCODING,
+    bom: !!bom,
+    editorState: createDocumentState(content),
+  };
+}
+
+function getTabFilePath(tab) {
+  return tab.id === activeTabId ? currentFilePath : tab.filePath;
+}
+
+function findTabByPath(filePath) {
+  if (!filePath) return null;
+  const normalize = (p) => (navigator.platform.startsWith("Win") ? p.toLowerCase() : p);
+  return tabs.find((tab) => {
+    const tabPath = getTabFilePath(tab);
+    return tabPath && normalize(tabPath) === normalize(filePath);
+  }) || null;
+}
+
+function hasDirtyTabs() {
+  return isDirty || tabs.some((tab) => tab.id !== activeTabId && tab.isDirty);
+}
+
+/**
+ * Plain snapshot of a tab's document (session, autosave, resume save).
+ */
+function getTabSnapshot(tab) {
+  if (tab.id === activeTabId) {
+    return {
+      tabId: tab.id,
+      filePath: currentFilePath,
+      content: getContent(),
+      originalContent,
+      isDirty,
+      eol: currentEol,
+      encoding: currentEncoding,
+      bom: currentBom,
+    };
+  }
+  return {
+    tabId: tab.id,
+    filePath: tab.filePath,
+    content: tab.editorState.doc.toString(),
+    originalContent: tab.originalContent,
+    isDirty: tab.isDirty,
+    eol: tab.eol,
+    encoding: tab.encoding,
+    bom: tab.bom,
+  };
+}
+
+function renderTabBar() {
+  const items = tabs.map((tab) => ({
+    id: tab.id,
+    filePath: getTabFilePath(tab),
+    isDirty: tab.id === activeTabId ? isDirty : tab.isDirty,
+  }));
+  // Skip re-rendering on every keystroke when nothing visible changed
+  const key = JSON.stringify([activeTabId, items]);
+  if (key === lastTabBarKey) return;
+  lastTabBarKey = key;
+  renderTabs(items, activeTabId);
+}
+
+/** Copy the active document from the globals/editor into its tab record. */
+function stashActiveTab() {
+  const tab = tabs.find((item) => item.id === activeTabId);
+  if (!tab) return;
+  tab.filePath = currentFilePath;
+  tab.originalContent = originalContent;
+  tab.isDirty = isDirty;
+  tab.eol = currentEol;
+  tab.encoding = currentEncoding;
+  tab.bom = currentBom;
+  tab.editorState = getEditorState();
+}
+
+/** Make a tab the active document. The previous one must be stashed (or removed) first. */
+function loadTab(tab) {
+  cancelMerge(); // A merge belongs to the tab it was started in
+  activeTabId = tab.id;
+  currentFilePath = tab.filePath;
+  originalContent = tab.originalContent;
+  isDirty = tab.isDirty;
+  currentEol = tab.eol;
+  currentEncoding = tab.encoding;
+  currentBom = tab.bom;
+  setEditorState(tab.editorState);
+  tab.editorState = null; // Active tab's state lives in the editor
+
   setEolDisplay(currentEol);
-  setContentClean(result.content);
-  setOriginalContent(result.content);
-  setPreviewBaseDir(result.path);
-  stopAutosaveTimer();
-  startFileWatch(result.path);
+  setEncodingDisplay(currentEncoding, currentBom);
+  setOriginalContent(originalContent);
+  setPreviewBaseDir(currentFilePath);
   updateTitle();
-  await window.mdpad.clearSession();
-  await window.mdpad.clearAutosaveBackup();
 
+  const content = getContent();
   const state = getPaneState();
-  if (state.preview) updatePreviewImmediate(result.content);
-  if (state.diff) updateDiff(result.content, originalContent);
+  if (state.preview) updatePreviewImmediate(content);
+  if (state.diff) updateDiff(content, originalContent);
+  if (state.toc) updateToc(content);
+  updateStatusBar();
+  triggerGlobalSearchUpdate();
   refreshGitInfo();
 }
 
+function activateTab(id) {
+  if (id === activeTabId) return;
+  const tab = tabs.find((item) => item.id === id);
+  if (!tab) return;
+  stashActiveTab();
+  loadTab(tab);
+  focus();
+}
+
+function cycleTab(direction) {
+  if (tabs.length < 2) return;
+  const idx = tabs.findIndex((tab) => tab.id === activeTabId);
+  const next = tabs[(idx + direction + tabs.length) % tabs.length];
+  activateTab(next.id);
+}
+
+/** Whether the active tab is an untouched, empty untitled document. */
+function isActiveTabPristine() {
+  return !currentFilePath && !isDirty && getContent() === "";
+}
+
+/**
+ * Open a document in a new tab right after the active one.
+ * An untouched empty active tab is replaced instead of kept around.
+ */
+function openDocumentInTab(doc) {
+  const tab = createTabRecord(doc);
+  const idx = tabs.findIndex((item) => item.id === activeTabId);
+  if (isActiveTabPristine()) {
+    tabs.splice(idx, 1, tab);
+  } else {
+    stashActiveTab();
+    tabs.splice(idx + 1, 0, tab);
+  }
+  loadTab(tab);
+  return tab;
+}
+
+/**
+ * Follow a rename/move made in the Explorer pane: tabs showing the moved
+ * file (or a file inside a moved folder) switch to the new path.
+ */
+function retargetTabs(oldPath, newPath) {
+  for (const tab of tabs) {
+    const tabPath = getTabFilePath(tab);
+    if (!tabPath) continue;
+    let updated = null;
+    if (tabPath === oldPath) {
+      updated = newPath;
+    } else if (tabPath.startsWith(oldPath + "/") || tabPath.startsWith(oldPath + "\\")) {
+      updated = newPath + tabPath.slice(oldPath.length);
+    }
+    if (!updated) continue;
+
+    if (tab.id === activeTabId) {
+      currentFilePath = updated;
+      setPreviewBaseDir(currentFilePath);
+      refreshGitInfo();
+    } else {
+      tab.filePath = updated;
+    }
+    startFileWatch(updated, tab.id);
+  }
+  updateTitle();
+}
+
+function newTab() {
+  if (isActiveTabPristine()) {
+    focus();
+    return;
+  }
+  openDocumentInTab({});
+  focus();
+}
+
+/**
+ * Open a new untitled tab filled from a template. Variables are expanded and
+ * the tab stops become snippet fields to fill in with Tab / Shift+Tab.
+ */
+async function newFromTemplate(fileName) {
+  const content = await window.mdpad.readTemplate(fileName);
+  if (content === null) return;
+  newTab();
+  const view = getEditor();
+  await insertSnippet(view, content.replace(/\r\n?/g, "\n"), 0, view.state.doc.length);
+  focus();
+}
+
+/**
+ * Close a tab, asking to save it first when it has unsaved changes.
+ * Closing the last tab leaves a fresh empty one.
+ */
+async function closeTab(id) {
+  const tab = tabs.find((item) => item.id === id);
+  if (!tab) return;
+
+  const dirty = id === activeTabId ? isDirty : tab.isDirty;
+  if (dirty) {
+    activateTab(id);
+    const result = await showConfirmSaveDialog();
+    if (result === "save") {
+      const saved = await saveFile();
+      if (!saved) return;
+    } else if (result === "cancel") {
+      return;
+    }
+    // "dontSave" → proceed without saving
+  }
+
+  stopFileWatch(id);
+  window.mdpad.clearAutosaveBackup(id);
+
+  const idx = tabs.findIndex((item) => item.id === id);
+  tabs.splice(idx, 1);
+  if (id === activeTabId) {
+    if (tabs.length === 0) tabs.push(createTabRecord({}));
+    loadTab(tabs[Math.min(idx, tabs.length - 1)]);
+  } else {
+    renderTabBar();
+  }
+
+  if (!hasDirtyTabs()) stopAutosaveTimer();
+  await updateSessionState();
+  focus();
+}
+
+/**
+ * Housekeeping after the active tab became clean (open, save, reload):
+ * drops its backup and refreshes the window-wide session/autosave state.
+ */
+async function afterActiveTabClean() {
+  cancelMerge();
+  refreshChangeGutter();
+  if (!hasDirtyTabs()) stopAutosaveTimer();
+  await window.mdpad.clearAutosaveBackup(activeTabId);
+  await updateSessionState();
+}
+
 // --- Drag-and-drop ---
 
 function initDragAndDrop() {
@@ -1290,16 +2179,26 @@ function initDragAndDrop() {
     const files = e.dataTransfer?.files;
     if (!files || files.length === 0) return;
 
+    // Images dropped on the editor are copied into the asset folder and linked
+    const images = Array.from(files).filter(isImageFile);
+    if (!e.shiftKey && images.length > 0 && isInsideEditor(e.target, editorPaneEl)) {
+      const editor = getEditor();
+      const pos = editor ? editor.posAtCoords({ x: e.clientX, y: e.clientY }) : null;
+      await insertImageFiles(editor, images, { pos, dropped: true });
+      return;
+    }
+
     const file = files[0];
     const filePath = window.mdpad.getFilePath(file);
     if (!filePath) return;
 
     // DnD behavior:
-    //   Shift+Drop (anywhere): open file in CURRENT window (replace, with confirmation)
+    //   Shift+Drop (anywhere): open file in CURRENT window (new tab)
+    //   Image files dropped on the editor: handled above
     //   DnD Insert Mode ON + drop on editor: insert content at cursor
     //   Default (no modifier, insert mode off): open in NEW process
     if (e.shiftKey) {
-      // --- Shift+Drop: replace current document ---
+      // --- Shift+Drop: open in a tab of this window ---
       await openFileInCurrentWindow(filePath);
     } else if (isDndInsertMode() && isInsideEditor(e.target, editorPaneEl)) {
       // --- Insert mode: read file content and insert at drop position ---
@@ -1326,21 +2225,9 @@ function initDragAndDrop() {
 }
 
 /**
- * Open a file in the current window, replacing current content.
- * Shows confirmation if current document has unsaved changes.
+ * Open a file in the current window, in a new tab (or its existing tab).
  */
 async function openFileInCurrentWindow(filePath) {
-  if (isDirty) {
-    const result = await showConfirmSaveDialog();
-    if (result === "save") {
-      const saved = await saveFile();
-      if (!saved) return;
-    } else if (result === "cancel") {
-      return;
-    }
-    // "dontSave" → proceed without saving
-  }
-
   await loadFileByPath(filePath);
   // ファイル読み込み完了後、スマートレイアウトを適用
   // （プレビューペインの自動表示）
@@ -1379,10 +2266,13 @@ function readFileAsText(file) {
 
 function saveSessionState() {
   try {
+    // Top-level fields describe the active tab (older readers use them)
     window.mdpad.saveSession({
       content: getContent(),
       filePath: currentFilePath,
       isDirty,
+      tabs: tabs.map(getTabSnapshot),
+      activeIndex: tabs.findIndex((tab) => tab.id === activeTabId),
       timestamp: Date.now(),
     });
   } catch {
@@ -1390,40 +2280,58 @@ function saveSessionState() {
   }
 }
 
-// --- File watching ---
+/**
+ * Save the session while any tab is dirty, otherwise drop it.
+ */
+async function updateSessionState() {
+  if (hasDirtyTabs()) {
+    saveSessionState();
+  } else {
+    await window.mdpad.clearSession();
+  }
+}
+
+// --- File watching (one watcher per tab) ---
 
-async function startFileWatch(filePath) {
-  await window.mdpad.unwatchFile(); // Stop any previous watch
+async function startFileWatch(filePath, tabId = activeTabId) {
+  await window.mdpad.unwatchFile(tabId); // Stop any previous watch
   if (filePath && fileWatchEnabled) {
-    await window.mdpad.watchFile(filePath);
+    await window.mdpad.watchFile(filePath, tabId);
   }
 }
 
-async function stopFileWatch() {
-  await window.mdpad.unwatchFile();
+// Omitting tabId stops the watchers of every tab
+async function stopFileWatch(tabId) {
+  await window.mdpad.unwatchFile(tabId);
 }
 
 /**
  * Reload the current file from disk (used when external change detected).
+ * @param {string} [encoding] - Decode with this encoding instead of detecting it
  */
-async function reloadCurrentFile() {
+async function reloadCurrentFile(encoding) {
   if (!currentFilePath) return;
-  const result = await window.mdpad.openFileByPath(currentFilePath);
+  const result = await window.mdpad.openFileByPath(currentFilePath, encoding);
   if (!result) return;
 
+  cancelMerge();
   originalContent = result.content;
   isDirty = false;
   const defaultEol = navigator.platform.startsWith("Win") ? "CRLF" : "LF";
   currentEol = (result.eol && result.eol !== "Mixed") ? result.eol : defaultEol;
   setEolDisplay(currentEol);
+  currentEncoding = result.encoding || DEFAULT_ENCODING;
+  currentBom = !!result.bom;
+  setEncodingDisplay(currentEncoding, currentBom);
   setContentClean(result.content);
   setOriginalContent(result.content);
-  stopAutosaveTimer();
+  if (!hasDirtyTabs()) stopAutosaveTimer();
   updateTitle();
 
   const state = getPaneState();
   if (state.preview) updatePreviewImmediate(result.content);
   if (state.diff) updateDiff(result.content, originalContent);
+  if (state.toc) updateToc(result.content);
 
   // Re-fetch git info (file may have changed in repo)
   await window.mdpad.invalidateGitCache(currentFilePath);
@@ -1434,6 +2342,23 @@ async function reloadCurrentFile() {
   triggerGlobalSearchUpdate();
 }
 
+/**
+ * Reload a clean background tab from disk without activating it.
+ */
+async function reloadInactiveTab(tab) {
+  const result = await window.mdpad.openFileByPath(tab.filePath);
+  if (!result) return;
+
+  const defaultEol = navigator.platform.startsWith("Win") ? "CRLF" : "LF";
+  tab.originalContent = result.content;
+  tab.isDirty = false;
+  tab.eol = (result.eol && result.eol !== "Mixed") ? result.eol : defaultEol;
+  tab.encoding = result.encoding || DEFAULT_ENCODING;
+  tab.bom = !!result.bom;
+  tab.editorState = createDocumentState(result.content);
+  await window.mdpad.invalidateGitCache(tab.filePath);
+}
+
 /**
  * Handle F5/menu reload action.
  * If no file is open, do nothing.
@@ -1479,6 +2404,10 @@ async function saveResumeBackupNow() {
       filePath: currentFilePath,
       originalContent: originalContent,
       isDirty: true,
+      eol: currentEol,
+      encoding: currentEncoding,
+      bom: currentBom,
+      tabId: activeTabId,
     });
   } catch {
     // Ignore
@@ -1487,10 +2416,10 @@ async function saveResumeBackupNow() {
 
 /**
  * Shared 3-button reload confirmation dialog.
- * Layout: [Discard & Reload] (left, red)  [Cancel/Ignore] (gray)  [Save & Reload] (green)
- * Returns: Promise<"discard" | "save" | "cancel">
+ * Layout: [Discard & Reload] (left, red)  [Merge] (optional)  [Cancel/Ignore] (gray)  [Save & Reload] (green)
+ * Returns: Promise<"discard" | "merge" | "save" | "cancel">
  */
-function showReloadConfirmDialog({ title, message, discardLabel, saveLabel, cancelLabel, overlayId }) {
+function showReloadConfirmDialog({ title, message, discardLabel, mergeLabel, saveLabel, cancelLabel, overlayId }) {
   return new Promise((resolve) => {
     // Prevent duplicate
     if (document.getElementById(overlayId)) {
@@ -1510,7 +2439,7 @@ function showReloadConfirmDialog({ title, message, discardLabel, saveLabel, canc
 
     const modal = document.createElement("div");
     modal.style.cssText =
-      "background:#ffffff;border:1px solid #d0d7de;border-radius:8px;" +
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
       "padding:20px;width:420px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
 
     // Title row with x button
@@ -1519,13 +2448,13 @@ function showReloadConfirmDialog({ title, message, discardLabel, saveLabel, canc
 
     const titleEl = document.createElement("div");
     titleEl.textContent = title;
-    titleEl.style.cssText = "font-size:16px;font-weight:700;color:#24292f;";
+    titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);";
     titleRow.appendChild(titleEl);
 
     const closeXBtn = document.createElement("button");
     closeXBtn.textContent = "\u00d7";
     closeXBtn.style.cssText =
-      "border:none;background:transparent;font-size:20px;color:#57606a;" +
+      "border:none;background:transparent;font-size:20px;color:var(--mdpad-fg-muted);" +
       "cursor:pointer;padding:0 4px;line-height:1;";
     closeXBtn.onclick = () => done("cancel");
     titleRow.appendChild(closeXBtn);
@@ -1533,7 +2462,7 @@ function showReloadConfirmDialog({ title, message, discardLabel, saveLabel, canc
 
     const msgEl = document.createElement("div");
     msgEl.textContent = message;
-    msgEl.style.cssText = "font-size:14px;color:#57606a;margin-bottom:16px;line-height:1.5;";
+    msgEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:16px;line-height:1.5;";
     modal.appendChild(msgEl);
 
     // Buttons: [Discard] ...space... [Cancel] [Save]
@@ -1543,8 +2472,8 @@ function showReloadConfirmDialog({ title, message, discardLabel, saveLabel, canc
     const discardBtn = document.createElement("button");
     discardBtn.textContent = discardLabel;
     discardBtn.style.cssText =
-      "padding:6px 16px;border:1px solid #cf222e;border-radius:6px;" +
-      "background:#fff;color:#cf222e;cursor:pointer;font-size:13px;" +
+      "padding:6px 16px;border:1px solid var(--mdpad-danger-fg);border-radius:6px;" +
+      "background:var(--mdpad-bg);color:var(--mdpad-danger-fg);cursor:pointer;font-size:13px;" +
       "margin-right:auto;";
     discardBtn.tabIndex = 3;
     discardBtn.onclick = () => done("discard");
@@ -1552,8 +2481,8 @@ function showReloadConfirmDialog({ title, message, discardLabel, saveLabel, canc
     const cancelBtn = document.createElement("button");
     cancelBtn.textContent = cancelLabel;
     cancelBtn.style.cssText =
-      "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-      "background:#f6f8fa;cursor:pointer;font-size:13px;";
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
     cancelBtn.tabIndex = 2;
     cancelBtn.onclick = () => done("cancel");
 
@@ -1561,11 +2490,21 @@ function showReloadConfirmDialog({ title, message, discardLabel, saveLabel, canc
     saveBtn.textContent = saveLabel;
     saveBtn.style.cssText =
       "padding:6px 16px;border:none;border-radius:6px;" +
-      "background:#2da44e;color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+      "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
     saveBtn.tabIndex = 1;
     saveBtn.onclick = () => done("save");
 
     btnRow.appendChild(discardBtn);
+    if (mergeLabel) {
+      const mergeBtn = document.createElement("button");
+      mergeBtn.textContent = mergeLabel;
+      mergeBtn.style.cssText =
+        "padding:6px 16px;border:1px solid var(--mdpad-accent-fg);border-radius:6px;" +
+        "background:var(--mdpad-bg);color:var(--mdpad-accent-fg);cursor:pointer;font-size:13px;";
+      mergeBtn.tabIndex = 2;
+      mergeBtn.onclick = () => done("merge");
+      btnRow.appendChild(mergeBtn);
+    }
     btnRow.appendChild(cancelBtn);
     btnRow.appendChild(saveBtn);
     modal.appendChild(btnRow);
@@ -1616,17 +2555,17 @@ function showSimpleReloadDialog() {
 
   const modal = document.createElement("div");
   modal.style.cssText =
-    "background:#ffffff;border:1px solid #d0d7de;border-radius:8px;" +
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
     "padding:20px;width:420px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
 
   const titleEl = document.createElement("div");
   titleEl.textContent = t("fileWatch.changed");
-  titleEl.style.cssText = "font-size:16px;font-weight:700;color:#24292f;margin-bottom:8px;";
+  titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);margin-bottom:8px;";
   modal.appendChild(titleEl);
 
   const msgEl = document.createElement("div");
   msgEl.textContent = t("fileWatch.simpleMessage");
-  msgEl.style.cssText = "font-size:14px;color:#57606a;margin-bottom:16px;line-height:1.5;";
+  msgEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:16px;line-height:1.5;";
   modal.appendChild(msgEl);
 
   const btnRow = document.createElement("div");
@@ -1635,15 +2574,15 @@ function showSimpleReloadDialog() {
   const ignoreBtn = document.createElement("button");
   ignoreBtn.textContent = t("fileWatch.ignore");
   ignoreBtn.style.cssText =
-    "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-    "background:#f6f8fa;cursor:pointer;font-size:13px;";
+    "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
   ignoreBtn.onclick = () => { overlay.remove(); focus(); };
 
   const reloadBtn = document.createElement("button");
   reloadBtn.textContent = t("fileWatch.reload");
   reloadBtn.style.cssText =
     "padding:6px 16px;border:none;border-radius:6px;" +
-    "background:#2da44e;color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+    "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
   reloadBtn.onclick = async () => {
     overlay.remove();
     await reloadCurrentFile();
@@ -1682,6 +2621,7 @@ async function showFileChangedDirtyDialog() {
     title: t("fileWatch.changed"),
     message: t("fileWatch.dirtyMessage"),
     discardLabel: t("fileWatch.discardReload"),
+    mergeLabel: t("fileWatch.merge"),
     saveLabel: t("fileWatch.saveReload"),
     cancelLabel: t("fileWatch.ignoreUpdate"),
     overlayId: "file-changed-overlay",
@@ -1694,11 +2634,54 @@ async function showFileChangedDirtyDialog() {
     if (saved) {
       await reloadCurrentFile();
     }
+  } else if (result === "merge") {
+    await startExternalMerge();
+    return;
   }
   // "cancel" → ignore
   focus();
 }
 
+/**
+ * Open a three-way merge in the diff pane: base = last loaded/saved content,
+ * ours = the editor buffer, theirs = the file now on disk.
+ */
+async function startExternalMerge(notice = "") {
+  if (!currentFilePath) return;
+  const result = await window.mdpad.openFileByPath(currentFilePath, currentEncoding);
+  if (!result) return;
+  openMergeView(originalContent, result.content, notice);
+}
+
+function openMergeView(base, theirs, notice = "") {
+  const session = { tabId: activeTabId, base, ours: getContent(), theirs };
+  startMerge({
+    ...session,
+    notice,
+    onAccept: (merged) => applyExternalMerge(session, merged),
+  });
+  if (!getPaneState().diff) togglePane("diff");
+}
+
+/**
+ * Put an accepted merge into the editor (undoable). The disk version becomes
+ * the new base, so the buffer stays dirty unless it equals the file on disk.
+ */
+function applyExternalMerge(session, merged) {
+  if (session.tabId !== activeTabId) return;
+  if (getContent() !== session.ours) {
+    // The buffer was edited while merging: merge again against the current text
+    startExternalMerge(t("diffPane.mergeRestarted"));
+    return;
+  }
+  setContent(merged);
+  originalContent = session.theirs;
+  setOriginalContent(originalContent);
+  isDirty = merged !== session.theirs.replace(/\r\n?/g, "\n");
+  updateTitle();
+  focus();
+}
+
 // --- Autosave (backup) ---
 
 function startAutosaveTimer() {
@@ -1715,7 +2698,7 @@ function startAutosaveTimer() {
   const intervalMs = autosaveMinutes * 60 * 1000;
   autosaveNextAt = Date.now() + intervalMs;
   autosaveTimer = setInterval(() => {
-    if (isDirty) {
+    if (hasDirtyTabs()) {
       performAutosaveBackup();
     }
     // Reset next-at for the next cycle
@@ -1740,15 +2723,14 @@ window.__mdpadGetAutosaveInfo = function() {
   return { minutes: autosaveMinutes, nextAt: autosaveNextAt };
 };
 
+// Each dirty tab is backed up to its own file
 function performAutosaveBackup() {
   try {
-    window.mdpad.saveAutosaveBackup({
-      content: getContent(),
-      filePath: currentFilePath,
-      originalContent: originalContent,
-      isDirty,
-      timestamp: Date.now(),
-    });
+    for (const tab of tabs) {
+      const snap = getTabSnapshot(tab);
+      if (!snap.isDirty) continue;
+      window.mdpad.saveAutosaveBackup({ ...snap, timestamp: Date.now() });
+    }
   } catch {
     // Ignore
   }
@@ -1822,7 +2804,7 @@ function showRecoveryModal(recoveries, autosaves) {
 
   const modal = document.createElement("div");
   modal.style.cssText =
-    "background:#ffffff;border:1px solid #d0d7de;border-radius:8px;" +
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
     "padding:20px;width:480px;max-height:70vh;display:flex;flex-direction:column;" +
     "box-shadow:0 8px 24px rgba(0,0,0,0.2);";
 
@@ -1832,13 +2814,13 @@ function showRecoveryModal(recoveries, autosaves) {
 
   const titleEl = document.createElement("div");
   titleEl.textContent = t("recovery.title");
-  titleEl.style.cssText = "font-size:16px;font-weight:700;color:#24292f;";
+  titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);";
   titleRow.appendChild(titleEl);
 
   const closeXBtn = document.createElement("button");
   closeXBtn.textContent = "×";
   closeXBtn.style.cssText =
-    "border:none;background:transparent;font-size:20px;color:#57606a;" +
+    "border:none;background:transparent;font-size:20px;color:var(--mdpad-fg-muted);" +
     "cursor:pointer;padding:0 4px;line-height:1;";
   closeXBtn.onclick = () => { overlay.remove(); focus(); };
   titleRow.appendChild(closeXBtn);
@@ -1849,14 +2831,14 @@ function showRecoveryModal(recoveries, autosaves) {
     // No backups message
     const noEl = document.createElement("div");
     noEl.textContent = t("recovery.noBackups");
-    noEl.style.cssText = "font-size:14px;color:#57606a;padding:16px 0;";
+    noEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);padding:16px 0;";
     modal.appendChild(noEl);
 
     const closeBtn = document.createElement("button");
     closeBtn.textContent = t("recovery.close");
     closeBtn.style.cssText =
-      "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-      "background:#f6f8fa;cursor:pointer;font-size:13px;align-self:flex-end;";
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;align-self:flex-end;";
     closeBtn.onclick = () => { overlay.remove(); focus(); };
     modal.appendChild(closeBtn);
     overlay.appendChild(modal);
@@ -1867,13 +2849,13 @@ function showRecoveryModal(recoveries, autosaves) {
   // Description
   const descEl = document.createElement("div");
   descEl.textContent = t("recovery.description");
-  descEl.style.cssText = "font-size:13px;color:#57606a;margin-bottom:12px;";
+  descEl.style.cssText = "font-size:13px;color:var(--mdpad-fg-muted);margin-bottom:12px;";
   modal.appendChild(descEl);
 
   // List container
   const listEl = document.createElement("div");
   listEl.style.cssText =
-    "flex:1;overflow-y:auto;border:1px solid #d0d7de;border-radius:6px;" +
+    "flex:1;overflow-y:auto;border:1px solid var(--mdpad-border);border-radius:6px;" +
     "margin-bottom:12px;";
 
   let selectedIdx = 0;
@@ -1883,16 +2865,16 @@ function showRecoveryModal(recoveries, autosaves) {
     recoveries.forEach((rec, i) => {
       const item = document.createElement("div");
       item.style.cssText =
-        "padding:10px 12px;cursor:pointer;border-bottom:1px solid #eaeef2;" +
+        "padding:10px 12px;cursor:pointer;border-bottom:1px solid var(--mdpad-bg-muted);" +
         "display:flex;flex-direction:column;gap:2px;" +
-        (i === selectedIdx ? "background:#ddf4ff;" : "background:#fff;");
+        (i === selectedIdx ? "background:var(--mdpad-accent-subtle);" : "background:var(--mdpad-bg);");
 
       const topRow = document.createElement("div");
       topRow.style.cssText = "display:flex;align-items:center;gap:8px;";
 
       const radio = document.createElement("span");
       radio.textContent = i === selectedIdx ? "●" : "○";
-      radio.style.cssText = "color:#0969da;font-size:14px;flex-shrink:0;";
+      radio.style.cssText = "color:var(--mdpad-accent-fg);font-size:14px;flex-shrink:0;";
       topRow.appendChild(radio);
 
       const fileName = rec.filePath
@@ -1900,14 +2882,14 @@ function showRecoveryModal(recoveries, autosaves) {
         : t("recovery.untitled");
       const nameEl = document.createElement("span");
       nameEl.textContent = fileName;
-      nameEl.style.cssText = "font-weight:600;font-size:14px;color:#24292f;";
+      nameEl.style.cssText = "font-weight:600;font-size:14px;color:var(--mdpad-fg);";
       topRow.appendChild(nameEl);
 
       item.appendChild(topRow);
 
       const metaRow = document.createElement("div");
       metaRow.style.cssText =
-        "font-size:12px;color:#57606a;margin-left:22px;display:flex;gap:12px;";
+        "font-size:12px;color:var(--mdpad-fg-muted);margin-left:22px;display:flex;gap:12px;";
 
       const sourceLabel =
         rec.source === "autosave"
@@ -1926,7 +2908,7 @@ function showRecoveryModal(recoveries, autosaves) {
         const preview = rec.content.replace(/\n/g, " ").substring(0, 80);
         const previewEl = document.createElement("span");
         previewEl.textContent = preview + (rec.content.length > 80 ? "..." : "");
-        previewEl.style.cssText = "color:#8b949e;font-style:italic;";
+        previewEl.style.cssText = "color:var(--mdpad-fg-subtle);font-style:italic;";
         metaRow.appendChild(previewEl);
       }
 
@@ -1955,8 +2937,8 @@ function showRecoveryModal(recoveries, autosaves) {
   const deleteBtn = document.createElement("button");
   deleteBtn.textContent = t("recovery.deleteSelected");
   deleteBtn.style.cssText =
-    "padding:6px 16px;border:1px solid #cf222e;border-radius:6px;" +
-    "background:#fff;color:#cf222e;cursor:pointer;font-size:13px;" +
+    "padding:6px 16px;border:1px solid var(--mdpad-danger-fg);border-radius:6px;" +
+    "background:var(--mdpad-bg);color:var(--mdpad-danger-fg);cursor:pointer;font-size:13px;" +
     "margin-right:auto;";
   deleteBtn.onclick = async () => {
     const selected = recoveries[selectedIdx];
@@ -1997,15 +2979,15 @@ function showRecoveryModal(recoveries, autosaves) {
   const laterBtn = document.createElement("button");
   laterBtn.textContent = t("recovery.later");
   laterBtn.style.cssText =
-    "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-    "background:#f6f8fa;cursor:pointer;font-size:13px;";
+    "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
   laterBtn.onclick = () => { overlay.remove(); focus(); };
 
   const restoreBtn = document.createElement("button");
   restoreBtn.textContent = t("recovery.restoreSelected");
   restoreBtn.style.cssText =
     "padding:6px 16px;border:none;border-radius:6px;" +
-    "background:#2da44e;color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+    "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
   restoreBtn.onclick = () => doRestore();
 
   btnRow.appendChild(deleteBtn);
@@ -2044,7 +3026,7 @@ function showRecoveryModal(recoveries, autosaves) {
     // If content is empty but we have a filePath, try reading from the file
     if (!selected.content && selected.filePath) {
       try {
-        const fileData = await window.mdpad.openFileByPath(selected.filePath);
+        const fileData = await window.mdpad.openFileByPath(selected.filePath, selected.encoding);
         if (fileData && fileData.content) {
           selected.content = fileData.content;
         }
@@ -2056,13 +3038,7 @@ function showRecoveryModal(recoveries, autosaves) {
     // Still no content — nothing to restore
     if (selected.content == null) return;
 
-    // If current document is dirty, ask for confirmation
-    if (isDirty) {
-      const confirmed = await showConfirmReplaceDialog();
-      if (!confirmed) return;
-    }
-
-    // Perform restore
+    // Perform restore (opens new tabs, so nothing is replaced)
     await performRestore(selected);
 
     // Cleanup only the restored backup (not all orphans)
@@ -2078,103 +3054,92 @@ function showRecoveryModal(recoveries, autosaves) {
   }
 }
 
-function showConfirmReplaceDialog() {
-  return new Promise((resolve) => {
-    // Close any open popups (emoji picker, heading dropdown, context menu, etc.)
-    window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
-
-    const overlay = document.createElement("div");
-    overlay.style.cssText =
-      "position:fixed;top:0;left:0;right:0;bottom:0;" +
-      "background:rgba(0,0,0,0.3);z-index:100001;" +
-      "display:flex;align-items:center;justify-content:center;";
-
-    const dialog = document.createElement("div");
-    dialog.style.cssText =
-      "background:#fff;border:1px solid #d0d7de;border-radius:8px;" +
-      "padding:20px;width:360px;box-shadow:0 8px 24px rgba(0,0,0,0.15);";
-
-    const msg = document.createElement("div");
-    msg.textContent = t("recovery.confirmReplace");
-    msg.style.cssText = "font-size:14px;color:#24292f;margin-bottom:16px;line-height:1.5;";
-    dialog.appendChild(msg);
-
-    const btnRow = document.createElement("div");
-    btnRow.style.cssText = "display:flex;gap:8px;justify-content:flex-end;";
-
-    const cancelBtn = document.createElement("button");
-    cancelBtn.textContent = t("recovery.confirmCancel");
-    cancelBtn.style.cssText =
-      "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-      "background:#f6f8fa;cursor:pointer;font-size:13px;";
-    cancelBtn.onclick = () => { overlay.remove(); resolve(false); };
-
-    const discardBtn = document.createElement("button");
-    discardBtn.textContent = t("recovery.confirmDiscard");
-    discardBtn.style.cssText =
-      "padding:6px 16px;border:none;border-radius:6px;" +
-      "background:#cf222e;color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
-    discardBtn.onclick = () => { overlay.remove(); resolve(true); };
-
-    btnRow.appendChild(cancelBtn);
-    btnRow.appendChild(discardBtn);
-    dialog.appendChild(btnRow);
-    overlay.appendChild(dialog);
-    document.body.appendChild(overlay);
-
-    overlay.addEventListener("keydown", (e) => {
-      if (e.key === "Escape") { overlay.remove(); resolve(false); }
-    });
-    overlay.tabIndex = -1;
-    overlay.focus();
-  });
-}
-
+/**
+ * Restore a recovery entry into new tabs. Sessions saved with tabs bring
+ * back the whole tab set; autosave backups hold a single tab.
+ */
 async function performRestore(rec) {
-  if (rec.filePath) {
-    currentFilePath = rec.filePath;
-  } else {
-    currentFilePath = null;
-  }
-
-  // Set content without triggering isDirty, then reset history
-  suppressDirty = true;
-  setContent(rec.content);
-  clearHistory();
-  suppressDirty = false;
-  setPreviewBaseDir(currentFilePath);
-
-  // Restore originalContent for diff
-  if (rec.source === "autosave" && rec.originalContent) {
-    originalContent = rec.originalContent;
-    setOriginalContent(rec.originalContent);
-  } else if (rec.filePath) {
-    try {
-      const orig = await window.mdpad.openFileByPath(rec.filePath);
-      if (orig) {
-        originalContent = orig.content;
-        setOriginalContent(orig.content);
+  const entries = Array.isArray(rec.tabs) && rec.tabs.length > 0 ? rec.tabs : [rec];
+  const activeIndex = Array.isArray(rec.tabs) ? rec.activeIndex : 0;
+  let tabToActivate = null;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const filePath = entry.filePath || null;
+    let content = entry.content;
+    let restoredDirty = Array.isArray(rec.tabs) ? !!entry.isDirty : true;
+
+    // Clean tabs of a session are re-read from disk
+    if (!restoredDirty && filePath) {
+      try {
+        const fileData = await window.mdpad.openFileByPath(filePath, entry.encoding);
+        if (fileData) content = fileData.content;
+      } catch {
+        // File might not exist anymore — keep the saved content
+        restoredDirty = true;
       }
-    } catch {
-      // Ignore
     }
-  } else {
-    originalContent = "";
-    setOriginalContent("");
+    if (content == null) continue;
+
+    // Restore originalContent for diff
+    let orig = "";
+    if ((rec.source === "autosave" || Array.isArray(rec.tabs)) && entry.originalContent) {
+      orig = entry.originalContent;
+    } else if (!restoredDirty) {
+      orig = content;
+    } else if (filePath) {
+      try {
+        const fileData = await window.mdpad.openFileByPath(filePath, entry.encoding);
+        if (fileData) orig = fileData.content;
+      } catch {
+        // Ignore
+      }
+    }
+
+    const existing = findTabByPath(filePath);
+    const tab = existing && !(existing.id === activeTabId ? isDirty : existing.isDirty)
+      ? replaceTabDocument(existing, content, orig, restoredDirty, entry)
+      : openDocumentInTab({
+        filePath, content, originalContent: orig, isDirty: restoredDirty,
+        eol: entry.eol, encoding: entry.encoding, bom: entry.bom,
+      });
+    if (filePath) startFileWatch(filePath, tab.id);
+    if (i === activeIndex) tabToActivate = tab;
   }
 
-  isDirty = true;
+  if (tabToActivate) activateTab(tabToActivate.id);
   updateTitle();
-
-  const state = getPaneState();
-  if (state.preview) updatePreviewImmediate(rec.content);
-  if (state.diff) updateDiff(rec.content, originalContent);
+  await updateSessionState();
 
   // Re-trigger global search if active, to fix search after recovery
   triggerGlobalSearchUpdate();
   refreshGitInfo();
 }
 
+/**
+ * Replace the document of an open (clean) tab with restored content and activate it.
+ */
+function replaceTabDocument(tab, content, orig, dirty, { eol, encoding, bom }) {
+  activateTab(tab.id);
+  originalContent = orig;
+  isDirty = dirty;
+  if (eol) currentEol = eol;
+  if (encoding) {
+    currentEncoding = encoding;
+    currentBom = !!bom;
+  }
+  setEditorState(createDocumentState(content));
+  setOriginalContent(orig);
+  setEolDisplay(currentEol);
+  setEncodingDisplay(currentEncoding, currentBom);
+  updateTitle();
+  const state = getPaneState();
+  if (state.preview) updatePreviewImmediate(content);
+  if (state.diff) updateDiff(content, orig);
+  if (state.toc) updateToc(content);
+  return tab;
+}
+
 async function cleanupOrphans(autosaves) {
   if (autosaves) {
     for (const backup of autosaves) {
@@ -2203,7 +3168,7 @@ function showCloseDialog(closeState) {
 
   const modal = document.createElement("div");
   modal.style.cssText =
-    "background:#ffffff;border:1px solid #d0d7de;border-radius:8px;" +
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
     "padding:20px;width:520px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
 
   // Title row with × button
@@ -2212,13 +3177,13 @@ function showCloseDialog(closeState) {
 
   const titleEl = document.createElement("div");
   titleEl.textContent = t("dialog.closeTitle");
-  titleEl.style.cssText = "font-size:16px;font-weight:700;color:#24292f;";
+  titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);";
   titleRow.appendChild(titleEl);
 
   const closeXBtn = document.createElement("button");
   closeXBtn.textContent = "×";
   closeXBtn.style.cssText =
-    "border:none;background:transparent;font-size:20px;color:#57606a;" +
+    "border:none;background:transparent;font-size:20px;color:var(--mdpad-fg-muted);" +
     "cursor:pointer;padding:0 4px;line-height:1;";
   closeXBtn.onclick = () => doResult("cancel");
   titleRow.appendChild(closeXBtn);
@@ -2227,9 +3192,22 @@ function showCloseDialog(closeState) {
   // Message
   const msgEl = document.createElement("div");
   msgEl.textContent = t("dialog.closeDetail");
-  msgEl.style.cssText = "font-size:14px;color:#57606a;margin-bottom:16px;line-height:1.5;";
+  msgEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:16px;line-height:1.5;";
   modal.appendChild(msgEl);
 
+  // Several tabs are dirty: say which one this dialog is about
+  if (closeState.dirtyCount > 1) {
+    const fileName = closeState.filePath
+      ? closeState.filePath.split(/[\\/]/).pop()
+      : t("app.untitled");
+    const tabsEl = document.createElement("div");
+    tabsEl.textContent = t("tabs.closeDirtyCount")
+      .replace("{count}", closeState.dirtyCount)
+      .replace("{name}", fileName);
+    tabsEl.style.cssText = "font-size:13px;color:var(--mdpad-attention-fg);margin:-8px 0 16px;line-height:1.5;";
+    modal.appendChild(tabsEl);
+  }
+
   // Buttons row
   const btnRow = document.createElement("div");
   btnRow.style.cssText = "display:flex;gap:8px;align-items:center;";
@@ -2238,8 +3216,8 @@ function showCloseDialog(closeState) {
   const exitNoSaveBtn = document.createElement("button");
   exitNoSaveBtn.textContent = t("dialog.closeExitNoSave");
   exitNoSaveBtn.style.cssText =
-    "padding:6px 16px;border:1px solid #cf222e;border-radius:6px;" +
-    "background:#fff;color:#cf222e;cursor:pointer;font-size:13px;" +
+    "padding:6px 16px;border:1px solid var(--mdpad-danger-fg);border-radius:6px;" +
+    "background:var(--mdpad-bg);color:var(--mdpad-danger-fg);cursor:pointer;font-size:13px;" +
     "margin-right:auto;";
   exitNoSaveBtn.onclick = () => doResult("exitNoSave");
 
@@ -2247,8 +3225,8 @@ function showCloseDialog(closeState) {
   const resumeBtn = document.createElement("button");
   resumeBtn.textContent = t("dialog.closeResumeSave");
   resumeBtn.style.cssText =
-    "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-    "background:#f6f8fa;cursor:pointer;font-size:13px;";
+    "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
   resumeBtn.onclick = () => doResult("resumeSave");
 
   if (closeState.hasFilePath) {
@@ -2256,15 +3234,15 @@ function showCloseDialog(closeState) {
     const saveAsBtn = document.createElement("button");
     saveAsBtn.textContent = t("dialog.closeSaveAs");
     saveAsBtn.style.cssText =
-      "padding:6px 16px;border:1px solid #d0d7de;border-radius:6px;" +
-      "background:#f6f8fa;cursor:pointer;font-size:13px;";
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
     saveAsBtn.onclick = () => doResult("saveAs");
 
     const saveBtn = document.createElement("button");
     saveBtn.textContent = t("dialog.closeSaveAndExit");
     saveBtn.style.cssText =
       "padding:6px 16px;border:none;border-radius:6px;" +
-      "background:#2da44e;color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+      "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
     saveBtn.onclick = () => doResult("save");
 
     // tabindex: primary first, then secondaries, destructive last
@@ -2283,7 +3261,7 @@ function showCloseDialog(closeState) {
     saveAsBtn.textContent = t("dialog.closeSaveAs");
     saveAsBtn.style.cssText =
       "padding:6px 16px;border:none;border-radius:6px;" +
-      "background:#2da44e;color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+      "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
     saveAsBtn.onclick = () => doResult("saveAs");
 
     // tabindex: primary first, then secondaries, destructive last
@@ -2411,7 +3389,7 @@ async function showPropertiesDialog() {
 
   const dialog = document.createElement("div");
   dialog.style.cssText =
-    "background:#ffffff;border:1px solid #d0d7de;border-radius:12px;" +
+    "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:12px;" +
     "padding:24px 28px;width:540px;max-height:80vh;overflow-y:auto;" +
     "box-shadow:0 12px 40px rgba(0,0,0,0.18);";
 
@@ -2420,12 +3398,12 @@ async function showPropertiesDialog() {
   titleRow.style.cssText = "display:flex;align-items:center;justify-content:space-between;margin-bottom:16px;";
   const titleEl = document.createElement("div");
   titleEl.textContent = t("properties.title");
-  titleEl.style.cssText = "font-size:18px;font-weight:700;color:#24292f;";
+  titleEl.style.cssText = "font-size:18px;font-weight:700;color:var(--mdpad-fg);";
   titleRow.appendChild(titleEl);
   const closeXBtn = document.createElement("button");
   closeXBtn.textContent = "×";
   closeXBtn.style.cssText =
-    "border:none;background:transparent;font-size:22px;color:#57606a;" +
+    "border:none;background:transparent;font-size:22px;color:var(--mdpad-fg-muted);" +
     "cursor:pointer;padding:0 4px;line-height:1;";
   closeXBtn.onclick = () => close();
   titleRow.appendChild(closeXBtn);
@@ -2444,7 +3422,7 @@ async function showPropertiesDialog() {
     { label: t("properties.chars"), value: charCount.toLocaleString() },
     { label: t("properties.words"), value: wordCount.toLocaleString() },
     { label: t("properties.linesCount"), value: lineCount.toLocaleString() },
-    { label: t("properties.encoding"), value: "UTF-8" },
+    { label: t("properties.encoding"), value: formatEncoding(currentEncoding, currentBom) },
     { label: t("properties.eol"), value: currentEol },
   ];
 
@@ -2477,7 +3455,7 @@ async function showPropertiesDialog() {
     addSection(dialog, t("properties.sectionPaths"));
     const noFileEl = document.createElement("div");
     noFileEl.textContent = t("properties.unsavedFile");
-    noFileEl.style.cssText = "font-size:13px;color:#8b949e;padding:8px 0;font-style:italic;";
+    noFileEl.style.cssText = "font-size:13px;color:var(--mdpad-fg-subtle);padding:8px 0;font-style:italic;";
     dialog.appendChild(noFileEl);
   }
 
@@ -2503,21 +3481,24 @@ async function showPropertiesDialog() {
   } else {
     const noGitEl = document.createElement("div");
     noGitEl.textContent = t("properties.noGit");
-    noGitEl.style.cssText = "font-size:13px;color:#8b949e;padding:8px 0;font-style:italic;";
+    noGitEl.style.cssText = "font-size:13px;color:var(--mdpad-fg-subtle);padding:8px 0;font-style:italic;";
     dialog.appendChild(noGitEl);
   }
 
+  // --- Section: Front Matter ---
+  addFrontMatterSection(dialog, content, () => close());
+
   // --- Close button ---
   const btnRow = document.createElement("div");
   btnRow.style.cssText = "display:flex;justify-content:flex-end;margin-top:16px;";
   const closeBtn = document.createElement("button");
   closeBtn.textContent = t("properties.close");
   closeBtn.style.cssText =
-    "padding:6px 24px;border:1px solid #d0d7de;border-radius:6px;" +
-    "background:#f6f8fa;cursor:pointer;font-size:13px;color:#24292f;" +
+    "padding:6px 24px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;color:var(--mdpad-fg);" +
     "transition:background 0.15s;";
-  closeBtn.onmouseover = () => { closeBtn.style.background = "#e8ebef"; };
-  closeBtn.onmouseout = () => { closeBtn.style.background = "#f6f8fa"; };
+  closeBtn.onmouseover = () => { closeBtn.style.background = "var(--mdpad-bg-hover)"; };
+  closeBtn.onmouseout = () => { closeBtn.style.background = "var(--mdpad-bg-subtle)"; };
   closeBtn.onclick = () => close();
   btnRow.appendChild(closeBtn);
   dialog.appendChild(btnRow);
@@ -2540,6 +3521,122 @@ async function showPropertiesDialog() {
   }
 }
 
+/**
+ * Add the Front Matter section to the Properties dialog.
+ * Single-line values are editable; structured values are shown read-only.
+ * New keys can be added (a YAML block is created if there is none).
+ * Apply edits the document through the editor, so the change can be undone.
+ */
+function addFrontMatterSection(container, content, onApplied) {
+  const fm = extractFrontMatter(content);
+  addSection(container, fm
+    ? `${t("properties.sectionFrontMatter")} (${fm.format.toUpperCase()})`
+    : t("properties.sectionFrontMatter"));
+
+  if (fm && fm.error) {
+    const errorEl = document.createElement("div");
+    errorEl.textContent = t("properties.frontMatterError")
+      .replace("{line}", String(fm.error.line))
+      .replace("{message}", fm.error.message);
+    errorEl.style.cssText = "font-size:13px;color:var(--mdpad-danger-fg);padding:8px 0;";
+    container.appendChild(errorEl);
+    return;
+  }
+
+  const inputStyle =
+    "font-size:13px;padding:3px 6px;border:1px solid var(--mdpad-border);border-radius:4px;" +
+    "min-width:0;box-sizing:border-box;";
+
+  const applyBtn = document.createElement("button");
+  applyBtn.textContent = t("properties.frontMatterApply");
+  applyBtn.disabled = true;
+  applyBtn.style.cssText =
+    "padding:4px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+    "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:12px;color:var(--mdpad-fg);";
+
+  const grid = document.createElement("div");
+  grid.style.cssText = "display:grid;grid-template-columns:140px 1fr;gap:4px 8px;align-items:center;";
+  const edits = new Map(); // key → input element
+
+  for (const field of fm ? fm.fields : []) {
+    const labelEl = document.createElement("div");
+    labelEl.textContent = field.key;
+    labelEl.title = field.key;
+    labelEl.style.cssText =
+      "font-size:13px;color:var(--mdpad-fg-muted);font-weight:500;padding:3px 0;" +
+      "overflow:hidden;text-overflow:ellipsis;white-space:nowrap;";
+    grid.appendChild(labelEl);
+
+    const text = formatFrontMatterValue(field.value);
+    if (field.editable) {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = text;
+      input.style.cssText = inputStyle;
+      input.addEventListener("input", () => { applyBtn.disabled = false; });
+      edits.set(field.key, input);
+      grid.appendChild(input);
+    } else {
+      const valueEl = document.createElement("div");
+      valueEl.textContent = text || "-";
+      valueEl.title = t("properties.frontMatterReadOnly");
+      valueEl.style.cssText =
+        "font-size:13px;color:var(--mdpad-fg-muted);padding:3px 0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;";
+      grid.appendChild(valueEl);
+    }
+  }
+
+  if (!fm || fm.fields.length === 0) {
+    const emptyEl = document.createElement("div");
+    emptyEl.textContent = t("properties.noFrontMatter");
+    emptyEl.style.cssText = "grid-column:1 / -1;font-size:13px;color:var(--mdpad-fg-subtle);padding:4px 0;font-style:italic;";
+    grid.appendChild(emptyEl);
+  }
+
+  // New key + value
+  const newKey = document.createElement("input");
+  newKey.type = "text";
+  newKey.placeholder = t("properties.frontMatterNewKey");
+  newKey.style.cssText = inputStyle;
+  const newValue = document.createElement("input");
+  newValue.type = "text";
+  newValue.placeholder = t("properties.frontMatterNewValue");
+  newValue.style.cssText = inputStyle;
+  newKey.addEventListener("input", () => { applyBtn.disabled = !newKey.value.trim() && !changedFields().length; });
+  grid.appendChild(newKey);
+  grid.appendChild(newValue);
+  container.appendChild(grid);
+
+  const applyRow = document.createElement("div");
+  applyRow.style.cssText = "display:flex;justify-content:flex-end;margin-top:8px;";
+  applyRow.appendChild(applyBtn);
+  container.appendChild(applyRow);
+
+  function changedFields() {
+    const updates = [];
+    for (const field of fm ? fm.fields : []) {
+      const input = edits.get(field.key);
+      if (input && input.value !== formatFrontMatterValue(field.value)) {
+        updates.push({ key: field.key, value: input.value });
+      }
+    }
+    return updates;
+  }
+
+  applyBtn.onclick = () => {
+    const updates = changedFields();
+    const key = newKey.value.trim();
+    if (key && !(fm && fm.fields.some((f) => f.key === key))) {
+      updates.push({ key, value: newValue.value });
+    }
+    if (updates.length === 0) return;
+
+    const change = updateFrontMatter(getContent(), updates);
+    if (change) getEditor().dispatch({ changes: change });
+    onApplied();
+  };
+}
+
 /**
  * Add a section header to the properties dialog.
  */
@@ -2548,8 +3645,8 @@ function addSection(container, title) {
   const header = document.createElement("div");
   header.textContent = title;
   header.style.cssText =
-    "font-size:14px;font-weight:600;color:#24292f;margin-top:16px;margin-bottom:8px;" +
-    "padding-top:12px;border-top:1px solid #d8dee4;";
+    "font-size:14px;font-weight:600;color:var(--mdpad-fg);margin-top:16px;margin-bottom:8px;" +
+    "padding-top:12px;border-top:1px solid var(--mdpad-border-muted);";
   container.appendChild(header);
 }
 
@@ -2565,14 +3662,14 @@ function createPropTable(rows) {
     // Label
     const labelEl = document.createElement("div");
     labelEl.textContent = row.label;
-    labelEl.style.cssText = "font-size:13px;color:#57606a;font-weight:500;padding:3px 0;";
+    labelEl.style.cssText = "font-size:13px;color:var(--mdpad-fg-muted);font-weight:500;padding:3px 0;";
     table.appendChild(labelEl);
 
     // Value
     const valueEl = document.createElement("div");
     valueEl.textContent = row.value || "-";
     valueEl.style.cssText =
-      "font-size:13px;color:#24292f;padding:3px 0;overflow:hidden;text-overflow:ellipsis;" +
+      "font-size:13px;color:var(--mdpad-fg);padding:3px 0;overflow:hidden;text-overflow:ellipsis;" +
       "white-space:nowrap;" +
       (row.mono ? "font-family:'SF Mono',Consolas,'Liberation Mono',Menlo,monospace;font-size:12px;" : "");
     valueEl.title = row.value || "";
@@ -2583,18 +3680,18 @@ function createPropTable(rows) {
       const copyBtn = document.createElement("button");
       copyBtn.textContent = t("properties.copy");
       copyBtn.style.cssText =
-        "padding:2px 8px;border:1px solid #d0d7de;border-radius:4px;" +
-        "background:#f6f8fa;cursor:pointer;font-size:11px;color:#57606a;" +
+        "padding:2px 8px;border:1px solid var(--mdpad-border);border-radius:4px;" +
+        "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:11px;color:var(--mdpad-fg-muted);" +
         "white-space:nowrap;transition:background 0.15s;";
-      copyBtn.onmouseover = () => { copyBtn.style.background = "#e8ebef"; };
-      copyBtn.onmouseout = () => { copyBtn.style.background = "#f6f8fa"; };
+      copyBtn.onmouseover = () => { copyBtn.style.background = "var(--mdpad-bg-hover)"; };
+      copyBtn.onmouseout = () => { copyBtn.style.background = "var(--mdpad-bg-subtle)"; };
       copyBtn.onclick = () => {
         navigator.clipboard.writeText(row.value || "").then(() => {
           copyBtn.textContent = t("properties.copied");
-          copyBtn.style.color = "#2da44e";
+          copyBtn.style.color = "var(--mdpad-success-emphasis)";
           setTimeout(() => {
             copyBtn.textContent = t("properties.copy");
-            copyBtn.style.color = "#57606a";
+            copyBtn.style.color = "var(--mdpad-fg-muted)";
           }, 1500);
         });
       };
@@ -2633,7 +3730,7 @@ function showEolMenu(targetEl) {
   const popup = document.createElement("div");
   popup.id = "eol-popup";
   popup.style.cssText =
-    "position:fixed;z-index:9999;background:#ffffff;border:1px solid #d0d7de;" +
+    "position:fixed;z-index:9999;background:var(--mdpad-bg);border:1px solid var(--mdpad-border);" +
     "border-radius:6px;box-shadow:0 4px 12px rgba(0,0,0,0.15);padding:4px 0;" +
     "min-width:100px;";
 
@@ -2646,14 +3743,14 @@ function showEolMenu(targetEl) {
   for (const opt of options) {
     const item = document.createElement("div");
     item.style.cssText =
-      "padding:6px 16px;cursor:pointer;font-size:13px;color:#24292f;" +
+      "padding:6px 16px;cursor:pointer;font-size:13px;color:var(--mdpad-fg);" +
       "display:flex;align-items:center;gap:8px;white-space:nowrap;";
-    item.onmouseover = () => { item.style.background = "#f6f8fa"; };
+    item.onmouseover = () => { item.style.background = "var(--mdpad-bg-subtle)"; };
     item.onmouseout = () => { item.style.background = "transparent"; };
 
     const check = document.createElement("span");
     check.textContent = opt.value === currentEol ? "✓" : " ";
-    check.style.cssText = "width:14px;font-size:12px;color:#0969da;text-align:center;";
+    check.style.cssText = "width:14px;font-size:12px;color:var(--mdpad-accent-fg);text-align:center;";
     item.appendChild(check);
 
     const label = document.createElement("span");
@@ -2663,7 +3760,7 @@ function showEolMenu(targetEl) {
 
     const desc = document.createElement("span");
     desc.textContent = opt.desc;
-    desc.style.cssText = "font-size:11px;color:#8b949e;margin-left:auto;";
+    desc.style.cssText = "font-size:11px;color:var(--mdpad-fg-subtle);margin-left:auto;";
     item.appendChild(desc);
 
     item.onclick = () => {
@@ -2706,6 +3803,236 @@ function showEolMenu(targetEl) {
   document.addEventListener("keydown", onKey);
 }
 
+// --- Encoding ---
+
+/**
+ * Make sure the content can be written in the current encoding. When some
+ * characters cannot be represented, offer to save as UTF-8 instead.
+ * @returns {Promise<boolean>} false when the save was cancelled
+ */
+async function ensureEncodable(content) {
+  if (await window.mdpad.canEncode(content, currentEncoding)) return true;
+  const useUtf8 = await showEncodingFallbackDialog(formatEncoding(currentEncoding, currentBom));
+  if (!useUtf8) return false;
+  currentEncoding = DEFAULT_ENCODING;
+  currentBom = false;
+  setEncodingDisplay(currentEncoding, currentBom);
+  return true;
+}
+
+/**
+ * "Cannot save in Shift_JIS" dialog: [Cancel] [Save as UTF-8].
+ * Returns: Promise<boolean> (true = save as UTF-8)
+ */
+function showEncodingFallbackDialog(encodingName) {
+  return new Promise((resolve) => {
+    if (document.getElementById("encoding-fallback-overlay")) {
+      resolve(false);
+      return;
+    }
+
+    // Close any open popups
+    window.dispatchEvent(new CustomEvent("mdpad:closePopups"));
+
+    const overlay = document.createElement("div");
+    overlay.id = "encoding-fallback-overlay";
+    overlay.style.cssText =
+      "position:fixed;top:0;left:0;right:0;bottom:0;" +
+      "background:rgba(0,0,0,0.4);z-index:100001;" +
+      "display:flex;align-items:flex-start;justify-content:center;padding-top:15vh;";
+
+    const modal = document.createElement("div");
+    modal.style.cssText =
+      "background:var(--mdpad-bg);border:1px solid var(--mdpad-border);border-radius:8px;" +
+      "padding:20px;width:420px;box-shadow:0 8px 24px rgba(0,0,0,0.2);";
+
+    const titleEl = document.createElement("div");
+    titleEl.textContent = t("encoding.unencodableTitle").replace("{encoding}", encodingName);
+    titleEl.style.cssText = "font-size:16px;font-weight:700;color:var(--mdpad-fg);margin-bottom:12px;";
+    modal.appendChild(titleEl);
+
+    const msgEl = document.createElement("div");
+    msgEl.textContent = t("encoding.unencodableMessage").replace("{encoding}", encodingName);
+    msgEl.style.cssText = "font-size:14px;color:var(--mdpad-fg-muted);margin-bottom:16px;line-height:1.5;";
+    modal.appendChild(msgEl);
+
+    const btnRow = document.createElement("div");
+    btnRow.style.cssText = "display:flex;gap:8px;justify-content:flex-end;";
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.textContent = t("dialog.saveConfirmCancel");
+    cancelBtn.style.cssText =
+      "padding:6px 16px;border:1px solid var(--mdpad-border);border-radius:6px;" +
+      "background:var(--mdpad-bg-subtle);cursor:pointer;font-size:13px;";
+    cancelBtn.onclick = () => done(false);
+
+    const utf8Btn = document.createElement("button");
+    utf8Btn.className = "encoding-fallback-utf8";
+    utf8Btn.textContent = t("encoding.saveAsUtf8");
+    utf8Btn.style.cssText =
+      "padding:6px 16px;border:none;border-radius:6px;" +
+      "background:var(--mdpad-success-emphasis);color:#fff;cursor:pointer;font-size:13px;font-weight:600;";
+    utf8Btn.onclick = () => done(true);
+
+    btnRow.appendChild(cancelBtn);
+    btnRow.appendChild(utf8Btn);
+    modal.appendChild(btnRow);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        done(false);
+      }
+    });
+    overlay.addEventListener("mousedown", (e) => {
+      if (e.target === overlay) done(false);
+    });
+
+    utf8Btn.focus();
+
+    function done(result) {
+      overlay.remove();
+      resolve(result);
+    }
+  });
+}
+
+/**
+ * Re-read the current file with another encoding. Unsaved changes are
+ * discarded, so a dirty buffer asks first (as Reload does).
+ */
+async function reopenWithEncoding(encoding) {
+  if (!currentFilePath) return;
+  if (isDirty) {
+    const result = await showReloadConfirmDialog({
+      title: t("encoding.reopenTitle"),
+      message: t("encoding.reopenMessage"),
+      discardLabel: t("reload.discardReload"),
+      saveLabel: t("reload.saveReload"),
+      cancelLabel: t("reload.cancel"),
+      overlayId: "reopen-encoding-overlay",
+    });
+    if (result === "cancel") return;
+    if (result === "save") {
+      if (!(await saveFile())) return;
+    } else {
+      await saveResumeBackupNow();
+    }
+  }
+  await reloadCurrentFile(encoding);
+  focus();
+}
+
+/**
+ * Show the encoding popup above the status bar encoding element:
+ * "Reopen with Encoding" (saved files only) and "Save with Encoding".
+ */
+function showEncodingMenu(targetEl) {
+  const existing = document.getElementById("encoding-popup");
+  if (existing) { existing.remove(); return; }
+
+  const popup = document.createElement("div");
+  popup.id = "encoding-popup";
+  popup.style.cssText =
+    "position:fixed;z-index:9999;background:var(--mdpad-bg);border:1px solid var(--mdpad-border);" +
+    "border-radius:6px;box-shadow:0 4px 12px rgba(0,0,0,0.15);padding:4px 0;" +
+    "min-width:180px;";
+
+  function addHeader(text) {
+    const header = document.createElement("div");
+    header.textContent = text;
+    header.style.cssText =
+      "padding:6px 12px 2px;font-size:11px;font-weight:600;color:var(--mdpad-fg-muted);" +
+      "text-transform:uppercase;letter-spacing:0.3px;";
+    popup.appendChild(header);
+  }
+
+  function addItem(text, checked, className, onClick) {
+    const item = document.createElement("div");
+    item.className = className;
+    item.style.cssText =
+      "padding:6px 16px;cursor:pointer;font-size:13px;color:var(--mdpad-fg);" +
+      "display:flex;align-items:center;gap:8px;white-space:nowrap;";
+    item.onmouseover = () => { item.style.background = "var(--mdpad-bg-subtle)"; };
+    item.onmouseout = () => { item.style.background = "transparent"; };
+
+    const check = document.createElement("span");
+    check.textContent = checked ? "✓" : " ";
+    check.style.cssText = "width:14px;font-size:12px;color:var(--mdpad-accent-fg);text-align:center;";
+    item.appendChild(check);
+
+    const label = document.createElement("span");
+    label.textContent = text;
+    label.style.fontWeight = checked ? "600" : "400";
+    item.appendChild(label);
+
+    item.onclick = () => {
+      popup.remove();
+      onClick();
+    };
+    popup.appendChild(item);
+    return item;
+  }
+
+  if (currentFilePath) {
+    addHeader(t("encoding.reopen"));
+    for (const encoding of REOPEN_ENCODINGS) {
+      addItem(formatEncoding(encoding), false, "encoding-reopen", () => reopenWithEncoding(encoding))
+        .dataset.encoding = encoding;
+    }
+    const sep = document.createElement("div");
+    sep.style.cssText = "height:1px;background:var(--mdpad-border);margin:4px 0;";
+    popup.appendChild(sep);
+  }
+
+  addHeader(t("encoding.saveWith"));
+  for (const opt of SAVE_ENCODINGS) {
+    // UTF-16 is listed once; a file opened without its BOM still matches
+    const checked = opt.encoding === currentEncoding &&
+      (opt.encoding !== "utf-8" || opt.bom === currentBom);
+    const item = addItem(formatEncoding(opt.encoding, opt.bom), checked, "encoding-save", () => {
+      if (checked) return;
+      currentEncoding = opt.encoding;
+      currentBom = opt.bom;
+      setEncodingDisplay(currentEncoding, currentBom);
+      isDirty = true;
+      updateTitle();
+    });
+    item.dataset.encoding = opt.encoding;
+    item.dataset.bom = String(opt.bom);
+  }
+
+  document.body.appendChild(popup);
+
+  // Position above the target element, kept inside the window
+  const rect = targetEl.getBoundingClientRect();
+  const popupRect = popup.getBoundingClientRect();
+  const left = rect.left + rect.width / 2 - popupRect.width / 2;
+  popup.style.left = `${Math.max(4, Math.min(left, window.innerWidth - popupRect.width - 4))}px`;
+  popup.style.top = `${rect.top - popupRect.height - 4}px`;
+
+  // Close on click outside
+  function closePopup(e) {
+    if (!popup.contains(e.target) && e.target !== targetEl) {
+      popup.remove();
+      document.removeEventListener("mousedown", closePopup);
+    }
+  }
+  setTimeout(() => document.addEventListener("mousedown", closePopup), 0);
+
+  // Close on Escape
+  function onKey(e) {
+    if (e.key === "Escape") {
+      popup.remove();
+      document.removeEventListener("keydown", onKey);
+    }
+  }
+  document.addEventListener("keydown", onKey);
+}
+
 // --- External file open: smart pane layout ---
 
 /**
@@ -2727,7 +4054,7 @@ async function applyExternalOpenLayout(config) {
         const info = await window.mdpad.getGitInfo(currentFilePath);
         if (info && info.isTracked) {
           // Check if there are differences from HEAD
-          const headContent = await window.mdpad.getGitFileContent(currentFilePath);
+          const headContent = await window.mdpad.getGitFileContent(currentFilePath, "HEAD", null, currentEncoding);
           const currentContent = getContent();
           if (headContent !== null && headContent !== currentContent) {
             // Has diff → Preview (Rich Diff) + Diff pane, no editor
@@ -0,0 +1,55 @@
+import { diffArrays } from "diff";
+
+/**
+ * Map git blame lines onto the editor text.
+ *
+ * blameLines — [{ commit, text }] for the file as git blamed it (on disk)
+ * text       — the current editor buffer
+ *
+ * Returns one entry per line of text: the commit hash of lines that are
+ * unchanged from the blamed file, or null for lines that differ (edited in
+ * the buffer, or not committed yet).
+ */
+export function mapBlameLines(blameLines, text) {
+  const oldLines = blameLines.map((l) => l.text);
+  const newLines = text.replace(/\r\n?/g, "\n").split("\n");
+  const result = [];
+
+  let oldIndex = 0;
+  for (const part of diffArrays(oldLines, newLines)) {
+    const count = part.value.length;
+    if (part.removed) {
+      oldIndex += count;
+    } else if (part.added) {
+      for (let i = 0; i < count; i++) result.push(null);
+    } else {
+      for (let i = 0; i < count; i++) result.push(blameLines[oldIndex + i].commit);
+      oldIndex += count;
+    }
+  }
+  return result;
+}
+
+const RELATIVE_UNITS = [
+  ["year", 365 * 24 * 3600],
+  ["month", 30 * 24 * 3600],
+  ["week", 7 * 24 * 3600],
+  ["day", 24 * 3600],
+  ["hour", 3600],
+  ["minute", 60],
+];
+
+/**
+ * Format a timestamp relative to now ("3 days ago", "3日前").
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} locale - BCP 47 locale for Intl.RelativeTimeFormat
+ * @param {number} [now=Date.now()]
+ */
+export function formatRelativeTime(time, locale, now = Date.now()) {
+  const rtf = new Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+  const seconds = Math.round((time - now) / 1000);
+  for (const [unit, size] of RELATIVE_UNITS) {
+    if (Math.abs(seconds) >= size) return rtf.format(Math.trunc(seconds / size), unit);
+  }
+  return rtf.format(0, "second");
+}
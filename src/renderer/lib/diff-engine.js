@@ -5,23 +5,72 @@ import { diffLines, diffWords } from "diff";
  * Returns an array of diff hunks with word-level detail for changed lines.
  */
 export function computeDiff(oldText, newText) {
+  return computeDiffWithHunks(oldText, newText).lines;
+}
+
+/**
+ * Like computeDiff, but also groups consecutive changed lines into hunks.
+ * Each changed line entry gets a `hunk` index into the returned hunks:
+ *   { oldFrom, oldTo, newFrom, newTo }  character offsets (end exclusive)
+ *   { oldLine, newLine }                first line of the hunk on each side (1-based)
+ *   { oldCount, newCount }              number of lines on each side
+ *   { oldText }                         text that replaces newFrom..newTo on revert
+ * Line endings are normalized to LF (the editor's internal form), so the
+ * new-side offsets are positions in the editor document.
+ */
+export function computeDiffWithHunks(oldText, newText) {
+  oldText = normalizeEol(oldText);
+  newText = normalizeEol(newText);
   const lineDiffs = diffLines(oldText, newText);
   const result = [];
+  const hunks = [];
+  let hunk = null;
   let oldLineNum = 1;
   let newLineNum = 1;
+  let oldOffset = 0;
+  let newOffset = 0;
+
+  const pushEntry = (entry) => {
+    if (hunk) {
+      entry.hunk = hunks.length - 1;
+      if (entry.type === "added") hunk.newCount++;
+      else hunk.oldCount++;
+    }
+    result.push(entry);
+  };
 
   for (const part of lineDiffs) {
+    if (part.added || part.removed) {
+      if (!hunk) {
+        hunk = {
+          oldFrom: oldOffset, oldTo: oldOffset, newFrom: newOffset, newTo: newOffset,
+          oldLine: oldLineNum, newLine: newLineNum, oldCount: 0, newCount: 0,
+        };
+        hunks.push(hunk);
+      }
+      if (part.added) {
+        newOffset += part.value.length;
+        hunk.newTo = newOffset;
+      } else {
+        oldOffset += part.value.length;
+        hunk.oldTo = oldOffset;
+      }
+    } else {
+      hunk = null;
+      oldOffset += part.value.length;
+      newOffset += part.value.length;
+    }
     const lines = part.value.replace(/\n$/, "").split("\n");
     if (part.value === "" || (lines.length === 1 && lines[0] === "" && part.value === "\n")) {
       // Handle edge case of trailing newline
       if (part.added) {
-        result.push({ type: "added", lines: [""], oldLine: null, newLine: newLineNum });
+        pushEntry({ type: "added", lines: [""], oldLine: null, newLine: newLineNum });
         newLineNum++;
       } else if (part.removed) {
-        result.push({ type: "removed", lines: [""], oldLine: oldLineNum, newLine: null });
+        pushEntry({ type: "removed", lines: [""], oldLine: oldLineNum, newLine: null });
         oldLineNum++;
       } else {
-        result.push({ type: "unchanged", lines: [""], oldLine: oldLineNum, newLine: newLineNum });
+        pushEntry({ type: "unchanged", lines: [""], oldLine: oldLineNum, newLine: newLineNum });
         oldLineNum++;
         newLineNum++;
       }
@@ -30,7 +79,7 @@ export function computeDiff(oldText, newText) {
 
     for (const line of lines) {
       if (part.added) {
-        result.push({
+        pushEntry({
           type: "added",
           lines: [line],
           oldLine: null,
@@ -38,7 +87,7 @@ export function computeDiff(oldText, newText) {
         });
         newLineNum++;
       } else if (part.removed) {
-        result.push({
+        pushEntry({
           type: "removed",
           lines: [line],
           oldLine: oldLineNum,
@@ -46,7 +95,7 @@ export function computeDiff(oldText, newText) {
         });
         oldLineNum++;
       } else {
-        result.push({
+        pushEntry({
           type: "unchanged",
           lines: [line],
           oldLine: oldLineNum,
@@ -58,7 +107,12 @@ export function computeDiff(oldText, newText) {
     }
   }
 
-  return addWordLevelDiffs(result);
+  for (const h of hunks) h.oldText = oldText.slice(h.oldFrom, h.oldTo);
+  return { lines: addWordLevelDiffs(result), hunks };
+}
+
+function normalizeEol(text) {
+  return (text || "").replace(/\r\n?/g, "\n");
 }
 
 /**
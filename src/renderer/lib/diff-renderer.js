@@ -31,10 +31,36 @@ function renderWordDiffs(wordDiffs, side) {
   return html;
 }
 
-export function renderInlineDiff(diffResult) {
+function renderHunkButton(className, hunk, action) {
+  return (
+    `<button class="${className}" data-hunk="${hunk}" title="${escapeHtml(action.title).replace(/"/g, "&quot;")}">` +
+    `${escapeHtml(action.label)}</button>`
+  );
+}
+
+/**
+ * Action bar shown above the first line of each hunk.
+ * hunkAction: { label, title } — omitted when hunks are read-only.
+ * stageAction: { label, title } — optional "stage this hunk" button.
+ */
+function renderHunkActions(entry, prevHunk, { hunkAction, stageAction }, withButton) {
+  if (!hunkAction || entry.hunk === undefined || entry.hunk === prevHunk) return "";
+  if (!withButton) return `<div class="diff-hunk-actions"></div>`;
+  return (
+    `<div class="diff-hunk-actions">` +
+    (stageAction ? renderHunkButton("diff-hunk-stage", entry.hunk, stageAction) : "") +
+    renderHunkButton("diff-hunk-revert", entry.hunk, hunkAction) +
+    `</div>`
+  );
+}
+
+export function renderInlineDiff(diffResult, { hunkAction = null, stageAction = null } = {}) {
   let html = '<div class="diff-inline">';
+  let prevHunk;
 
   for (const entry of diffResult) {
+    html += renderHunkActions(entry, prevHunk, { hunkAction, stageAction }, true);
+    prevHunk = entry.hunk;
     const lineContent = entry.lines[0];
     let cssClass = "";
     let prefix = " ";
@@ -71,11 +97,16 @@ export function renderInlineDiff(diffResult) {
   return html;
 }
 
-export function renderSideBySideDiff(diffResult) {
+export function renderSideBySideDiff(diffResult, { hunkAction = null, stageAction = null } = {}) {
   let leftHtml = "";
   let rightHtml = "";
+  let prevHunk;
 
   for (const entry of diffResult) {
+    // Button on the new (editable) side, an equal-height spacer on the old side
+    leftHtml += renderHunkActions(entry, prevHunk, { hunkAction, stageAction }, false);
+    rightHtml += renderHunkActions(entry, prevHunk, { hunkAction, stageAction }, true);
+    prevHunk = entry.hunk;
     const lineContent = entry.lines[0];
 
     if (entry.type === "unchanged") {
@@ -0,0 +1,37 @@
+/**
+ * File encodings offered in the status bar (see src/main/encoding.js for
+ * detection and conversion). A document's encoding is an id plus whether the
+ * file carries a BOM.
+ */
+
+export const DEFAULT_ENCODING = "utf-8";
+
+// Choices for "Save with Encoding". UTF-16 is always written with a BOM,
+// since without one other editors rarely recognize it.
+export const SAVE_ENCODINGS = [
+  { encoding: "utf-8", bom: false },
+  { encoding: "utf-8", bom: true },
+  { encoding: "utf-16le", bom: true },
+  { encoding: "utf-16be", bom: true },
+  { encoding: "shift_jis", bom: false },
+  { encoding: "euc-jp", bom: false },
+];
+
+// Choices for "Reopen with Encoding" (a BOM is detected, not chosen)
+export const REOPEN_ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "shift_jis", "euc-jp"];
+
+const NAMES = {
+  "utf-8": "UTF-8",
+  "utf-16le": "UTF-16 LE",
+  "utf-16be": "UTF-16 BE",
+  "shift_jis": "Shift_JIS",
+  "euc-jp": "EUC-JP",
+};
+
+/**
+ * Display name, e.g. "Shift_JIS" or "UTF-8 BOM".
+ */
+export function formatEncoding(encoding, bom = false) {
+  const name = NAMES[encoding] || NAMES[DEFAULT_ENCODING];
+  return bom && encoding === "utf-8" ? `${name} BOM` : name;
+}
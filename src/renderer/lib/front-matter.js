@@ -0,0 +1,516 @@
+/**
+ * Front matter: a leading metadata block used by Jekyll, Hugo, Docusaurus, etc.
+ *
+ *   ---            +++
+ *   title: Foo     title = "Foo"
+ *   ---            +++
+ *
+ * YAML is parsed with js-yaml. TOML is parsed by a small built-in parser that
+ * covers what front matter uses in practice (key/value pairs, strings, numbers,
+ * booleans, dates, arrays, inline tables and [table] / [[array]] headers).
+ *
+ * Editing rewrites single top-level lines in place, so comments (including a
+ * trailing comment on the edited line), ordering and formatting of the rest of
+ * the block are preserved.
+ */
+import { load as loadYaml } from "js-yaml";
+
+const FENCES = { "---": "yaml", "+++": "toml" };
+
+class FrontMatterError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.line = line; // 1-based line within the front matter body
+  }
+}
+
+// ── TOML ──
+
+const TOML_ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+
+function unescapeToml(raw) {
+  return raw.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (m, esc) => {
+    if (esc.length > 1) return String.fromCodePoint(parseInt(esc.slice(1), 16));
+    if (esc in TOML_ESCAPES) return TOML_ESCAPES[esc];
+    throw new Error(`Invalid escape "\\${esc}"`);
+  });
+}
+
+function parseToml(src) {
+  const root = {};
+  let current = root;
+  let i = 0;
+
+  const fail = (message) => {
+    throw new FrontMatterError(message, src.slice(0, i).split("\n").length);
+  };
+  const skipSpaces = () => {
+    while (src[i] === " " || src[i] === "\t") i++;
+  };
+  const skipComment = () => {
+    if (src[i] === "#") while (i < src.length && src[i] !== "\n") i++;
+  };
+  // Spaces, comments and newlines (between statements and inside arrays)
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (src[i] === "\n" || src[i] === "\r") i++;
+      else return;
+    }
+  };
+  const expectLineEnd = () => {
+    skipSpaces();
+    skipComment();
+    if (src[i] === "\r") i++;
+    if (i < src.length && src[i] !== "\n") fail(`Unexpected "${src[i]}"`);
+    i++;
+  };
+
+  function parseString() {
+    const quote = src[i];
+    const triple = quote.repeat(3);
+    if (src.startsWith(triple, i)) {
+      i += 3;
+      if (src[i] === "\n") i++;
+      else if (src.startsWith("\r\n", i)) i += 2;
+      const end = src.indexOf(triple, i);
+      if (end === -1) fail("Unterminated multi-line string");
+      const body = src.slice(i, end);
+      i = end + 3;
+      if (quote === "'") return body;
+      try {
+        return unescapeToml(body.replace(/\\\r?\n\s*/g, ""));
+      } catch (err) {
+        return fail(err.message);
+      }
+    }
+
+    const start = ++i;
+    while (src[i] !== quote) {
+      if (i >= src.length || src[i] === "\n") fail("Unterminated string");
+      i += quote === '"' && src[i] === "\\" ? 2 : 1;
+    }
+    const body = src.slice(start, i++);
+    if (quote === "'") return body;
+    try {
+      return unescapeToml(body);
+    } catch (err) {
+      return fail(err.message);
+    }
+  }
+
+  function parseKey() {
+    const parts = [];
+    for (;;) {
+      skipSpaces();
+      if (src[i] === '"' || src[i] === "'") {
+        parts.push(parseString());
+      } else {
+        const m = /^[A-Za-z0-9_-]+/.exec(src.slice(i, i + 256));
+        if (!m) fail("Expected a key");
+        parts.push(m[0]);
+        i += m[0].length;
+      }
+      skipSpaces();
+      if (src[i] !== ".") return parts;
+      i++;
+    }
+  }
+
+  function parseLiteral() {
+    const rest = src.slice(i, i + 64);
+    // Date-times may contain a space ("1979-05-27 07:32:00")
+    const date = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?/i.exec(rest);
+    const m = date || /^[^\s,\]}#]+/.exec(rest);
+    if (!m) fail("Expected a value");
+    const word = m[0];
+    i += word.length;
+
+    if (word === "true") return true;
+    if (word === "false") return false;
+    if (date || /^\d{2}:\d{2}/.test(word)) return word; // dates and times stay as text
+    const n = word.replace(/_/g, "");
+    if (/^[+-]?(inf|nan)$/.test(n)) return n.endsWith("nan") ? NaN : n[0] === "-" ? -Infinity : Infinity;
+    if (/^0x[0-9a-f]+$|^0o[0-7]+$|^0b[01]+$/i.test(n)) return Number(n);
+    if (/^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(n)) return Number(n);
+    return fail(`Invalid value "${word}"`);
+  }
+
+  function parseValue() {
+    skipSpaces();
+    const c = src[i];
+    if (c === '"' || c === "'") return parseString();
+
+    if (c === "[") {
+      i++;
+      const arr = [];
+      for (;;) {
+        skipBlank();
+        if (src[i] === "]") break;
+        arr.push(parseValue());
+        skipBlank();
+        if (src[i] === ",") i++;
+        else if (src[i] !== "]") fail('Expected "," or "]" in array');
+      }
+      i++;
+      return arr;
+    }
+
+    if (c === "{") {
+      i++;
+      const table = {};
+      skipSpaces();
+      if (src[i] === "}") {
+        i++;
+        return table;
+      }
+      for (;;) {
+        const key = parseKey();
+        if (src[i] !== "=") fail('Expected "=" after key');
+        i++;
+        setPath(table, key, parseValue());
+        skipSpaces();
+        if (src[i] === "}") break;
+        if (src[i] !== ",") fail('Expected "," or "}" in inline table');
+        i++;
+      }
+      i++;
+      return table;
+    }
+
+    return parseLiteral();
+  }
+
+  function getTable(parts) {
+    let node = root;
+    for (const part of parts) {
+      if (!(part in node)) node[part] = {};
+      node = node[part];
+      if (Array.isArray(node)) node = node[node.length - 1];
+      if (typeof node !== "object" || node === null) fail(`"${part}" is not a table`);
+    }
+    return node;
+  }
+
+  function setPath(table, parts, value) {
+    let node = table;
+    for (const part of parts.slice(0, -1)) {
+      if (!(part in node)) node[part] = {};
+      node = node[part];
+      if (typeof node !== "object" || node === null || Array.isArray(node)) {
+        fail(`"${part}" is not a table`);
+      }
+    }
+    const last = parts[parts.length - 1];
+    if (last in node) fail(`Duplicate key "${parts.join(".")}"`);
+    node[last] = value;
+  }
+
+  skipBlank();
+  while (i < src.length) {
+    if (src[i] === "[") {
+      const isArray = src[i + 1] === "[";
+      i += isArray ? 2 : 1;
+      const key = parseKey();
+      const close = isArray ? "]]" : "]";
+      if (!src.startsWith(close, i)) fail(`Expected "${close}"`);
+      i += close.length;
+      if (isArray) {
+        const parent = getTable(key.slice(0, -1));
+        const last = key[key.length - 1];
+        if (!(last in parent)) parent[last] = [];
+        if (!Array.isArray(parent[last])) fail(`"${key.join(".")}" is not an array of tables`);
+        current = {};
+        parent[last].push(current);
+      } else {
+        current = getTable(key);
+      }
+    } else {
+      const key = parseKey();
+      if (src[i] !== "=") fail('Expected "=" after key');
+      i++;
+      setPath(current, key, parseValue());
+    }
+    expectLineEnd();
+    skipBlank();
+  }
+
+  return root;
+}
+
+// ── Parsing ──
+
+function parseData(format, raw) {
+  if (format === "toml") return parseToml(raw);
+  let data;
+  try {
+    data = loadYaml(raw);
+  } catch (err) {
+    throw new FrontMatterError(err.reason || err.message, err.mark ? err.mark.line + 1 : 1);
+  }
+  if (data === undefined || data === null) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new FrontMatterError("Front matter must be a mapping of keys to values", 1);
+  }
+  return data;
+}
+
+function isScalar(value) {
+  return value === null || value instanceof Date || ["string", "number", "boolean"].includes(typeof value);
+}
+
+function keyPattern(key) {
+  return key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Find the body line that defines a top-level key. Returns the line index
+ * within `bodyLines`, the "key: " prefix and the raw value text, or null.
+ */
+function findKeyLine(format, bodyLines, key) {
+  const re = format === "toml"
+    ? new RegExp(`^((["']?)${keyPattern(key)}\\2\\s*=\\s*)(.*)$`)
+    : new RegExp(`^((["']?)${keyPattern(key)}\\2\\s*:(?:\\s+|$))(.*)$`);
+  for (let i = 0; i < bodyLines.length; i++) {
+    // TOML top-level keys must come before the first [table] header
+    if (format === "toml" && /^\s*\[/.test(bodyLines[i])) return null;
+    const m = re.exec(bodyLines[i]);
+    if (m) return { index: i, prefix: m[1], rawValue: m[3] };
+  }
+  return null;
+}
+
+/**
+ * Split a single-line raw value into the value and its trailing comment
+ * (with the whitespace before it). In YAML "#" starts a comment only after
+ * whitespace; in TOML anywhere outside a string.
+ */
+function splitTrailingComment(format, rawValue) {
+  let quote = null;
+  for (let i = 0; i < rawValue.length; i++) {
+    const c = rawValue[i];
+    if (quote) {
+      if (c === "\\" && quote === '"') i++;
+      else if (c === "'" && quote === "'" && format === "yaml" && rawValue[i + 1] === "'") i++; // '' escape
+      else if (c === quote) quote = null;
+      continue;
+    }
+    const prev = i === 0 ? " " : rawValue[i - 1];
+    if (c === '"' || c === "'") {
+      // A YAML quote only opens a string at the start of a scalar ("don't" is plain)
+      if (format === "toml" || /[\s[{,]/.test(prev)) quote = c;
+    } else if (c === "#" && (format === "toml" || /\s/.test(prev))) {
+      const start = rawValue.slice(0, i).search(/\s*$/);
+      return { value: rawValue.slice(0, start), comment: rawValue.slice(start) };
+    }
+  }
+  return { value: rawValue, comment: "" };
+}
+
+/**
+ * A field can be edited in place when its value is a scalar written on the
+ * same line as its key (no block scalars, multi-line strings or continuations).
+ */
+function isInlineValue(format, bodyLines, found) {
+  const rawValue = found.rawValue.trim();
+  if (!rawValue) return false;
+  if (format === "toml") return !/^("""|''')/.test(rawValue);
+  if (/^[|>]/.test(rawValue)) return false;
+  const next = bodyLines[found.index + 1];
+  return next === undefined || !/^\s+\S/.test(next);
+}
+
+/**
+ * Detect and parse front matter at the start of a Markdown source.
+ *
+ * @param {string} source
+ * @returns {null|{
+ *   format: "yaml"|"toml",
+ *   raw: string,
+ *   endLine: number,
+ *   data: object,
+ *   fields: Array<{key: string, value: *, line: number|null, editable: boolean}>,
+ *   error: null|{message: string, line: number}
+ * }} endLine is the 0-based index of the closing fence; field and error
+ *   lines are 1-based document lines.
+ */
+export function extractFrontMatter(source) {
+  if (!source || (source[0] !== "-" && source[0] !== "+")) return null;
+
+  const lines = source.split("\n");
+  const fence = lines[0].replace(/\r$/, "").trimEnd();
+  const format = FENCES[fence];
+  if (!format) return null;
+
+  let endLine = -1;
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].replace(/\r$/, "").trimEnd();
+    if (line === fence || (format === "yaml" && line === "...")) {
+      endLine = i;
+      break;
+    }
+  }
+  if (endLine === -1) return null;
+
+  const bodyLines = lines.slice(1, endLine).map((l) => l.replace(/\r$/, ""));
+  const raw = bodyLines.join("\n");
+
+  let data = {};
+  let error = null;
+  try {
+    data = parseData(format, raw);
+  } catch (err) {
+    error = { message: err.message, line: (err.line || 1) + 1 };
+  }
+
+  const fields = Object.keys(data).map((key) => {
+    const found = findKeyLine(format, bodyLines, key);
+    return {
+      key,
+      value: data[key],
+      line: found ? found.index + 2 : null,
+      editable: !!found && isScalar(data[key]) && isInlineValue(format, bodyLines, found),
+    };
+  });
+
+  return { format, raw, endLine, data, fields, error };
+}
+
+/**
+ * The front matter `title`, or null when there is none (or it does not parse).
+ * @param {string} source
+ * @returns {string|null}
+ */
+export function getFrontMatterTitle(source) {
+  const fm = extractFrontMatter(source);
+  if (!fm || fm.error) return null;
+  const title = fm.data.title;
+  if (typeof title !== "string" && typeof title !== "number") return null;
+  return String(title).trim() || null;
+}
+
+/**
+ * Format a front matter value for display (tables and dialogs).
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatFrontMatterValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+  }
+  if (Array.isArray(value) && value.every((v) => isScalar(v))) {
+    return value.map(formatFrontMatterValue).join(", ");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value, (_key, v) => (v instanceof Date ? formatFrontMatterValue(v) : v));
+  }
+  return String(value);
+}
+
+// ── Editing ──
+
+function valueKind(value) {
+  if (value === null) return "null";
+  if (value instanceof Date) return "date";
+  return typeof value;
+}
+
+/**
+ * Serialize edited text as a YAML scalar. Plain text is written as-is when
+ * YAML reads it back unchanged (or as the original non-string type);
+ * anything else is double-quoted.
+ */
+function toYamlScalar(text, original) {
+  let parsed;
+  try {
+    parsed = loadYaml(text);
+  } catch {
+    parsed = undefined;
+  }
+  if (!text.includes("\n") && text.trim() === text && text !== "") {
+    if (typeof original === "string" ? parsed === text : valueKind(parsed) === valueKind(original)) {
+      return text;
+    }
+  }
+  return JSON.stringify(text);
+}
+
+/**
+ * Serialize edited text as a TOML value. Unquoted originals (numbers,
+ * booleans, dates) stay unquoted while the new text is still a valid literal.
+ */
+function toTomlValue(text, rawValue) {
+  if (rawValue !== null && !/^["']/.test(rawValue.trim()) && !/^["'[{]/.test(text)) {
+    try {
+      parseToml(`v = ${text}`);
+      return text;
+    } catch {
+      // not a literal — quote it
+    }
+  }
+  return JSON.stringify(text);
+}
+
+function formatKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Compute the edit that applies field updates to the front matter.
+ * Existing single-line fields are rewritten in place; new keys are appended
+ * at the end of the top-level section. Without front matter, a YAML block is
+ * created at the top of the document.
+ *
+ * @param {string} source - Markdown source
+ * @param {Array<{key: string, value: string}>} updates - New values as text
+ * @returns {{from: number, to: number, insert: string}|null} Replacement of
+ *   the front matter region, or null if a field cannot be edited in place
+ */
+export function updateFrontMatter(source, updates) {
+  const fm = extractFrontMatter(source);
+
+  if (!fm) {
+    const body = updates.map(({ key, value }) => `${formatKey(key)}: ${toYamlScalar(value, "")}`);
+    return { from: 0, to: 0, insert: ["---", ...body, "---", ""].join("\n") };
+  }
+
+  const lines = source.split("\n");
+  const fence = lines[0];
+  const bodyLines = lines.slice(1, fm.endLine);
+  const appended = [];
+
+  for (const { key, value } of updates) {
+    const field = fm.fields.find((f) => f.key === key);
+    if (field) {
+      if (!field.editable) return null;
+      const found = findKeyLine(fm.format, bodyLines, key);
+      const { value: rawValue, comment } = splitTrailingComment(fm.format, found.rawValue);
+      const formatted = fm.format === "toml"
+        ? toTomlValue(value, rawValue)
+        : toYamlScalar(value, field.value);
+      // Keep a trailing comment, separated from the value by whitespace
+      const trailing = comment && !/^\s/.test(comment) ? " " + comment : comment;
+      bodyLines[found.index] = found.prefix.replace(/\s*$/, " ") + formatted + trailing;
+    } else {
+      appended.push(fm.format === "toml"
+        ? `${formatKey(key)} = ${toTomlValue(value, null)}`
+        : `${formatKey(key)}: ${toYamlScalar(value, "")}`);
+    }
+  }
+
+  if (appended.length > 0) {
+    // TOML top-level keys must precede the first [table] header
+    let insertAt = bodyLines.length;
+    if (fm.format === "toml") {
+      const tableIdx = bodyLines.findIndex((l) => /^\s*\[/.test(l));
+      if (tableIdx !== -1) insertAt = tableIdx;
+    }
+    bodyLines.splice(insertAt, 0, ...appended);
+  }
+
+  const to = lines.slice(0, fm.endLine).join("\n").length;
+  return { from: 0, to, insert: [fence, ...bodyLines].join("\n") };
+}
@@ -0,0 +1,85 @@
+/**
+ * Fuzzy matching for pickers (command palette): the query's characters must
+ * appear in the text in order, case-insensitively, with gaps allowed.
+ *
+ * Matches score higher when they start words and run consecutively, so
+ * "tww" ranks "Toggle Word Wrap" above texts that merely contain t, w, w.
+ * Spaces in the query are ignored.
+ */
+
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+const FIRST_CHAR_BONUS = 4;
+const GAP_PENALTY = 0.5;
+
+function isWordStart(text, i) {
+  if (i === 0) return true;
+  const prev = text[i - 1];
+  if (/[\s\-_:/\\.()[\]]/.test(prev)) return true;
+  // camelCase boundary ("goToLine")
+  return prev === prev.toLowerCase() && text[i] !== text[i].toLowerCase();
+}
+
+// Whether query[from..] still appears in order after text position pos
+function canFinish(query, lower, from, pos) {
+  for (let q = from; q < query.length; q++) {
+    pos = lower.indexOf(query[q], pos + 1);
+    if (pos < 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Match starting at a given text position, taking each query character at its
+ * next occurrence (preferring a word start within reach of the next match).
+ */
+function matchFrom(query, text, lower, start) {
+  const indices = [start];
+  let score = 1 + (isWordStart(text, start) ? WORD_START_BONUS : 0) + (start === 0 ? FIRST_CHAR_BONUS : 0);
+  let pos = start;
+  for (let q = 1; q < query.length; q++) {
+    const ch = query[q];
+    let next = lower.indexOf(ch, pos + 1);
+    if (next < 0) return null;
+    // Consecutive wins; otherwise jump to a word start if the rest still fits after it
+    if (next !== pos + 1) {
+      for (let i = next; i < lower.length; i++) {
+        if (lower[i] === ch && isWordStart(text, i) && canFinish(query, lower, q + 1, i)) {
+          next = i;
+          break;
+        }
+      }
+    }
+    score += 1;
+    if (next === pos + 1) score += CONSECUTIVE_BONUS;
+    else score -= GAP_PENALTY * Math.min(next - pos - 1, 10);
+    if (isWordStart(text, next)) score += WORD_START_BONUS;
+    indices.push(next);
+    pos = next;
+  }
+  return { score, indices };
+}
+
+/**
+ * Fuzzy-match a query against a text.
+ * @param {string} query - What the user typed
+ * @param {string} text - Candidate text
+ * @returns {{ score: number, indices: number[] }|null} Matched character
+ *   positions in text (for highlighting), or null when it does not match.
+ *   An empty query matches everything with score 0.
+ */
+export function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  if (!q) return { score: 0, indices: [] };
+  const lower = text.toLowerCase();
+
+  // Try every occurrence of the first character and keep the best alignment
+  let best = null;
+  for (let start = lower.indexOf(q[0]); start >= 0; start = lower.indexOf(q[0], start + 1)) {
+    const result = matchFrom(q, text, lower, start);
+    if (!result) break; // Later starts cannot match either
+    if (!best || result.score > best.score) best = result;
+  }
+  if (best && lower.includes(q)) best.score += q.length; // Exact substring
+  return best;
+}
@@ -0,0 +1,57 @@
+/**
+ * GitHub-style heading anchors (the same rules as github-slugger):
+ * lower case, punctuation and symbols removed, each space becomes "-".
+ * Repeated slugs in one document get "-1", "-2", ... appended.
+ * As on GitHub, the element ids carry a prefix so heading text can never
+ * become a global name (DOM clobbering); "#slug" links are resolved to it.
+ */
+
+export const HEADING_ID_PREFIX = "user-content-";
+
+// Anything that is not a letter, mark, number, connector (_), "-" or space
+const STRIP_RE = /[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu;
+
+/**
+ * Slug of a heading's text ("Hello, World!" → "hello-world").
+ * @param {string} text - Plain text of the heading
+ * @returns {string}
+ */
+export function githubSlug(text) {
+  return text.toLowerCase().trim().replace(STRIP_RE, "").replace(/ /g, "-");
+}
+
+/**
+ * Create a slugger for one document: call it with each heading's text in
+ * document order to get unique anchors.
+ * @returns {function(string): string}
+ */
+export function createSlugger() {
+  const occurrences = new Map();
+  return (text) => {
+    const base = githubSlug(text);
+    let slug = base;
+    while (occurrences.has(slug)) {
+      const count = occurrences.get(base) + 1;
+      occurrences.set(base, count);
+      slug = `${base}-${count}`;
+    }
+    occurrences.set(slug, 0);
+    return slug;
+  };
+}
+
+/**
+ * Element id of the heading a "#fragment" link points at. markdown-it
+ * percent-encodes non-ASCII link targets, so the fragment is decoded first.
+ * @param {string} fragment - Link target without the "#"
+ * @returns {string}
+ */
+export function headingIdFromFragment(fragment) {
+  let anchor = fragment;
+  try {
+    anchor = decodeURIComponent(fragment);
+  } catch {
+    // Malformed escapes: use the fragment as written
+  }
+  return HEADING_ID_PREFIX + anchor;
+}
@@ -5,6 +5,9 @@ import texmath from "markdown-it-texmath";
 import katex from "katex";
 import hljs from "highlight.js";
 import { EMOJI_NAMES } from "../data/emoji-names.js";
+import { extractFrontMatter, formatFrontMatterValue } from "./front-matter.js";
+import { createSlugger, HEADING_ID_PREFIX } from "./heading-slug.js";
+import { t } from "../../i18n/i18n-renderer.js";
 
 // ── GitHub-style :shortcode: emoji plugin ──
 // Build reverse map: shortcode -> emoji character
@@ -30,6 +33,185 @@ function emojiShortcodePlugin(md) {
   });
 }
 
+// GitHub alert plugin: a blockquote whose first line is [!NOTE], [!TIP],
+// [!IMPORTANT], [!WARNING] or [!CAUTION] becomes a .markdown-alert div with an
+// icon title (styled by github-markdown-css). Titles stay in English as on GitHub.
+const ALERT_MARKER_RE = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:\n|$)/i;
+
+// Octicons (MIT): info, light-bulb, report, alert, stop
+const ALERT_TYPES = {
+  note: {
+    title: "Note",
+    icon: "M0 8a8 8 0 1 1 16 0A8 8 0 0 1 0 8Zm8-6.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13ZM6.5 7.75A.75.75 0 0 1 7.25 7h1a.75.75 0 0 1 .75.75v2.75h.25a.75.75 0 0 1 0 1.5h-2a.75.75 0 0 1 0-1.5h.25v-2h-.25a.75.75 0 0 1-.75-.75ZM8 6a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z",
+  },
+  tip: {
+    title: "Tip",
+    icon: "M8 1.5c-2.363 0-4 1.69-4 3.75 0 .984.424 1.625.984 2.304l.214.253c.223.264.47.556.673.848.284.411.537.896.621 1.49a.75.75 0 0 1-1.484.211c-.04-.282-.163-.547-.37-.847a8.456 8.456 0 0 0-.542-.68c-.084-.1-.173-.205-.268-.32C3.201 7.75 2.5 6.766 2.5 5.25 2.5 2.31 4.863 0 8 0s5.5 2.31 5.5 5.25c0 1.516-.701 2.5-1.328 3.259-.095.115-.184.22-.268.319-.207.245-.383.453-.541.681-.208.3-.33.565-.37.847a.751.751 0 0 1-1.485-.212c.084-.593.337-1.078.621-1.489.203-.292.45-.584.673-.848.075-.088.147-.173.213-.253.561-.679.985-1.32.985-2.304 0-2.06-1.637-3.75-4-3.75ZM5.75 12h4.5a.75.75 0 0 1 0 1.5h-4.5a.75.75 0 0 1 0-1.5ZM6 15.25a.75.75 0 0 1 .75-.75h2.5a.75.75 0 0 1 0 1.5h-2.5a.75.75 0 0 1-.75-.75Z",
+  },
+  important: {
+    title: "Important",
+    icon: "M0 1.75C0 .784.784 0 1.75 0h12.5C15.216 0 16 .784 16 1.75v9.5A1.75 1.75 0 0 1 14.25 13H8.06l-2.573 2.573A1.458 1.458 0 0 1 3 14.543V13H1.75A1.75 1.75 0 0 1 0 11.25Zm1.75-.25a.25.25 0 0 0-.25.25v9.5c0 .138.112.25.25.25h2a.75.75 0 0 1 .75.75v2.19l2.72-2.72a.749.749 0 0 1 .53-.22h6.5a.25.25 0 0 0 .25-.25v-9.5a.25.25 0 0 0-.25-.25Zm7 2.25v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 9a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z",
+  },
+  warning: {
+    title: "Warning",
+    icon: "M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z",
+  },
+  caution: {
+    title: "Caution",
+    icon: "M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z",
+  },
+};
+
+function githubAlertPlugin(md) {
+  // Runs before "inline" so only the raw inline content has to be rewritten
+  md.core.ruler.after("block", "github_alert", function (state) {
+    const tokens = state.tokens;
+    for (let i = 0; i < tokens.length; i++) {
+      const open = tokens[i];
+      if (open.type !== "blockquote_open") continue;
+      const paraOpen = tokens[i + 1];
+      const inline = tokens[i + 2];
+      if (!paraOpen || paraOpen.type !== "paragraph_open" || inline.type !== "inline") continue;
+
+      const m = inline.content.match(ALERT_MARKER_RE);
+      if (!m) continue;
+
+      // Matching blockquote_close (same nesting level)
+      let closeIdx = i + 1;
+      while (closeIdx < tokens.length &&
+        !(tokens[closeIdx].type === "blockquote_close" && tokens[closeIdx].level === open.level)) {
+        closeIdx++;
+      }
+      const rest = inline.content.slice(m[0].length);
+      // A marker with no content stays a plain blockquote (as on GitHub)
+      if (rest === "" && closeIdx === i + 4) continue;
+
+      const type = m[1].toLowerCase();
+      open.tag = "div";
+      open.attrJoin("class", `markdown-alert markdown-alert-${type}`);
+      open.meta = { alertType: type };
+      tokens[closeIdx].tag = "div";
+
+      if (rest === "") {
+        // Marker on its own paragraph: drop paragraph_open, inline, paragraph_close
+        tokens.splice(i + 1, 3);
+      } else {
+        // Body text starts on the line after the marker
+        inline.content = rest;
+        if (paraOpen.map) paraOpen.map = [paraOpen.map[0] + 1, paraOpen.map[1]];
+      }
+    }
+  });
+
+  const original =
+    md.renderer.rules.blockquote_open ||
+    function (tokens, idx, options, env, self) {
+      return self.renderToken(tokens, idx, options);
+    };
+
+  md.renderer.rules.blockquote_open = function (tokens, idx, options, env, self) {
+    const html = original(tokens, idx, options, env, self);
+    const alert = tokens[idx].meta && ALERT_TYPES[tokens[idx].meta.alertType];
+    if (!alert) return html;
+    return (
+      html +
+      `<p class="markdown-alert-title"><svg class="octicon" viewBox="0 0 16 16" width="16" height="16" aria-hidden="true">` +
+      `<path d="${alert.icon}"></path></svg>${alert.title}</p>\n`
+    );
+  };
+}
+
+// Page break plugin: a standalone <!-- pagebreak --> comment becomes a
+// .page-break marker (a dashed rule in the preview, a page break in PDF export)
+const PAGEBREAK_RE = /^<!--\s*pagebreak\s*-->$/i;
+
+function pageBreakPlugin(md) {
+  const original =
+    md.renderer.rules.html_block ||
+    function (tokens, idx) {
+      return tokens[idx].content;
+    };
+
+  md.renderer.rules.html_block = function (tokens, idx, options, env, self) {
+    if (PAGEBREAK_RE.test(tokens[idx].content.trim())) {
+      const line = tokens[idx].attrGet("data-source-line");
+      const lineAttr = line !== null ? ` data-source-line="${line}"` : "";
+      return `<div class="page-break"${lineAttr}></div>\n`;
+    }
+    return original(tokens, idx, options, env, self);
+  };
+}
+
+// Front matter plugin: a leading YAML (---) or TOML (+++) block is removed from
+// the body and rendered as a collapsible metadata table (.front-matter)
+function frontMatterPlugin(md) {
+  md.block.ruler.before("table", "front_matter", (state, startLine, _endLine, silent) => {
+    // Only at the very start of the document (not inside a blockquote or list)
+    if (startLine !== 0 || state.bMarks[0] + state.tShift[0] !== 0) return false;
+    const fm = extractFrontMatter(state.src);
+    if (!fm) return false;
+    if (silent) return true;
+
+    const token = state.push("front_matter", "", 0);
+    token.block = true;
+    token.map = [0, fm.endLine + 1];
+    token.meta = fm;
+    state.line = fm.endLine + 1;
+    return true;
+  });
+
+  md.renderer.rules.front_matter = (tokens, idx) => {
+    const fm = tokens[idx].meta;
+    const esc = md.utils.escapeHtml;
+    const summary =
+      `<summary>${esc(t("previewPane.frontMatter"))} ` +
+      `<span class="front-matter-format">${fm.format.toUpperCase()}</span></summary>`;
+
+    if (fm.error) {
+      const message = t("previewPane.frontMatterError")
+        .replace("{line}", String(fm.error.line))
+        .replace("{message}", fm.error.message);
+      return (
+        `<details class="front-matter front-matter-invalid" data-source-line="0" open>${summary}` +
+        `<div class="front-matter-error">${esc(message)}</div>` +
+        `<pre><code>${esc(fm.raw)}</code></pre></details>\n`
+      );
+    }
+
+    const rows = fm.fields
+      .map((f) => `<tr><th>${esc(f.key)}</th><td>${esc(formatFrontMatterValue(f.value))}</td></tr>`)
+      .join("");
+    return (
+      `<details class="front-matter" data-source-line="0">${summary}` +
+      `<table><tbody>${rows}</tbody></table></details>\n`
+    );
+  };
+}
+
+// Heading anchor plugin: GitHub-style slug of each heading's text, written
+// as a prefixed id ("user-content-<slug>") that passes the sanitizer as is
+function headingText(inline) {
+  if (!inline || !inline.children) return "";
+  return inline.children
+    .filter((child) => child.type === "text" || child.type === "code_inline")
+    .map((child) => child.content)
+    .join("");
+}
+
+function headingAnchorPlugin(md) {
+  md.core.ruler.push("heading_anchor", function (state) {
+    const slug = createSlugger();
+    const tokens = state.tokens;
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].type !== "heading_open") continue;
+      const text = headingText(tokens[i + 1]);
+      const anchor = slug(text);
+      if (anchor) tokens[i].attrSet("id", HEADING_ID_PREFIX + anchor);
+      tokens[i].meta = { ...tokens[i].meta, headingText: text, anchor };
+    }
+  });
+}
+
 // Source line mapping plugin: injects data-source-line attributes
 function sourceLinePlugin(md) {
   const defaultRender =
@@ -96,9 +278,32 @@ const md = markdownIt({
   .use(footnote)
   .use(taskLists, { enabled: true, label: true })
   .use(texmath, { engine: katex, delimiters: "dollars" })
+  .use(frontMatterPlugin)
   .use(emojiShortcodePlugin)
+  .use(headingAnchorPlugin)
+  .use(githubAlertPlugin)
+  .use(pageBreakPlugin)
   .use(sourceLinePlugin);
 
 export function renderMarkdown(source) {
   return md.render(source);
 }
+
+/**
+ * Headings of a document with their anchors ("#anchor" links; the preview
+ * element id is HEADING_ID_PREFIX + anchor, or none when the anchor is empty).
+ * @param {string} source - Markdown text
+ * @returns {Array<{ line: number, level: number, text: string, anchor: string }>}
+ *   line is 1-based
+ */
+export function getHeadingAnchors(source) {
+  return md
+    .parse(source, {})
+    .filter((token) => token.type === "heading_open")
+    .map((token) => ({
+      line: token.map ? token.map[0] + 1 : 0,
+      level: Number(token.tag.slice(1)),
+      text: token.meta.headingText,
+      anchor: token.meta.anchor,
+    }));
+}
@@ -0,0 +1,254 @@
+/**
+ * GFM table model: parse table lines into cells, lay them out again with
+ * aligned columns, and turn CSV/TSV text into a table.
+ *
+ * A table is { indent, header: string[], aligns: (null|"left"|"center"|"right")[],
+ * rows: string[][] }. Cells are trimmed text with pipes still escaped ("\|").
+ */
+
+const DELIMITER_CELL = /^:?-+:?$/;
+
+/**
+ * Split a table row into trimmed cells. Leading/trailing pipes are optional;
+ * escaped pipes ("\|") stay inside their cell.
+ * @returns {{ indent: string, cells: string[] }}
+ */
+export function splitRow(line) {
+  const indent = line.match(/^\s*/)[0];
+  let body = line.trim();
+  if (body.startsWith("|")) body = body.slice(1);
+  if (body.endsWith("|") && !body.endsWith("\\|")) body = body.slice(0, -1);
+
+  const cells = [];
+  let current = "";
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === "\\" && i + 1 < body.length) {
+      current += ch + body[i + 1];
+      i++;
+    } else if (ch === "|") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return { indent, cells };
+}
+
+/**
+ * Whether a line is a delimiter row ("| --- | :-: |").
+ */
+export function isDelimiterRow(line) {
+  if (!line.includes("-")) return false;
+  const { cells } = splitRow(line);
+  return cells.length > 0 && cells.every((cell) => DELIMITER_CELL.test(cell));
+}
+
+function parseAlign(cell) {
+  const left = cell.startsWith(":");
+  const right = cell.endsWith(":");
+  if (left && right) return "center";
+  if (right) return "right";
+  if (left) return "left";
+  return null;
+}
+
+/**
+ * Parse table lines (header, delimiter row, body rows).
+ * Rows are padded to the widest row so no cell is lost.
+ * @param {string[]} lines
+ * @returns {Object|null} table, or null when the second line is not a delimiter row
+ */
+export function parseTable(lines) {
+  if (lines.length < 2 || !isDelimiterRow(lines[1])) return null;
+  const head = splitRow(lines[0]);
+  const aligns = splitRow(lines[1]).cells.map(parseAlign);
+  const rows = lines.slice(2).map((line) => splitRow(line).cells);
+  const columns = Math.max(head.cells.length, aligns.length, ...rows.map((row) => row.length));
+  const pad = (cells, fill) => cells.concat(Array(columns - cells.length).fill(fill));
+  return {
+    indent: head.indent,
+    header: pad(head.cells, ""),
+    aligns: pad(aligns, null),
+    rows: rows.map((row) => pad(row, "")),
+  };
+}
+
+/**
+ * Display width in monospace columns: East Asian wide and fullwidth
+ * characters take two columns, combining marks none.
+ */
+export function displayWidth(text) {
+  let width = 0;
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    if (code >= 0x300 && code <= 0x36f) continue; // Combining diacritics
+    if (
+      (code >= 0x1100 && code <= 0x115f) ||
+      (code >= 0x2e80 && code <= 0xa4cf && code !== 0x303f) ||
+      (code >= 0xac00 && code <= 0xd7a3) ||
+      (code >= 0xf900 && code <= 0xfaff) ||
+      (code >= 0xfe30 && code <= 0xfe4f) ||
+      (code >= 0xff00 && code <= 0xff60) ||
+      (code >= 0xffe0 && code <= 0xffe6) ||
+      (code >= 0x1f300 && code <= 0x1f64f) ||
+      (code >= 0x1f900 && code <= 0x1f9ff) ||
+      (code >= 0x20000 && code <= 0x3fffd)
+    ) {
+      width += 2;
+    } else {
+      width += 1;
+    }
+  }
+  return width;
+}
+
+function padCell(text, width, align) {
+  const space = width - displayWidth(text);
+  if (align === "right") return " ".repeat(space) + text;
+  if (align === "center") {
+    const left = Math.floor(space / 2);
+    return " ".repeat(left) + text + " ".repeat(space - left);
+  }
+  return text + " ".repeat(space);
+}
+
+function delimiterCell(width, align) {
+  if (align === "center") return ":" + "-".repeat(width - 2) + ":";
+  if (align === "left") return ":" + "-".repeat(width - 1);
+  if (align === "right") return "-".repeat(width - 1) + ":";
+  return "-".repeat(width);
+}
+
+/**
+ * Lay out a table with padded, aligned columns.
+ * @returns {{ lines: string[], cells: Array<Array<{line: number, start: number, end: number}>> }}
+ *   cells[row][col] locates each cell's text (row 0 is the header, line 1 the
+ *   delimiter row, so body row r is on line r + 1)
+ */
+export function formatTable(table) {
+  const columns = table.header.length;
+  const allRows = [table.header, ...table.rows];
+  const widths = [];
+  for (let c = 0; c < columns; c++) {
+    widths.push(Math.max(3, ...allRows.map((row) => displayWidth(row[c]))));
+  }
+
+  const lines = [];
+  const cells = [];
+  const layoutRow = (row) => {
+    const positions = [];
+    let line = table.indent + "|";
+    for (let c = 0; c < columns; c++) {
+      const padded = padCell(row[c], widths[c], table.aligns[c]);
+      // An empty cell's caret goes right after the pipe's space
+      const start = line.length + 1 + (row[c] ? padded.length - padded.trimStart().length : 0);
+      positions.push({ line: lines.length, start, end: start + row[c].length });
+      line += " " + padded + " |";
+    }
+    lines.push(line);
+    cells.push(positions);
+  };
+
+  layoutRow(table.header);
+  lines.push(table.indent + "|" + widths.map((w, c) => " " + delimiterCell(w, table.aligns[c]) + " |").join(""));
+  for (const row of table.rows) layoutRow(row);
+  return { lines, cells };
+}
+
+// Copy of a table so commands can edit it freely
+export function cloneTable(table) {
+  return {
+    indent: table.indent,
+    header: [...table.header],
+    aligns: [...table.aligns],
+    rows: table.rows.map((row) => [...row]),
+  };
+}
+
+/**
+ * Sort body rows by a column. Numbers sort numerically when every non-empty
+ * cell of the column is a number; empty cells go last either way.
+ */
+export function sortRows(table, col, descending = false) {
+  const values = table.rows.map((row) => row[col]).filter((v) => v !== "");
+  const numeric = values.length > 0 && values.every((v) => /^[-+]?[\d,]*\.?\d+(e[-+]?\d+)?%?$/i.test(v));
+  const key = (v) => parseFloat(v.replace(/[,%]/g, ""));
+  const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+  const sorted = [...table.rows].sort((a, b) => {
+    if (a[col] === "" || b[col] === "") return (a[col] === "") - (b[col] === "");
+    const order = numeric ? key(a[col]) - key(b[col]) : collator.compare(a[col], b[col]);
+    return descending ? -order : order;
+  });
+  return { ...table, rows: sorted };
+}
+
+/**
+ * Parse delimiter-separated text (RFC 4180 quoting).
+ */
+function parseDelimitedWith(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) return null; // Unbalanced quote: not CSV
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
+
+/**
+ * Recognize clipboard text as TSV or CSV: at least two lines and two
+ * columns, with the same number of columns on every line.
+ * `delimiters` are tried in order (tab, then comma by default).
+ * @returns {string[][]|null} rows of cells, or null when the text is not tabular
+ */
+export function parseDelimited(text, delimiters = ["\t", ","]) {
+  const normalized = text.replace(/\r\n?/g, "\n").replace(/\n+$/, "");
+  if (!normalized.includes("\n")) return null;
+  for (const delimiter of delimiters) {
+    if (!normalized.includes(delimiter)) continue;
+    const rows = parseDelimitedWith(normalized, delimiter);
+    if (!rows || rows.length < 2) continue;
+    const columns = rows[0].length;
+    if (columns >= 2 && rows.every((row) => row.length === columns)) return rows;
+  }
+  return null;
+}
+
+/**
+ * Build a table from rows of raw cell text (first row is the header).
+ * Pipes are escaped and line breaks inside a cell become <br>.
+ */
+export function tableFromGrid(grid, indent = "") {
+  const toCell = (value) => value.trim().replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+  const [header, ...rows] = grid.map((row) => row.map(toCell));
+  return { indent, header, aligns: header.map(() => null), rows };
+}
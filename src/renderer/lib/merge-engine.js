@@ -0,0 +1,157 @@
+import { diffArrays } from "diff";
+
+/**
+ * Three-way line merge (diff3 style).
+ *
+ * base   — the content last loaded from / saved to disk
+ * ours   — the editor buffer
+ * theirs — the content now on disk
+ *
+ * Returns an array of chunks:
+ *   { type: "stable",   lines }                      unchanged on both sides
+ *   { type: "ours",     lines, base }                changed only in the buffer
+ *   { type: "theirs",   lines, base }                changed only on disk
+ *   { type: "both",     lines, base }                same change on both sides
+ *   { type: "conflict", base, ours, theirs, resolution: null }
+ *
+ * Changes that overlap or touch in base are reported as a single conflict
+ * (the same rule git uses).
+ */
+export function computeMerge(base, ours, theirs) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+
+  const hunks = [
+    ...collectHunks(baseLines, ourLines).map((h) => ({ ...h, side: "ours" })),
+    ...collectHunks(baseLines, theirLines).map((h) => ({ ...h, side: "theirs" })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group overlapping/adjacent hunks into regions of base
+  const regions = [];
+  for (const hunk of hunks) {
+    const last = regions[regions.length - 1];
+    if (last && hunk.start <= last.end) {
+      last.end = Math.max(last.end, hunk.end);
+      last.hunks.push(hunk);
+    } else {
+      regions.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+    }
+  }
+
+  const chunks = [];
+  let pos = 0;
+  for (const region of regions) {
+    if (region.start > pos) {
+      chunks.push({ type: "stable", lines: baseLines.slice(pos, region.start) });
+    }
+    const regionBase = baseLines.slice(region.start, region.end);
+    const ourHunks = region.hunks.filter((h) => h.side === "ours");
+    const theirHunks = region.hunks.filter((h) => h.side === "theirs");
+    const ourSide = applyHunks(baseLines, region, ourHunks);
+    const theirSide = applyHunks(baseLines, region, theirHunks);
+
+    if (theirHunks.length === 0) {
+      chunks.push({ type: "ours", lines: ourSide, base: regionBase });
+    } else if (ourHunks.length === 0) {
+      chunks.push({ type: "theirs", lines: theirSide, base: regionBase });
+    } else if (sameLines(ourSide, theirSide)) {
+      chunks.push({ type: "both", lines: ourSide, base: regionBase });
+    } else {
+      chunks.push({
+        type: "conflict",
+        base: regionBase,
+        ours: ourSide,
+        theirs: theirSide,
+        resolution: null,
+      });
+    }
+    pos = region.end;
+  }
+  if (pos < baseLines.length) {
+    chunks.push({ type: "stable", lines: baseLines.slice(pos) });
+  }
+
+  return chunks;
+}
+
+/**
+ * Resolved lines of a conflict chunk, or null while unresolved.
+ * resolution: "ours" | "theirs" | "oursFirst" | "theirsFirst" | "base"
+ */
+export function resolveConflict(chunk) {
+  switch (chunk.resolution) {
+    case "ours": return chunk.ours;
+    case "theirs": return chunk.theirs;
+    case "oursFirst": return [...chunk.ours, ...chunk.theirs];
+    case "theirsFirst": return [...chunk.theirs, ...chunk.ours];
+    case "base": return chunk.base;
+    default: return null;
+  }
+}
+
+/**
+ * Count conflicts that are still unresolved.
+ */
+export function countUnresolved(chunks) {
+  return chunks.filter((c) => c.type === "conflict" && !c.resolution).length;
+}
+
+/**
+ * Join the merge result into text. Throws if a conflict is unresolved.
+ */
+export function buildMergedText(chunks) {
+  const lines = [];
+  for (const chunk of chunks) {
+    const chunkLines = chunk.type === "conflict" ? resolveConflict(chunk) : chunk.lines;
+    if (!chunkLines) throw new Error("unresolved conflict");
+    lines.push(...chunkLines);
+  }
+  return lines.join("\n");
+}
+
+// Line array that round-trips with join("\n") (a trailing newline yields a final "")
+function splitLines(text) {
+  return (text || "").replace(/\r\n?/g, "\n").split("\n");
+}
+
+// Changed ranges of base as { start, end, lines } (end exclusive)
+function collectHunks(baseLines, otherLines) {
+  const hunks = [];
+  let basePos = 0;
+  let current = null;
+
+  for (const part of diffArrays(baseLines, otherLines)) {
+    if (!part.added && !part.removed) {
+      if (current) hunks.push(current);
+      current = null;
+      basePos += part.value.length;
+      continue;
+    }
+    if (!current) current = { start: basePos, end: basePos, lines: [] };
+    if (part.removed) {
+      basePos += part.value.length;
+      current.end = basePos;
+    } else {
+      current.lines.push(...part.value);
+    }
+  }
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+// One side's version of a region: base lines with that side's hunks applied
+function applyHunks(baseLines, region, hunks) {
+  const lines = [];
+  let pos = region.start;
+  for (const hunk of hunks) {
+    lines.push(...baseLines.slice(pos, hunk.start), ...hunk.lines);
+    pos = hunk.end;
+  }
+  lines.push(...baseLines.slice(pos, region.end));
+  return lines;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}